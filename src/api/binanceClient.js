@@ -1,6 +1,7 @@
 const Binance = require("binance-api-node").default;
 const config = require("../config/config");
 const logger = require("../utils/logger");
+const candleStore = require("./candleStore");
 
 // クライアント初期化を同期的に保護するためのロック
 let isInitializing = false;
@@ -141,6 +142,15 @@ async function reinitialize(options) {
   }
 }
 
+/**
+ * 現在のBinanceクライアントを取得
+ * 再初期化後も最新のインスタンスを返す（エクスポートされたclientは初期化時のまま）
+ * @returns {Object} - Binanceクライアント
+ */
+function getClient() {
+  return client;
+}
+
 /**
  * API呼び出しを実行し、エラーをハンドリング
  * @param {Function} apiCall - API呼び出し関数
@@ -224,8 +234,41 @@ async function createOrder(orderParams) {
   );
 }
 
+/**
+ * 未約定の注文を取得
+ * @param {string} symbol - 取引ペア
+ * @returns {Promise<Array>} - 未約定注文の配列
+ */
+async function getOpenOrders(symbol) {
+  return executeApiCall(
+    async () => await client.openOrders({ symbol }),
+    `未約定注文取得エラー (${symbol})`
+  );
+}
+
+/**
+ * 未約定の注文をすべてキャンセル
+ * @param {string} symbol - 取引ペア
+ * @returns {Promise<Array>} - キャンセルされた注文の配列
+ */
+async function cancelAllOpenOrders(symbol) {
+  const openOrders = await getOpenOrders(symbol);
+
+  // 未約定注文がない状態でキャンセルするとAPIエラーになるため事前に確認
+  if (openOrders.length === 0) {
+    return [];
+  }
+
+  return executeApiCall(
+    async () => await client.cancelOpenOrders({ symbol }),
+    `注文一括キャンセルエラー (${symbol})`
+  );
+}
+
 /**
  * 過去のローソク足データを取得
+ * 期間指定時はローカルキャッシュ（candleStore）を優先し、不足している期間のみ取得する
+ * 期間指定時はonProgress（取得済みの割合 0〜1）で進捗を通知し、signalがabortされると取得を中止する
  * @param {Object} params - パラメータ
  * @returns {Promise<Array>} - ローソク足データの配列
  */
@@ -235,138 +278,290 @@ async function getCandles({
   limit = 500,
   startTime,
   endTime,
+  useCache = config.candleCache.enabled,
+  onProgress,
+  signal,
 }) {
   try {
-    // 日付範囲が大きい場合は分割して取得
     if (startTime && endTime) {
-      const intervalMs = getIntervalInMs(interval);
-      const maxTimeRange = intervalMs * limit;
+      const progress = { onProgress, signal };
+      const candles =
+        useCache && candleStore.isCacheable(interval)
+          ? await fetchCandlesWithCache(
+              symbol,
+              interval,
+              limit,
+              startTime,
+              endTime,
+              progress
+            )
+          : await fetchCandlesRange(
+              symbol,
+              interval,
+              limit,
+              startTime,
+              endTime,
+              progress
+            );
+      if (onProgress) onProgress(1);
+      return candles;
+    }
+    // 日付範囲が指定されていない場合は通常のリクエスト
+    else {
+      return await fetchCandlesChunk(
+        symbol,
+        interval,
+        limit,
+        startTime,
+        endTime
+      );
+    }
+  } catch (error) {
+    const errorMsg = `ローソク足データ取得エラー: ${error.message}`;
+    logger.error(errorMsg);
+    throw new Error(errorMsg);
+  }
+}
 
-      // 全期間が1回のリクエストで取得できる場合
-      if (endTime - startTime <= maxTimeRange) {
-        return await fetchCandlesChunk(
+/**
+ * キャッシュを使って期間内のローソク足データを取得
+ * 確定足のみをキャッシュし、未確定の足を含む直近の期間は毎回取得する
+ * @private
+ */
+async function fetchCandlesWithCache(
+  symbol,
+  interval,
+  limit,
+  startTime,
+  endTime,
+  progress = {}
+) {
+  const intervalMs = getIntervalInMs(interval);
+
+  // 足の開始時刻に揃える
+  const firstOpenTime = Math.ceil(startTime / intervalMs) * intervalMs;
+  const lastOpenTime = Math.floor(endTime / intervalMs) * intervalMs;
+  const lastClosedOpenTime =
+    Math.floor(Date.now() / intervalMs) * intervalMs - intervalMs;
+  const cacheEndTime = Math.min(lastOpenTime, lastClosedOpenTime);
+
+  const candlesByTime = new Map();
+
+  if (firstOpenTime <= cacheEndTime) {
+    const missingRanges = candleStore.getMissingRanges(
+      symbol,
+      interval,
+      firstOpenTime,
+      cacheEndTime
+    );
+
+    for (const candle of candleStore.getCandles(
+      symbol,
+      interval,
+      firstOpenTime,
+      cacheEndTime
+    )) {
+      candlesByTime.set(candle.time, candle);
+    }
+
+    // 取得が必要な期間全体に対する進捗に換算する
+    const totalMissing = missingRanges.reduce(
+      (sum, [rangeStart, rangeEnd]) => sum + (rangeEnd - rangeStart + 1),
+      0
+    );
+    let fetchedMissing = 0;
+
+    for (const [rangeStart, rangeEnd] of missingRanges) {
+      const rangeLength = rangeEnd - rangeStart + 1;
+      const fetched = (
+        await fetchCandlesRange(symbol, interval, limit, rangeStart, rangeEnd, {
+          signal: progress.signal,
+          onProgress:
+            progress.onProgress &&
+            ((ratio) =>
+              progress.onProgress(
+                (fetchedMissing + ratio * rangeLength) / totalMissing
+              )),
+        })
+      ).filter(
+        (candle) => candle.time >= rangeStart && candle.time <= rangeEnd
+      );
+
+      for (const candle of fetched) {
+        candlesByTime.set(candle.time, candle);
+      }
+
+      // 保存に失敗しても取得したデータはそのまま返す
+      try {
+        candleStore.saveCandles(
           symbol,
           interval,
-          limit,
-          startTime,
-          endTime
+          fetched,
+          rangeStart,
+          rangeEnd
         );
+      } catch (error) {
+        logger.warning(`ローソク足キャッシュ保存エラー: ${error.message}`);
       }
-      // 期間が大きい場合は分割して取得
-      else {
-        logger.info(
-          `長期間のデータを取得します: ${new Date(
-            startTime
-          ).toISOString()} から ${new Date(endTime).toISOString()}`
-        );
 
-        // メモリ効率のために配列連結を避ける
-        const allCandles = [];
-        let currentStartTime = startTime;
-        let requestCount = 0;
-        let errorCount = 0;
-        const startTimestamp = Date.now();
-
-        while (currentStartTime < endTime) {
-          // 次のチャンクの終了時間を計算（最大でendTimeまで）
-          const chunkEndTime = Math.min(
-            currentStartTime + maxTimeRange,
-            endTime
-          );
+      fetchedMissing += rangeLength;
+    }
 
-          try {
-            // データを取得して追加（スプレッド演算子を使わない）
-            const chunkCandles = await fetchCandlesChunk(
-              symbol,
-              interval,
-              limit,
-              currentStartTime,
-              chunkEndTime
-            );
+    logger.debug(
+      `ローソク足キャッシュ: ${symbol} (${interval}足) 不足期間${missingRanges.length}件を取得`
+    );
+  }
 
-            // 効率的な配列追加
-            for (const candle of chunkCandles) {
-              allCandles.push(candle);
-            }
-
-            // 次のチャンクの開始時間を設定（最後のローソク足の次から）
-            if (chunkCandles.length > 0) {
-              // 最後のローソク足の時間 + 間隔
-              currentStartTime =
-                chunkCandles[chunkCandles.length - 1].time + intervalMs;
-            } else {
-              // データがない場合は次のチャンクへ
-              currentStartTime = chunkEndTime + 1;
-            }
-
-            // エラーカウントをリセット
-            errorCount = 0;
-          } catch (error) {
-            errorCount++;
-
-            // 連続エラーが多すぎる場合は中止
-            if (errorCount >= 5) {
-              throw new Error(
-                `データ取得中に連続エラーが発生しました: ${error.message}`
-              );
-            }
-
-            // エラー時は少し待機してから再試行
-            logger.warning(
-              `データ取得エラー (${errorCount}回目): ${error.message}. 再試行します...`
-            );
-            await new Promise((resolve) => setTimeout(resolve, 2000));
-            continue;
-          }
+  // 未確定の足を含む直近の期間はキャッシュせずに取得
+  if (lastOpenTime > cacheEndTime) {
+    const recent = await fetchCandlesRange(
+      symbol,
+      interval,
+      limit,
+      Math.max(firstOpenTime, cacheEndTime + intervalMs),
+      endTime,
+      { signal: progress.signal }
+    );
+    for (const candle of recent) {
+      candlesByTime.set(candle.time, candle);
+    }
+  }
 
-          // リクエストカウントを増やす
-          requestCount++;
+  return Array.from(candlesByTime.values()).sort((a, b) => a.time - b.time);
+}
 
-          // 進捗ログ
-          const progressPercent = Math.floor(
-            ((currentStartTime - startTime) / (endTime - startTime)) * 100
-          );
-          logger.debug(
-            `バックテストデータ取得進捗: ${progressPercent}% (${requestCount}リクエスト, ${allCandles.length}件取得済)`
-          );
+/**
+ * 期間内のローソク足データを取引所から取得（長期間の場合は分割して取得）
+ * @private
+ */
+async function fetchCandlesRange(
+  symbol,
+  interval,
+  limit,
+  startTime,
+  endTime,
+  { onProgress, signal } = {}
+) {
+  const intervalMs = getIntervalInMs(interval);
+  const maxTimeRange = intervalMs * limit;
+  throwIfAborted(signal);
+
+  // 全期間が1回のリクエストで取得できる場合（limit本を超える足は返されないため境界は含めない）
+  if (endTime - startTime < maxTimeRange) {
+    return await fetchCandlesChunk(symbol, interval, limit, startTime, endTime);
+  }
+  // 期間が大きい場合は分割して取得
+  else {
+    logger.info(
+      `長期間のデータを取得します: ${new Date(
+        startTime
+      ).toISOString()} から ${new Date(endTime).toISOString()}`
+    );
 
-          // API制限に配慮して動的に待機時間を調整
-          const elapsedTime = Date.now() - startTimestamp;
-          const requestsPerMinute = (requestCount / elapsedTime) * 60000;
+    // メモリ効率のために配列連結を避ける
+    const allCandles = [];
+    let currentStartTime = startTime;
+    let requestCount = 0;
+    let errorCount = 0;
+    const startTimestamp = Date.now();
 
-          // Binanceの制限に近づいている場合は待機時間を長くする
-          let waitTime = 100; // デフォルト待機時間(ms)
+    while (currentStartTime < endTime) {
+      throwIfAborted(signal);
 
-          if (requestsPerMinute > 800) {
-            // Binanceの制限は1200/分だが余裕を持つ
-            waitTime = 300;
-          } else if (requestsPerMinute > 500) {
-            waitTime = 200;
-          }
+      // 次のチャンクの終了時間を計算（最大でendTimeまで）
+      const chunkEndTime = Math.min(currentStartTime + maxTimeRange, endTime);
 
-          await new Promise((resolve) => setTimeout(resolve, waitTime));
+      try {
+        // データを取得して追加（スプレッド演算子を使わない）
+        const chunkCandles = await fetchCandlesChunk(
+          symbol,
+          interval,
+          limit,
+          currentStartTime,
+          chunkEndTime
+        );
+
+        // 効率的な配列追加
+        for (const candle of chunkCandles) {
+          allCandles.push(candle);
         }
 
-        logger.info(
-          `取得完了: 合計 ${allCandles.length} 件のローソク足データ (${requestCount}回のリクエスト)`
+        // 次のチャンクの開始時間を設定（最後のローソク足の次から）
+        if (chunkCandles.length > 0) {
+          // 最後のローソク足の時間 + 間隔
+          currentStartTime =
+            chunkCandles[chunkCandles.length - 1].time + intervalMs;
+        } else {
+          // データがない場合は次のチャンクへ
+          currentStartTime = chunkEndTime + 1;
+        }
+
+        // エラーカウントをリセット
+        errorCount = 0;
+      } catch (error) {
+        errorCount++;
+
+        // 連続エラーが多すぎる場合は中止
+        if (errorCount >= 5) {
+          throw new Error(
+            `データ取得中に連続エラーが発生しました: ${error.message}`
+          );
+        }
+
+        // エラー時は少し待機してから再試行
+        logger.warning(
+          `データ取得エラー (${errorCount}回目): ${error.message}. 再試行します...`
         );
-        return allCandles;
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+        continue;
       }
-    }
-    // 日付範囲が指定されていない場合は通常のリクエスト
-    else {
-      return await fetchCandlesChunk(
-        symbol,
-        interval,
-        limit,
-        startTime,
-        endTime
+
+      // リクエストカウントを増やす
+      requestCount++;
+
+      // 進捗ログ
+      const progressPercent = Math.floor(
+        ((currentStartTime - startTime) / (endTime - startTime)) * 100
+      );
+      logger.debug(
+        `バックテストデータ取得進捗: ${progressPercent}% (${requestCount}リクエスト, ${allCandles.length}件取得済)`
       );
+      if (onProgress) {
+        onProgress(Math.min(1, progressPercent / 100));
+      }
+
+      // API制限に配慮して動的に待機時間を調整
+      const elapsedTime = Date.now() - startTimestamp;
+      const requestsPerMinute = (requestCount / elapsedTime) * 60000;
+
+      // Binanceの制限に近づいている場合は待機時間を長くする
+      let waitTime = 100; // デフォルト待機時間(ms)
+
+      if (requestsPerMinute > 800) {
+        // Binanceの制限は1200/分だが余裕を持つ
+        waitTime = 300;
+      } else if (requestsPerMinute > 500) {
+        waitTime = 200;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, waitTime));
     }
-  } catch (error) {
-    const errorMsg = `ローソク足データ取得エラー: ${error.message}`;
-    logger.error(errorMsg);
-    throw new Error(errorMsg);
+
+    logger.info(
+      `取得完了: 合計 ${allCandles.length} 件のローソク足データ (${requestCount}回のリクエスト)`
+    );
+    return allCandles;
+  }
+}
+
+/**
+ * 取得が中止されていれば例外を投げる
+ * @private
+ * @param {AbortSignal} signal - 中止シグナル
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new Error("データの取得は中止されました");
   }
 }
 
@@ -397,7 +592,8 @@ async function fetchCandlesChunk(symbol, interval, limit, startTime, endTime) {
 
 /**
  * 時間間隔をミリ秒に変換
- * @private
+ * @param {string} interval - 時間間隔（例: 1h）
+ * @returns {number} - ミリ秒
  */
 function getIntervalInMs(interval) {
   const intervalMap = {
@@ -421,6 +617,25 @@ function getIntervalInMs(interval) {
   return intervalMap[interval] || 60 * 60 * 1000; // デフォルトは1時間
 }
 
+// 取引ペアの決済通貨として扱うアセット（長いものから順に判定）
+const QUOTE_ASSETS = ["FDUSD", "USDT", "BUSD", "USDC", "BTC", "ETH", "BNB"];
+
+/**
+ * 取引ペアを基軸通貨と決済通貨に分割
+ * @param {string} symbol - 取引ペア（例: BTCUSDT）
+ * @returns {Object} - { baseAsset, quoteAsset }
+ */
+function splitSymbol(symbol) {
+  const quoteAsset = QUOTE_ASSETS.find((asset) => symbol.endsWith(asset));
+  if (!quoteAsset || quoteAsset === symbol) {
+    throw new Error(`決済通貨を判定できない取引ペアです: ${symbol}`);
+  }
+  return {
+    baseAsset: symbol.slice(0, symbol.length - quoteAsset.length),
+    quoteAsset,
+  };
+}
+
 /**
  * Binanceクライアントユーティリティ関数
  * 様々なセキュリティ強化と検証機能を追加
@@ -445,11 +660,12 @@ async function validateApiCredentials(apiKey, apiSecret) {
   }
 
   // テスト接続を試行
+  // 現物のテストネットは別のAPIキー体系のため、本番APIの読み取り専用呼び出しで検証する
+  // （APIキーなしで取引を試す場合はペーパートレードを使用）
   try {
     const tempClient = createClient({
       apiKey,
       apiSecret,
-      testnet: true, // 検証時は常にテストネットを使用
     });
 
     // 接続テスト - 残高照会は権限が必要なため良いテスト
@@ -482,11 +698,16 @@ function getSafeApiInfo() {
 
 module.exports = {
   client,
+  getClient,
   reinitialize,
   getCurrentPrice,
   getAccountBalance,
   createOrder,
+  getOpenOrders,
+  cancelAllOpenOrders,
   getCandles,
+  getIntervalInMs,
+  splitSymbol,
   validateApiCredentials,
   getSafeApiInfo,
 };
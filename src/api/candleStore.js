@@ -0,0 +1,398 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+// キャッシュ対象の時間足（足の開始時刻がUNIX時間の倍数になるもののみ）
+const CACHEABLE_INTERVALS = {
+  "1m": 60 * 1000,
+  "3m": 3 * 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "30m": 30 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "2h": 2 * 60 * 60 * 1000,
+  "4h": 4 * 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "8h": 8 * 60 * 60 * 1000,
+  "12h": 12 * 60 * 60 * 1000,
+  "1d": 24 * 60 * 60 * 1000,
+};
+
+/**
+ * ローソク足のローカルキャッシュ
+ * シンボル・時間足ごとに月単位のJSONファイルへ確定足を保存し、
+ * 取得済みの期間（カバー範囲）をメタデータで管理する
+ * 保存先: {directory}/{SYMBOL}/{interval}/{YYYY-MM}.json と meta.json
+ */
+class CandleStore {
+  constructor(options = {}) {
+    this.directory =
+      options.directory || path.join(__dirname, "../../data/candles");
+
+    // CSVインポート用ファイルの置き場所（APIからはこのディレクトリ内のファイルのみ読み込む）
+    this.importDirectory =
+      options.importDirectory || path.join(this.directory, "import");
+  }
+
+  /**
+   * キャッシュ可能な時間足かどうか
+   * @param {string} interval - 時間足
+   * @returns {boolean} - キャッシュ可能ならtrue
+   */
+  isCacheable(interval) {
+    return CACHEABLE_INTERVALS[interval] !== undefined;
+  }
+
+  /**
+   * 保存済みのローソク足を取得
+   * @param {string} symbol - 取引ペア
+   * @param {string} interval - 時間足
+   * @param {number} startTime - 開始時刻（ms）
+   * @param {number} endTime - 終了時刻（ms）
+   * @returns {Array} - 時系列順のローソク足
+   */
+  getCandles(symbol, interval, startTime, endTime) {
+    const candles = [];
+
+    for (const month of monthsBetween(startTime, endTime)) {
+      for (const candle of this.readMonth(symbol, interval, month)) {
+        if (candle.time >= startTime && candle.time <= endTime) {
+          candles.push(candle);
+        }
+      }
+    }
+
+    return candles;
+  }
+
+  /**
+   * 指定期間のうちキャッシュに無い範囲を取得
+   * @param {string} symbol - 取引ペア
+   * @param {string} interval - 時間足
+   * @param {number} startTime - 開始時刻（足の開始時刻に揃えた値）
+   * @param {number} endTime - 終了時刻（足の開始時刻に揃えた値）
+   * @returns {Array} - [開始, 終了] の配列
+   */
+  getMissingRanges(symbol, interval, startTime, endTime) {
+    const intervalMs = CACHEABLE_INTERVALS[interval];
+    const missing = [];
+    let cursor = startTime;
+
+    for (const [rangeStart, rangeEnd] of this.readMeta(symbol, interval)
+      .ranges) {
+      if (rangeEnd < cursor) continue;
+      if (rangeStart > endTime) break;
+
+      if (rangeStart > cursor) {
+        missing.push([cursor, rangeStart - intervalMs]);
+      }
+      cursor = Math.max(cursor, rangeEnd + intervalMs);
+    }
+
+    if (cursor <= endTime) {
+      missing.push([cursor, endTime]);
+    }
+
+    return missing;
+  }
+
+  /**
+   * 確定足を保存し、取得済みの期間として記録
+   * 取引所にデータが存在しない時間帯も再取得しないようにカバー範囲は期間で管理する
+   * @param {string} symbol - 取引ペア
+   * @param {string} interval - 時間足
+   * @param {Array} candles - 確定済みローソク足
+   * @param {number} coveredStart - 取得した期間の開始（足の開始時刻）
+   * @param {number} coveredEnd - 取得した期間の終了（足の開始時刻）
+   */
+  saveCandles(symbol, interval, candles, coveredStart, coveredEnd) {
+    // 月ごとに振り分けて既存データとマージ
+    const byMonth = new Map();
+    for (const candle of candles) {
+      const month = monthKey(candle.time);
+      if (!byMonth.has(month)) byMonth.set(month, []);
+      byMonth.get(month).push(candle);
+    }
+
+    for (const [month, monthCandles] of byMonth) {
+      const merged = new Map();
+      for (const candle of this.readMonth(symbol, interval, month)) {
+        merged.set(candle.time, candle);
+      }
+      for (const candle of monthCandles) {
+        merged.set(candle.time, candle);
+      }
+
+      this.writeJson(
+        this.monthPath(symbol, interval, month),
+        Array.from(merged.values()).sort((a, b) => a.time - b.time)
+      );
+    }
+
+    // カバー範囲を追加して隣接・重複する範囲を結合
+    const intervalMs = CACHEABLE_INTERVALS[interval];
+    const meta = this.readMeta(symbol, interval);
+    const ranges = meta.ranges
+      .concat([[coveredStart, coveredEnd]])
+      .sort((a, b) => a[0] - b[0]);
+
+    const mergedRanges = [];
+    for (const range of ranges) {
+      const last = mergedRanges[mergedRanges.length - 1];
+      if (last && range[0] <= last[1] + intervalMs) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        mergedRanges.push([range[0], range[1]]);
+      }
+    }
+
+    this.writeJson(this.metaPath(symbol, interval), {
+      symbol,
+      interval,
+      ranges: mergedRanges,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * BinanceのCSVダンプ（data.binance.vision のklines）を取り込む
+   * 列: open_time, open, high, low, close, volume, close_time, ...
+   * ヘッダー行の有無とマイクロ秒単位のタイムスタンプに対応
+   * @param {string} csv - CSVの内容
+   * @param {string} symbol - 取引ペア
+   * @param {string} interval - 時間足
+   * @returns {Object} - 取り込み結果（imported, startTime, endTime）
+   */
+  importCsv(csv, symbol, interval) {
+    if (!this.isCacheable(interval)) {
+      throw new Error(`キャッシュできない時間足です: ${interval}`);
+    }
+
+    const intervalMs = CACHEABLE_INTERVALS[interval];
+    const candles = [];
+
+    for (const line of csv.split(/\r?\n/)) {
+      const columns = line.trim().split(",");
+      if (columns.length < 6) continue;
+
+      let time = Number(columns[0]);
+      // ヘッダー行などの数値でない行は読み飛ばす
+      if (!Number.isFinite(time)) continue;
+
+      // 2025年以降のダンプはマイクロ秒単位
+      if (time > 1e14) {
+        time = Math.floor(time / 1000);
+      }
+
+      if (time % intervalMs !== 0) {
+        throw new Error(
+          `時間足(${interval})と一致しないタイムスタンプがあります: ${columns[0]}`
+        );
+      }
+
+      candles.push({
+        time,
+        open: parseFloat(columns[1]),
+        high: parseFloat(columns[2]),
+        low: parseFloat(columns[3]),
+        close: parseFloat(columns[4]),
+        volume: parseFloat(columns[5]),
+      });
+    }
+
+    if (candles.length === 0) {
+      throw new Error("取り込めるローソク足がありません");
+    }
+
+    candles.sort((a, b) => a.time - b.time);
+    const startTime = candles[0].time;
+    const endTime = candles[candles.length - 1].time;
+
+    this.saveCandles(symbol, interval, candles, startTime, endTime);
+
+    logger.info(
+      `ローソク足をインポートしました: ${symbol} (${interval}足) ${
+        candles.length
+      }件, ${new Date(startTime).toISOString()} から ${new Date(
+        endTime
+      ).toISOString()}`
+    );
+
+    return { imported: candles.length, startTime, endTime };
+  }
+
+  /**
+   * インポート用ディレクトリのCSVファイルを取り込む
+   * シンボルと時間足を省略した場合はファイル名（例: BTCUSDT-1h-2024-01.csv）から判定する
+   * @param {string} fileName - ファイル名
+   * @param {string} symbol - 取引ペア（省略可）
+   * @param {string} interval - 時間足（省略可）
+   * @returns {Object} - 取り込み結果
+   */
+  importCsvFile(fileName, symbol, interval) {
+    // ディレクトリ外のファイルを読み込ませない
+    const baseName = path.basename(fileName);
+    const filePath = path.join(this.importDirectory, baseName);
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`インポートファイルが見つかりません: ${baseName}`);
+    }
+
+    const match = baseName.match(/^([A-Z0-9]+)-(\w+)-/);
+    const targetSymbol = symbol || (match && match[1]);
+    const targetInterval = interval || (match && match[2]);
+
+    if (!targetSymbol || !targetInterval) {
+      throw new Error(
+        "ファイル名から取引ペアと時間足を判定できません。明示的に指定してください"
+      );
+    }
+
+    return {
+      symbol: targetSymbol,
+      interval: targetInterval,
+      ...this.importCsv(
+        fs.readFileSync(filePath, "utf8"),
+        targetSymbol,
+        targetInterval
+      ),
+    };
+  }
+
+  /**
+   * キャッシュ済みデータの一覧を取得
+   * @returns {Array} - シンボル・時間足ごとのカバー範囲
+   */
+  listDatasets() {
+    const datasets = [];
+    if (!fs.existsSync(this.directory)) return datasets;
+
+    for (const symbol of fs.readdirSync(this.directory)) {
+      const symbolDir = path.join(this.directory, symbol);
+      if (symbol === "import" || !fs.statSync(symbolDir).isDirectory()) {
+        continue;
+      }
+
+      for (const interval of fs.readdirSync(symbolDir)) {
+        if (!this.isCacheable(interval)) continue;
+
+        const meta = this.readMeta(symbol, interval);
+        datasets.push({
+          symbol,
+          interval,
+          ranges: meta.ranges.map(([start, end]) => ({
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+          })),
+          updatedAt: meta.updatedAt || null,
+        });
+      }
+    }
+
+    return datasets;
+  }
+
+  /**
+   * 月ごとのデータファイルを読み込む
+   * @private
+   */
+  readMonth(symbol, interval, month) {
+    return this.readJson(this.monthPath(symbol, interval, month), []);
+  }
+
+  /**
+   * カバー範囲のメタデータを読み込む
+   * @private
+   */
+  readMeta(symbol, interval) {
+    const meta = this.readJson(this.metaPath(symbol, interval), null);
+    return meta && Array.isArray(meta.ranges) ? meta : { ranges: [] };
+  }
+
+  /**
+   * @private
+   */
+  monthPath(symbol, interval, month) {
+    return path.join(this.directory, symbol, interval, `${month}.json`);
+  }
+
+  /**
+   * @private
+   */
+  metaPath(symbol, interval) {
+    return path.join(this.directory, symbol, interval, "meta.json");
+  }
+
+  /**
+   * JSONファイルを読み込む（存在しない・壊れている場合は既定値）
+   * @private
+   */
+  readJson(filePath, defaultValue) {
+    try {
+      if (fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, "utf8"));
+      }
+    } catch (error) {
+      logger.error(
+        `ローソク足キャッシュ読み込みエラー (${filePath}): ${error.message}`
+      );
+    }
+    return defaultValue;
+  }
+
+  /**
+   * JSONファイルを書き込む
+   * @private
+   */
+  writeJson(filePath, data) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(filePath, JSON.stringify(data), "utf8");
+  }
+}
+
+/**
+ * 時刻が属する月のキー（UTC）
+ * @param {number} time - 時刻（ms）
+ * @returns {string} - YYYY-MM
+ */
+function monthKey(time) {
+  return new Date(time).toISOString().slice(0, 7);
+}
+
+/**
+ * 期間に含まれる月のキーを列挙
+ * @param {number} startTime - 開始時刻（ms）
+ * @param {number} endTime - 終了時刻（ms）
+ * @returns {Array<string>} - YYYY-MMの配列
+ */
+function monthsBetween(startTime, endTime) {
+  const months = [];
+  const date = new Date(startTime);
+  let year = date.getUTCFullYear();
+  let month = date.getUTCMonth();
+  const end = monthKey(endTime);
+
+  for (;;) {
+    const key = `${year}-${String(month + 1).padStart(2, "0")}`;
+    months.push(key);
+    if (key >= end) break;
+
+    month++;
+    if (month === 12) {
+      month = 0;
+      year++;
+    }
+  }
+
+  return months;
+}
+
+// 設定済みのCandleStoreインスタンスをエクスポート
+const candleStore = new CandleStore();
+
+// インスタンスとクラスの両方をエクスポート
+module.exports = candleStore;
+module.exports.CandleStore = CandleStore;
@@ -0,0 +1,548 @@
+const EventEmitter = require("events");
+const logger = require("../utils/logger");
+const binanceClient = require("./binanceClient");
+
+/**
+ * リアルタイム市場データのストリーム管理
+ * BinanceのWebSocket（kline / miniTicker）を購読し、シンボル・時間足ごとに
+ * 確定済みローソク足のバッファを保持する
+ * - 確定足の欠落を検知した場合はRESTのgetCandlesで補完
+ * - 一定時間メッセージが届かない場合はRESTポーリングに切り替え、復旧後はWebSocketに戻る
+ * イベント:
+ * - candle: ローソク足が更新されたとき（未確定足を含む）
+ * - candleClosed: ローソク足が確定したとき（補完した足も時系列順に通知）
+ * - price: 価格が更新されたとき
+ * - mode: データ取得方法（websocket / polling）が切り替わったとき
+ */
+class MarketStream extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // WebSocketを提供するクライアントの取得関数と、補完・ポーリング用のREST API
+    this.getSocketClient =
+      options.getSocketClient || (() => binanceClient.getClient());
+    this.marketData = options.marketData || binanceClient;
+
+    // バッファとフォールバックの設定
+    this.bufferSize = options.bufferSize || 500; // 保持する確定足の最大数
+    this.staleTimeout = options.staleTimeout || 60000; // 無通信とみなす時間（ms）
+    this.pollInterval = options.pollInterval || 10000; // ポーリング間隔（ms）
+    this.watchdogInterval = options.watchdogInterval || 5000; // 監視間隔（ms）
+
+    // 購読中のストリーム（キー => ストリーム状態）
+    this.streams = new Map();
+    this.watchdog = null;
+  }
+
+  /**
+   * ローソク足を購読（同じシンボル・時間足の購読は共有される）
+   * 初回購読時は過去データを読み込んでからWebSocketに接続する
+   * @param {string} symbol - 取引ペア
+   * @param {string} interval - 時間足
+   * @returns {Promise<Array>} - 確定済みローソク足のバッファ
+   */
+  async subscribeCandles(symbol, interval) {
+    const key = `kline:${symbol}:${interval}`;
+    let stream = this.streams.get(key);
+
+    if (!stream) {
+      stream = this.createStream(key, "kline", symbol, interval);
+      stream.ready = this.marketData
+        .getCandles({ symbol, interval, limit: this.bufferSize })
+        .then((history) => {
+          stream.candles = history.filter((candle) =>
+            isCandleClosed(candle, interval)
+          );
+          stream.current = history.find(
+            (candle) => !isCandleClosed(candle, interval)
+          );
+        });
+
+      try {
+        await stream.ready;
+      } catch (error) {
+        this.removeStream(stream);
+        throw error;
+      }
+
+      this.openSocket(stream);
+    } else {
+      await stream.ready;
+    }
+
+    stream.refCount++;
+    return this.getCandles(symbol, interval);
+  }
+
+  /**
+   * ローソク足の購読を解除（購読者がいなくなった時点で接続を閉じる）
+   * @param {string} symbol - 取引ペア
+   * @param {string} interval - 時間足
+   */
+  unsubscribeCandles(symbol, interval) {
+    this.release(`kline:${symbol}:${interval}`);
+  }
+
+  /**
+   * 価格（ティッカー）を購読
+   * @param {string} symbol - 取引ペア
+   */
+  subscribeTicker(symbol) {
+    const key = `ticker:${symbol}`;
+    let stream = this.streams.get(key);
+
+    if (!stream) {
+      stream = this.createStream(key, "ticker", symbol, null);
+      this.openSocket(stream);
+    }
+
+    stream.refCount++;
+  }
+
+  /**
+   * 価格（ティッカー）の購読を解除
+   * @param {string} symbol - 取引ペア
+   */
+  unsubscribeTicker(symbol) {
+    this.release(`ticker:${symbol}`);
+  }
+
+  /**
+   * 確定済みローソク足のバッファを取得
+   * @param {string} symbol - 取引ペア
+   * @param {string} interval - 時間足
+   * @returns {Array} - ローソク足の配列（購読していない場合は空配列）
+   */
+  getCandles(symbol, interval) {
+    const stream = this.streams.get(`kline:${symbol}:${interval}`);
+    return stream ? stream.candles.slice() : [];
+  }
+
+  /**
+   * ストリームから受信した最新価格を取得
+   * @param {string} symbol - 取引ペア
+   * @returns {number|null} - 最新価格（未受信の場合はnull）
+   */
+  getLastPrice(symbol) {
+    const stream = this.streams.get(`ticker:${symbol}`);
+    return stream && stream.lastPrice !== undefined ? stream.lastPrice : null;
+  }
+
+  /**
+   * データ取得方法を取得
+   * @param {string} symbol - 取引ペア
+   * @param {string} interval - 時間足
+   * @returns {string|null} - websocket / polling（購読していない場合はnull）
+   */
+  getMode(symbol, interval) {
+    const stream = this.streams.get(`kline:${symbol}:${interval}`);
+    return stream ? stream.mode : null;
+  }
+
+  /**
+   * 購読中のストリームの状態を取得
+   * @returns {Array} - ストリームごとの状態
+   */
+  getStatus() {
+    return Array.from(this.streams.values()).map((stream) => ({
+      type: stream.type,
+      symbol: stream.symbol,
+      interval: stream.interval,
+      mode: stream.mode,
+      subscribers: stream.refCount,
+      bufferedCandles: stream.candles.length,
+      lastMessageAt: stream.lastMessageAt
+        ? new Date(stream.lastMessageAt).toISOString()
+        : null,
+    }));
+  }
+
+  /**
+   * すべてのストリームを閉じる
+   */
+  close() {
+    for (const stream of Array.from(this.streams.values())) {
+      this.removeStream(stream);
+    }
+  }
+
+  /**
+   * ストリーム状態を作成して登録
+   * @private
+   */
+  createStream(key, type, symbol, interval) {
+    const stream = {
+      key,
+      type,
+      symbol,
+      interval,
+      refCount: 0,
+      mode: "websocket",
+      candles: [],
+      current: null,
+      lastPrice: undefined,
+      lastMessageAt: null,
+      closeSocket: null,
+      pollTimer: null,
+      queue: Promise.resolve(),
+      ready: Promise.resolve(),
+    };
+
+    this.streams.set(key, stream);
+    this.startWatchdog();
+    return stream;
+  }
+
+  /**
+   * 購読数を減らし、0になったストリームを閉じる
+   * @private
+   */
+  release(key) {
+    const stream = this.streams.get(key);
+    if (!stream) return;
+
+    stream.refCount--;
+    if (stream.refCount <= 0) {
+      this.removeStream(stream);
+    }
+  }
+
+  /**
+   * ストリームを閉じて登録を解除
+   * @private
+   */
+  removeStream(stream) {
+    this.closeSocket(stream);
+    this.stopPolling(stream);
+    this.streams.delete(stream.key);
+
+    if (this.streams.size === 0 && this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+  }
+
+  /**
+   * WebSocketに接続（失敗した場合はポーリングに切り替え）
+   * @private
+   */
+  openSocket(stream) {
+    // 接続直後は受信待ちとして扱い、無通信が続けばウォッチドッグがポーリングに切り替える
+    stream.lastMessageAt = Date.now();
+
+    try {
+      const ws = this.getSocketClient().ws;
+      stream.closeSocket =
+        stream.type === "kline"
+          ? ws.candles(stream.symbol, stream.interval, (message) =>
+              this.onKlineMessage(stream, message)
+            )
+          : ws.miniTicker(stream.symbol, (message) =>
+              this.onTickerMessage(stream, message)
+            );
+    } catch (error) {
+      logger.error(
+        `WebSocket接続エラー (${stream.key}): ${error.message}。ポーリングに切り替えます`
+      );
+      this.startPolling(stream);
+    }
+  }
+
+  /**
+   * WebSocketを閉じる
+   * @private
+   */
+  closeSocket(stream) {
+    if (!stream.closeSocket) return;
+
+    try {
+      stream.closeSocket();
+    } catch (error) {
+      logger.warning(`WebSocket切断エラー (${stream.key}): ${error.message}`);
+    }
+    stream.closeSocket = null;
+  }
+
+  /**
+   * klineメッセージを処理
+   * @private
+   */
+  onKlineMessage(stream, message) {
+    this.onSocketMessage(stream);
+
+    const candle = {
+      time: message.startTime,
+      open: parseFloat(message.open),
+      high: parseFloat(message.high),
+      low: parseFloat(message.low),
+      close: parseFloat(message.close),
+      volume: parseFloat(message.volume),
+    };
+
+    if (message.isFinal) {
+      this.enqueue(stream, () => this.appendClosedCandles(stream, [candle]));
+    } else {
+      stream.current = candle;
+      this.emitCandle(stream, candle, false);
+    }
+  }
+
+  /**
+   * miniTickerメッセージを処理
+   * @private
+   */
+  onTickerMessage(stream, message) {
+    this.onSocketMessage(stream);
+    this.updatePrice(stream, parseFloat(message.curDayClose));
+  }
+
+  /**
+   * WebSocketの受信を記録し、ポーリング中であればWebSocketに戻す
+   * @private
+   */
+  onSocketMessage(stream) {
+    stream.lastMessageAt = Date.now();
+
+    if (stream.mode === "polling") {
+      this.stopPolling(stream);
+      logger.info(`WebSocketが復旧しました (${stream.key})`);
+      this.setMode(stream, "websocket");
+    }
+  }
+
+  /**
+   * 確定足をバッファに追加（欠落があればRESTで補完してから追加）
+   * @private
+   */
+  async appendClosedCandles(stream, candles) {
+    const intervalMs = binanceClient.getIntervalInMs(stream.interval);
+
+    for (const candle of candles) {
+      const last = stream.candles[stream.candles.length - 1];
+
+      // 既に処理済みの足は無視（WebSocketとポーリングの重複など）
+      if (last && candle.time <= last.time) continue;
+
+      if (last && candle.time > last.time + intervalMs) {
+        await this.backfill(stream, last.time + intervalMs, candle.time - 1);
+      }
+
+      this.pushClosedCandle(stream, candle);
+    }
+  }
+
+  /**
+   * 欠落した確定足をRESTで取得して補完
+   * @private
+   */
+  async backfill(stream, startTime, endTime) {
+    const intervalMs = binanceClient.getIntervalInMs(stream.interval);
+    const missingCount = Math.round((endTime + 1 - startTime) / intervalMs);
+
+    logger.warning(
+      `ローソク足の欠落を検知しました (${
+        stream.key
+      }): ${missingCount}本、${new Date(
+        startTime
+      ).toISOString()} から補完します`
+    );
+
+    try {
+      const candles = await this.marketData.getCandles({
+        symbol: stream.symbol,
+        interval: stream.interval,
+        startTime,
+        endTime,
+      });
+
+      for (const candle of candles) {
+        const last = stream.candles[stream.candles.length - 1];
+        if (last && candle.time <= last.time) continue;
+        this.pushClosedCandle(stream, candle);
+      }
+    } catch (error) {
+      // 補完できなくても新しい足の処理は続ける（欠落はログで追跡する）
+      logger.error(
+        `ローソク足の補完に失敗しました (${stream.key}): ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * 確定足をバッファに追加して通知
+   * @private
+   */
+  pushClosedCandle(stream, candle) {
+    stream.candles.push(candle);
+    if (stream.candles.length > this.bufferSize) {
+      stream.candles.splice(0, stream.candles.length - this.bufferSize);
+    }
+
+    if (stream.current && stream.current.time <= candle.time) {
+      stream.current = null;
+    }
+
+    this.emitCandle(stream, candle, true);
+    this.emit("candleClosed", {
+      symbol: stream.symbol,
+      interval: stream.interval,
+      candle,
+    });
+  }
+
+  /**
+   * ローソク足の更新を通知
+   * @private
+   */
+  emitCandle(stream, candle, isFinal) {
+    this.emit("candle", {
+      symbol: stream.symbol,
+      interval: stream.interval,
+      candle,
+      isFinal,
+    });
+    this.updatePrice(stream, candle.close);
+  }
+
+  /**
+   * 最新価格を更新して通知
+   * @private
+   */
+  updatePrice(stream, price) {
+    if (!(price > 0)) return;
+
+    stream.lastPrice = price;
+    this.emit("price", { symbol: stream.symbol, price, time: Date.now() });
+  }
+
+  /**
+   * ストリームごとに処理を直列化（補完中に次の足が割り込まないようにする）
+   * @private
+   */
+  enqueue(stream, task) {
+    stream.queue = stream.queue.then(task).catch((error) => {
+      logger.error(`ストリーム処理エラー (${stream.key}): ${error.message}`);
+    });
+    return stream.queue;
+  }
+
+  /**
+   * RESTポーリングを開始
+   * @private
+   */
+  startPolling(stream) {
+    if (stream.pollTimer) return;
+
+    this.setMode(stream, "polling");
+    stream.pollTimer = setInterval(() => this.poll(stream), this.pollInterval);
+    this.poll(stream);
+  }
+
+  /**
+   * RESTポーリングを停止
+   * @private
+   */
+  stopPolling(stream) {
+    if (stream.pollTimer) {
+      clearInterval(stream.pollTimer);
+      stream.pollTimer = null;
+    }
+  }
+
+  /**
+   * RESTで最新データを取得
+   * @private
+   */
+  poll(stream) {
+    return this.enqueue(stream, async () => {
+      if (!this.streams.has(stream.key)) return;
+
+      if (stream.type === "ticker") {
+        const price = await this.marketData.getCurrentPrice(stream.symbol);
+        this.updatePrice(stream, price);
+        return;
+      }
+
+      const latest = await this.marketData.getCandles({
+        symbol: stream.symbol,
+        interval: stream.interval,
+        limit: 5,
+      });
+
+      await this.appendClosedCandles(
+        stream,
+        latest.filter((candle) => isCandleClosed(candle, stream.interval))
+      );
+
+      const forming = latest.find(
+        (candle) => !isCandleClosed(candle, stream.interval)
+      );
+      if (forming) {
+        stream.current = forming;
+        this.emitCandle(stream, forming, false);
+      }
+    });
+  }
+
+  /**
+   * データ取得方法を変更して通知
+   * @private
+   */
+  setMode(stream, mode) {
+    if (stream.mode === mode) return;
+
+    stream.mode = mode;
+    this.emit("mode", {
+      type: stream.type,
+      symbol: stream.symbol,
+      interval: stream.interval,
+      mode,
+    });
+  }
+
+  /**
+   * 無通信のWebSocketを検知するウォッチドッグを開始
+   * reconnecting-websocketは切断を通知しないため、受信間隔で判定する
+   * @private
+   */
+  startWatchdog() {
+    if (this.watchdog) return;
+
+    this.watchdog = setInterval(() => {
+      const now = Date.now();
+
+      for (const stream of this.streams.values()) {
+        if (stream.mode !== "websocket") continue;
+        if (now - stream.lastMessageAt < this.staleTimeout) continue;
+
+        logger.warning(
+          `WebSocketの受信が${Math.round(
+            (now - stream.lastMessageAt) / 1000
+          )}秒途絶えています (${stream.key})。ポーリングに切り替えます`
+        );
+
+        // 接続を張り直し、復旧するまではRESTで取得する
+        this.closeSocket(stream);
+        this.startPolling(stream);
+        this.openSocket(stream);
+      }
+    }, this.watchdogInterval);
+  }
+}
+
+/**
+ * ローソク足が確定済みかどうか
+ * @param {Object} candle - ローソク足
+ * @param {string} interval - 時間足
+ * @returns {boolean} - 確定済みならtrue
+ */
+function isCandleClosed(candle, interval) {
+  return candle.time + binanceClient.getIntervalInMs(interval) <= Date.now();
+}
+
+// 設定済みのMarketStreamインスタンスをエクスポート
+const marketStream = new MarketStream();
+
+// インスタンスとクラスの両方をエクスポート
+module.exports = marketStream;
+module.exports.MarketStream = MarketStream;
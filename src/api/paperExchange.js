@@ -0,0 +1,533 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const binanceClient = require("./binanceClient");
+const BacktestEngine = require("../backtesting/BacktestEngine");
+
+/**
+ * ペーパートレード用のシミュレーション取引所
+ * binanceClientと同じインターフェース（getCurrentPrice, getAccountBalance,
+ * createOrder, getCandles など）を仮想残高で提供する
+ * - 市場データはbinanceClientの公開API（APIキー不要）から取得
+ * - 約定価格と手数料はBacktestEngineと同じモデルで計算
+ * - 口座状態はファイルに保存し、再起動後も維持
+ */
+class PaperExchange {
+  constructor(options = {}) {
+    // 市場データの取得元
+    this.marketData = options.marketData || binanceClient;
+
+    // 約定モデル（バックテストと同じスリッページ・手数料）
+    this.fee = options.fee ?? config.paperTrading.fee;
+    this.slippage = options.slippage ?? config.paperTrading.slippage;
+    this.fillModel = new BacktestEngine({
+      fee: this.fee,
+      slippage: this.slippage,
+    });
+
+    this.initialBalances =
+      options.initialBalances || config.paperTrading.initialBalances;
+
+    // ストレージパス
+    this.storagePath =
+      options.storagePath ||
+      path.join(__dirname, "../../data/paper_account.json");
+
+    this.resetState();
+    this.loadState();
+  }
+
+  /**
+   * 口座状態を初期化
+   */
+  resetState() {
+    const balances = {};
+    for (const [asset, amount] of Object.entries(this.initialBalances)) {
+      balances[asset] = { free: amount, locked: 0 };
+    }
+
+    this.state = {
+      balances,
+      openOrders: [],
+      orderHistory: [],
+      lastPrices: {},
+      nextOrderId: 1,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * 口座状態をロード
+   */
+  loadState() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const data = fs.readFileSync(this.storagePath, "utf8");
+        const savedState = JSON.parse(data);
+
+        // 基本的な検証
+        if (savedState && typeof savedState === "object") {
+          this.state = {
+            ...this.state,
+            ...savedState,
+          };
+          logger.info("ペーパートレード口座を読み込みました");
+        }
+      }
+    } catch (error) {
+      logger.error(`ペーパートレード口座読み込みエラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * 口座状態を保存
+   */
+  saveState() {
+    try {
+      const dataDir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      fs.writeFileSync(
+        this.storagePath,
+        JSON.stringify(this.state, null, 2),
+        "utf8"
+      );
+    } catch (error) {
+      logger.error(`ペーパートレード口座保存エラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * 口座を初期残高にリセット
+   * @returns {Object} - リセット後の口座情報
+   */
+  reset() {
+    this.resetState();
+    this.saveState();
+    logger.info("ペーパートレード口座をリセットしました");
+    return this.getAccountSummary();
+  }
+
+  /**
+   * 現在の価格を取得
+   * 市場データが取得できない場合（オフライン時）は最後に観測した価格を使用
+   * @param {string} symbol - 取引ペア（例: BTCUSDT）
+   * @returns {Promise<number>} - 現在の価格
+   */
+  async getCurrentPrice(symbol = config.trading.defaultSymbol) {
+    try {
+      const price = await this.marketData.getCurrentPrice(symbol);
+      this.onPrice(symbol, price);
+      return price;
+    } catch (error) {
+      const lastPrice = this.state.lastPrices[symbol];
+      if (lastPrice) {
+        logger.warning(
+          `ペーパートレード: 価格取得に失敗したため最終価格を使用します (${symbol}: ${lastPrice.price})`
+        );
+        return lastPrice.price;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * アカウント残高を取得
+   * @returns {Promise<Object>} - アセットごとの残高
+   */
+  async getAccountBalance() {
+    const balances = {};
+    for (const [asset, balance] of Object.entries(this.state.balances)) {
+      if (balance.free > 0 || balance.locked > 0) {
+        balances[asset] = { free: balance.free, locked: balance.locked };
+      }
+    }
+    return balances;
+  }
+
+  /**
+   * ローソク足データを取得
+   * 取得した最新の終値を約定判定用の価格として記録する
+   * @param {Object} params - パラメータ
+   * @returns {Promise<Array>} - ローソク足データの配列
+   */
+  async getCandles(params) {
+    const candles = await this.marketData.getCandles(params);
+
+    if (candles.length > 0) {
+      const symbol = params.symbol || config.trading.defaultSymbol;
+      this.onPrice(symbol, candles[candles.length - 1].close);
+    }
+
+    return candles;
+  }
+
+  /**
+   * 注文を作成
+   * @param {Object} orderParams - 注文パラメータ（symbol, side, type, quantity, quoteOrderQty, price）
+   * @returns {Promise<Object>} - 注文情報（Binanceの注文レスポンスと同じ形式）
+   */
+  async createOrder(orderParams) {
+    const { symbol, side, type = "MARKET" } = orderParams || {};
+
+    if (!symbol || (side !== "BUY" && side !== "SELL")) {
+      throw this.createOrderError("無効な注文パラメータです", -1102);
+    }
+
+    if (type === "MARKET") {
+      const marketPrice = await this.getCurrentPrice(symbol);
+      let quantity = parseFloat(orderParams.quantity);
+
+      // 金額指定の成行注文
+      if (!(quantity > 0) && parseFloat(orderParams.quoteOrderQty) > 0) {
+        quantity =
+          parseFloat(orderParams.quoteOrderQty) /
+          this.fillModel.adjustPrice(marketPrice, side);
+      }
+
+      if (!(quantity > 0)) {
+        throw this.createOrderError("注文数量が無効です", -1013);
+      }
+
+      const order = this.fillOrder(
+        {
+          orderId: this.state.nextOrderId++,
+          symbol,
+          side,
+          type,
+          origQty: quantity,
+        },
+        marketPrice
+      );
+      this.saveState();
+      return order;
+    }
+
+    if (type === "LIMIT") {
+      const quantity = parseFloat(orderParams.quantity);
+      const price = parseFloat(orderParams.price);
+
+      if (!(quantity > 0) || !(price > 0)) {
+        throw this.createOrderError(
+          "指値注文の数量または価格が無効です",
+          -1013
+        );
+      }
+
+      const order = {
+        orderId: this.state.nextOrderId++,
+        symbol,
+        side,
+        type,
+        price,
+        origQty: quantity,
+        transactTime: Date.now(),
+      };
+
+      // 注文に必要な残高をロック
+      this.lockBalance(order);
+      this.state.openOrders.push(order);
+      this.saveState();
+
+      // 既に約定可能な価格であれば即時に約定させる
+      const lastPrice = this.state.lastPrices[symbol];
+      if (lastPrice) {
+        this.matchOpenOrders(symbol, lastPrice.price);
+      }
+
+      if (this.findOrder(order.orderId)) {
+        return this.toOrderResponse(order, "NEW");
+      }
+      return this.state.orderHistory.find(
+        (filled) => filled.orderId === order.orderId
+      );
+    }
+
+    throw this.createOrderError(
+      `サポートされていない注文タイプ: ${type}`,
+      -1116
+    );
+  }
+
+  /**
+   * 未約定の注文を取得
+   * @param {string} symbol - 取引ペア
+   * @returns {Promise<Array>} - 未約定注文の配列
+   */
+  async getOpenOrders(symbol) {
+    return this.state.openOrders
+      .filter((order) => !symbol || order.symbol === symbol)
+      .map((order) => this.toOrderResponse(order, "NEW"));
+  }
+
+  /**
+   * 未約定の注文をすべてキャンセル
+   * @param {string} symbol - 取引ペア
+   * @returns {Promise<Array>} - キャンセルされた注文の配列
+   */
+  async cancelAllOpenOrders(symbol) {
+    const cancelled = this.state.openOrders.filter(
+      (order) => order.symbol === symbol
+    );
+
+    cancelled.forEach((order) => this.unlockBalance(order));
+    this.state.openOrders = this.state.openOrders.filter(
+      (order) => order.symbol !== symbol
+    );
+
+    if (cancelled.length > 0) {
+      this.saveState();
+      logger.info(
+        `ペーパートレード: ${symbol}の注文を${cancelled.length}件キャンセルしました`
+      );
+    }
+
+    return cancelled.map((order) => this.toOrderResponse(order, "CANCELED"));
+  }
+
+  /**
+   * 口座の概要を取得
+   * @returns {Object} - 残高・未約定注文・直近の約定履歴
+   */
+  getAccountSummary() {
+    return {
+      balances: JSON.parse(JSON.stringify(this.state.balances)),
+      openOrders: this.state.openOrders.map((order) =>
+        this.toOrderResponse(order, "NEW")
+      ),
+      orderHistory: this.state.orderHistory.slice(0, 20),
+      lastPrices: { ...this.state.lastPrices },
+      createdAt: this.state.createdAt,
+    };
+  }
+
+  /**
+   * 価格を記録し、約定可能な指値注文を処理
+   * @param {string} symbol - 取引ペア
+   * @param {number} price - 価格
+   */
+  onPrice(symbol, price) {
+    if (!(price > 0)) return;
+
+    this.state.lastPrices[symbol] = { price, time: Date.now() };
+    this.matchOpenOrders(symbol, price);
+  }
+
+  /**
+   * 指値注文の約定判定
+   * @param {string} symbol - 取引ペア
+   * @param {number} price - 現在価格
+   */
+  matchOpenOrders(symbol, price) {
+    const matched = this.state.openOrders.filter(
+      (order) =>
+        order.symbol === symbol &&
+        ((order.side === "BUY" && price <= order.price) ||
+          (order.side === "SELL" && price >= order.price))
+    );
+
+    if (matched.length === 0) return;
+
+    for (const order of matched) {
+      this.state.openOrders = this.state.openOrders.filter(
+        (openOrder) => openOrder.orderId !== order.orderId
+      );
+      this.unlockBalance(order);
+
+      try {
+        // 指値注文は指値価格で約定（スリッページなし）
+        this.fillOrder(order, order.price, false);
+      } catch (error) {
+        logger.error(
+          `ペーパートレード: 指値注文の約定に失敗しました (${order.orderId}): ${error.message}`
+        );
+      }
+    }
+
+    this.saveState();
+  }
+
+  /**
+   * 注文を約定させて残高を更新
+   * @param {Object} order - 注文
+   * @param {number} marketPrice - 約定基準価格
+   * @param {boolean} applySlippage - スリッページを適用するかどうか
+   * @returns {Object} - 注文レスポンス
+   */
+  fillOrder(order, marketPrice, applySlippage = true) {
+    const { baseAsset, quoteAsset } = binanceClient.splitSymbol(order.symbol);
+    const quantity = order.origQty;
+    const fillPrice = applySlippage
+      ? this.fillModel.adjustPrice(marketPrice, order.side)
+      : marketPrice;
+    const quoteQty = quantity * fillPrice;
+    const commission = quoteQty * this.fee;
+
+    const base = this.getBalance(baseAsset);
+    const quote = this.getBalance(quoteAsset);
+
+    if (order.side === "BUY") {
+      if (quote.free < quoteQty + commission) {
+        throw this.createOrderError(
+          "Account has insufficient balance for requested action.",
+          -2010
+        );
+      }
+      quote.free -= quoteQty + commission;
+      base.free += quantity;
+    } else {
+      if (base.free < quantity) {
+        throw this.createOrderError(
+          "Account has insufficient balance for requested action.",
+          -2010
+        );
+      }
+      base.free -= quantity;
+      quote.free += quoteQty - commission;
+    }
+
+    const filledOrder = {
+      ...order,
+      executedQty: quantity,
+      cummulativeQuoteQty: quoteQty,
+      transactTime: Date.now(),
+      fills: [
+        {
+          price: fillPrice.toString(),
+          qty: quantity.toString(),
+          commission: commission.toString(),
+          commissionAsset: quoteAsset,
+        },
+      ],
+    };
+
+    // 約定履歴に追加（最大100件まで）
+    this.state.orderHistory.unshift(
+      this.toOrderResponse(filledOrder, "FILLED")
+    );
+    if (this.state.orderHistory.length > 100) {
+      this.state.orderHistory.pop();
+    }
+
+    logger.info(
+      `ペーパートレード約定: ${order.side} ${order.symbol}, 数量=${quantity}, 価格=${fillPrice}, 手数料=${commission}`
+    );
+
+    return this.toOrderResponse(filledOrder, "FILLED");
+  }
+
+  /**
+   * 指値注文に必要な残高をロック
+   * @param {Object} order - 注文
+   */
+  lockBalance(order) {
+    const { baseAsset, quoteAsset } = binanceClient.splitSymbol(order.symbol);
+
+    if (order.side === "BUY") {
+      const quote = this.getBalance(quoteAsset);
+      const required = order.origQty * order.price * (1 + this.fee);
+      if (quote.free < required) {
+        throw this.createOrderError(
+          "Account has insufficient balance for requested action.",
+          -2010
+        );
+      }
+      quote.free -= required;
+      quote.locked += required;
+    } else {
+      const base = this.getBalance(baseAsset);
+      if (base.free < order.origQty) {
+        throw this.createOrderError(
+          "Account has insufficient balance for requested action.",
+          -2010
+        );
+      }
+      base.free -= order.origQty;
+      base.locked += order.origQty;
+    }
+  }
+
+  /**
+   * 指値注文でロックした残高を解放
+   * @param {Object} order - 注文
+   */
+  unlockBalance(order) {
+    const { baseAsset, quoteAsset } = binanceClient.splitSymbol(order.symbol);
+
+    if (order.side === "BUY") {
+      const quote = this.getBalance(quoteAsset);
+      const locked = order.origQty * order.price * (1 + this.fee);
+      quote.locked -= locked;
+      quote.free += locked;
+    } else {
+      const base = this.getBalance(baseAsset);
+      base.locked -= order.origQty;
+      base.free += order.origQty;
+    }
+  }
+
+  /**
+   * アセットの残高オブジェクトを取得（存在しない場合は作成）
+   * @param {string} asset - アセット名
+   * @returns {Object} - { free, locked }
+   */
+  getBalance(asset) {
+    if (!this.state.balances[asset]) {
+      this.state.balances[asset] = { free: 0, locked: 0 };
+    }
+    return this.state.balances[asset];
+  }
+
+  /**
+   * 未約定注文を検索
+   * @param {number} orderId - 注文ID
+   * @returns {Object|undefined} - 注文
+   */
+  findOrder(orderId) {
+    return this.state.openOrders.find((order) => order.orderId === orderId);
+  }
+
+  /**
+   * Binanceの注文レスポンス形式に変換
+   * @param {Object} order - 注文
+   * @param {string} status - 注文状態（NEW, FILLED, CANCELED）
+   * @returns {Object} - 注文レスポンス
+   */
+  toOrderResponse(order, status) {
+    return {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      transactTime: order.transactTime,
+      price: (order.price || 0).toString(),
+      origQty: order.origQty.toString(),
+      executedQty: (order.executedQty || 0).toString(),
+      cummulativeQuoteQty: (order.cummulativeQuoteQty || 0).toString(),
+      status,
+      type: order.type,
+      side: order.side,
+      fills: order.fills || [],
+    };
+  }
+
+  /**
+   * Binance APIと同じ形式の注文エラーを作成
+   * @param {string} message - エラーメッセージ
+   * @param {number} code - エラーコード
+   * @returns {Error} - エラー
+   */
+  createOrderError(message, code) {
+    const error = new Error(`注文作成エラー: ${message}`);
+    error.code = code;
+    return error;
+  }
+}
+
+// 設定済みのPaperExchangeインスタンスをエクスポート
+const paperExchange = new PaperExchange();
+
+// インスタンスとクラスの両方をエクスポート
+module.exports = paperExchange;
+module.exports.PaperExchange = PaperExchange;
@@ -0,0 +1,181 @@
+const logger = require("../utils/logger");
+
+/**
+ * Socket.IOクライアントへの価格配信
+ * ソケットごとのシンボル購読を管理し、上流のティッカー購読はシンボルごとに1本だけ共有する
+ * 価格はシンボルごとのルーム（price:SYMBOL）に間引いて送信する
+ */
+class PriceBroadcaster {
+  /**
+   * @param {Object} io - Socket.IOサーバー
+   * @param {Object} marketStream - 価格の購読元（MarketStream）
+   * @param {Object} options - 設定
+   */
+  constructor(io, marketStream, options = {}) {
+    this.io = io;
+    this.marketStream = marketStream;
+
+    this.throttleMs = options.throttleMs || 1000; // 同一シンボルの最短送信間隔（ms）
+    this.maxSymbolsPerSocket = options.maxSymbolsPerSocket || 10;
+
+    // ソケットID => 購読シンボルのSet
+    this.socketSymbols = new Map();
+    // シンボル => 配信状態（購読数、最終送信時刻、保留中の価格）
+    this.feeds = new Map();
+
+    this.onPrice = this.onPrice.bind(this);
+    this.marketStream.on("price", this.onPrice);
+  }
+
+  /**
+   * ソケットをシンボルの価格配信に登録
+   * @param {Object} socket - Socket.IOソケット
+   * @param {string} symbol - 取引ペア
+   * @returns {Object} - 結果（success, error）
+   */
+  subscribe(socket, symbol) {
+    if (typeof symbol !== "string" || !/^[A-Z0-9]{5,20}$/.test(symbol)) {
+      return { success: false, error: "無効なシンボルです" };
+    }
+
+    const symbols = this.socketSymbols.get(socket.id) || new Set();
+    if (symbols.has(symbol)) {
+      return { success: true, message: `${symbol}は購読済みです` };
+    }
+
+    if (symbols.size >= this.maxSymbolsPerSocket) {
+      return {
+        success: false,
+        error: `同時に購読できるシンボルは${this.maxSymbolsPerSocket}件までです`,
+      };
+    }
+
+    symbols.add(symbol);
+    this.socketSymbols.set(socket.id, symbols);
+    socket.join(roomName(symbol));
+
+    let feed = this.feeds.get(symbol);
+    if (!feed) {
+      feed = { subscribers: 0, lastEmitAt: 0, pending: null, timer: null };
+      this.feeds.set(symbol, feed);
+      this.marketStream.subscribeTicker(symbol);
+      logger.info(`価格配信を開始: ${symbol}`);
+    }
+    feed.subscribers++;
+
+    // 既に受信済みの価格があればすぐに送る
+    const lastPrice = this.marketStream.getLastPrice(symbol);
+    if (lastPrice !== null) {
+      socket.emit("price_update", {
+        symbol,
+        price: lastPrice,
+        time: Date.now(),
+      });
+    }
+
+    return { success: true, message: `${symbol}の価格購読を開始しました` };
+  }
+
+  /**
+   * ソケットをシンボルの価格配信から解除
+   * @param {Object} socket - Socket.IOソケット
+   * @param {string} symbol - 取引ペア
+   * @returns {Object} - 結果（success, error）
+   */
+  unsubscribe(socket, symbol) {
+    const symbols = this.socketSymbols.get(socket.id);
+    if (!symbols || !symbols.has(symbol)) {
+      return { success: false, error: `${symbol}は購読されていません` };
+    }
+
+    symbols.delete(symbol);
+    if (symbols.size === 0) {
+      this.socketSymbols.delete(socket.id);
+    }
+    socket.leave(roomName(symbol));
+    this.release(symbol);
+
+    return { success: true, message: `${symbol}の価格購読を解除しました` };
+  }
+
+  /**
+   * ソケットのすべての購読を解除（切断時）
+   * @param {Object} socket - Socket.IOソケット
+   */
+  unsubscribeAll(socket) {
+    const symbols = this.socketSymbols.get(socket.id);
+    if (!symbols) return;
+
+    this.socketSymbols.delete(socket.id);
+    for (const symbol of symbols) {
+      this.release(symbol);
+    }
+  }
+
+  /**
+   * シンボルの購読数を減らし、0になったら上流の購読を解除
+   * @private
+   */
+  release(symbol) {
+    const feed = this.feeds.get(symbol);
+    if (!feed) return;
+
+    feed.subscribers--;
+    if (feed.subscribers > 0) return;
+
+    if (feed.timer) {
+      clearTimeout(feed.timer);
+    }
+    this.feeds.delete(symbol);
+    this.marketStream.unsubscribeTicker(symbol);
+    logger.info(`価格配信を停止: ${symbol}`);
+  }
+
+  /**
+   * 上流から受信した価格をルームに送信（送信間隔内の更新は最新値のみ後から送る）
+   * @private
+   */
+  onPrice({ symbol, price, time }) {
+    const feed = this.feeds.get(symbol);
+    if (!feed) return;
+
+    feed.pending = { symbol, price, time };
+
+    const elapsed = Date.now() - feed.lastEmitAt;
+    if (elapsed >= this.throttleMs) {
+      this.flush(symbol, feed);
+    } else if (!feed.timer) {
+      feed.timer = setTimeout(
+        () => this.flush(symbol, feed),
+        this.throttleMs - elapsed
+      );
+    }
+  }
+
+  /**
+   * 保留中の価格を送信
+   * @private
+   */
+  flush(symbol, feed) {
+    if (feed.timer) {
+      clearTimeout(feed.timer);
+      feed.timer = null;
+    }
+    if (!feed.pending || this.feeds.get(symbol) !== feed) return;
+
+    this.io.to(roomName(symbol)).emit("price_update", feed.pending);
+    feed.pending = null;
+    feed.lastEmitAt = Date.now();
+  }
+}
+
+/**
+ * シンボルの価格配信ルーム名
+ * @param {string} symbol - 取引ペア
+ * @returns {string} - ルーム名
+ */
+function roomName(symbol) {
+  return `price:${symbol}`;
+}
+
+module.exports = PriceBroadcaster;
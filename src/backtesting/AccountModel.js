@@ -0,0 +1,258 @@
+// 口座の種類（Binanceの現物・マージン・USDT-M先物）
+const MARKET_TYPES = ["spot", "margin", "futures"];
+const MARGIN_MODES = ["cross", "isolated"];
+
+// 口座の種類ごとの最大レバレッジ
+const MAX_LEVERAGE = { spot: 1, margin: 10, futures: 125 };
+
+// 資金調達（ファンディング）の間隔（UTC 0時・8時・16時）
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * バックテスト口座モデルの基底クラス
+ * 残高はエンジンが管理し、口座モデルはショートの可否・建てられる想定元本・清算価格・保有コストを計算する
+ *
+ * ポジションの形式（BacktestEngine.openPositionを参照）:
+ * { type: "BUY" | "SELL", entryPrice, units, margin }
+ * marginはエントリー時に拠出した証拠金（想定元本 / レバレッジ）
+ */
+class AccountModel {
+  /**
+   * コンストラクタ
+   * @param {Object} options - 設定
+   */
+  constructor(options = {}) {
+    this.marketType = "spot";
+    this.marginMode = options.marginMode || "cross"; // 'cross', 'isolated'
+    this.leverage = options.leverage || 1;
+  }
+
+  /**
+   * ショートポジションを建てられるかどうか
+   * @returns {boolean}
+   */
+  allowsShort() {
+    return true;
+  }
+
+  /**
+   * 建てられる想定元本の上限
+   * @param {number} balance - 現在の残高
+   * @returns {number} - 想定元本の上限
+   */
+  getMaxNotional(balance) {
+    return Math.max(balance, 0) * this.leverage;
+  }
+
+  /**
+   * 清算価格を計算
+   * @param {Object} position - ポジション
+   * @param {number} balance - 現在の残高（クロスでは口座全体を担保とする）
+   * @returns {number|null} - 清算価格（清算されない場合はnull）
+   */
+  getLiquidationPrice(position, balance) {
+    return null;
+  }
+
+  /**
+   * 1本の足の間ポジションを保有するコスト（借入利息・資金調達料）
+   * @param {Object} position - ポジション
+   * @param {Object} candle - 保有する足
+   * @param {number} intervalMs - 足の長さ（ミリ秒）
+   * @returns {Object} - { interest, funding }（正の値は支払い、負の値は受け取り）
+   */
+  getCarryingCost(position, candle, intervalMs) {
+    return { interest: 0, funding: 0 };
+  }
+
+  /**
+   * 担保として扱う金額（分離はポジションの証拠金、クロスは口座全体）
+   * @protected
+   */
+  getCollateral(position, balance) {
+    return this.marginMode === "isolated" ? position.margin : balance;
+  }
+
+  /**
+   * 口座の設定（サマリー・履歴用）
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      marketType: this.marketType,
+      marginMode: this.marginMode,
+      leverage: this.leverage,
+    };
+  }
+}
+
+/**
+ * 現物口座
+ * ロングのみで、残高を超える買いはできない
+ */
+class SpotAccount extends AccountModel {
+  constructor(options = {}) {
+    super(options);
+    this.marketType = "spot";
+    this.marginMode = null;
+    this.leverage = 1;
+  }
+
+  allowsShort() {
+    return false;
+  }
+}
+
+/**
+ * マージン口座（クロス・分離）
+ * ロングは不足分のUSDTを、ショートは売る数量の通貨を借り入れて日割りの利息を支払う
+ * 証拠金維持率（資産 / 借入）が清算水準を下回ると清算される
+ */
+class MarginAccount extends AccountModel {
+  constructor(options = {}) {
+    super(options);
+    this.marketType = "margin";
+    this.dailyInterestRate =
+      options.dailyInterestRate !== undefined
+        ? options.dailyInterestRate
+        : 0.02; // 借入利息（%/日）
+    this.liquidationMarginLevel = options.liquidationMarginLevel || 1.1; // 清算される証拠金維持率
+  }
+
+  getLiquidationPrice(position, balance) {
+    const { type, entryPrice, units, margin } = position;
+    // クロスではポジションに拠出していない残高も担保になる
+    const extraCollateral =
+      this.marginMode === "isolated" ? 0 : Math.max(balance - margin, 0);
+
+    if (type === "BUY") {
+      // 資産（保有数量 × 価格 + 残りの残高） / 借入USDT = 清算水準
+      const borrowed = units * entryPrice - margin;
+      if (borrowed <= 0) return null;
+      const price =
+        (this.liquidationMarginLevel * borrowed - extraCollateral) / units;
+      return price > 0 ? price : null;
+    }
+
+    // 資産（証拠金 + 売却代金 + 残りの残高） / 借入数量 × 価格 = 清算水準
+    return (
+      (margin + units * entryPrice + extraCollateral) /
+      (this.liquidationMarginLevel * units)
+    );
+  }
+
+  getCarryingCost(position, candle, intervalMs) {
+    const borrowedValue =
+      position.type === "BUY"
+        ? Math.max(position.units * position.entryPrice - position.margin, 0)
+        : position.units * candle.open;
+
+    return {
+      interest:
+        borrowedValue * (this.dailyInterestRate / 100) * (intervalMs / DAY_MS),
+      funding: 0,
+    };
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      dailyInterestRate: this.dailyInterestRate,
+      liquidationMarginLevel: this.liquidationMarginLevel,
+    };
+  }
+}
+
+/**
+ * USDT-M先物口座（クロス・分離）
+ * 8時間ごとに資金調達料を支払う（レートが正ならロングが支払い、ショートが受け取る）
+ * 証拠金 + 含み損益が維持証拠金（想定元本 × 維持証拠金率）を下回ると清算される
+ */
+class FuturesAccount extends AccountModel {
+  constructor(options = {}) {
+    super(options);
+    this.marketType = "futures";
+    this.fundingRatePercent =
+      options.fundingRatePercent !== undefined
+        ? options.fundingRatePercent
+        : 0.01; // 資金調達率（%/8時間）
+    this.maintenanceMarginRate =
+      options.maintenanceMarginRate !== undefined
+        ? options.maintenanceMarginRate
+        : 0.5; // 維持証拠金率（%）
+  }
+
+  getLiquidationPrice(position, balance) {
+    const { type, entryPrice, units } = position;
+    const collateral = this.getCollateral(position, balance);
+    const mmr = this.maintenanceMarginRate / 100;
+
+    if (type === "BUY") {
+      const price = (units * entryPrice - collateral) / (units * (1 - mmr));
+      return price > 0 ? price : null;
+    }
+    return (collateral + units * entryPrice) / (units * (1 + mmr));
+  }
+
+  getCarryingCost(position, candle, intervalMs) {
+    // 足の期間 [開始, 開始 + 足の長さ) に含まれる資金調達の回数
+    const firstFunding =
+      Math.ceil(candle.time / FUNDING_INTERVAL_MS) * FUNDING_INTERVAL_MS;
+    const fundings =
+      firstFunding < candle.time + intervalMs
+        ? Math.floor(
+            (candle.time + intervalMs - 1 - firstFunding) / FUNDING_INTERVAL_MS
+          ) + 1
+        : 0;
+
+    const payment =
+      fundings *
+      position.units *
+      candle.open *
+      (this.fundingRatePercent / 100) *
+      (position.type === "BUY" ? 1 : -1);
+
+    return { interest: 0, funding: payment };
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      fundingRatePercent: this.fundingRatePercent,
+      maintenanceMarginRate: this.maintenanceMarginRate,
+    };
+  }
+}
+
+/**
+ * 口座の種類に応じた口座モデルを作成
+ * @param {Object} options - 設定（marketType, marginMode, leverage, dailyInterestRate, fundingRatePercent, maintenanceMarginRate）
+ * @returns {AccountModel} - 口座モデル（marketType省略時はクロスマージン）
+ */
+function createAccountModel(options = {}) {
+  switch (options.marketType || "margin") {
+    case "spot":
+      return new SpotAccount(options);
+    case "futures":
+      return new FuturesAccount(options);
+    case "margin":
+      return new MarginAccount(options);
+    default:
+      throw new Error(
+        `サポートされていない口座の種類です: ${options.marketType}`
+      );
+  }
+}
+
+module.exports = {
+  MARKET_TYPES,
+  MARGIN_MODES,
+  MAX_LEVERAGE,
+  AccountModel,
+  SpotAccount,
+  MarginAccount,
+  FuturesAccount,
+  createAccountModel,
+};
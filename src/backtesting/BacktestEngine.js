@@ -1,12 +1,17 @@
 const logger = require("../utils/logger");
 const config = require("../config/config");
+const technicalIndicators = require("../utils/technicalIndicators");
+const { createAccountModel } = require("./AccountModel");
+const benchmark = require("./benchmark");
+const performanceMetrics = require("./performanceMetrics");
 
 class BacktestEngine {
   constructor(options = {}) {
+    this.options = options; // 戦略アンサンブルのサブ戦略を同じ設定で評価するために保持
     this.initialBalance = options.initialBalance || 10000; // 初期資金（USD）
     this.symbol = options.symbol || config.backtest.symbol;
-    this.fee = options.fee || 0.001; // 取引手数料（0.1%）
-    this.slippage = options.slippage || 0.001; // スリッページ（0.1%）
+    this.fee = options.fee ?? 0.001; // 取引手数料（0.1%）
+    this.slippage = options.slippage ?? 0.001; // スリッページ（0.1%）
     this.trades = [];
     this.equity = [];
     this.maxDrawdown = 0;
@@ -26,15 +31,41 @@ class BacktestEngine {
     this.atrPeriod = options.atrPeriod || 14;
     this.atrMultiplier = options.atrMultiplier || 2.0;
     this.maxRiskPerTradePercent = options.maxRiskPerTradePercent || 1.0; // 1回のトレードの最大リスク（資金の%）
+
+    // 決済ルールの設定（Rはエントリー時のストップまでの値幅）
+    this.useTakeProfit = options.useTakeProfit !== false; // falseで固定のテイクプロフィットを使わず、ストップで決済する
+    this.trailingStopType = options.trailingStopType || "none"; // 'none', 'percent', 'atr'
+    this.trailingStopPercent = options.trailingStopPercent || 2.0; // 最高値（ショートは最安値）からの幅（%）
+    this.trailingStopAtrMultiplier = options.trailingStopAtrMultiplier || 3.0; // 最高値（ショートは最安値）からの幅（ATRの倍数）
+    this.trailingActivationR = options.trailingActivationR || 0; // トレーリングを始める含み益（R、0で即時）
+    this.breakEvenTriggerR = options.breakEvenTriggerR || 0; // ストップを建値に移動する含み益（R、0で無効）
+    // 分割利確（例: [{ r: 1, percent: 50 }] で1Rに達したら当初数量の50%を決済）
+    this.partialTakeProfits = (options.partialTakeProfits || [])
+      .filter((level) => level.r > 0 && level.percent > 0)
+      .sort((a, b) => a.r - b.r);
+
+    // 約定モデルの設定
+    // 足の中の値動きの順序: 'stopFirst'（ストップを先に判定）, 'ohlc'（始値に近い側の高値・安値を先に付けたとみなす）,
+    // 'lowerTimeframe'（コンテキストの下位足で判定、該当する下位足がない足はstopFirst）
+    this.intrabarFill = options.intrabarFill || "stopFirst";
+    this.gapFill = options.gapFill || false; // trueで始値がストップ・利確の水準を越えて始まった場合に始値で約定させる
+    this.entryOrderType = options.entryOrderType || "market"; // 'market', 'limit', 'stop'
+    this.entryOrderOffsetPercent = options.entryOrderOffsetPercent || 0.5; // シグナル価格から指値・逆指値までの幅（%）
+    this.entryOrderExpiryBars = options.entryOrderExpiryBars || 5; // 指値・逆指値の有効期間（足の本数）
+    this.maxVolumePercent = options.maxVolumePercent || 0; // 約定できる数量の上限（約定した足の出来高に対する%、0で無制限）
+
+    // 口座モデル（現物・マージン・先物。レバレッジ、借入利息・資金調達料、清算を扱う）
+    this.account = createAccountModel(options);
   }
 
   /**
    * バックテストを実行
    * @param {Array} candles - ローソク足データ
    * @param {Object} strategy - 戦略インスタンス
+   * @param {Object} context - 戦略に渡すコンテキスト（上位足・比較するベンチマークなど、multiTimeframe.jsを参照）
    * @returns {Object} - バックテスト結果
    */
-  run(candles, strategy) {
+  run(candles, strategy, context = {}) {
     if (!candles || candles.length === 0) {
       logger.error("バックテストエラー: データがありません");
       return { success: false, error: "データがありません" };
@@ -47,69 +78,46 @@ class BacktestEngine {
 
     try {
       // 初期化
-      this.currentBalance = this.initialBalance;
-      this.trades = [];
-      this.equity = [];
-      this.maxDrawdown = 0;
-      this.position = null;
-
-      // ATR計算用のデータを準備（ATRベースのポジションサイジングを使用する場合）
-      let atrValues = [];
-      if (this.useAtrPositionSizing) {
-        atrValues = this.calculateAtr(candles, this.atrPeriod);
-      }
-
-      // 戦略からシグナルを生成
-      const signals = strategy.generateBacktestSignals(candles);
+      this.reset(candles, context);
+
+      // 戦略からシグナルを生成（下位足とベンチマークは先読みになるため戦略に渡さない）
+      const {
+        lowerTimeframe,
+        benchmark: benchmarkData,
+        ...strategyContext
+      } = context;
+      const signals = strategy.generateBacktestSignals(
+        candles,
+        this.createStrategyContext(strategyContext)
+      );
 
+      // シグナルがなくても資産推移とベンチマークは全期間について記録する
       if (signals.length === 0) {
         logger.warning("バックテスト警告: シグナルが生成されませんでした");
-        return {
-          success: true,
-          result: this.generateSummary(),
-          trades: [],
-          signals: [],
-        };
       }
 
       // 各キャンドルを処理
       for (let i = 0; i < candles.length; i++) {
         const candle = candles[i];
 
-        // 現在のポジションがある場合、ストップロスとテイクプロフィットをチェック
-        if (this.position) {
-          this.checkStopLossAndTakeProfit(candle, i, candles);
-        }
-
-        // 当日のシグナルを取得
-        const currentSignals = signals.filter((s) => s.candleIndex === i);
-
-        // シグナルを処理
-        for (const signal of currentSignals) {
-          this.processSignal(signal, candles, atrValues[i]);
-        }
+        // 当日のシグナルを処理
+        this.processCandle(
+          candles,
+          i,
+          signals.filter((s) => s.candleIndex === i)
+        );
 
         // 資金推移を記録
         this.equity.push({
           time: candle.time,
           balance: this.currentBalance,
           equity: this.calculateEquity(candle.close, candles),
+          benchmark: this.benchmarkValues[i],
         });
       }
 
-      // 最後のポジションを決済
-      if (this.position) {
-        const lastCandle = candles[candles.length - 1];
-        this.closePosition(
-          {
-            type: this.position.type === "BUY" ? "SELL" : "BUY",
-            price: lastCandle.close,
-            time: lastCandle.time,
-            candleIndex: candles.length - 1,
-          },
-          candles
-        );
-      }
+      // 未約定の注文を取り消し、最後のポジションを決済
+      this.finish(candles);
 
       // 結果を集計
       const summary = this.generateSummary();
@@ -131,91 +139,398 @@ class BacktestEngine {
   }
 
   /**
-   * ストップロスとテイクプロフィットをチェック
-   * @param {Object} candle - 現在のローソク足
-   * @param {number} candleIndex - ローソク足のインデックス
-   * @param {Array} candles - ローソク足データ配列
+   * 戦略に渡すコンテキストを作成
+   * 戦略アンサンブルがサブ戦略をこのバックテストと同じ設定で評価し、市場レジームを判定できるように関数を加える
+   * @param {Object} context - コンテキスト
+   * @returns {Object} - scoreStrategyとdetectMarketRegimesを加えたコンテキスト
    */
-  checkStopLossAndTakeProfit(candle, candleIndex, candles) {
-    if (!this.position) return;
+  createStrategyContext(context = {}) {
+    return {
+      ...context,
+      scoreStrategy: (candles, strategy, strategyContext) =>
+        new BacktestEngine(this.options).run(
+          candles,
+          strategy,
+          strategyContext
+        ),
+      detectMarketRegimes: (candles) => this.detectMarketRegimes(candles),
+    };
+  }
 
-    const { high, low, close } = candle;
+  /**
+   * バックテストの状態を初期化
+   * @param {Array} candles - ローソク足データ
+   * @param {Object} context - コンテキスト（約定モデルの下位足、ベンチマークを参照）
+   */
+  reset(candles, context = {}) {
+    this.currentBalance = this.initialBalance;
+    this.trades = [];
+    this.equity = [];
+    this.maxDrawdown = 0;
+    this.position = null;
+    this.nextPositionId = 1;
+    this.pendingOrder = null;
+    this.orderStats = {
+      filledOrders: 0,
+      expiredOrders: 0,
+      cancelledOrders: 0,
+      partialFills: 0,
+      gapFills: 0,
+    };
+    this.accountStats = {
+      liquidations: 0,
+      interestPaid: 0,
+      fundingPaid: 0,
+      rejectedShorts: 0,
+    };
+    this.intervalMs =
+      candles.length > 1 ? candles[1].time - candles[0].time : 0;
+    this.intrabarCandles =
+      this.intrabarFill === "lowerTimeframe"
+        ? this.groupLowerTimeframeCandles(candles, context.lowerTimeframe)
+        : [];
+
+    // 同じ期間のバイ・アンド・ホールド（銘柄の指定がなければバックテストする銘柄）の資産推移
+    this.benchmarkSymbol = context.benchmark
+      ? context.benchmark.symbol
+      : this.symbol;
+    this.benchmarkValues = benchmark.buyAndHoldEquity(
+      [context.benchmark ? context.benchmark.candles : candles],
+      candles.map((candle) => candle.time),
+      this.initialBalance,
+      this.fee
+    );
 
-    // ストップロスとテイクプロフィットの価格を計算
-    const stopLossPrice = this.position.stopLossPrice;
-    const takeProfitPrice = this.position.takeProfitPrice;
+    // ATR計算用のデータを準備（ATRベースのポジションサイジング・トレーリングストップを使用する場合）
+    this.atrValues =
+      this.useAtrPositionSizing || this.trailingStopType === "atr"
+        ? this.calculateAtr(candles, this.atrPeriod)
+        : [];
+  }
 
-    // ストップロスのヒットをチェック
-    if (this.position.type === "BUY" && low <= stopLossPrice) {
-      // ロングポジションのストップロス
-      this.closePosition(
-        {
-          type: "SELL",
-          price: stopLossPrice,
-          time: candle.time,
-          candleIndex: candleIndex,
-          reason: "STOP_LOSS",
-        },
-        candles
-      );
-      logger.debug(
-        `ストップロス発動: 価格=${stopLossPrice}, 時間=${new Date(
-          candle.time
-        ).toISOString()}`
-      );
-    } else if (this.position.type === "SELL" && high >= stopLossPrice) {
-      // ショートポジションのストップロス
-      this.closePosition(
-        {
-          type: "BUY",
-          price: stopLossPrice,
-          time: candle.time,
-          candleIndex: candleIndex,
-          reason: "STOP_LOSS",
-        },
-        candles
-      );
-      logger.debug(
-        `ストップロス発動: 価格=${stopLossPrice}, 時間=${new Date(
-          candle.time
-        ).toISOString()}`
-      );
+  /**
+   * 1本の足を処理（保有コスト、ストップ・利確、未約定の注文、シグナルの順）
+   * @param {Array} candles - ローソク足データ
+   * @param {number} i - 処理する足のインデックス
+   * @param {Array} signals - この足で確定したシグナル
+   */
+  processCandle(candles, i, signals) {
+    const candle = candles[i];
+    const atrValue = this.atrValues[i];
+
+    // 現在のポジションがある場合、保有コストを差し引いてからストップロスとテイクプロフィットをチェック
+    if (this.position) {
+      this.applyCarryingCost(candle);
+      this.checkStopLossAndTakeProfit(candle, i, candles, atrValue);
     }
-    // テイクプロフィットのヒットをチェック
-    else if (this.position.type === "BUY" && high >= takeProfitPrice) {
-      // ロングポジションのテイクプロフィット
-      this.closePosition(
-        {
-          type: "SELL",
-          price: takeProfitPrice,
-          time: candle.time,
-          candleIndex: candleIndex,
-          reason: "TAKE_PROFIT",
-        },
-        candles
-      );
-      logger.debug(
-        `テイクプロフィット発動: 価格=${takeProfitPrice}, 時間=${new Date(
-          candle.time
-        ).toISOString()}`
-      );
-    } else if (this.position.type === "SELL" && low <= takeProfitPrice) {
-      // ショートポジションのテイクプロフィット
+
+    // 前の足までに出した指値・逆指値の約定と期限切れをチェック
+    if (this.pendingOrder && !this.position) {
+      this.checkPendingOrder(candle, i, candles, atrValue);
+    }
+
+    // シグナルを処理
+    for (const signal of signals) {
+      this.processSignal(signal, candles, atrValue);
+    }
+  }
+
+  /**
+   * 期間の終わりの処理（未約定の注文を取り消し、残っているポジションを最後の終値で決済）
+   * @param {Array} candles - ローソク足データ
+   */
+  finish(candles) {
+    if (this.pendingOrder) {
+      this.pendingOrder = null;
+      this.orderStats.cancelledOrders++;
+    }
+
+    if (this.position) {
+      const lastCandle = candles[candles.length - 1];
       this.closePosition(
         {
-          type: "BUY",
-          price: takeProfitPrice,
-          time: candle.time,
-          candleIndex: candleIndex,
-          reason: "TAKE_PROFIT",
+          type: this.position.type === "BUY" ? "SELL" : "BUY",
+          price: lastCandle.close,
+          time: lastCandle.time,
+          candleIndex: candles.length - 1,
         },
         candles
       );
-      logger.debug(
-        `テイクプロフィット発動: 価格=${takeProfitPrice}, 時間=${new Date(
-          candle.time
-        ).toISOString()}`
+    }
+  }
+
+  /**
+   * 足の間ポジションを保有するコスト（借入利息・資金調達料）を残高から差し引く
+   * @param {Object} candle - 保有する足
+   */
+  applyCarryingCost(candle) {
+    const { interest, funding } = this.account.getCarryingCost(
+      this.position,
+      candle,
+      this.intervalMs
+    );
+    const cost = interest + funding;
+    if (cost === 0) return;
+
+    this.currentBalance -= cost;
+    this.position.carryingCost += cost;
+    this.accountStats.interestPaid += interest;
+    this.accountStats.fundingPaid += funding;
+  }
+
+  /**
+   * ストップロスとテイクプロフィットをチェック
+   * 足の中の値動き（getIntrabarPath）を順にたどり、先に達した水準から約定させる
+   * 同じ価格で複数の条件に達した場合はストップ → 分割利確 → テイクプロフィットの順に判定し、
+   * 足の確定後にトレーリングストップと建値への移動を反映する（次の足から有効）
+   * @param {Object} candle - 現在のローソク足
+   * @param {number} candleIndex - ローソク足のインデックス
+   * @param {Array} candles - ローソク足データ配列
+   * @param {number} atrValue - 現在のATR値（ATRトレーリングストップ用）
+   */
+  checkStopLossAndTakeProfit(candle, candleIndex, candles, atrValue) {
+    if (!this.position) return;
+
+    const isLong = this.position.type === "BUY";
+    const exitType = isLong ? "SELL" : "BUY";
+    const path = this.getIntrabarPath(candle, candleIndex);
+    const liquidationPrice = this.account.getLiquidationPrice(
+      this.position,
+      this.currentBalance
+    );
+
+    for (let p = 0; p < path.length; p++) {
+      const price = path[p];
+      // 始値で水準を越えている場合は窓を開けて約定したとみなす
+      const isGap = p === 0 && this.gapFill;
+
+      // ストップ（トレーリング・建値への移動後を含む）と清算のヒットをチェック
+      // 清算価格がストップより手前にある場合は清算される
+      const liquidated =
+        liquidationPrice !== null &&
+        (isLong
+          ? liquidationPrice >= this.position.stopLossPrice
+          : liquidationPrice <= this.position.stopLossPrice);
+      const stopLossPrice = liquidated
+        ? liquidationPrice
+        : this.position.stopLossPrice;
+      if (isLong ? price <= stopLossPrice : price >= stopLossPrice) {
+        const reason = liquidated ? "LIQUIDATION" : this.position.stopReason;
+        const fillPrice = isGap ? price : stopLossPrice;
+        if (isGap && fillPrice !== stopLossPrice) this.orderStats.gapFills++;
+        if (liquidated) this.accountStats.liquidations++;
+        this.closePosition(
+          {
+            type: exitType,
+            price: fillPrice,
+            time: candle.time,
+            candleIndex: candleIndex,
+            reason,
+          },
+          candles
+        );
+        logger.debug(
+          `ストップ発動 (${reason}): 価格=${fillPrice}, 時間=${new Date(
+            candle.time
+          ).toISOString()}`
+        );
+        return;
+      }
+
+      // 分割利確とテイクプロフィット（1つの価格で複数の水準に達した場合はすべて決済）
+      let target = this.getNextTarget();
+      while (
+        target &&
+        (isLong ? price >= target.price : price <= target.price)
+      ) {
+        const fillPrice = isGap ? price : target.price;
+        if (isGap && fillPrice !== target.price) this.orderStats.gapFills++;
+        if (target.level) {
+          this.position.nextPartialIndex++;
+        }
+        this.closePosition(
+          {
+            type: exitType,
+            price: fillPrice,
+            time: candle.time,
+            candleIndex: candleIndex,
+            reason: target.reason,
+          },
+          candles,
+          target.level
+            ? (this.position.initialUnits * target.level.percent) / 100
+            : undefined
+        );
+        logger.debug(
+          `${
+            target.level
+              ? `分割利確: ${target.level.r}R, ${target.level.percent}%`
+              : "テイクプロフィット発動"
+          }, 価格=${fillPrice}, 時間=${new Date(candle.time).toISOString()}`
+        );
+        if (!this.position) return;
+        target = this.getNextTarget();
+      }
+    }
+
+    this.updateStopLoss(candle, atrValue);
+  }
+
+  /**
+   * 次に判定する利益側の決済水準（分割利確とテイクプロフィットのうち建値に近い方）
+   * @returns {Object|null} - { price, reason, level }（分割利確以外はlevelなし）
+   */
+  getNextTarget() {
+    const { type, entryPrice, riskPerUnit, nextPartialIndex } = this.position;
+    const isLong = type === "BUY";
+    const targets = [];
+
+    if (riskPerUnit > 0 && nextPartialIndex < this.partialTakeProfits.length) {
+      const level = this.partialTakeProfits[nextPartialIndex];
+      targets.push({
+        price: isLong
+          ? entryPrice + level.r * riskPerUnit
+          : entryPrice - level.r * riskPerUnit,
+        reason: "PARTIAL_TAKE_PROFIT",
+        level,
+      });
+    }
+    if (this.useTakeProfit) {
+      targets.push({
+        price: this.position.takeProfitPrice,
+        reason: "TAKE_PROFIT",
+      });
+    }
+
+    // 同じ価格なら分割利確を先に判定する
+    return targets.reduce(
+      (nearest, target) =>
+        !nearest ||
+        (isLong ? target.price < nearest.price : target.price > nearest.price)
+          ? target
+          : nearest,
+      null
+    );
+  }
+
+  /**
+   * 足の中の値動きを価格の列で表す（始値から始まり終値で終わる）
+   * @param {Object} candle - ローソク足
+   * @param {number} candleIndex - ローソク足のインデックス
+   * @returns {Array<number>} - 価格の列
+   */
+  getIntrabarPath(candle, candleIndex) {
+    if (this.intrabarFill === "lowerTimeframe") {
+      const lowerCandles = this.intrabarCandles[candleIndex];
+      if (lowerCandles && lowerCandles.length > 0) {
+        return lowerCandles.flatMap((lower) => ohlcPath(lower));
+      }
+    } else if (this.intrabarFill === "ohlc") {
+      return ohlcPath(candle);
+    }
+
+    // ストップを先に判定する（ポジションに不利な側の高値・安値を先に付けたとみなす）
+    const isLong = !this.position || this.position.type === "BUY";
+    return isLong
+      ? [candle.open, candle.low, candle.high, candle.close]
+      : [candle.open, candle.high, candle.low, candle.close];
+  }
+
+  /**
+   * 下位足を基準の足ごとに振り分ける
+   * 基準足iには開始時刻が基準足iの開始時刻以上、次の基準足の開始時刻未満の下位足を割り当てる
+   * @param {Array} candles - 基準の足
+   * @param {Object} lowerTimeframe - コンテキストの下位足（{ interval, candles }）
+   * @returns {Array<Array>} - 基準足のインデックス => 下位足の配列
+   */
+  groupLowerTimeframeCandles(candles, lowerTimeframe) {
+    const groups = candles.map(() => []);
+    if (!lowerTimeframe || !lowerTimeframe.candles) {
+      logger.warning(
+        "下位足がないため、足の中の値動きはストップを先に判定します"
       );
+      return groups;
+    }
+
+    const lowerCandles = lowerTimeframe.candles;
+    let j = 0;
+    for (let i = 0; i < candles.length; i++) {
+      const nextTime = i + 1 < candles.length ? candles[i + 1].time : Infinity;
+      while (
+        j < lowerCandles.length &&
+        lowerCandles[j].time < candles[i].time
+      ) {
+        j++;
+      }
+      while (j < lowerCandles.length && lowerCandles[j].time < nextTime) {
+        groups[i].push(lowerCandles[j]);
+        j++;
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * 確定した足の値動きでストップを更新
+   * ストップは含み益の方向にのみ動かす
+   * @param {Object} candle - 確定したローソク足
+   * @param {number} atrValue - 現在のATR値
+   */
+  updateStopLoss(candle, atrValue) {
+    const position = this.position;
+    const isLong = position.type === "BUY";
+
+    // エントリー後の最高値（ショートは最安値）と含み益の最大値
+    position.bestPrice = isLong
+      ? Math.max(position.bestPrice, candle.high)
+      : Math.min(position.bestPrice, candle.low);
+    position.worstPrice = isLong
+      ? Math.min(position.worstPrice, candle.low)
+      : Math.max(position.worstPrice, candle.high);
+    const excursion = isLong
+      ? position.bestPrice - position.entryPrice
+      : position.entryPrice - position.bestPrice;
+
+    const candidates = [];
+
+    // 建値への移動
+    if (
+      this.breakEvenTriggerR > 0 &&
+      position.riskPerUnit > 0 &&
+      excursion >= this.breakEvenTriggerR * position.riskPerUnit
+    ) {
+      candidates.push({ price: position.entryPrice, reason: "BREAK_EVEN" });
+    }
+
+    // トレーリングストップ
+    if (
+      this.trailingStopType !== "none" &&
+      excursion >= this.trailingActivationR * position.riskPerUnit
+    ) {
+      const distance =
+        this.trailingStopType === "atr"
+          ? atrValue * this.trailingStopAtrMultiplier
+          : position.bestPrice * (this.trailingStopPercent / 100);
+      if (distance > 0) {
+        candidates.push({
+          price: isLong
+            ? position.bestPrice - distance
+            : position.bestPrice + distance,
+          reason: "TRAILING_STOP",
+        });
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (
+        isLong
+          ? candidate.price > position.stopLossPrice
+          : candidate.price < position.stopLossPrice
+      ) {
+        position.stopLossPrice = candidate.price;
+        position.stopReason = candidate.reason;
+      }
     }
   }
 
@@ -230,9 +545,16 @@ class BacktestEngine {
     this.updateMaxDrawdownWithCurrentPrice(signal.price);
 
     if (!this.position) {
-      // ポジションがない場合は新規に開く
+      // 未約定の注文と反対方向のシグナル（決済専用を含む）では注文を取り消す
+      if (this.pendingOrder && this.pendingOrder.signal.type !== signal.type) {
+        this.pendingOrder = null;
+        this.orderStats.cancelledOrders++;
+      }
+
+      // ポジションがない場合は新規に開く（決済専用のシグナルでは開かない）
+      if (signal.exitOnly) return;
       if (signal.type === "BUY" || signal.type === "SELL") {
-        this.openPosition(signal, candles, atrValue);
+        this.enterPosition(signal, candles, atrValue);
       }
     } else {
       // ポジションがある場合は決済するかどうか判断
@@ -245,14 +567,134 @@ class BacktestEngine {
     }
   }
 
+  /**
+   * シグナルでエントリーする
+   * 成行はシグナルの価格で約定させ、指値・逆指値は注文を出して次の足から約定をチェックする
+   * シグナルのorderType（MARKET, LIMIT, STOP）・orderPrice・expiryBarsはエンジンの設定より優先する
+   * @param {Object} signal - シグナル情報
+   * @param {Array} candles - ローソク足データ
+   * @param {number} atrValue - 現在のATR値（オプション）
+   */
+  enterPosition(signal, candles, atrValue) {
+    // 現物口座ではショートを建てられない
+    if (signal.type === "SELL" && !this.account.allowsShort()) {
+      this.accountStats.rejectedShorts++;
+      return;
+    }
+
+    const orderType = signal.orderType
+      ? signal.orderType.toLowerCase()
+      : this.entryOrderType;
+    if (orderType !== "limit" && orderType !== "stop") {
+      this.openPosition(signal, candles, atrValue);
+      return;
+    }
+
+    // 指値は有利な側、逆指値は不利な側にシグナル価格から幅をとる
+    const isBuy = signal.type === "BUY";
+    const offset = this.entryOrderOffsetPercent / 100;
+    const favorable = orderType === "limit" ? isBuy : !isBuy;
+    const price = isValidPrice(signal.orderPrice)
+      ? signal.orderPrice
+      : signal.price * (favorable ? 1 - offset : 1 + offset);
+
+    // 同じ方向の未約定の注文は新しい注文に置き換える
+    if (this.pendingOrder) {
+      this.orderStats.cancelledOrders++;
+    }
+    this.pendingOrder = {
+      orderType,
+      price,
+      expiresAt:
+        signal.candleIndex + (signal.expiryBars || this.entryOrderExpiryBars),
+      signal,
+    };
+
+    logger.debug(
+      `${orderType === "limit" ? "指値" : "逆指値"}注文: ${
+        signal.type
+      }, 価格=${price}, 期限=${this.pendingOrder.expiresAt}`
+    );
+  }
+
+  /**
+   * 未約定の指値・逆指値注文の約定と期限切れをチェック
+   * 指値は指値以下（売りは以上）、逆指値は逆指値以上（売りは以下）の価格を付けた足で約定する
+   * @param {Object} candle - 現在のローソク足
+   * @param {number} candleIndex - ローソク足のインデックス
+   * @param {Array} candles - ローソク足データ
+   * @param {number} atrValue - 現在のATR値（オプション）
+   */
+  checkPendingOrder(candle, candleIndex, candles, atrValue) {
+    const order = this.pendingOrder;
+    const isBuy = order.signal.type === "BUY";
+    const reached =
+      order.orderType === "limit"
+        ? isBuy
+          ? candle.low <= order.price
+          : candle.high >= order.price
+        : isBuy
+        ? candle.high >= order.price
+        : candle.low <= order.price;
+
+    if (reached) {
+      // 始値が注文価格を越えて始まった場合は始値で約定させる（gapFill有効時）
+      const gapped =
+        order.orderType === "limit"
+          ? isBuy
+            ? candle.open < order.price
+            : candle.open > order.price
+          : isBuy
+          ? candle.open > order.price
+          : candle.open < order.price;
+      const price = gapped && this.gapFill ? candle.open : order.price;
+      if (gapped && this.gapFill) this.orderStats.gapFills++;
+
+      // 指値は指定した価格で約定し、逆指値は成行になるためスリッページを加える
+      const fillPrice =
+        order.orderType === "limit"
+          ? price
+          : this.adjustPrice(price, order.signal.type);
+
+      this.pendingOrder = null;
+      this.orderStats.filledOrders++;
+      this.openPosition(
+        {
+          ...order.signal,
+          price: fillPrice,
+          time: candle.time,
+          candleIndex,
+        },
+        candles,
+        atrValue,
+        fillPrice
+      );
+      return;
+    }
+
+    if (candleIndex >= order.expiresAt) {
+      this.pendingOrder = null;
+      this.orderStats.expiredOrders++;
+      logger.debug(
+        `注文の期限切れ: ${order.signal.type}, 価格=${
+          order.price
+        }, 時間=${new Date(candle.time).toISOString()}`
+      );
+    }
+  }
+
   /**
    * ポジションを開く
    * @param {Object} signal - シグナル情報
    * @param {Array} candles - ローソク足データ
    * @param {number} atrValue - 現在のATR値（オプション）
+   * @param {number} fillPrice - 約定価格（省略時はシグナルの価格にスリッページを加えた価格）
    */
-  openPosition(signal, candles, atrValue) {
-    const entryPrice = this.adjustPrice(signal.price, signal.type);
+  openPosition(signal, candles, atrValue, fillPrice) {
+    const entryPrice =
+      fillPrice !== undefined
+        ? fillPrice
+        : this.adjustPrice(signal.price, signal.type);
 
     // ポジションサイズを計算
     let positionSize;
@@ -274,8 +716,8 @@ class BacktestEngine {
       const riskPerUnit = Math.abs(entryPrice - stopLossPrice);
       positionSize = riskAmount / riskPerUnit;
     } else {
-      // パーセントベースのストップロスとポジションサイジング
-      positionSize = this.calculatePositionSize();
+      // パーセントベースのストップロスとポジションサイジング（資金の割合を証拠金とし、レバレッジを掛ける）
+      positionSize = this.calculatePositionSize() * this.account.leverage;
 
       if (signal.type === "BUY") {
         stopLossPrice = entryPrice * (1 - this.stopLossPercent / 100);
@@ -292,18 +734,67 @@ class BacktestEngine {
       takeProfitPrice = entryPrice * (1 - this.takeProfitPercent / 100);
     }
 
-    const units = positionSize / entryPrice;
+    // シグナルが決済価格を指定している場合は固定の割合より優先する
+    // （約定価格に対して損失側・利益側にない価格は無視する）
+    const isLong = signal.type === "BUY";
+    if (
+      isValidPrice(signal.stopLossPrice) &&
+      (isLong
+        ? signal.stopLossPrice < entryPrice
+        : signal.stopLossPrice > entryPrice)
+    ) {
+      stopLossPrice = signal.stopLossPrice;
+    }
+    if (
+      isValidPrice(signal.takeProfitPrice) &&
+      (isLong
+        ? signal.takeProfitPrice > entryPrice
+        : signal.takeProfitPrice < entryPrice)
+    ) {
+      takeProfitPrice = signal.takeProfitPrice;
+    }
+
+    // 残高とレバレッジで建てられる想定元本を超えないようにする
+    positionSize = Math.min(positionSize, this.getMaxPositionNotional(signal));
+
+    // 約定した足の出来高に対する上限を超える分は約定しない（部分約定）
+    let units = positionSize / entryPrice;
+    const candle = candles[signal.candleIndex];
+    if (this.maxVolumePercent > 0 && candle && candle.volume !== undefined) {
+      const maxUnits = candle.volume * (this.maxVolumePercent / 100);
+      if (units > maxUnits) {
+        logger.debug(
+          `部分約定: 注文数量=${units}, 約定数量=${maxUnits}, 出来高=${candle.volume}`
+        );
+        units = maxUnits;
+        this.orderStats.partialFills++;
+      }
+    }
+    if (!(units > 0)) return;
+    positionSize = units * entryPrice;
     const fee = positionSize * this.fee;
 
     this.position = {
+      id: this.nextPositionId++,
       type: signal.type,
       entryPrice,
       units,
+      initialUnits: units,
       fee,
       entryTime: signal.time,
       entryCandleIndex: signal.candleIndex,
       stopLossPrice,
+      stopReason: "STOP_LOSS", // ストップを最後に動かした理由（決済理由として記録）
+      riskPerUnit: Math.abs(entryPrice - stopLossPrice), // 1R
+      bestPrice: entryPrice,
+      worstPrice: entryPrice, // エントリー後の最安値（ショートは最高値、MAEの計算用）
+      nextPartialIndex: 0, // 次に判定する分割利確の水準
+      legs: 0, // 分割決済済みの回数
+      margin: positionSize / this.account.leverage, // 拠出した証拠金
+      carryingCost: 0, // 未決済分の借入利息・資金調達料の累計
       takeProfitPrice,
+      source: signal.source,
+      strategy: signal.strategy,
     };
 
     this.currentBalance -= fee;
@@ -313,64 +804,92 @@ class BacktestEngine {
     );
   }
 
+  /**
+   * 新しく建てられるポジションの想定元本の上限
+   * @param {Object} signal - エントリーするシグナル
+   * @returns {number} - 想定元本の上限（0ならエントリーしない）
+   */
+  getMaxPositionNotional(signal) {
+    return this.account.getMaxNotional(this.currentBalance);
+  }
+
   /**
    * ポジションを閉じる
+   * 数量を指定した場合は一部だけ決済し、決済した分を1つの取引（レッグ）として記録する
    * @param {Object} signal - シグナル情報
    * @param {Array} candles - ローソク足データ
+   * @param {number} units - 決済する数量（省略時は全量）
    */
-  closePosition(signal, candles) {
+  closePosition(signal, candles, units) {
     if (!this.position) return;
 
-    const exitPrice = this.adjustPrice(signal.price, signal.type);
-    let profit = 0;
-    let positionValue = 0;
-
-    if (this.position.type === "BUY") {
-      // ロングポジションの場合
-      positionValue = this.position.units * exitPrice;
-      const fee = positionValue * this.fee;
-
-      // ロングポジションの利益計算: 売却価値 - 購入コスト - 手数料
-      profit =
-        positionValue -
-        this.position.units * this.position.entryPrice -
-        fee -
-        this.position.fee;
-
-      // 残高を更新
-      this.currentBalance += positionValue - fee;
-    } else {
-      // ショートポジションの場合
-      // 証拠金取引なので、実際に売却する株式はない
-      // 利益は (エントリー価格 - 決済価格) * 数量 - 手数料
-      const entryValue = this.position.units * this.position.entryPrice;
-      const exitValue = this.position.units * exitPrice;
-      const fee = exitValue * this.fee;
+    // 一部決済ではエントリー手数料を決済する数量の割合で配分する
+    const isPartial = units !== undefined && units < this.position.units;
+    const closeUnits = isPartial ? units : this.position.units;
+    const entryFee = this.position.fee * (closeUnits / this.position.units);
 
-      profit = entryValue - exitValue - fee - this.position.fee;
-      positionValue = entryValue; // 参照用の値
+    // 借入利息・資金調達料も決済する数量の割合で配分する（残高からは保有中に差し引き済み）
+    const carryingCost =
+      this.position.carryingCost * (closeUnits / this.position.units);
 
-      // 残高を更新
-      this.currentBalance += entryValue - exitValue - fee;
-    }
+    // 残高は証拠金として扱い、エントリー時は手数料のみ、決済時は実現損益と手数料を反映する
+    // （ロングもショートも (決済価格 - エントリー価格) × 数量 × 方向 が実現損益）
+    const exitPrice = this.adjustPrice(signal.price, signal.type);
+    const direction = this.position.type === "BUY" ? 1 : -1;
+    const pnl = direction * (exitPrice - this.position.entryPrice) * closeUnits;
+    const exitFee = closeUnits * exitPrice * this.fee;
+    const profit = pnl - exitFee - entryFee - carryingCost;
+
+    // 保有中の最大逆行幅・最大順行幅（決済した足の決済価格までを含める）
+    const isLong = this.position.type === "BUY";
+    const { mae, mfe } = performanceMetrics.tradeExcursions(
+      this.position.type,
+      this.position.entryPrice,
+      isLong
+        ? Math.max(this.position.bestPrice, exitPrice)
+        : Math.min(this.position.bestPrice, exitPrice),
+      isLong
+        ? Math.min(this.position.worstPrice, exitPrice)
+        : Math.max(this.position.worstPrice, exitPrice)
+    );
+
+    // 残高を更新
+    this.currentBalance += pnl - exitFee;
 
     // 取引を記録
+    this.position.legs++;
     this.trades.push({
       type: this.position.type,
       entryPrice: this.position.entryPrice,
       exitPrice,
-      units: this.position.units,
+      units: closeUnits,
       entryTime: this.position.entryTime,
       exitTime: signal.time,
       entryCandleIndex: this.position.entryCandleIndex,
       exitCandleIndex: signal.candleIndex,
       profit,
-      fee: this.position.fee + positionValue * this.fee,
+      profitPercentage:
+        (profit / (closeUnits * this.position.entryPrice)) * 100, // 投入額に対する損益率（%）
+      fee: entryFee + exitFee,
+      carryingCost, // 借入利息・資金調達料（負の値は受け取り）
+      rMultiple:
+        this.position.riskPerUnit > 0
+          ? profit / (this.position.riskPerUnit * closeUnits)
+          : null, // エントリー時のリスク（1R）に対する損益
+      mae, // 最大逆行幅（エントリー価格に対する%）
+      mfe, // 最大順行幅（エントリー価格に対する%）
       exitReason: signal.reason || "SIGNAL",
+      source: this.position.source, // エントリーしたシグナルの発生元
+      strategy: this.position.strategy, // アンサンブル戦略でエントリーを決めたサブ戦略
+      positionId: this.position.id, // 同じポジションの分割決済は同じID
+      leg: this.position.legs, // ポジション内の決済の順番（1から）
+      partial: isPartial, // 決済後もポジションが残る場合はtrue
     });
 
     logger.debug(
-      `ポジションクローズ: ${this.position.type}, 利益=${profit.toFixed(
+      `ポジション${isPartial ? "一部" : ""}クローズ: ${
+        this.position.type
+      }, 数量=${closeUnits}, 利益=${profit.toFixed(
         2
       )}, 残高=${this.currentBalance.toFixed(2)}`
     );
@@ -378,6 +897,15 @@ class BacktestEngine {
     // 最大ドローダウンを更新
     this.updateMaxDrawdown();
 
+    if (isPartial) {
+      // 残りの数量・手数料・証拠金・保有コストでポジションを維持
+      this.position.margin *= 1 - closeUnits / this.position.units;
+      this.position.units -= closeUnits;
+      this.position.fee -= entryFee;
+      this.position.carryingCost -= carryingCost;
+      return;
+    }
+
     // ポジションをリセット
     this.position = null;
   }
@@ -483,21 +1011,14 @@ class BacktestEngine {
       return this.currentBalance;
     }
 
-    let positionValue = 0;
-    if (this.position.type === "BUY") {
-      // ロングポジションの評価
-      positionValue = this.position.units * currentPrice;
-    } else {
-      // ショートポジションの評価（修正）
-      // 旧: this.position.units * this.position.entryPrice * 2 - this.position.units * currentPrice;
-      // ショートポジションの利益/損失は (エントリー価格 - 現在価格) * 数量
-      const profitLoss =
-        (this.position.entryPrice - currentPrice) * this.position.units;
-      positionValue =
-        this.position.units * this.position.entryPrice + profitLoss;
-    }
-
-    return this.currentBalance + positionValue;
+    // 残高に含み損益を加える
+    const direction = this.position.type === "BUY" ? 1 : -1;
+    return (
+      this.currentBalance +
+      direction *
+        (currentPrice - this.position.entryPrice) *
+        this.position.units
+    );
   }
 
   /**
@@ -551,6 +1072,65 @@ class BacktestEngine {
     }
   }
 
+  /**
+   * 市場レジーム（トレンド/レンジ）を検出
+   * @param {Array} candles - ローソク足データ
+   * @returns {Array} - 市場レジームの配列（time, regime, adx, normalizedVolatility）
+   */
+  detectMarketRegimes(candles) {
+    logger.debug("市場レジーム検出中...");
+
+    const closes = candles.map((candle) => candle.close);
+    const marketRegimes = [];
+
+    // ADXを使用してトレンド強度を測定
+    const adxPeriod = 14;
+    const adxValues = technicalIndicators.adx(
+      candles.map((c) => c.high),
+      candles.map((c) => c.low),
+      closes,
+      adxPeriod
+    ).adx;
+
+    // ボラティリティ測定のためのATR
+    const atrPeriod = 14;
+    const atrValues = this.calculateAtr(candles, atrPeriod);
+
+    // 各ローソク足に市場レジームを割り当て
+    for (let i = adxPeriod; i < candles.length; i++) {
+      const adx = adxValues[i];
+      if (adx === undefined) continue;
+      const atr = atrValues[i];
+      const avgAtr =
+        atrValues.slice(i - 10, i).reduce((sum, val) => sum + val, 0) / 10;
+      const normalizedAtr = atr / avgAtr;
+
+      let regime;
+      if (adx > 25) {
+        // 強いトレンド
+        regime = "STRONG_TREND";
+      } else if (adx > 20) {
+        // 弱いトレンド
+        regime = "WEAK_TREND";
+      } else {
+        // レンジ相場
+        regime = "RANGE";
+      }
+
+      marketRegimes.push({
+        time: candles[i].time,
+        regime,
+        adx,
+        normalizedVolatility: normalizedAtr,
+      });
+    }
+
+    this.marketRegimes = marketRegimes;
+    logger.debug(`市場レジーム検出完了: ${marketRegimes.length}ポイント分析`);
+
+    return marketRegimes;
+  }
+
   /**
    * ATR（Average True Range）を計算
    * @param {Array} candles - ローソク足データ
@@ -631,36 +1211,16 @@ class BacktestEngine {
           losingTrades.length
         : 0;
 
-    // 安全なプロフィットファクター計算
-    let profitFactor = 0;
-
-    if (winningTrades.length > 0) {
-      const totalWinnings = winningTrades.reduce(
-        (sum, trade) => sum + trade.profit,
-        0
-      );
-
-      if (losingTrades.length > 0) {
-        const totalLosses = Math.abs(
-          losingTrades.reduce((sum, trade) => sum + trade.profit, 0)
-        );
-
-        // 損失がゼロでなければ計算、そうでなければ無限大（技術的には大きな数値）
-        profitFactor =
-          totalLosses > 0
-            ? totalWinnings / totalLosses
-            : Number.MAX_SAFE_INTEGER;
-      } else {
-        // 負けトレードがない場合は理論上無限大
-        profitFactor = Number.MAX_SAFE_INTEGER;
-      }
-    }
-
     const maxDrawdownPercent = this.maxDrawdown * 100;
 
-    // 追加の統計情報
-    // シャープレシオ計算
-    const sharpRatio = this.calculateSharpRatio();
+    // 資産推移と取引から計算する指標（年率換算は時間足に合わせる）
+    const metrics = performanceMetrics.calculateMetrics({
+      equity: this.equity || [],
+      trades: this.trades,
+      initialBalance,
+      finalBalance,
+      maxDrawdownPercent,
+    });
 
     // 平均保有期間
     const avgHoldingPeriod = this.calculateAverageHoldingPeriod();
@@ -682,6 +1242,19 @@ class BacktestEngine {
     const takeProfitRate =
       totalTrades > 0 ? (takeProfitHits / totalTrades) * 100 : 0;
 
+    // 決済ルールによる決済（取引は分割決済のレッグ単位で数える）
+    const countByReason = (reason) =>
+      this.trades.filter((trade) => trade.exitReason === reason).length;
+    const totalPositions = new Set(this.trades.map((trade) => trade.positionId))
+      .size;
+    const partialExits = countByReason("PARTIAL_TAKE_PROFIT");
+    const trailingStopRate =
+      totalTrades > 0
+        ? (countByReason("TRAILING_STOP") / totalTrades) * 100
+        : 0;
+    const breakEvenRate =
+      totalTrades > 0 ? (countByReason("BREAK_EVEN") / totalTrades) * 100 : 0;
+
     return {
       initialBalance,
       finalBalance,
@@ -693,53 +1266,46 @@ class BacktestEngine {
       winRate,
       avgWin,
       avgLoss,
-      profitFactor,
+      profitFactor: metrics.profitFactor, // 負けトレードがない場合はnull
       maxDrawdownPercent,
-      sharpRatio,
+      sharpRatio: metrics.sharpeRatio,
+      sortinoRatio: metrics.sortinoRatio,
+      calmarRatio: metrics.calmarRatio,
+      ulcerIndex: metrics.ulcerIndex,
+      annualizedReturnPercent: metrics.annualizedReturnPercent,
+      annualizedVolatility: metrics.annualizedVolatility,
+      expectancy: metrics.expectancy, // 1取引あたりの平均損益（USD）
+      sqn: metrics.sqn,
+      exposurePercent: metrics.exposurePercent, // ポジションを保有していた時間の割合（%）
+      longestLosingStreak: metrics.longestLosingStreak,
+      avgMae: metrics.avgMae, // 平均最大逆行幅（%）
+      avgMfe: metrics.avgMfe, // 平均最大順行幅（%）
       avgHoldingPeriod,
       raroc,
       stopLossRate,
       takeProfitRate,
+      totalPositions,
+      partialExits,
+      trailingStopRate,
+      breakEvenRate,
+      orderStats: { ...this.orderStats }, // 指値・逆指値の約定・期限切れ・取消と部分約定、窓開けでの約定の件数
+      account: { ...this.account.describe(), ...this.accountStats }, // 口座の設定と清算・借入利息・資金調達料・建てられなかったショート
+      benchmark: this.summarizeBenchmark(profitPercent), // バイ・アンド・ホールドとの比較
     };
   }
 
   /**
-   * シャープレシオを計算
-   * @returns {number} - シャープレシオ
+   * バイ・アンド・ホールドのベンチマークと比較
+   * @param {number} profitPercent - 戦略のリターン（%）
+   * @returns {Object|null} - 比較結果（資産推移がない場合はnull）
    */
-  calculateSharpRatio() {
-    if (this.equity.length < 2) {
-      return 0;
-    }
-
-    // 日次リターンを計算
-    const dailyReturns = [];
-    for (let i = 1; i < this.equity.length; i++) {
-      const prevEquity = this.equity[i - 1].equity;
-      const currentEquity = this.equity[i].equity;
-      const dailyReturn = (currentEquity - prevEquity) / prevEquity;
-      dailyReturns.push(dailyReturn);
-    }
-
-    // リターンの平均値を計算
-    const avgReturn =
-      dailyReturns.reduce((sum, ret) => sum + ret, 0) / dailyReturns.length;
-
-    // リターンの標準偏差を計算
-    const variance =
-      dailyReturns.reduce((sum, ret) => sum + Math.pow(ret - avgReturn, 2), 0) /
-      dailyReturns.length;
-    const stdDev = Math.sqrt(variance);
-
-    // リスクフリーレート（ここでは0%と仮定）
-    const riskFreeRate = 0;
-
-    // シャープレシオ = (平均リターン - リスクフリーレート) / 標準偏差
-    // 年間換算（取引日数252日を仮定）
-    const annualizedSharpRatio =
-      stdDev !== 0 ? ((avgReturn - riskFreeRate) / stdDev) * Math.sqrt(252) : 0;
-
-    return annualizedSharpRatio;
+  summarizeBenchmark(profitPercent) {
+    const comparison = benchmark.compareToBenchmark(
+      this.equity || [],
+      this.initialBalance,
+      profitPercent
+    );
+    return comparison ? { symbol: this.benchmarkSymbol, ...comparison } : null;
   }
 
   /**
@@ -760,4 +1326,26 @@ class BacktestEngine {
   }
 }
 
+/**
+ * 有効な価格かどうか
+ * @param {*} value - 値
+ * @returns {boolean} - 正の有限数ならtrue
+ */
+function isValidPrice(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * ローソク足の中の値動きを推定する
+ * 始値に近い側（同じ距離なら安値）を先に付け、反対側を付けてから終値に向かったとみなす
+ * @param {Object} candle - ローソク足
+ * @returns {Array<number>} - [始値, 高値または安値, 安値または高値, 終値]
+ */
+function ohlcPath(candle) {
+  const { open, high, low, close } = candle;
+  return high - open < open - low
+    ? [open, high, low, close]
+    : [open, low, high, close];
+}
+
 module.exports = BacktestEngine;
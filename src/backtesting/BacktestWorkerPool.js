@@ -0,0 +1,182 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const logger = require("../utils/logger");
+
+const WORKER_PATH = path.join(__dirname, "optimizerWorker.js");
+const BACKTEST_WORKER_PATH = path.join(__dirname, "backtestWorker.js");
+
+/**
+ * バックテスト用ワーカースレッドプール
+ * ローソク足とコンテキストはワーカーの起動時に1回だけ渡し、
+ * 以降はパラメータと対象期間だけを送って評価する
+ * 最適化ではoptimizerWorker.jsで集計だけを、バックテストジョブではbacktestWorker.jsで結果全体を返す
+ */
+class BacktestWorkerPool {
+  /**
+   * コンストラクタ
+   * @param {Object} options - 設定
+   * @param {number} options.size - ワーカー数
+   * @param {string} options.strategyName - 戦略名
+   * @param {Object} options.engineOptions - BacktestEngineの設定
+   * @param {Array} options.candles - ローソク足データ
+   * @param {Object} options.context - 戦略に渡すコンテキスト（上位足など、portfolioモードではポートフォリオ全体のベンチマーク）
+   * @param {Array} options.markets - ポートフォリオの銘柄ごとのデータ（{ symbol, strategyName, strategyParams, candles, context }、portfolioモードのみ）
+   * @param {string} options.mode - バックテストのモード（指定するとバックテストジョブ用ワーカーで結果全体を返す）
+   */
+  constructor(options) {
+    this.workerPath = options.mode ? BACKTEST_WORKER_PATH : WORKER_PATH;
+    this.workerData = {
+      strategyName: options.strategyName,
+      engineOptions: options.engineOptions,
+      candles: options.candles,
+      context: options.context,
+      markets: options.markets,
+      mode: options.mode,
+    };
+    this.queue = []; // 空きワーカー待ちのタスク
+    this.nextId = 1;
+    this.closed = false;
+    this.workers = [];
+
+    for (let i = 0; i < Math.max(1, options.size); i++) {
+      this.workers.push(this.spawn());
+    }
+
+    logger.info(`バックテストワーカーを起動しました: ${this.workers.length}件`);
+  }
+
+  /**
+   * ワーカーを起動
+   * @returns {Object} - { worker, task }
+   */
+  spawn() {
+    const slot = {
+      worker: new Worker(this.workerPath, { workerData: this.workerData }),
+      task: null,
+    };
+
+    slot.worker.on("message", (message) => {
+      const task = slot.task;
+      slot.task = null;
+      if (task) {
+        if (message.error) {
+          task.resolve({ success: false, error: message.error });
+        } else {
+          task.resolve({ success: true, result: message.result });
+        }
+      }
+      this.dispatch();
+    });
+
+    // 異常終了したワーカーは実行中のタスクを失敗させて入れ替える
+    slot.worker.on("error", (error) => {
+      logger.error(`バックテストワーカーエラー: ${error.message}`);
+      this.replace(slot, error);
+    });
+
+    // エラーを出さずに終了した場合（メモリ不足による強制終了やprocess.exitなど）も入れ替える
+    // エラー後の終了と、terminateによる終了は無視する
+    slot.worker.on("exit", (code) => {
+      if (this.closed || !this.workers.includes(slot)) return;
+      logger.error(`バックテストワーカーが終了しました: 終了コード=${code}`);
+      this.replace(
+        slot,
+        new Error(`バックテストワーカーが終了しました（終了コード: ${code}）`)
+      );
+    });
+
+    return slot;
+  }
+
+  /**
+   * 終了したワーカーの実行中のタスクを失敗させ、新しいワーカーに入れ替える
+   * @param {Object} slot - 終了したワーカー（{ worker, task }）
+   * @param {Error} error - タスクを失敗させるエラー
+   */
+  replace(slot, error) {
+    const index = this.workers.indexOf(slot);
+    if (index < 0) return;
+
+    const task = slot.task;
+    slot.task = null;
+    if (task) {
+      task.reject(error);
+    }
+    if (!this.closed) {
+      this.workers[index] = this.spawn();
+      this.dispatch();
+    }
+  }
+
+  /**
+   * パラメータを評価
+   * @param {Object} params - 戦略パラメータ（portfolioモードでは銘柄ごとのパラメータを使うため無視される）
+   * @param {number} start - ローソク足の開始インデックス
+   * @param {number} end - ローソク足の終了インデックス（含まない）
+   * @returns {Promise<Object>} - { success, result } または { success: false, error }
+   */
+  run(params, start, end) {
+    if (this.closed) {
+      return Promise.reject(new Error("ワーカープールは終了しています"));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        id: this.nextId++,
+        params,
+        start,
+        end,
+        resolve,
+        reject,
+      });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * 空いているワーカーにタスクを割り当てる
+   */
+  dispatch() {
+    for (const slot of this.workers) {
+      if (this.queue.length === 0) return;
+      if (slot.task) continue;
+
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.worker.postMessage({
+        id: task.id,
+        params: task.params,
+        start: task.start,
+        end: task.end,
+      });
+    }
+  }
+
+  /**
+   * プールを終了（待機中・実行中のタスクは失敗する）
+   * @param {string} reason - タスクを失敗させる理由
+   * @returns {Promise<void>}
+   */
+  async terminate(reason = "ワーカープールは終了しています") {
+    if (this.closed) return;
+    this.closed = true;
+
+    const pending = [
+      ...this.queue,
+      ...this.workers.map((slot) => slot.task).filter(Boolean),
+    ];
+    this.queue = [];
+    for (const task of pending) {
+      task.reject(new Error(reason));
+    }
+
+    await Promise.all(
+      this.workers.map((slot) => {
+        slot.task = null;
+        return slot.worker.terminate();
+      })
+    );
+  }
+}
+
+module.exports = BacktestWorkerPool;
@@ -1,7 +1,7 @@
 const logger = require("../utils/logger");
 const config = require("../config/config");
 const BacktestEngine = require("./BacktestEngine");
-const technicalIndicators = require("../utils/technicalIndicators");
+const performanceMetrics = require("./performanceMetrics");
 
 /**
  * 拡張バックテストエンジン
@@ -18,11 +18,6 @@ class ImprovedBacktestEngine extends BacktestEngine {
     // マルチタイムフレーム設定
     this.useMultiTimeframe = options.useMultiTimeframe || false;
     this.timeframes = options.timeframes || ["1h", "4h", "1d"];
-    this.timeframeWeights = options.timeframeWeights || {
-      "1h": 0.3,
-      "4h": 0.3,
-      "1d": 0.4,
-    };
 
     // モンテカルロシミュレーション設定
     this.monteCarloSimulations = options.monteCarloSimulations || 1000;
@@ -35,7 +30,6 @@ class ImprovedBacktestEngine extends BacktestEngine {
 
     // パフォーマンス分析
     this.detailedMetrics = options.detailedMetrics || true;
-    this.benchmarkSymbol = options.benchmarkSymbol || "BTC/USDT";
 
     // トレード分析
     this.tradeStatistics = [];
@@ -48,7 +42,7 @@ class ImprovedBacktestEngine extends BacktestEngine {
    * 拡張バックテストを実行
    * @param {Array} candles - ローソク足データ
    * @param {Object} strategy - 戦略インスタンス
-   * @param {Object} additionalOptions - 追加オプション
+   * @param {Object} additionalOptions - 追加オプション（runMonteCarloSimulation, context）
    * @returns {Object} - バックテスト結果
    */
   run(candles, strategy, additionalOptions = {}) {
@@ -71,7 +65,11 @@ class ImprovedBacktestEngine extends BacktestEngine {
       }
 
       // 通常のバックテスト実行
-      const baseResult = super.run(candles, strategy);
+      const baseResult = super.run(
+        candles,
+        strategy,
+        additionalOptions.context || {}
+      );
 
       if (!baseResult.success) {
         return baseResult;
@@ -94,6 +92,9 @@ class ImprovedBacktestEngine extends BacktestEngine {
           ? this.getDetailedMetrics()
           : null,
         monteCarloResults,
+        marketRegimeSummary: this.marketRegimeDetection
+          ? this.summarizeMarketRegimes()
+          : null,
       };
     } catch (error) {
       logger.error(`拡張バックテストエラー: ${error.message}`);
@@ -102,58 +103,19 @@ class ImprovedBacktestEngine extends BacktestEngine {
   }
 
   /**
-   * 市場レジーム（トレンド/レンジ）を検出
-   * @param {Array} candles - ローソク足データ
+   * 検出した市場レジームの割合を集計
+   * @returns {Object} - レジーム => 割合（%）
    */
-  detectMarketRegimes(candles) {
-    logger.debug("市場レジーム検出中...");
-
-    const closes = candles.map((candle) => candle.close);
-    const marketRegimes = [];
-
-    // ADXを使用してトレンド強度を測定
-    const adxPeriod = 14;
-    const adxValues = technicalIndicators.adx(
-      candles.map((c) => c.high),
-      candles.map((c) => c.low),
-      closes,
-      adxPeriod
-    );
-
-    // ボラティリティ測定のためのATR
-    const atrPeriod = 14;
-    const atrValues = this.calculateAtr(candles, atrPeriod);
-
-    // 各ローソク足に市場レジームを割り当て
-    for (let i = adxPeriod; i < candles.length; i++) {
-      const adx = adxValues[i];
-      const atr = atrValues[i];
-      const avgAtr =
-        atrValues.slice(i - 10, i).reduce((sum, val) => sum + val, 0) / 10;
-      const normalizedAtr = atr / avgAtr;
-
-      let regime;
-      if (adx > 25) {
-        // 強いトレンド
-        regime = "STRONG_TREND";
-      } else if (adx > 20) {
-        // 弱いトレンド
-        regime = "WEAK_TREND";
-      } else {
-        // レンジ相場
-        regime = "RANGE";
-      }
-
-      marketRegimes.push({
-        time: candles[i].time,
-        regime,
-        adx,
-        normalizedVolatility: normalizedAtr,
-      });
+  summarizeMarketRegimes() {
+    const regimes = this.marketRegimes || [];
+    const summary = {};
+    for (const { regime } of regimes) {
+      summary[regime] = (summary[regime] || 0) + 1;
     }
-
-    this.marketRegimes = marketRegimes;
-    logger.debug(`市場レジーム検出完了: ${marketRegimes.length}ポイント分析`);
+    for (const regime in summary) {
+      summary[regime] = (summary[regime] / regimes.length) * 100;
+    }
+    return summary;
   }
 
   /**
@@ -222,8 +184,13 @@ class ImprovedBacktestEngine extends BacktestEngine {
       };
     }
 
-    // 各トレードの収益率を計算
-    const returns = trades.map((trade) => trade.profitPercentage / 100);
+    // 各トレードの口座全体に対する収益率（取引前の残高に対する損益）を計算
+    let balance = this.initialBalance;
+    const returns = trades.map((trade) => {
+      const returnRate = trade.profit / balance;
+      balance += trade.profit;
+      return returnRate;
+    });
 
     // シミュレーション結果
     const simulationResults = [];
@@ -231,12 +198,13 @@ class ImprovedBacktestEngine extends BacktestEngine {
 
     // モンテカルロシミュレーションを実行
     for (let i = 0; i < this.monteCarloSimulations; i++) {
-      const shuffledReturns = this.shuffleArray([...returns]);
+      // 並べ替えだけでは最終資産が変わらないため、復元抽出でトレード列を作る
+      const sampledReturns = this.resampleArray(returns);
       let equity = this.initialBalance;
       const equityCurve = [equity];
 
       // トレードをシミュレート
-      for (const returnRate of shuffledReturns) {
+      for (const returnRate of sampledReturns) {
         equity = equity * (1 + returnRate);
         equityCurve.push(equity);
       }
@@ -260,7 +228,15 @@ class ImprovedBacktestEngine extends BacktestEngine {
     const bestCase = finalEquities[finalEquities.length - 1];
     const medianCase = finalEquities[Math.floor(finalEquities.length / 2)];
     const lowerBound = finalEquities[lowerIndex];
-    const upperBound = finalEquities[upperIndex];
+    const upperBound =
+      finalEquities[Math.min(upperIndex, finalEquities.length - 1)];
+
+    // 最終資産の分布（ヒストグラム）と損失で終わる確率
+    const distribution = this.createHistogram(finalEquities, 20);
+    const probabilityOfLoss =
+      (finalEquities.filter((value) => value < this.initialBalance).length /
+        finalEquities.length) *
+      100;
 
     logger.info(
       `モンテカルロシミュレーション完了: 中央値=${medianCase.toFixed(2)}`
@@ -276,6 +252,8 @@ class ImprovedBacktestEngine extends BacktestEngine {
         upper: upperBound,
         percentage: this.confidenceInterval * 100,
       },
+      distribution,
+      probabilityOfLoss,
       simulationResults: simulationResults.slice(0, 10), // 最初の10シミュレーションのみ返す
     };
   }
@@ -487,49 +465,29 @@ class ImprovedBacktestEngine extends BacktestEngine {
   }
 
   /**
-   * ボラティリティ調整済みリターンを計算
+   * ボラティリティ調整済みリターンを計算（年率換算は時間足に合わせる）
    * @param {Array} equity - 資産推移データ
    */
   calculateVolatilityAdjustedReturns(equity) {
     if (!equity || equity.length < 2) return;
 
-    const returns = [];
-
-    // 日次リターンを計算
-    for (let i = 1; i < equity.length; i++) {
-      const current = equity[i].equity;
-      const previous = equity[i - 1].equity;
-
-      const dailyReturn = (current - previous) / previous;
-      returns.push(dailyReturn);
-    }
-
-    // 平均リターンとボラティリティを計算
-    const avgReturn =
-      returns.reduce((sum, ret) => sum + ret, 0) / returns.length;
-    const variance =
-      returns.reduce((sum, ret) => sum + Math.pow(ret - avgReturn, 2), 0) /
-      returns.length;
-    const volatility = Math.sqrt(variance);
-
-    // シャープレシオ（無リスク金利は0と仮定）
-    const sharpeRatio = avgReturn / volatility;
-
-    // ソルティノレシオ（下方リスクのみ考慮）
-    const negativeReturns = returns.filter((ret) => ret < 0);
-    const downDeviation = Math.sqrt(
-      negativeReturns.reduce((sum, ret) => sum + Math.pow(ret, 2), 0) /
-        negativeReturns.length
+    const returns = performanceMetrics.toReturns(
+      equity.map((point) => point.equity)
     );
-    const sortinoRatio = avgReturn / downDeviation;
+    const periodsPerYear = performanceMetrics.getPeriodsPerYear(equity);
+
+    // 1本あたりの平均リターンとボラティリティ
+    const avgReturn = performanceMetrics.mean(returns);
+    const volatility = Math.sqrt(performanceMetrics.variance(returns));
 
     this.volatilityAdjustedReturns = {
-      avgDailyReturn: avgReturn,
-      dailyVolatility: volatility,
-      annualizedReturn: avgReturn * 365,
-      annualizedVolatility: volatility * Math.sqrt(365),
-      sharpeRatio,
-      sortinoRatio,
+      avgReturn,
+      volatility,
+      periodsPerYear,
+      annualizedReturn: avgReturn * periodsPerYear,
+      annualizedVolatility: volatility * Math.sqrt(periodsPerYear),
+      sharpeRatio: performanceMetrics.sharpeRatio(returns, periodsPerYear),
+      sortinoRatio: performanceMetrics.sortinoRatio(returns, periodsPerYear),
     };
   }
 
@@ -547,16 +505,40 @@ class ImprovedBacktestEngine extends BacktestEngine {
   }
 
   /**
-   * 配列をシャッフル（Fisher-Yates アルゴリズム）
-   * @param {Array} array - シャッフルする配列
-   * @returns {Array} - シャッフルされた配列
+   * ソート済みの値からヒストグラムを作成
+   * @param {Array<number>} sortedValues - 昇順にソートされた値
+   * @param {number} binCount - 区間の数
+   * @returns {Array} - 区間ごとの度数 [{ from, to, count }]
    */
-  shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
+  createHistogram(sortedValues, binCount) {
+    const min = sortedValues[0];
+    const max = sortedValues[sortedValues.length - 1];
+    const width = (max - min) / binCount;
+
+    // すべて同じ値の場合は1区間にまとめる
+    if (width === 0) {
+      return [{ from: min, to: max, count: sortedValues.length }];
     }
-    return array;
+
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+      from: min + width * i,
+      to: min + width * (i + 1),
+      count: 0,
+    }));
+    for (const value of sortedValues) {
+      const index = Math.min(Math.floor((value - min) / width), binCount - 1);
+      bins[index].count++;
+    }
+    return bins;
+  }
+
+  /**
+   * 配列から同じ長さの標本を復元抽出（ブートストラップ）
+   * @param {Array} array - 元の配列
+   * @returns {Array} - 抽出した配列
+   */
+  resampleArray(array) {
+    return array.map(() => array[Math.floor(Math.random() * array.length)]);
   }
 }
 
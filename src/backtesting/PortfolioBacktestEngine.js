@@ -0,0 +1,419 @@
+const logger = require("../utils/logger");
+const BacktestEngine = require("./BacktestEngine");
+const benchmark = require("./benchmark");
+
+/**
+ * ポートフォリオ内の1銘柄を扱うエンジン
+ * ポジションの管理はBacktestEngineのまま使い、残高とポジションIDはポートフォリオ全体で共有する
+ */
+class PortfolioSymbolEngine extends BacktestEngine {
+  /**
+   * コンストラクタ
+   * @param {Object} options - BacktestEngineの設定（symbolを含む）
+   * @param {PortfolioBacktestEngine} portfolio - 残高を共有するポートフォリオ
+   */
+  constructor(options, portfolio) {
+    super(options);
+    this.portfolio = portfolio;
+  }
+
+  // 残高はポートフォリオの現金残高（基底クラスのコンストラクタでの代入時はまだ共有されていない）
+  get currentBalance() {
+    return this.portfolio ? this.portfolio.currentBalance : this.initialBalance;
+  }
+
+  set currentBalance(value) {
+    if (this.portfolio) {
+      this.portfolio.currentBalance = value;
+    }
+  }
+
+  // ポジションIDは銘柄をまたいで一意にする
+  get nextPositionId() {
+    return this.portfolio ? this.portfolio.nextPositionId : 1;
+  }
+
+  set nextPositionId(value) {
+    if (this.portfolio) {
+      this.portfolio.nextPositionId = value;
+    }
+  }
+
+  getMaxPositionNotional(signal) {
+    return this.portfolio.getMaxPositionNotional(this, signal);
+  }
+}
+
+/**
+ * ポートフォリオバックテストエンジン
+ * 複数の銘柄で戦略を同時に実行し、1つの現金残高を共有する
+ * 同時に保有するポジション数と銘柄ごとの想定元本（純資産に対する%）を制限し、
+ * ポートフォリオ全体の資産推移、銘柄間の相関、銘柄ごとの寄与を集計する
+ */
+class PortfolioBacktestEngine extends BacktestEngine {
+  /**
+   * コンストラクタ
+   * @param {Object} options - BacktestEngineの設定に加えて maxConcurrentPositions, maxExposurePercent
+   */
+  constructor(options = {}) {
+    super(options);
+    this.engineOptions = options;
+    this.maxConcurrentPositions = options.maxConcurrentPositions || 3; // 同時に保有するポジションの上限
+    this.maxExposurePercent = options.maxExposurePercent || 100; // 1銘柄の想定元本の上限（純資産に対する%）
+    this.engines = [];
+    this.lastPrices = new Map(); // 銘柄 => 直近の終値
+  }
+
+  /**
+   * ポートフォリオバックテストを実行
+   * 同じ時刻の足は銘柄の指定順に処理するため、ポジション数の上限に達した場合は先に指定した銘柄が優先される
+   * @param {Array} markets - { symbol, candles, strategy, context } の配列
+   * @param {Object} context - ポートフォリオ全体のコンテキスト（benchmark。省略時は全銘柄を均等に持ち続けた場合と比較する）
+   * @returns {Object} - バックテスト結果（銘柄ごとの集計と相関を含む）
+   */
+  run(markets, context = {}) {
+    if (!markets || markets.length === 0) {
+      logger.error("ポートフォリオバックテストエラー: 銘柄がありません");
+      return { success: false, error: "銘柄がありません" };
+    }
+
+    for (const market of markets) {
+      if (!market.candles || market.candles.length === 0) {
+        logger.error(
+          `ポートフォリオバックテストエラー: ${market.symbol}のデータがありません`
+        );
+        return {
+          success: false,
+          error: `${market.symbol}のデータがありません`,
+        };
+      }
+      if (
+        !market.strategy ||
+        typeof market.strategy.generateBacktestSignals !== "function"
+      ) {
+        logger.error(
+          `ポートフォリオバックテストエラー: ${market.symbol}の戦略が無効です`
+        );
+        return { success: false, error: `${market.symbol}の戦略が無効です` };
+      }
+    }
+
+    try {
+      // 初期化（銘柄ごとのエンジンの初期化で共有の残高が書き換わるため、最後に残高を設定する）
+      this.reset([], {});
+      this.portfolioStats = { maxOpenPositions: 0, skippedEntries: 0 };
+      this.lastPrices = new Map();
+      this.engines = markets.map((market) => {
+        const engine = new PortfolioSymbolEngine(
+          { ...this.engineOptions, symbol: market.symbol },
+          this
+        );
+        engine.reset(market.candles, market.context || {});
+        return engine;
+      });
+      this.currentBalance = this.initialBalance;
+      this.nextPositionId = 1;
+
+      // 戦略には銘柄のエンジンと同じ設定でサブ戦略を評価する関数を渡す（下位足は先読みになるため渡さない）
+      const states = markets.map((market, k) => {
+        const { lowerTimeframe, ...context } = market.context || {};
+        return {
+          market,
+          signalsByIndex: groupSignalsByIndex(
+            market.strategy.generateBacktestSignals(
+              market.candles,
+              this.engines[k].createStrategyContext(context)
+            )
+          ),
+          next: 0, // 次に処理する足のインデックス
+        };
+      });
+
+      // 全銘柄の足の時刻を合わせた時間軸で処理する
+      const times = [
+        ...new Set(
+          markets.flatMap((market) => market.candles.map((c) => c.time))
+        ),
+      ].sort((a, b) => a - b);
+      this.benchmarkSymbol = context.benchmark
+        ? context.benchmark.symbol
+        : markets.map((market) => market.symbol).join(",");
+      this.benchmarkValues = benchmark.buyAndHoldEquity(
+        context.benchmark
+          ? [context.benchmark.candles]
+          : markets.map((market) => market.candles),
+        times,
+        this.initialBalance,
+        this.fee
+      );
+      const pnlSeries = markets.map(() => []); // 銘柄ごとの累積損益（含み損益を含む）
+      const priceSeries = markets.map(() => []); // 銘柄ごとの直近の終値
+
+      for (const [t, time] of times.entries()) {
+        states.forEach((state, k) => {
+          const { candles } = state.market;
+          const engine = this.engines[k];
+          if (
+            state.next < candles.length &&
+            candles[state.next].time === time
+          ) {
+            const i = state.next++;
+            engine.processCandle(candles, i, state.signalsByIndex.get(i) || []);
+            this.lastPrices.set(engine, candles[i].close);
+          }
+        });
+
+        const openPositions = this.engines.filter(
+          (engine) => engine.position
+        ).length;
+        this.portfolioStats.maxOpenPositions = Math.max(
+          this.portfolioStats.maxOpenPositions,
+          openPositions
+        );
+
+        this.engines.forEach((engine, k) => {
+          pnlSeries[k].push(this.getSymbolPnl(engine));
+          priceSeries[k].push(this.lastPrices.get(engine));
+        });
+
+        this.equity.push({
+          time,
+          balance: this.currentBalance,
+          equity: this.calculatePortfolioEquity(),
+          benchmark: this.benchmarkValues[t],
+          openPositions,
+        });
+      }
+
+      // 銘柄ごとに未約定の注文を取り消し、最後のポジションを決済
+      this.engines.forEach((engine, k) => engine.finish(markets[k].candles));
+
+      // 全銘柄の取引を決済時刻順にまとめる
+      this.trades = this.engines
+        .flatMap((engine) =>
+          engine.trades.map((trade) => ({ symbol: engine.symbol, ...trade }))
+        )
+        .sort((a, b) => a.exitTime - b.exitTime);
+      for (const engine of this.engines) {
+        for (const key of Object.keys(this.orderStats)) {
+          this.orderStats[key] += engine.orderStats[key];
+        }
+        for (const key of Object.keys(this.accountStats)) {
+          this.accountStats[key] += engine.accountStats[key];
+        }
+      }
+      this.updateMaxDrawdown();
+
+      const summary = this.generateSummary();
+      const symbols = markets.map((market) => market.symbol);
+      summary.portfolio = {
+        symbols,
+        maxConcurrentPositions: this.maxConcurrentPositions,
+        maxExposurePercent: this.maxExposurePercent,
+        ...this.portfolioStats,
+      };
+
+      logger.info(
+        `ポートフォリオバックテスト完了: ${symbols.join(",")}, 最終残高=${
+          summary.finalBalance
+        }, 収益=${summary.profit}`
+      );
+
+      return {
+        success: true,
+        result: summary,
+        trades: this.trades,
+        equity: this.equity,
+        perSymbol: this.summarizeSymbols(markets, summary.profit),
+        correlation: {
+          symbols,
+          returns: correlationMatrix(priceSeries.map(toReturns)),
+          pnl: correlationMatrix(pnlSeries.map(toDifferences)),
+        },
+      };
+    } catch (error) {
+      logger.error(`ポートフォリオバックテストエラー: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 銘柄のエンジンが新しく建てられるポジションの想定元本の上限
+   * 同時保有数の上限、他のポジションが使っている証拠金、銘柄ごとの上限を適用する
+   * @param {PortfolioSymbolEngine} engine - エントリーする銘柄のエンジン
+   * @param {Object} signal - エントリーするシグナル
+   * @returns {number} - 想定元本の上限（0ならエントリーしない）
+   */
+  getMaxPositionNotional(engine, signal) {
+    const others = this.engines.filter(
+      (other) => other !== engine && other.position
+    );
+    if (others.length >= this.maxConcurrentPositions) {
+      this.portfolioStats.skippedEntries++;
+      logger.debug(
+        `同時保有数の上限のためエントリーを見送り: ${engine.symbol} ${signal.type}`
+      );
+      return 0;
+    }
+
+    const usedMargin = others.reduce(
+      (sum, other) => sum + other.position.margin,
+      0
+    );
+    const limit = Math.min(
+      this.account.getMaxNotional(this.currentBalance - usedMargin),
+      this.calculatePortfolioEquity() * (this.maxExposurePercent / 100)
+    );
+    if (limit <= 0) {
+      this.portfolioStats.skippedEntries++;
+      return 0;
+    }
+    return limit;
+  }
+
+  /**
+   * ポートフォリオの純資産（現金残高 + 全銘柄の含み損益）
+   * @returns {number}
+   */
+  calculatePortfolioEquity() {
+    return this.engines.reduce(
+      (equity, engine) => equity + this.getUnrealizedPnl(engine),
+      this.currentBalance
+    );
+  }
+
+  /**
+   * 銘柄の含み損益（直近の終値で評価）
+   * @private
+   */
+  getUnrealizedPnl(engine) {
+    const price = this.lastPrices.get(engine);
+    if (!engine.position || price === undefined) return 0;
+    return engine.calculateEquity(price) - this.currentBalance;
+  }
+
+  /**
+   * 銘柄の累積損益（確定した損益 + 含み損益）
+   * @private
+   */
+  getSymbolPnl(engine) {
+    return (
+      engine.trades.reduce((sum, trade) => sum + trade.profit, 0) +
+      this.getUnrealizedPnl(engine)
+    );
+  }
+
+  /**
+   * 銘柄ごとの成績とポートフォリオの損益への寄与
+   * @param {Array} markets - 銘柄ごとのデータ
+   * @param {number} totalProfit - ポートフォリオ全体の損益
+   * @returns {Array} - 銘柄ごとの集計
+   */
+  summarizeSymbols(markets, totalProfit) {
+    return this.engines.map((engine, k) => {
+      const { candles } = markets[k];
+      const trades = engine.trades;
+      const profit = trades.reduce((sum, trade) => sum + trade.profit, 0);
+      const wins = trades.filter((trade) => trade.profit > 0).length;
+
+      return {
+        symbol: engine.symbol,
+        strategyName: markets[k].strategyName,
+        totalTrades: trades.length,
+        totalPositions: new Set(trades.map((trade) => trade.positionId)).size,
+        winRate: trades.length > 0 ? (wins / trades.length) * 100 : 0,
+        profit,
+        contributionPercent: (profit / this.initialBalance) * 100, // 初期資金に対する寄与（%）
+        shareOfProfit: totalProfit !== 0 ? (profit / totalProfit) * 100 : 0, // ポートフォリオ損益に占める割合（%）
+        priceChangePercent:
+          ((candles[candles.length - 1].close - candles[0].close) /
+            candles[0].close) *
+          100, // 期間中の価格変化（%）
+      };
+    });
+  }
+}
+
+/**
+ * シグナルを足のインデックスごとにまとめる
+ * @param {Array} signals - シグナルの配列
+ * @returns {Map<number, Array>} - 足のインデックス => シグナルの配列
+ */
+function groupSignalsByIndex(signals) {
+  const byIndex = new Map();
+  for (const signal of signals) {
+    if (!byIndex.has(signal.candleIndex)) {
+      byIndex.set(signal.candleIndex, []);
+    }
+    byIndex.get(signal.candleIndex).push(signal);
+  }
+  return byIndex;
+}
+
+/**
+ * 価格の列を変化率の列に変換（価格がまだない時点はundefined）
+ * @param {Array<number>} prices - 価格の列
+ * @returns {Array<number|undefined>}
+ */
+function toReturns(prices) {
+  return prices
+    .slice(1)
+    .map((price, i) =>
+      price !== undefined && prices[i] !== undefined
+        ? (price - prices[i]) / prices[i]
+        : undefined
+    );
+}
+
+/**
+ * 累積値の列を差分の列に変換
+ * @param {Array<number>} values - 累積値の列
+ * @returns {Array<number>}
+ */
+function toDifferences(values) {
+  return values.slice(1).map((value, i) => value - values[i]);
+}
+
+/**
+ * 系列間の相関係数の行列（両方の値がある時点のみを使う、分散が0の場合はnull）
+ * @param {Array<Array<number|undefined>>} series - 同じ長さの系列の配列
+ * @returns {Array<Array<number|null>>} - 相関係数の行列
+ */
+function correlationMatrix(series) {
+  return series.map((a, i) =>
+    series.map((b, j) => (i === j ? 1 : pearsonCorrelation(a, b)))
+  );
+}
+
+/**
+ * ピアソンの相関係数
+ * @param {Array<number|undefined>} a - 系列
+ * @param {Array<number|undefined>} b - 系列
+ * @returns {number|null} - 相関係数（計算できない場合はnull）
+ */
+function pearsonCorrelation(a, b) {
+  const pairs = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== undefined && b[i] !== undefined) {
+      pairs.push([a[i], b[i]]);
+    }
+  }
+  if (pairs.length < 2) return null;
+
+  const meanA = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanB = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanA) * (y - meanB);
+    varianceA += (x - meanA) ** 2;
+    varianceB += (y - meanB) ** 2;
+  }
+
+  return varianceA > 0 && varianceB > 0
+    ? covariance / Math.sqrt(varianceA * varianceB)
+    : null;
+}
+
+module.exports = PortfolioBacktestEngine;
@@ -1,19 +1,46 @@
 const BacktestEngine = require("./BacktestEngine");
-const MovingAverageCrossover = require("../strategies/MovingAverageCrossover");
+const BacktestWorkerPool = require("./BacktestWorkerPool");
+const strategyRegistry = require("../strategies");
+const multiTimeframe = require("./multiTimeframe");
+const config = require("../config/config");
 const logger = require("../utils/logger");
 
+// ウォークフォワードのアウトオブサンプル期間に必要な最小のローソク足の本数
+const MIN_WINDOW_CANDLES = 50;
+
+const CANCELLED_MESSAGE = "最適化はキャンセルされました";
+
+// 負けトレードがない（プロフィットファクターがnull）場合に適合度の計算で使う値
+const PROFIT_FACTOR_CAP = 100;
+
 /**
  * 戦略パラメータ最適化クラス
  * バックテストデータを使用して戦略パラメータを最適化します
+ * 各世代の個体はワーカースレッドのプールで並列に評価する（workers: 0の場合はメインスレッドで順番に評価）
  */
 class StrategyOptimizer {
   constructor(options = {}) {
+    const { context, onProgress, ...engineOptions } = options;
+
     this.backtestEngine = new BacktestEngine(options);
+    this.engineOptions = engineOptions; // ワーカーでBacktestEngineを作成するための設定
     this.strategyName = options.strategyName || "MovingAverageCrossover";
     this.optimizationMetric = options.optimizationMetric || "profit"; // 最適化指標（profit, winRate, profitFactor）
     this.populationSize = options.populationSize || 20; // 各世代の個体数
     this.generations = options.generations || 5; // 世代数
     this.mutationRate = options.mutationRate || 0.1; // 突然変異率
+    this.context = context || {}; // 戦略に渡すコンテキスト（上位足など）
+    this.workers =
+      options.workers !== undefined
+        ? options.workers
+        : config.optimizer.workers; // ワーカースレッド数
+
+    // 進捗通知（評価済みの個体数などを受け取るコールバック）
+    this.onProgress = onProgress || null;
+    this.progress = null;
+
+    this.pool = null;
+    this.cancelled = false;
   }
 
   /**
@@ -30,78 +57,424 @@ class StrategyOptimizer {
 
     try {
       logger.info("パラメータ最適化を開始します...");
+      this.startWorkers(candles);
+      this.progress = {
+        completed: 0,
+        total: this.generations * this.populationSize,
+      };
 
-      // 初期パラメータ集団を生成
-      let population = this.generateInitialPopulation(paramRanges);
-      let bestResult = null;
-      let bestParams = null;
-      let results = [];
-
-      // 各世代で評価・進化
-      for (let gen = 0; gen < this.generations; gen++) {
-        logger.info(`世代 ${gen + 1}/${this.generations} の評価を開始...`);
-
-        // 各パラメータセットを評価
-        for (const params of population) {
-          // 戦略を初期化
-          const strategy = this.createStrategy(params);
-
-          // バックテスト実行
-          const result = this.backtestEngine.run(candles, strategy);
-
-          if (result.success) {
-            results.push({
-              params,
-              result: result.result,
-              fitness: this.calculateFitness(result.result),
-            });
-
-            // 最良結果を更新
-            if (
-              !bestResult ||
-              this.calculateFitness(result.result) >
-                this.calculateFitness(bestResult)
-            ) {
-              bestResult = result.result;
-              bestParams = params;
-            }
-          }
+      return await this.search(candles, paramRanges, 0, candles.length);
+    } catch (error) {
+      logger.error(`最適化エラー: ${error.message}`);
+      return this.createErrorResult(error);
+    } finally {
+      await this.stopWorkers();
+    }
+  }
+
+  /**
+   * 遺伝的アルゴリズムでパラメータを探索
+   * @param {Array} candles - ローソク足データ（全期間）
+   * @param {Object} paramRanges - パラメータの範囲
+   * @param {number} start - 対象期間の開始インデックス
+   * @param {number} end - 対象期間の終了インデックス（含まない）
+   * @returns {Promise<Object>} - 最適化結果
+   */
+  async search(candles, paramRanges, start, end) {
+    // 初期パラメータ集団を生成
+    let population = this.generateInitialPopulation(paramRanges);
+    let bestResult = null;
+    let bestParams = null;
+    let results = [];
+
+    // 各世代で評価・進化
+    for (let gen = 0; gen < this.generations; gen++) {
+      logger.info(`世代 ${gen + 1}/${this.generations} の評価を開始...`);
+      this.progress.generation = gen + 1;
+      this.progress.generations = this.generations;
+
+      // 戦略を初期化できるか確認（組み合わせが無効なパラメータ（短期 >= 長期など）は評価しない）
+      const validPopulation = population.filter((params) => {
+        try {
+          this.createStrategy(params);
+          return true;
+        } catch (error) {
+          logger.debug(
+            `無効なパラメータをスキップ: ${JSON.stringify(params)} (${
+              error.message
+            })`
+          );
+          this.advanceProgress();
+          return false;
         }
+      });
+
+      // 各パラメータセットを評価
+      const evaluations = await this.evaluatePopulation(
+        validPopulation,
+        candles,
+        start,
+        end
+      );
+      this.throwIfCancelled();
+
+      for (const { params, result } of evaluations) {
+        if (!result.success) continue;
+
+        results.push({
+          params,
+          result: result.result,
+          fitness: this.calculateFitness(result.result),
+        });
+
+        // 最良結果を更新
+        if (
+          !bestResult ||
+          this.calculateFitness(result.result) >
+            this.calculateFitness(bestResult)
+        ) {
+          bestResult = result.result;
+          bestParams = params;
+        }
+      }
 
-        // 結果をソート
-        results.sort((a, b) => b.fitness - a.fitness);
+      // 結果をソート
+      results.sort((a, b) => b.fitness - a.fitness);
 
-        // 上位50%を選択
-        const topHalf = results.slice(0, Math.ceil(results.length / 2));
+      // 上位50%を選択
+      const topHalf = results.slice(0, Math.ceil(results.length / 2));
 
-        // 次世代を生成
-        if (gen < this.generations - 1) {
-          population = this.generateNextGeneration(topHalf, paramRanges);
-          results = [];
-        }
+      if (topHalf.length === 0) {
+        throw new Error(
+          "有効なパラメータの組み合わせがありません。パラメータ範囲を見直してください"
+        );
+      }
+
+      // 次世代を生成
+      if (gen < this.generations - 1) {
+        population = this.generateNextGeneration(topHalf, paramRanges);
+        results = [];
+      }
+
+      logger.info(
+        `世代 ${gen + 1} 完了: 最良適合度=${topHalf[0].fitness.toFixed(2)}`
+      );
+    }
+
+    return {
+      success: true,
+      bestParams,
+      bestResult,
+      allResults: results.map((r) => ({
+        params: r.params,
+        profit: r.result.profit,
+        profitPercent: r.result.profitPercent,
+        winRate: r.result.winRate,
+        trades: r.result.totalTrades,
+        profitFactor: r.result.profitFactor,
+        fitness: r.fitness,
+      })),
+    };
+  }
+
+  /**
+   * パラメータ集団を評価
+   * ワーカープールがあれば並列に、なければ1件ずつ順番に評価する（結果は集団の順序に揃える）
+   * @param {Array} population - パラメータセットの配列
+   * @param {Array} candles - ローソク足データ（全期間）
+   * @param {number} start - 対象期間の開始インデックス
+   * @param {number} end - 対象期間の終了インデックス（含まない）
+   * @returns {Promise<Array>} - { params, result } の配列
+   */
+  async evaluatePopulation(population, candles, start, end) {
+    const evaluateOne = async (params) => {
+      const result = await this.evaluate(params, candles, start, end);
+      this.advanceProgress();
+      return { params, result };
+    };
+
+    if (this.pool) {
+      return Promise.all(population.map(evaluateOne));
+    }
+
+    const evaluations = [];
+    for (const params of population) {
+      evaluations.push(await evaluateOne(params));
+    }
+    return evaluations;
+  }
+
+  /**
+   * パラメータセットを1つ評価
+   * @param {Object} params - 戦略パラメータ
+   * @param {Array} candles - ローソク足データ（全期間）
+   * @param {number} start - 対象期間の開始インデックス
+   * @param {number} end - 対象期間の終了インデックス（含まない）
+   * @returns {Promise<Object>} - バックテスト結果（resultに集計を含む）
+   */
+  async evaluate(params, candles, start, end) {
+    if (this.pool) {
+      return this.pool.run(params, start, end);
+    }
+
+    // メインスレッドで評価する場合も、1件ごとにイベントループへ処理を譲る
+    await new Promise((resolve) => setImmediate(resolve));
+    this.throwIfCancelled();
+
+    return this.backtestEngine.run(
+      candles.slice(start, end),
+      this.createStrategy(params),
+      multiTimeframe.sliceTimeframeContext(this.context, start, end)
+    );
+  }
+
+  /**
+   * 最適化をキャンセル（実行中の評価は中断され、optimize/walkForwardはエラーを返す）
+   */
+  cancel() {
+    if (this.cancelled) return;
+
+    this.cancelled = true;
+    logger.info("最適化をキャンセルします");
+    if (this.pool) {
+      this.pool.terminate(CANCELLED_MESSAGE);
+    }
+  }
+
+  /**
+   * キャンセル済みなら例外を投げる
+   */
+  throwIfCancelled() {
+    if (this.cancelled) {
+      throw new Error(CANCELLED_MESSAGE);
+    }
+  }
+
+  /**
+   * ワーカープールを起動（ローソク足とコンテキストは各ワーカーに1回だけ渡す）
+   * @param {Array} candles - ローソク足データ（全期間）
+   */
+  startWorkers(candles) {
+    this.throwIfCancelled();
+    if (this.workers <= 0) return;
+
+    this.pool = new BacktestWorkerPool({
+      size: this.workers,
+      strategyName: this.strategyName,
+      engineOptions: this.engineOptions,
+      candles,
+      context: this.context,
+    });
+  }
 
-        logger.info(
-          `世代 ${gen + 1} 完了: 最良適合度=${topHalf[0].fitness.toFixed(2)}`
+  /**
+   * ワーカープールを終了
+   * @returns {Promise<void>}
+   */
+  async stopWorkers() {
+    if (this.pool) {
+      const pool = this.pool;
+      this.pool = null;
+      await pool.terminate();
+    }
+  }
+
+  /**
+   * 進捗を1件進めて通知
+   */
+  advanceProgress() {
+    this.progress.completed++;
+    if (this.onProgress) {
+      this.onProgress({
+        ...this.progress,
+        percent: (this.progress.completed / this.progress.total) * 100,
+      });
+    }
+  }
+
+  /**
+   * 例外から失敗の結果を作成
+   * @param {Error} error - 例外
+   * @returns {Object} - { success: false, error, cancelled }
+   */
+  createErrorResult(error) {
+    return this.cancelled
+      ? { success: false, error: CANCELLED_MESSAGE, cancelled: true }
+      : { success: false, error: error.message };
+  }
+
+  /**
+   * ウォークフォワード最適化
+   * 期間をインサンプル/アウトオブサンプルの窓に分け、インサンプルで最適化したパラメータを
+   * 直後のアウトオブサンプル期間で評価する（窓はアウトオブサンプルの長さずつずらす）
+   * アウトオブサンプルの結果をつなげた資産推移と、ウォークフォワード効率
+   * （アウトオブサンプルとインサンプルのローソク足1本あたりの収益率の比）を返す
+   * @param {Array} candles - ローソク足データ
+   * @param {Object} paramRanges - パラメータの範囲 {paramName: {min, max}}
+   * @param {Object} options - 設定（windows: 窓の数, inSampleRatio: 各窓に占めるインサンプルの割合）
+   * @returns {Promise<Object>} - ウォークフォワード結果
+   */
+  async walkForward(candles, paramRanges, options = {}) {
+    const windowCount = options.windows || 4;
+    const inSampleRatio = options.inSampleRatio || 0.7;
+
+    if (!candles || candles.length === 0) {
+      logger.error("ウォークフォワードエラー: データがありません");
+      return { success: false, error: "データがありません" };
+    }
+
+    // 全期間 = インサンプル + アウトオブサンプル × 窓の数
+    const outOfSampleSize = Math.floor(
+      candles.length / (windowCount + inSampleRatio / (1 - inSampleRatio))
+    );
+    const inSampleSize = candles.length - outOfSampleSize * windowCount;
+
+    if (outOfSampleSize < MIN_WINDOW_CANDLES) {
+      return {
+        success: false,
+        error: `データが不足しています。アウトオブサンプル期間が${MIN_WINDOW_CANDLES}本以上になるように期間を延ばすか窓の数を減らしてください`,
+      };
+    }
+
+    try {
+      logger.info(
+        `ウォークフォワード最適化を開始します: ${windowCount}窓 (インサンプル${inSampleSize}本, アウトオブサンプル${outOfSampleSize}本)`
+      );
+
+      this.startWorkers(candles);
+      this.progress = {
+        completed: 0,
+        total: windowCount * this.generations * this.populationSize,
+        windows: windowCount,
+      };
+
+      const initialBalance = this.backtestEngine.initialBalance;
+      const windows = [];
+      const equity = [];
+      const trades = [];
+      let balance = initialBalance;
+
+      for (let w = 0; w < windowCount; w++) {
+        const inSampleStart = w * outOfSampleSize;
+        const outOfSampleStart = inSampleStart + inSampleSize;
+        const outOfSampleEnd = outOfSampleStart + outOfSampleSize;
+
+        logger.info(`ウォークフォワード 窓 ${w + 1}/${windowCount}`);
+        this.progress.window = w + 1;
+
+        // インサンプル期間で最適化
+        const inSample = await this.search(
+          candles,
+          paramRanges,
+          inSampleStart,
+          outOfSampleStart
         );
+
+        // アウトオブサンプル期間で評価
+        // インサンプル期間は指標の計算にのみ使い、取引はアウトオブサンプル期間に限る
+        // （メインスレッドで実行するため、先にイベントループへ処理を譲ってキャンセルを確認する）
+        await new Promise((resolve) => setImmediate(resolve));
+        this.throwIfCancelled();
+        const outOfSample = this.backtestEngine.run(
+          candles.slice(inSampleStart, outOfSampleEnd),
+          tradeFrom(this.createStrategy(inSample.bestParams), inSampleSize),
+          multiTimeframe.sliceTimeframeContext(
+            this.context,
+            inSampleStart,
+            outOfSampleEnd
+          )
+        );
+        if (!outOfSample.success) {
+          throw new Error(outOfSample.error);
+        }
+
+        // 前の窓の最終資産から続くように資産推移をつなげる
+        // （シグナルがなかった窓は資産が横ばい）
+        const scale = balance / initialBalance;
+        const segment = outOfSample.equity
+          ? outOfSample.equity.slice(inSampleSize)
+          : candles
+              .slice(outOfSampleStart, outOfSampleEnd)
+              .map((candle) => ({ time: candle.time, equity: initialBalance }));
+        for (const point of segment) {
+          equity.push({
+            time: point.time,
+            equity: point.equity * scale,
+            window: w + 1,
+          });
+        }
+        balance *= 1 + outOfSample.result.profitPercent / 100;
+
+        for (const trade of outOfSample.trades) {
+          trades.push({
+            ...trade,
+            entryCandleIndex: trade.entryCandleIndex + inSampleStart,
+            exitCandleIndex: trade.exitCandleIndex + inSampleStart,
+            window: w + 1,
+          });
+        }
+
+        windows.push({
+          window: w + 1,
+          inSample: {
+            startTime: candles[inSampleStart].time,
+            endTime: candles[outOfSampleStart - 1].time,
+            candles: inSampleSize,
+          },
+          outOfSample: {
+            startTime: candles[outOfSampleStart].time,
+            endTime: candles[outOfSampleEnd - 1].time,
+            candles: outOfSampleSize,
+          },
+          bestParams: inSample.bestParams,
+          inSampleResult: inSample.bestResult,
+          outOfSampleResult: outOfSample.result,
+          efficiency: calculateEfficiency(
+            outOfSample.result.profitPercent / outOfSampleSize,
+            inSample.bestResult.profitPercent / inSampleSize
+          ),
+        });
       }
 
+      // ウォークフォワード効率（窓全体の平均）
+      const average = (values) =>
+        values.reduce((sum, value) => sum + value, 0) / values.length;
+      const walkForwardEfficiency = calculateEfficiency(
+        average(windows.map((w) => w.outOfSampleResult.profitPercent)) /
+          outOfSampleSize,
+        average(windows.map((w) => w.inSampleResult.profitPercent)) /
+          inSampleSize
+      );
+
+      const winningTrades = trades.filter((trade) => trade.profit > 0).length;
+
+      logger.info(
+        `ウォークフォワード最適化完了: 最終資産=${balance.toFixed(
+          2
+        )}, 効率=${walkForwardEfficiency}`
+      );
+
       return {
         success: true,
-        bestParams,
-        bestResult,
-        allResults: results.map((r) => ({
-          params: r.params,
-          profit: r.result.profit,
-          profitPercent: r.result.profitPercent,
-          winRate: r.result.winRate,
-          trades: r.result.totalTrades,
-          profitFactor: r.result.profitFactor,
-          fitness: r.fitness,
-        })),
+        windows,
+        equity,
+        trades,
+        summary: {
+          initialBalance,
+          finalBalance: balance,
+          profit: balance - initialBalance,
+          profitPercent: (balance / initialBalance - 1) * 100,
+          totalTrades: trades.length,
+          winRate:
+            trades.length > 0 ? (winningTrades / trades.length) * 100 : 0,
+          walkForwardEfficiency,
+        },
       };
     } catch (error) {
-      logger.error(`最適化エラー: ${error.message}`);
-      return { success: false, error: error.message };
+      logger.error(`ウォークフォワードエラー: ${error.message}`);
+      return this.createErrorResult(error);
+    } finally {
+      await this.stopWorkers();
     }
   }
 
@@ -144,6 +517,9 @@ class StrategyOptimizer {
    * @returns {number} - 適合度スコア
    */
   calculateFitness(result) {
+    const profitFactor =
+      result.profitFactor === null ? PROFIT_FACTOR_CAP : result.profitFactor;
+
     switch (this.optimizationMetric) {
       case "profit":
         return result.profit;
@@ -152,12 +528,10 @@ class StrategyOptimizer {
       case "winRate":
         return result.winRate;
       case "profitFactor":
-        return result.profitFactor;
+        return profitFactor;
       case "combined":
         // 複合スコア: 利益率 * 勝率 * プロフィットファクター
-        return (
-          result.profitPercent * (result.winRate / 100) * result.profitFactor
-        );
+        return result.profitPercent * (result.winRate / 100) * profitFactor;
       default:
         return result.profit;
     }
@@ -246,13 +620,34 @@ class StrategyOptimizer {
    * @returns {Object} - 戦略インスタンス
    */
   createStrategy(params) {
-    switch (this.strategyName) {
-      case "MovingAverageCrossover":
-        return new MovingAverageCrossover(params);
-      default:
-        throw new Error(`サポートされていない戦略: ${this.strategyName}`);
-    }
+    return strategyRegistry.create(this.strategyName, params);
   }
 }
 
+/**
+ * 指定したローソク足より前のシグナルを取り除く戦略ラッパー
+ * 前の期間を指標のウォームアップにだけ使うときに利用する
+ * @param {Object} strategy - 戦略インスタンス
+ * @param {number} startIndex - 取引を開始するローソク足のインデックス
+ * @returns {Object} - generateBacktestSignalsを持つ戦略
+ */
+function tradeFrom(strategy, startIndex) {
+  return {
+    generateBacktestSignals: (candles, context) =>
+      strategy
+        .generateBacktestSignals(candles, context)
+        .filter((signal) => signal.candleIndex >= startIndex),
+  };
+}
+
+/**
+ * ウォークフォワード効率を計算
+ * @param {number} outOfSampleReturn - アウトオブサンプルのローソク足1本あたりの収益率
+ * @param {number} inSampleReturn - インサンプルのローソク足1本あたりの収益率
+ * @returns {number|null} - 効率（インサンプルで利益が出ていない場合はnull）
+ */
+function calculateEfficiency(outOfSampleReturn, inSampleReturn) {
+  return inSampleReturn > 0 ? outOfSampleReturn / inSampleReturn : null;
+}
+
 module.exports = StrategyOptimizer;
@@ -0,0 +1,342 @@
+const logger = require("../utils/logger");
+const technicalIndicators = require("../utils/technicalIndicators");
+const BacktestEngine = require("./BacktestEngine");
+
+// 移動平均クロス戦略の代替シグナル（generateAdditionalSignalsで有効になるもの）
+const ALTERNATIVE_SOURCES = [
+  "RSI_EXTREME_OVERSOLD",
+  "RSI_EXTREME_OVERBOUGHT",
+  "MACD_BULLISH_CROSS",
+  "MACD_BEARISH_CROSS",
+  "BB_LOWER_BREAK",
+  "BB_UPPER_BREAK",
+];
+
+// 時間帯の区切り（UTC、6時間ごと）
+const SESSION_HOURS = 6;
+
+// 日足以上の足では時間帯の分析を行わない
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 負けトレード分析
+ * バックテストの取引をエントリー時点の市場レジーム・時間帯・ボラティリティ・シグナルの発生元と
+ * 決済理由で分類し、負けが偏っている条件から改善提案を作成する
+ */
+class TradeAnalyzer {
+  /**
+   * コンストラクタ
+   * @param {Object} options - 設定
+   */
+  constructor(options = {}) {
+    this.atrPeriod = options.atrPeriod || 14;
+    this.rsiPeriod = options.rsiPeriod || 14;
+    this.minTrades = options.minTrades || 5; // 提案の対象にする分類ごとの最小取引数
+    this.highLossRate = options.highLossRate || 60; // 負けが多いと判断する負け率（%）
+    this.lossRateMargin = options.lossRateMargin || 15; // 全体の負け率をどれだけ上回れば偏りとみなすか（%ポイント）
+    this.stopLossShare = options.stopLossShare || 60; // ストップロスが多いと判断する負けトレード中の割合（%）
+  }
+
+  /**
+   * 取引を分析
+   * @param {Array} candles - バックテストに使用したローソク足データ
+   * @param {Array} trades - BacktestEngineの取引履歴（entryCandleIndexはcandlesのインデックス）
+   * @returns {Object} - 分類ごとの集計、負けトレードの詳細、改善提案
+   */
+  analyze(candles, trades = []) {
+    const conditions = this.calculateConditions(candles);
+    const analyzedTrades = trades.map((trade, index) =>
+      this.describeTrade(trade, index, candles, conditions)
+    );
+    const losers = analyzedTrades.filter((trade) => trade.profit <= 0);
+
+    const factors = {
+      regime: this.groupBy(analyzedTrades, (trade) => trade.regime),
+      timeOfDay: conditions.useTimeOfDay
+        ? this.groupBy(analyzedTrades, (trade) => trade.session)
+        : [],
+      volatility: this.groupBy(analyzedTrades, (trade) => trade.volatility),
+      source: this.groupBy(analyzedTrades, (trade) => trade.source),
+      exitReason: this.groupBy(analyzedTrades, (trade) => trade.exitReason),
+    };
+
+    const lossRate =
+      trades.length > 0 ? (losers.length / trades.length) * 100 : 0;
+
+    const analysis = {
+      totalTrades: trades.length,
+      losingTrades: losers.length,
+      lossRate,
+      totalLoss: losers.reduce((sum, trade) => sum + trade.profit, 0),
+      factors,
+      losingTradeDetails: losers,
+      suggestions: this.createSuggestions(factors, losers, lossRate),
+    };
+
+    logger.debug(
+      `負けトレード分析完了: ${losers.length}/${trades.length}件, 提案=${analysis.suggestions.length}件`
+    );
+
+    return analysis;
+  }
+
+  /**
+   * ローソク足ごとの市場環境を計算
+   * @param {Array} candles - ローソク足データ
+   * @returns {Object} - レジーム（ADXを含む）、ATR率、RSI、ボラティリティの境界、時間帯分析の可否
+   */
+  calculateConditions(candles) {
+    const highs = candles.map((candle) => candle.high);
+    const lows = candles.map((candle) => candle.low);
+    const closes = candles.map((candle) => candle.close);
+
+    const regimeByTime = new Map(
+      new BacktestEngine()
+        .detectMarketRegimes(candles)
+        .map((item) => [item.time, item])
+    );
+
+    const atrValues = technicalIndicators.atr(
+      highs,
+      lows,
+      closes,
+      this.atrPeriod
+    );
+    const atrPercent = atrValues.map((value, i) =>
+      value === undefined ? undefined : (value / closes[i]) * 100
+    );
+    const rsiValues = technicalIndicators.rsi(closes, this.rsiPeriod);
+
+    // ボラティリティは期間全体のATR率を3分割した境界（下位1/3・上位1/3）で分類する
+    const sortedAtr = atrPercent
+      .filter((value) => value !== undefined)
+      .sort((a, b) => a - b);
+    const volatilityBounds =
+      sortedAtr.length > 0
+        ? {
+            low: sortedAtr[Math.floor(sortedAtr.length / 3)],
+            high: sortedAtr[Math.floor((sortedAtr.length * 2) / 3)],
+          }
+        : null;
+
+    const intervalMs =
+      candles.length > 1 ? candles[1].time - candles[0].time : 0;
+
+    return {
+      regimeByTime,
+      atrPercent,
+      rsiValues,
+      volatilityBounds,
+      useTimeOfDay: intervalMs > 0 && intervalMs < DAY_MS,
+    };
+  }
+
+  /**
+   * 取引にエントリー時点の市場環境を付加
+   * @param {Object} trade - 取引
+   * @param {number} index - 取引のインデックス
+   * @param {Array} candles - ローソク足データ
+   * @param {Object} conditions - calculateConditionsの結果
+   * @returns {Object} - 分析用の取引情報
+   */
+  describeTrade(trade, index, candles, conditions) {
+    const entryIndex = trade.entryCandleIndex;
+    const entryCandle = candles[entryIndex];
+    const atrPercent = conditions.atrPercent[entryIndex];
+    const regime = entryCandle && conditions.regimeByTime.get(entryCandle.time);
+    const hour = new Date(trade.entryTime).getUTCHours();
+    const sessionStart = Math.floor(hour / SESSION_HOURS) * SESSION_HOURS;
+
+    const bounds = conditions.volatilityBounds;
+    let volatility = "UNKNOWN";
+    if (atrPercent !== undefined && bounds) {
+      volatility =
+        atrPercent >= bounds.high
+          ? "HIGH"
+          : atrPercent < bounds.low
+          ? "LOW"
+          : "NORMAL";
+    }
+
+    return {
+      tradeIndex: index,
+      type: trade.type,
+      entryTime: trade.entryTime,
+      exitTime: trade.exitTime,
+      profit: trade.profit,
+      profitPercentage: trade.profitPercentage,
+      exitReason: trade.exitReason || "SIGNAL",
+      source: trade.source || "UNKNOWN",
+      regime: regime ? regime.regime : "UNKNOWN",
+      session: `${String(sessionStart).padStart(2, "0")}-${String(
+        sessionStart + SESSION_HOURS
+      ).padStart(2, "0")}`,
+      volatility,
+      adx: regime ? regime.adx : undefined,
+      atrPercent,
+      rsi: conditions.rsiValues[entryIndex],
+    };
+  }
+
+  /**
+   * 取引を分類して負け率を集計
+   * @param {Array} trades - 分析用の取引情報
+   * @param {Function} keyOf - 分類キーを返す関数
+   * @returns {Array} - 分類ごとの集計（負けトレードの多い順）
+   */
+  groupBy(trades, keyOf) {
+    const totalLosers = trades.filter((trade) => trade.profit <= 0).length;
+    const groups = new Map();
+
+    for (const trade of trades) {
+      const key = keyOf(trade);
+      const group = groups.get(key) || {
+        key,
+        trades: 0,
+        losingTrades: 0,
+        loss: 0,
+        exitReasons: {}, // 負けトレードの決済理由 => 件数
+      };
+
+      group.trades++;
+      if (trade.profit <= 0) {
+        group.losingTrades++;
+        group.loss += trade.profit;
+        group.exitReasons[trade.exitReason] =
+          (group.exitReasons[trade.exitReason] || 0) + 1;
+      }
+      groups.set(key, group);
+    }
+
+    return Array.from(groups.values())
+      .map((group) => ({
+        ...group,
+        lossRate: (group.losingTrades / group.trades) * 100,
+        shareOfLosses:
+          totalLosers > 0 ? (group.losingTrades / totalLosers) * 100 : 0,
+      }))
+      .sort((a, b) => b.losingTrades - a.losingTrades || a.loss - b.loss);
+  }
+
+  /**
+   * 分類ごとの集計から改善提案を作成
+   * @param {Object} factors - 分類ごとの集計
+   * @param {Array} losers - 負けトレード
+   * @param {number} lossRate - 全体の負け率（%）
+   * @returns {Array} - { factor, key, message } の配列
+   */
+  createSuggestions(factors, losers, lossRate) {
+    const suggestions = [];
+    if (losers.length < this.minTrades) {
+      return suggestions;
+    }
+
+    // 負け率が全体より明らかに高い分類
+    const threshold = Math.max(
+      this.highLossRate,
+      lossRate + this.lossRateMargin
+    );
+    const isWeak = (group) =>
+      group.key !== "UNKNOWN" &&
+      group.trades >= this.minTrades &&
+      group.lossRate >= threshold;
+    const stopLossShareOf = (group) =>
+      group.losingTrades > 0
+        ? ((group.exitReasons.STOP_LOSS || 0) / group.losingTrades) * 100
+        : 0;
+
+    // 決済理由（ストップロスが負けの大半を占める場合）
+    const stopLoss = factors.exitReason.find(
+      (group) => group.key === "STOP_LOSS"
+    );
+    if (stopLoss && stopLoss.shareOfLosses >= this.stopLossShare) {
+      suggestions.push({
+        factor: "exitReason",
+        key: "STOP_LOSS",
+        message: `負けトレードの${stopLoss.shareOfLosses.toFixed(
+          0
+        )}%がストップロスで決済されています – ストップ幅（ATR倍率など）を広げるか、エントリー条件を厳しくすることを検討してください`,
+      });
+    }
+
+    // 清算（証拠金に対してレバレッジやストップ幅が大きすぎる）
+    const liquidation = factors.exitReason.find(
+      (group) => group.key === "LIQUIDATION"
+    );
+    if (liquidation) {
+      suggestions.push({
+        factor: "exitReason",
+        key: "LIQUIDATION",
+        message: `${liquidation.trades}件の決済が清算によるものです – レバレッジを下げるか、ストップを清算価格より手前に置くことを検討してください`,
+      });
+    }
+
+    // 市場レジーム
+    for (const group of factors.regime.filter(isWeak)) {
+      const stopLossShare = stopLossShareOf(group);
+      const detail =
+        stopLossShare >= this.stopLossShare
+          ? `${group.key}レジームでは負けトレードの${stopLossShare.toFixed(
+              0
+            )}%がストップロス（負け率${group.lossRate.toFixed(0)}%）`
+          : `${group.key}レジームでの負け率が${group.lossRate.toFixed(0)}%`;
+      const advice =
+        group.key === "RANGE"
+          ? "トレンドフィルターなどのフィルターを強化してレンジ相場でのエントリーを減らすことを検討してください"
+          : "トレンドに逆らうエントリーを控え、トレンド方向の取引に絞ることを検討してください";
+      suggestions.push({
+        factor: "regime",
+        key: group.key,
+        message: `${detail} – ${advice}`,
+      });
+    }
+
+    // ボラティリティ
+    for (const group of factors.volatility.filter(isWeak)) {
+      if (group.key === "NORMAL") continue;
+      suggestions.push({
+        factor: "volatility",
+        key: group.key,
+        message:
+          group.key === "HIGH"
+            ? `高ボラティリティ時の負け率が${group.lossRate.toFixed(
+                0
+              )}% – ポジションサイズを下げるか、ストップ幅を広げることを検討してください`
+            : `低ボラティリティ時の負け率が${group.lossRate.toFixed(
+                0
+              )}% – ボラティリティが低い局面ではエントリーを見送るフィルターを検討してください`,
+      });
+    }
+
+    // シグナルの発生元
+    for (const group of factors.source.filter(isWeak)) {
+      const advice = ALTERNATIVE_SOURCES.includes(group.key)
+        ? "代替シグナル（generateAdditionalSignals）を無効にするか、該当するフィルターの条件を見直すことを検討してください"
+        : "このシグナルの条件（期間・閾値）を見直すことを検討してください";
+      suggestions.push({
+        factor: "source",
+        key: group.key,
+        message: `シグナル${group.key}の負け率が${group.lossRate.toFixed(
+          0
+        )}% – ${advice}`,
+      });
+    }
+
+    // 時間帯
+    for (const group of factors.timeOfDay.filter(isWeak)) {
+      suggestions.push({
+        factor: "timeOfDay",
+        key: group.key,
+        message: `${
+          group.key
+        }時（UTC）のエントリーの負け率が${group.lossRate.toFixed(
+          0
+        )}% – この時間帯の新規エントリーを避けることを検討してください`,
+      });
+    }
+
+    return suggestions;
+  }
+}
+
+module.exports = TradeAnalyzer;
@@ -0,0 +1,232 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// 保存する資産推移の最大点数（超える場合は間引く）
+const MAX_EQUITY_POINTS = 2000;
+
+/**
+ * バックテスト結果の履歴
+ * 実行ごとに設定・サマリー・取引・資産推移をJSONファイルに保存し、一覧・削除・比較に使用する
+ * 保存先: {directory}/index.json（一覧用のサマリー）と {directory}/{id}.json（全データ）
+ */
+class BacktestHistory {
+  constructor(options = {}) {
+    this.directory =
+      options.directory || path.join(__dirname, "../../data/backtests");
+    this.maxRuns = options.maxRuns || config.backtestHistory.maxRuns;
+  }
+
+  /**
+   * バックテスト結果を保存
+   * 保持件数を超えた場合は古い結果から削除する
+   * @param {Object} run - 実行内容
+   * @param {Object} run.settings - 設定（symbol, timeframe, strategyName, params, startDate, endDate, mode, initialBalance, positionSizePercent）
+   * @param {Object} run.summary - generateSummaryの結果
+   * @param {Array} run.trades - 取引履歴
+   * @param {Array} run.equity - 資産推移
+   * @returns {Object} - 保存した結果の概要
+   */
+  save({ settings, summary, trades = [], equity = [] }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...settings,
+      summary,
+    };
+
+    this.writeJson(this.runPath(entry.id), {
+      ...entry,
+      trades,
+      equity: sampleEquity(equity, MAX_EQUITY_POINTS),
+    });
+
+    const index = [entry, ...this.readIndex()];
+    for (const removed of index.splice(this.maxRuns)) {
+      this.removeRunFile(removed.id);
+    }
+    this.writeJson(this.indexPath(), index);
+
+    logger.info(
+      `バックテスト結果を保存しました: ${entry.id} (${settings.strategyName}, ${settings.symbol} ${settings.timeframe}足)`
+    );
+    return entry;
+  }
+
+  /**
+   * 保存済みの結果の一覧（新しい順、取引と資産推移を除く）
+   * @returns {Array} - 結果の概要の配列
+   */
+  list() {
+    return this.readIndex();
+  }
+
+  /**
+   * 保存済みの結果を取得
+   * @param {string} id - 結果ID
+   * @returns {Object|null} - 取引と資産推移を含む結果（存在しない場合はnull）
+   */
+  get(id) {
+    if (!this.readIndex().some((entry) => entry.id === id)) {
+      return null;
+    }
+    return this.readJson(this.runPath(id), null);
+  }
+
+  /**
+   * 保存済みの結果を削除
+   * @param {string} id - 結果ID
+   * @returns {boolean} - 削除できた場合はtrue
+   */
+  remove(id) {
+    const index = this.readIndex();
+    const remaining = index.filter((entry) => entry.id !== id);
+    if (remaining.length === index.length) {
+      return false;
+    }
+
+    this.writeJson(this.indexPath(), remaining);
+    this.removeRunFile(id);
+    logger.info(`バックテスト結果を削除しました: ${id}`);
+    return true;
+  }
+
+  /**
+   * 複数の結果を比較
+   * 資産推移は初期資金に対する損益率（%）に揃え、期間や初期資金が異なる結果も重ねて表示できるようにする
+   * @param {Array<string>} ids - 結果IDの配列
+   * @returns {Object} - { runs } または { error }
+   */
+  compare(ids) {
+    const runs = [];
+
+    for (const id of ids) {
+      const run = this.get(id);
+      if (!run) {
+        return { error: `バックテスト結果が見つかりません: ${id}` };
+      }
+
+      const initialBalance = run.summary.initialBalance;
+      runs.push({
+        id: run.id,
+        createdAt: run.createdAt,
+        symbol: run.symbol,
+        timeframe: run.timeframe,
+        strategyName: run.strategyName,
+        params: run.params,
+        startDate: run.startDate,
+        endDate: run.endDate,
+        mode: run.mode,
+        metrics: {
+          profitPercent: run.summary.profitPercent,
+          totalTrades: run.summary.totalTrades,
+          winRate: run.summary.winRate,
+          profitFactor: run.summary.profitFactor,
+          maxDrawdownPercent: run.summary.maxDrawdownPercent,
+          sharpRatio: run.summary.sharpRatio,
+        },
+        equity: run.equity.map((point) => ({
+          time: point.time,
+          returnPercent:
+            ((point.equity - initialBalance) / initialBalance) * 100,
+        })),
+      });
+    }
+
+    return { runs };
+  }
+
+  /**
+   * 一覧を読み込む
+   * @private
+   */
+  readIndex() {
+    const index = this.readJson(this.indexPath(), []);
+    return Array.isArray(index) ? index : [];
+  }
+
+  /**
+   * 結果ファイルを削除
+   * @private
+   */
+  removeRunFile(id) {
+    try {
+      fs.rmSync(this.runPath(id), { force: true });
+    } catch (error) {
+      logger.error(`バックテスト結果削除エラー (${id}): ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  indexPath() {
+    return path.join(this.directory, "index.json");
+  }
+
+  /**
+   * IDはファイル名として使うため、ディレクトリ外を指さないようにファイル名部分だけを使う
+   * @private
+   */
+  runPath(id) {
+    return path.join(this.directory, `${path.basename(String(id))}.json`);
+  }
+
+  /**
+   * JSONファイルを読み込む（存在しない・壊れている場合は既定値）
+   * @private
+   */
+  readJson(filePath, defaultValue) {
+    try {
+      if (fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, "utf8"));
+      }
+    } catch (error) {
+      logger.error(
+        `バックテスト履歴読み込みエラー (${filePath}): ${error.message}`
+      );
+    }
+    return defaultValue;
+  }
+
+  /**
+   * JSONファイルを書き込む（ディレクトリがなければ作成）
+   * @private
+   */
+  writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data), "utf8");
+  }
+}
+
+/**
+ * 資産推移を最大点数まで間引く（最初と最後の点は残す）
+ * @param {Array} equity - 資産推移
+ * @param {number} maxPoints - 最大点数
+ * @returns {Array} - { time, equity } の配列
+ */
+function sampleEquity(equity, maxPoints) {
+  const points = equity.map((point) => ({
+    time: point.time,
+    equity: point.equity,
+  }));
+  if (points.length <= maxPoints) {
+    return points;
+  }
+
+  const step = (points.length - 1) / (maxPoints - 1);
+  const sampled = [];
+  for (let i = 0; i < maxPoints; i++) {
+    sampled.push(points[Math.round(i * step)]);
+  }
+  return sampled;
+}
+
+// 設定済みのBacktestHistoryインスタンスをエクスポート
+const backtestHistory = new BacktestHistory();
+
+// インスタンスとクラスの両方をエクスポート
+module.exports = backtestHistory;
+module.exports.BacktestHistory = BacktestHistory;
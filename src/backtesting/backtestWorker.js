@@ -0,0 +1,97 @@
+/**
+ * バックテストジョブ用ワーカー（BacktestWorkerPoolから起動される）
+ * workerDataでローソク足とコンテキストを受け取り、
+ * メッセージで送られたパラメータでバックテストと負けトレードの分析を実行して結果全体を返す
+ * ポートフォリオモードではworkerDataの銘柄ごとのデータと戦略でポートフォリオバックテストを実行する
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const BacktestEngine = require("./BacktestEngine");
+const ImprovedBacktestEngine = require("./ImprovedBacktestEngine");
+const PortfolioBacktestEngine = require("./PortfolioBacktestEngine");
+const TradeAnalyzer = require("./TradeAnalyzer");
+const strategyRegistry = require("../strategies");
+const multiTimeframe = require("./multiTimeframe");
+
+const { strategyName, engineOptions, candles, context, markets, mode } =
+  workerData;
+
+parentPort.on("message", ({ id, params, start, end }) => {
+  try {
+    const result =
+      mode === "portfolio"
+        ? runPortfolioBacktest()
+        : runBacktest(params, start, end);
+
+    if (!result.success) {
+      parentPort.postMessage({ id, error: result.error });
+      return;
+    }
+
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
+
+/**
+ * 1銘柄のバックテストを実行し、負けトレードの要因を分析
+ * @param {Object} params - 戦略パラメータ
+ * @param {number} start - ローソク足の開始インデックス
+ * @param {number} end - ローソク足の終了インデックス（含まない）
+ * @returns {Object} - バックテスト結果
+ */
+function runBacktest(params, start, end) {
+  const strategy = strategyRegistry.create(strategyName, params);
+  const targetCandles = candles.slice(start, end);
+  const targetContext = multiTimeframe.sliceTimeframeContext(
+    context,
+    start,
+    end
+  );
+
+  // 詳細モードでは拡張エンジンを使用（engineOptionsに詳細設定を含む）
+  let result;
+  if (mode === "advanced") {
+    result = new ImprovedBacktestEngine(engineOptions).run(
+      targetCandles,
+      strategy,
+      {
+        runMonteCarloSimulation: engineOptions.runMonteCarloSimulation,
+        context: targetContext,
+      }
+    );
+  } else {
+    result = new BacktestEngine(engineOptions).run(
+      targetCandles,
+      strategy,
+      targetContext
+    );
+  }
+
+  if (result.success) {
+    // 負けトレードの要因を分析して改善提案を作成
+    result.lossAnalysis = new TradeAnalyzer().analyze(
+      targetCandles,
+      result.trades
+    );
+  }
+  return result;
+}
+
+/**
+ * 銘柄ごとの戦略を作成してポートフォリオバックテストを実行（contextはポートフォリオ全体のベンチマーク）
+ * @returns {Object} - バックテスト結果（銘柄ごとの集計と相関を含む）
+ */
+function runPortfolioBacktest() {
+  return new PortfolioBacktestEngine(engineOptions).run(
+    markets.map((market) => ({
+      ...market,
+      strategy: strategyRegistry.create(
+        market.strategyName,
+        market.strategyParams
+      ),
+    })),
+    context
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * ベンチマーク（バイ・アンド・ホールド）比較用ユーティリティ
+ * バックテストと同じ期間に銘柄を買って持ち続けた場合の資産推移を作成し、
+ * 戦略の資産推移と比べたアルファ・ベータ・インフォメーションレシオ・超過リターンを計算します
+ *
+ * 比較する銘柄はバックテストのコンテキストで指定する（省略時はバックテストした銘柄）:
+ * { benchmark: { symbol: "BTCUSDT", candles: [...] } }
+ */
+
+const {
+  getPeriodsPerYear,
+  toReturns,
+  maxDrawdown,
+  mean,
+  variance,
+  covariance,
+} = require("./performanceMetrics");
+
+/**
+ * バイ・アンド・ホールドの資産推移を作成
+ * 資金を銘柄に均等に割り当て、各銘柄の最初の足の始値で買い（手数料を差し引く）、終値で評価する
+ * まだ足がない時刻は割り当てた資金を現金のまま持つ
+ * @param {Array<Array>} candleSeries - 銘柄ごとのローソク足データ（時刻順）
+ * @param {Array<number>} times - 資産を評価する時刻（昇順）
+ * @param {number} initialBalance - 初期資金
+ * @param {number} fee - 取引手数料（割合）
+ * @returns {Array<number>} - timesの各時刻の資産
+ */
+function buyAndHoldEquity(candleSeries, times, initialBalance, fee = 0) {
+  const series = candleSeries.filter((candles) => candles && candles.length);
+  if (series.length === 0) {
+    return times.map(() => initialBalance);
+  }
+
+  const allocation = initialBalance / series.length;
+  const holdings = series.map((candles) => ({
+    candles,
+    units: (allocation * (1 - fee)) / candles[0].open,
+    next: 0, // 次に参照する足のインデックス
+    value: allocation,
+  }));
+
+  return times.map((time) => {
+    let total = 0;
+    for (const holding of holdings) {
+      const { candles } = holding;
+      while (
+        holding.next < candles.length &&
+        candles[holding.next].time <= time
+      ) {
+        holding.value = holding.units * candles[holding.next].close;
+        holding.next++;
+      }
+      total += holding.value;
+    }
+    return total;
+  });
+}
+
+/**
+ * 戦略とベンチマークの資産推移を比較
+ * 足ごとのリターンから、年率のアルファ（ジェンセンのアルファ、リスクフリーレートは0%）・ベータ・
+ * インフォメーションレシオ・トラッキングエラーを計算する
+ * @param {Array} equity - 資産推移（time, equity, benchmark）
+ * @param {number} initialBalance - 初期資金
+ * @param {number} strategyReturnPercent - 戦略のリターン（%）
+ * @returns {Object|null} - 比較結果（資産推移が2点未満の場合はnull）
+ */
+function compareToBenchmark(equity, initialBalance, strategyReturnPercent) {
+  const points = equity.filter((point) => point.benchmark !== undefined);
+  if (points.length < 2) {
+    return null;
+  }
+
+  const strategyReturns = toReturns(points.map((point) => point.equity));
+  const benchmarkReturns = toReturns(points.map((point) => point.benchmark));
+  const excessReturns = strategyReturns.map(
+    (value, i) => value - benchmarkReturns[i]
+  );
+
+  const periodsPerYear = getPeriodsPerYear(points);
+
+  const strategyMean = mean(strategyReturns);
+  const benchmarkMean = mean(benchmarkReturns);
+  const benchmarkVariance = variance(benchmarkReturns);
+  const beta =
+    benchmarkVariance > 0
+      ? covariance(strategyReturns, benchmarkReturns) / benchmarkVariance
+      : 0;
+  const alpha = (strategyMean - beta * benchmarkMean) * periodsPerYear * 100;
+
+  const excessDeviation = Math.sqrt(variance(excessReturns));
+  const informationRatio =
+    excessDeviation > 0
+      ? (mean(excessReturns) / excessDeviation) * Math.sqrt(periodsPerYear)
+      : 0;
+
+  const strategyDeviation = Math.sqrt(variance(strategyReturns));
+  const correlation =
+    strategyDeviation > 0 && benchmarkVariance > 0
+      ? covariance(strategyReturns, benchmarkReturns) /
+        (strategyDeviation * Math.sqrt(benchmarkVariance))
+      : 0;
+
+  const finalBenchmark = points[points.length - 1].benchmark;
+  const returnPercent =
+    ((finalBenchmark - initialBalance) / initialBalance) * 100;
+
+  return {
+    finalBalance: finalBenchmark,
+    returnPercent, // ベンチマークのリターン（%）
+    maxDrawdownPercent: maxDrawdown(
+      points.map((point) => point.benchmark),
+      initialBalance
+    ),
+    excessReturn: strategyReturnPercent - returnPercent, // 戦略のリターン - ベンチマークのリターン（%ポイント）
+    alpha, // 年率（%）
+    beta,
+    informationRatio, // 年率換算
+    trackingError: excessDeviation * Math.sqrt(periodsPerYear) * 100, // 年率（%）
+    correlation,
+  };
+}
+
+module.exports = {
+  buyAndHoldEquity,
+  compareToBenchmark,
+};
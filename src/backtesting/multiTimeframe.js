@@ -0,0 +1,298 @@
+/**
+ * マルチタイムフレーム用ユーティリティ
+ * 上位足のローソク足を読み込み、先読みが起きないように基準の足に揃えて戦略に渡すコンテキストを作成します
+ *
+ * コンテキストの形式:
+ * {
+ *   interval: "1h",
+ *   higherTimeframes: {
+ *     "4h": { interval: "4h", candles: [...], indexAt: [-1, -1, 0, ...] },
+ *   },
+ *   lowerTimeframe: { interval: "5m", candles: [...] }, // 約定モデルが足の中の値動きに使う下位足（任意）
+ *   benchmark: { symbol: "BTCUSDT", candles: [...] }, // バイ・アンド・ホールドで比較する銘柄（任意、benchmark.jsを参照）
+ * }
+ * indexAt[i]は基準足iの確定時点で参照できる最新の上位足のインデックス（まだなければ-1）
+ * 下位足とベンチマークはバックテストエンジンの約定判定と比較だけに使い、戦略には先読みになるため参照させない
+ */
+
+const binanceClient = require("../api/binanceClient");
+const logger = require("../utils/logger");
+
+// 上位足の指標計算用に、基準足の開始より前から読み込む本数
+const DEFAULT_WARMUP_BARS = 250;
+
+/**
+ * 基準の時間足より長く、その整数倍になっている時間足を抽出
+ * @param {string} baseInterval - 基準の時間足
+ * @param {Array<string>} timeframes - 候補の時間足
+ * @returns {Array<string>} - 上位足の配列（重複なし、短い順）
+ */
+function getHigherTimeframes(baseInterval, timeframes = []) {
+  const baseMs = binanceClient.getIntervalInMs(baseInterval);
+
+  return [...new Set(timeframes)]
+    .filter((timeframe) => {
+      const ms = binanceClient.getIntervalInMs(timeframe);
+      return ms > baseMs && ms % baseMs === 0;
+    })
+    .sort(
+      (a, b) =>
+        binanceClient.getIntervalInMs(a) - binanceClient.getIntervalInMs(b)
+    );
+}
+
+/**
+ * 基準の時間足より短く、基準の時間足を割り切れる時間足かどうか
+ * @param {string} baseInterval - 基準の時間足
+ * @param {string} timeframe - 候補の時間足
+ * @returns {boolean} - 下位足として使える場合はtrue
+ */
+function isLowerTimeframe(baseInterval, timeframe) {
+  const baseMs = binanceClient.getIntervalInMs(baseInterval);
+  const ms = binanceClient.getIntervalInMs(timeframe);
+  return ms < baseMs && baseMs % ms === 0;
+}
+
+/**
+ * 上位足を基準の足に揃える
+ * 上位足は確定した後（開始時刻 + 足の長さ <= 基準足の確定時刻）にのみ参照できる
+ * @param {Array} baseCandles - 基準の足
+ * @param {string} baseInterval - 基準の時間足
+ * @param {Array} higherCandles - 上位足（時刻順）
+ * @param {string} higherInterval - 上位の時間足
+ * @returns {Array<number>} - 基準足のインデックス => 参照できる最新の上位足のインデックス
+ */
+function alignHigherTimeframe(
+  baseCandles,
+  baseInterval,
+  higherCandles,
+  higherInterval
+) {
+  const baseMs = binanceClient.getIntervalInMs(baseInterval);
+  const higherMs = binanceClient.getIntervalInMs(higherInterval);
+  const indexAt = [];
+
+  let j = -1;
+  for (const candle of baseCandles) {
+    const closeTime = candle.time + baseMs;
+    while (
+      j + 1 < higherCandles.length &&
+      higherCandles[j + 1].time + higherMs <= closeTime
+    ) {
+      j++;
+    }
+    indexAt.push(j);
+  }
+
+  return indexAt;
+}
+
+/**
+ * 基準足の確定時点までに新しく確定した上位足を取得（戦略のnext()で上位足を1本ずつ処理するため）
+ * 確定の基準はalignHigherTimeframeと同じ
+ * @param {Object} higherTimeframe - コンテキストの上位足（interval, candles）
+ * @param {Object} baseCandle - 基準足
+ * @param {string} baseInterval - 基準の時間足
+ * @param {number|null} lastTime - 前回までに取得した最新の上位足の開始時刻（初回はnull）
+ * @returns {Array} - 新しく確定した上位足（時刻順）
+ */
+function takeClosedCandles(
+  higherTimeframe,
+  baseCandle,
+  baseInterval,
+  lastTime
+) {
+  const closeTime =
+    baseCandle.time + binanceClient.getIntervalInMs(baseInterval);
+  const higherMs = binanceClient.getIntervalInMs(higherTimeframe.interval);
+  const { candles } = higherTimeframe;
+
+  // 末尾から未取得の上位足をさかのぼる
+  let start = candles.length;
+  while (
+    start > 0 &&
+    (lastTime === null || candles[start - 1].time > lastTime)
+  ) {
+    start--;
+  }
+
+  const closed = [];
+  for (let i = start; i < candles.length; i++) {
+    if (candles[i].time + higherMs > closeTime) break;
+    closed.push(candles[i]);
+  }
+  return closed;
+}
+
+/**
+ * 読み込み済みの上位足から戦略に渡すコンテキストを作成
+ * @param {Array} baseCandles - 基準の足
+ * @param {string} baseInterval - 基準の時間足
+ * @param {Object} timeframeData - 時間足 => ローソク足の配列
+ * @returns {Object} - コンテキスト
+ */
+function buildTimeframeContext(baseCandles, baseInterval, timeframeData = {}) {
+  const higherTimeframes = {};
+
+  for (const [timeframe, candles] of Object.entries(timeframeData)) {
+    higherTimeframes[timeframe] = {
+      interval: timeframe,
+      candles,
+      indexAt: alignHigherTimeframe(
+        baseCandles,
+        baseInterval,
+        candles,
+        timeframe
+      ),
+    };
+  }
+
+  return { interval: baseInterval, higherTimeframes };
+}
+
+/**
+ * 上位足をBinance（またはキャッシュ）から読み込んでコンテキストを作成
+ * @param {Object} options - 設定
+ * @param {string} options.symbol - 取引ペア
+ * @param {string} options.interval - 基準の時間足
+ * @param {Array} options.candles - 基準の足
+ * @param {Array<string>} options.timeframes - 読み込む上位足
+ * @param {number} options.warmupBars - 基準足の開始より前に読み込む上位足の本数
+ * @param {AbortSignal} options.signal - 読み込みを中止するシグナル（任意）
+ * @returns {Promise<Object>} - コンテキスト
+ */
+async function loadTimeframeContext({
+  symbol,
+  interval,
+  candles,
+  timeframes = [],
+  warmupBars = DEFAULT_WARMUP_BARS,
+  signal,
+}) {
+  const timeframeData = {};
+  const higherTimeframes = getHigherTimeframes(interval, timeframes);
+
+  if (candles.length > 0) {
+    const startTime = candles[0].time;
+    const endTime =
+      candles[candles.length - 1].time +
+      binanceClient.getIntervalInMs(interval) -
+      1;
+
+    for (const timeframe of higherTimeframes) {
+      const ms = binanceClient.getIntervalInMs(timeframe);
+      timeframeData[timeframe] = await binanceClient.getCandles({
+        symbol,
+        interval: timeframe,
+        startTime: startTime - warmupBars * ms,
+        endTime,
+        signal,
+      });
+      logger.info(
+        `上位足を読み込みました: ${symbol} ${timeframe}足 ${timeframeData[timeframe].length}件`
+      );
+    }
+  }
+
+  return buildTimeframeContext(candles, interval, timeframeData);
+}
+
+/**
+ * 基準の足と同じ期間の下位足をBinance（またはキャッシュ）から読み込む
+ * @param {Object} options - 設定
+ * @param {string} options.symbol - 取引ペア
+ * @param {string} options.interval - 基準の時間足
+ * @param {Array} options.candles - 基準の足
+ * @param {string} options.lowerInterval - 読み込む下位足
+ * @param {AbortSignal} options.signal - 読み込みを中止するシグナル（任意）
+ * @param {Function} options.onProgress - 読み込みの進捗（0〜1）を受け取る関数（任意）
+ * @returns {Promise<Object>} - コンテキストのlowerTimeframe（{ interval, candles }）
+ */
+async function loadLowerTimeframe({
+  symbol,
+  interval,
+  candles,
+  lowerInterval,
+  signal,
+  onProgress,
+}) {
+  if (candles.length === 0) {
+    return { interval: lowerInterval, candles: [] };
+  }
+
+  const lowerCandles = await binanceClient.getCandles({
+    symbol,
+    interval: lowerInterval,
+    startTime: candles[0].time,
+    endTime:
+      candles[candles.length - 1].time +
+      binanceClient.getIntervalInMs(interval) -
+      1,
+    signal,
+    onProgress,
+  });
+  logger.info(
+    `下位足を読み込みました: ${symbol} ${lowerInterval}足 ${lowerCandles.length}件`
+  );
+
+  return { interval: lowerInterval, candles: lowerCandles };
+}
+
+/**
+ * 戦略が必要とする上位足を取得
+ * @param {Object} strategy - 戦略インスタンス
+ * @returns {Array<string>} - 時間足の配列
+ */
+function getRequiredTimeframes(strategy) {
+  return strategy && typeof strategy.getRequiredTimeframes === "function"
+    ? strategy.getRequiredTimeframes()
+    : [];
+}
+
+/**
+ * 上位足の値の配列を基準足のインデックスで参照できる配列に変換
+ * @param {Object} higherTimeframe - コンテキストの上位足（indexAtを含む）
+ * @param {Array} values - 上位足のインデックスに揃った値の配列
+ * @returns {Array} - 基準足と同じ長さの配列（参照できる上位足がなければundefined）
+ */
+function mapToBaseCandles(higherTimeframe, values) {
+  return higherTimeframe.indexAt.map((index) =>
+    index >= 0 ? values[index] : undefined
+  );
+}
+
+/**
+ * 基準足の一部の期間に合わせてコンテキストを切り出す（上位足のローソク足はそのまま共有する）
+ * @param {Object} context - コンテキスト
+ * @param {number} start - 基準足の開始インデックス
+ * @param {number} end - 基準足の終了インデックス（含まない）
+ * @returns {Object} - 切り出したコンテキスト
+ */
+function sliceTimeframeContext(context, start, end) {
+  if (!context || !context.higherTimeframes) {
+    return context;
+  }
+
+  const higherTimeframes = {};
+  for (const [timeframe, data] of Object.entries(context.higherTimeframes)) {
+    higherTimeframes[timeframe] = {
+      ...data,
+      indexAt: data.indexAt.slice(start, end),
+    };
+  }
+
+  return { ...context, higherTimeframes };
+}
+
+module.exports = {
+  getHigherTimeframes,
+  isLowerTimeframe,
+  alignHigherTimeframe,
+  takeClosedCandles,
+  buildTimeframeContext,
+  loadTimeframeContext,
+  loadLowerTimeframe,
+  getRequiredTimeframes,
+  mapToBaseCandles,
+  sliceTimeframeContext,
+};
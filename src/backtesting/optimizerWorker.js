@@ -0,0 +1,32 @@
+/**
+ * 最適化用バックテストワーカー（BacktestWorkerPoolから起動される）
+ * workerDataでローソク足とコンテキストを受け取り、
+ * メッセージで送られたパラメータと期間でバックテストを実行して結果の集計を返す
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const BacktestEngine = require("./BacktestEngine");
+const strategyRegistry = require("../strategies");
+const multiTimeframe = require("./multiTimeframe");
+
+const { strategyName, engineOptions, candles, context } = workerData;
+const backtestEngine = new BacktestEngine(engineOptions);
+
+parentPort.on("message", ({ id, params, start, end }) => {
+  try {
+    const strategy = strategyRegistry.create(strategyName, params);
+    const result = backtestEngine.run(
+      candles.slice(start, end),
+      strategy,
+      multiTimeframe.sliceTimeframeContext(context, start, end)
+    );
+
+    parentPort.postMessage(
+      result.success
+        ? { id, result: result.result }
+        : { id, error: result.error }
+    );
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,331 @@
+/**
+ * バックテストのパフォーマンス指標
+ * 資産推移（{ time, equity }）と取引（BacktestEngine.closePositionを参照）から指標を計算します
+ * 年率換算は資産推移の点の間隔（時間足）から1年あたりの本数を求めて行います（暗号資産は24時間365日取引されるため365日で換算）
+ */
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// SQNの計算で使う取引数の上限（取引数が多いほど値が大きくなりすぎないようにする）
+const SQN_MAX_TRADES = 100;
+
+/**
+ * 資産推移の点の間隔から1年あたりの本数を求める
+ * @param {Array} equity - 資産推移（time）
+ * @returns {number} - 1年あたりの本数（2点未満の場合は0）
+ */
+function getPeriodsPerYear(equity) {
+  if (!equity || equity.length < 2) return 0;
+  const spacing =
+    (equity[equity.length - 1].time - equity[0].time) / (equity.length - 1);
+  return spacing > 0 ? YEAR_MS / spacing : 0;
+}
+
+/**
+ * 値の系列から1本ごとのリターンを計算
+ * @param {Array<number>} values - 資産の系列
+ * @returns {Array<number>} - リターンの配列（前の値が0以下の場合は0）
+ */
+function toReturns(values) {
+  const returns = [];
+  for (let i = 1; i < values.length; i++) {
+    returns.push(values[i - 1] > 0 ? values[i] / values[i - 1] - 1 : 0);
+  }
+  return returns;
+}
+
+/**
+ * 年率リターン（複利）
+ * @param {number} initialBalance - 初期資金
+ * @param {number} finalBalance - 最終資金
+ * @param {number} durationMs - 期間（ミリ秒）
+ * @returns {number} - 年率リターン（%、期間がない場合や資金がなくなった場合は単純なリターン）
+ */
+function annualizedReturn(initialBalance, finalBalance, durationMs) {
+  const totalReturn = finalBalance / initialBalance;
+  if (!(durationMs > 0) || totalReturn <= 0) {
+    return (totalReturn - 1) * 100;
+  }
+  return (Math.pow(totalReturn, YEAR_MS / durationMs) - 1) * 100;
+}
+
+/**
+ * シャープレシオ（年率換算、リスクフリーレートは0%）
+ * @param {Array<number>} returns - 1本ごとのリターン
+ * @param {number} periodsPerYear - 1年あたりの本数
+ * @returns {number} - シャープレシオ（計算できない場合は0）
+ */
+function sharpeRatio(returns, periodsPerYear) {
+  if (returns.length < 2) return 0;
+  const deviation = Math.sqrt(variance(returns));
+  return deviation > 0
+    ? (mean(returns) / deviation) * Math.sqrt(periodsPerYear)
+    : 0;
+}
+
+/**
+ * ソルティノレシオ（年率換算、下方偏差は目標リターン0%を下回った分の二乗平均平方根）
+ * @param {Array<number>} returns - 1本ごとのリターン
+ * @param {number} periodsPerYear - 1年あたりの本数
+ * @returns {number} - ソルティノレシオ（計算できない場合は0）
+ */
+function sortinoRatio(returns, periodsPerYear) {
+  if (returns.length < 2) return 0;
+  const downsideDeviation = Math.sqrt(
+    mean(returns.map((value) => Math.min(value, 0) ** 2))
+  );
+  return downsideDeviation > 0
+    ? (mean(returns) / downsideDeviation) * Math.sqrt(periodsPerYear)
+    : 0;
+}
+
+/**
+ * 初期資金を起点としたドローダウンの系列
+ * @param {Array<number>} values - 資産の系列
+ * @param {number} initialBalance - 初期資金
+ * @returns {Array<number>} - 各点のドローダウン（%）
+ */
+function drawdowns(values, initialBalance) {
+  let peak = initialBalance;
+  return values.map((value) => {
+    peak = Math.max(peak, value);
+    return peak > 0 ? ((peak - value) / peak) * 100 : 0;
+  });
+}
+
+/**
+ * 最大ドローダウン
+ * @param {Array<number>} values - 資産の系列
+ * @param {number} initialBalance - 初期資金
+ * @returns {number} - 最大ドローダウン（%）
+ */
+function maxDrawdown(values, initialBalance) {
+  return drawdowns(values, initialBalance).reduce(
+    (max, value) => Math.max(max, value),
+    0
+  );
+}
+
+/**
+ * アルサー指数（ドローダウンの二乗平均平方根。深く長いドローダウンほど大きい）
+ * @param {Array<number>} values - 資産の系列
+ * @param {number} initialBalance - 初期資金
+ * @returns {number} - アルサー指数（%）
+ */
+function ulcerIndex(values, initialBalance) {
+  if (values.length === 0) return 0;
+  return Math.sqrt(
+    mean(drawdowns(values, initialBalance).map((value) => value ** 2))
+  );
+}
+
+/**
+ * カルマーレシオ（年率リターン / 最大ドローダウン）
+ * @param {number} annualReturnPercent - 年率リターン（%）
+ * @param {number} maxDrawdownPercent - 最大ドローダウン（%）
+ * @returns {number|null} - カルマーレシオ（ドローダウンがない場合はnull）
+ */
+function calmarRatio(annualReturnPercent, maxDrawdownPercent) {
+  return maxDrawdownPercent > 0
+    ? annualReturnPercent / maxDrawdownPercent
+    : null;
+}
+
+/**
+ * プロフィットファクター（総利益 / 総損失）
+ * @param {Array} trades - 取引
+ * @returns {number|null} - プロフィットファクター（勝ちトレードがなければ0、負けトレードがなければnull）
+ */
+function profitFactor(trades) {
+  const grossProfit = trades
+    .filter((trade) => trade.profit > 0)
+    .reduce((sum, trade) => sum + trade.profit, 0);
+  const grossLoss = -trades
+    .filter((trade) => trade.profit < 0)
+    .reduce((sum, trade) => sum + trade.profit, 0);
+
+  if (grossProfit === 0) return 0;
+  return grossLoss > 0 ? grossProfit / grossLoss : null;
+}
+
+/**
+ * 期待値（1取引あたりの平均損益）
+ * @param {Array} trades - 取引
+ * @returns {number} - 期待値（USD）
+ */
+function expectancy(trades) {
+  return trades.length > 0 ? mean(trades.map((trade) => trade.profit)) : 0;
+}
+
+/**
+ * SQN（System Quality Number）
+ * 取引ごとのR倍数（損益 / エントリー時のリスク）の平均 / 標準偏差 × √取引数（取引数は100で頭打ち）
+ * @param {Array} trades - 取引（rMultiple）
+ * @returns {number} - SQN（取引が2件未満、またはR倍数がない場合は0）
+ */
+function systemQualityNumber(trades) {
+  const rMultiples = trades
+    .map((trade) => trade.rMultiple)
+    .filter((value) => Number.isFinite(value));
+  if (rMultiples.length < 2) return 0;
+
+  const deviation = Math.sqrt(variance(rMultiples, 1));
+  return deviation > 0
+    ? (mean(rMultiples) / deviation) *
+        Math.sqrt(Math.min(rMultiples.length, SQN_MAX_TRADES))
+    : 0;
+}
+
+/**
+ * ポジションを保有していた時間の割合
+ * 同じポジションの分割決済や、ポートフォリオで重なって保有していた期間は1回だけ数える
+ * @param {Array} trades - 取引（entryTime, exitTime）
+ * @param {Array} equity - 資産推移（期間の算出に使用）
+ * @returns {number} - 保有時間の割合（%）
+ */
+function exposureTime(trades, equity) {
+  if (!equity || equity.length < 2 || trades.length === 0) return 0;
+
+  const start = equity[0].time;
+  const end = equity[equity.length - 1].time;
+  const intervals = trades
+    .map((trade) => [
+      Math.max(trade.entryTime, start),
+      Math.min(trade.exitTime, end),
+    ])
+    .filter(([from, to]) => to > from)
+    .sort((a, b) => a[0] - b[0]);
+
+  let covered = 0;
+  let currentEnd = start;
+  for (const [from, to] of intervals) {
+    if (to <= currentEnd) continue;
+    covered += to - Math.max(from, currentEnd);
+    currentEnd = to;
+  }
+
+  return end > start ? (covered / (end - start)) * 100 : 0;
+}
+
+/**
+ * 最長の連敗数（決済順に損益が0以下の取引が続いた回数）
+ * @param {Array} trades - 取引（決済順）
+ * @returns {number} - 最長の連敗数
+ */
+function longestLosingStreak(trades) {
+  let streak = 0;
+  let longest = 0;
+  for (const trade of trades) {
+    streak = trade.profit > 0 ? 0 : streak + 1;
+    longest = Math.max(longest, streak);
+  }
+  return longest;
+}
+
+/**
+ * 取引の最大逆行幅（MAE）と最大順行幅（MFE）
+ * @param {string} type - ポジションの方向（BUY, SELL）
+ * @param {number} entryPrice - エントリー価格
+ * @param {number} bestPrice - 保有中に最も有利だった価格
+ * @param {number} worstPrice - 保有中に最も不利だった価格
+ * @returns {Object} - { mae, mfe }（エントリー価格に対する%、どちらも0以上）
+ */
+function tradeExcursions(type, entryPrice, bestPrice, worstPrice) {
+  const direction = type === "BUY" ? 1 : -1;
+  return {
+    mae:
+      Math.max((direction * (entryPrice - worstPrice)) / entryPrice, 0) * 100,
+    mfe: Math.max((direction * (bestPrice - entryPrice)) / entryPrice, 0) * 100,
+  };
+}
+
+/**
+ * 資産推移と取引からパフォーマンス指標をまとめて計算
+ * @param {Object} params - { equity, trades, initialBalance, finalBalance, maxDrawdownPercent }
+ * @returns {Object} - パフォーマンス指標
+ */
+function calculateMetrics({
+  equity = [],
+  trades = [],
+  initialBalance,
+  finalBalance,
+  maxDrawdownPercent,
+}) {
+  const periodsPerYear = getPeriodsPerYear(equity);
+  const values = equity.map((point) => point.equity);
+  const returns = toReturns(values);
+  const durationMs =
+    equity.length > 1 ? equity[equity.length - 1].time - equity[0].time : 0;
+  const annualizedReturnPercent = annualizedReturn(
+    initialBalance,
+    finalBalance,
+    durationMs
+  );
+
+  const averageOf = (key) =>
+    trades.length > 0 ? mean(trades.map((trade) => trade[key] || 0)) : 0;
+
+  return {
+    annualizedReturnPercent,
+    annualizedVolatility:
+      returns.length > 1
+        ? Math.sqrt(variance(returns)) * Math.sqrt(periodsPerYear) * 100
+        : 0, // 年率ボラティリティ（%）
+    sharpeRatio: sharpeRatio(returns, periodsPerYear),
+    sortinoRatio: sortinoRatio(returns, periodsPerYear),
+    calmarRatio: calmarRatio(
+      annualizedReturnPercent,
+      maxDrawdownPercent !== undefined
+        ? maxDrawdownPercent
+        : maxDrawdown(values, initialBalance)
+    ),
+    ulcerIndex: ulcerIndex(values, initialBalance),
+    profitFactor: profitFactor(trades),
+    expectancy: expectancy(trades),
+    sqn: systemQualityNumber(trades),
+    exposurePercent: exposureTime(trades, equity),
+    longestLosingStreak: longestLosingStreak(trades),
+    avgMae: averageOf("mae"),
+    avgMfe: averageOf("mfe"),
+  };
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// 分散（ddof = 1 で標本分散）
+function variance(values, ddof = 0) {
+  const avg = mean(values);
+  return (
+    values.reduce((sum, value) => sum + (value - avg) ** 2, 0) /
+    (values.length - ddof)
+  );
+}
+
+function covariance(a, b) {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return mean(a.map((value, i) => (value - meanA) * (b[i] - meanB)));
+}
+
+module.exports = {
+  getPeriodsPerYear,
+  toReturns,
+  annualizedReturn,
+  sharpeRatio,
+  sortinoRatio,
+  maxDrawdown,
+  ulcerIndex,
+  calmarRatio,
+  profitFactor,
+  expectancy,
+  systemQualityNumber,
+  exposureTime,
+  longestLosingStreak,
+  tradeExcursions,
+  calculateMetrics,
+  mean,
+  variance,
+  covariance,
+};
@@ -1,4 +1,5 @@
 require("dotenv").config();
+const os = require("os");
 
 module.exports = {
   // サーバー設定
@@ -12,6 +13,22 @@ module.exports = {
     testnet: process.env.NODE_ENV !== "production", // 本番環境以外ではテストネットを使用
   },
 
+  // ペーパートレード（テストモード）設定
+  paperTrading: {
+    // 起動時からシミュレーション取引所を使用するか（/api/trading/test-modeでも切り替え可能）
+    enabled: process.env.PAPER_TRADING === "true",
+    initialBalances: {
+      USDT: parseFloat(process.env.PAPER_INITIAL_USDT) || 10000,
+    },
+    fee: 0.001, // 取引手数料（0.1%）
+    slippage: 0.001, // スリッページ（0.1%）
+  },
+
+  // ローソク足キャッシュ設定（期間指定の取得はローカルに保存したデータを優先）
+  candleCache: {
+    enabled: process.env.CANDLE_CACHE !== "false",
+  },
+
   // リスク管理設定
   riskManagement: {
     maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS) || 100,
@@ -28,6 +45,25 @@ module.exports = {
     timeframe: "1h", // 1時間足
   },
 
+  // パラメータ最適化設定
+  optimizer: {
+    // バックテストを並列に評価するワーカースレッド数（0でメインスレッドで順番に評価）
+    workers: process.env.OPTIMIZER_WORKERS
+      ? parseInt(process.env.OPTIMIZER_WORKERS)
+      : Math.max(1, os.cpus().length - 1),
+  },
+
+  // ジョブキュー設定（バックテスト・最適化の非同期実行）
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1, // 同時に実行するジョブ数
+    maxFinishedJobs: 50, // 結果を保持する終了済みジョブ数
+  },
+
+  // バックテスト履歴（data/backtestsに保存）
+  backtestHistory: {
+    maxRuns: parseInt(process.env.BACKTEST_HISTORY_MAX_RUNS) || 100, // 保持する実行結果の件数
+  },
+
   // 取引設定
   trading: {
     defaultSymbol: "BTCUSDT",
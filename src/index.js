@@ -8,8 +8,17 @@ const config = require("./config/config");
 const logger = require("./utils/logger");
 const riskManager = require("./utils/riskManager");
 const binanceClient = require("./api/binanceClient");
-const MovingAverageCrossover = require("./strategies/MovingAverageCrossover");
-const BacktestEngine = require("./backtesting/BacktestEngine");
+const paperExchange = require("./api/paperExchange");
+const marketStream = require("./api/marketStream");
+const PriceBroadcaster = require("./api/priceBroadcaster");
+const candleStore = require("./api/candleStore");
+const strategyRegistry = require("./strategies");
+const multiTimeframe = require("./backtesting/multiTimeframe");
+const BacktestWorkerPool = require("./backtesting/BacktestWorkerPool");
+const backtestHistory = require("./backtesting/backtestHistory");
+const AccountModel = require("./backtesting/AccountModel");
+const tradingEngine = require("./trading/TradingEngine");
+const jobQueue = require("./jobs/JobQueue");
 const auth = require("./middleware/auth");
 const socketAuth = require("./middleware/socketAuth");
 
@@ -140,6 +149,8 @@ app.post(
         endDate,
         initialBalance,
         positionSizePercent,
+        mode = "standard",
+        advancedOptions,
       } = req.body;
 
       // 入力バリデーション
@@ -161,131 +172,1170 @@ app.post(
           .json({ success: false, error: "有効な戦略名が必要です" });
       }
 
-      if (!startDate || !endDate) {
+      if (!strategyRegistry.has(strategyName)) {
         return res
           .status(400)
-          .json({ success: false, error: "有効な開始日と終了日が必要です" });
+          .json({ success: false, error: "サポートされていない戦略です" });
       }
 
-      // 日付の妥当性チェック
-      const startTime = new Date(startDate).getTime();
-      const endTime = new Date(endDate).getTime();
+      if (mode !== "standard" && mode !== "advanced") {
+        return res
+          .status(400)
+          .json({ success: false, error: "無効なバックテストモードです" });
+      }
 
-      if (isNaN(startTime) || isNaN(endTime)) {
+      // 期間・資金・決済ルール・約定モデル・口座の検証
+      const parsedSettings = parseBacktestSettings(req.body, timeframe);
+      if (parsedSettings.error) {
         return res
           .status(400)
-          .json({ success: false, error: "無効な日付形式です" });
+          .json({ success: false, error: parsedSettings.error });
       }
+      const { startTime, endTime } = parsedSettings.options;
 
-      if (startTime >= endTime) {
+      let parsedAdvancedOptions = null;
+      if (mode === "advanced") {
+        const parsed = parseAdvancedBacktestOptions(advancedOptions);
+        if (parsed.error) {
+          return res.status(400).json({ success: false, error: parsed.error });
+        }
+        parsedAdvancedOptions = parsed.options;
+      }
+
+      // 戦略を初期化
+      let strategy;
+      try {
+        strategy = strategyRegistry.create(strategyName, strategyParams || {});
+      } catch (strategyError) {
         return res.status(400).json({
           success: false,
-          error: "開始日は終了日より前である必要があります",
+          error: `戦略初期化エラー: ${strategyError.message}`,
         });
       }
 
-      // 数値パラメータのバリデーション
-      if (
-        initialBalance !== undefined &&
-        (isNaN(initialBalance) || initialBalance <= 0)
-      ) {
+      // 戦略が参照する上位足（詳細モードのマルチタイムフレーム分析の時間足も含める）
+      const requiredTimeframes = multiTimeframe.getRequiredTimeframes(strategy);
+      const invalidTimeframes = requiredTimeframes.filter(
+        (tf) => multiTimeframe.getHigherTimeframes(timeframe, [tf]).length === 0
+      );
+      if (invalidTimeframes.length > 0) {
         return res.status(400).json({
           success: false,
-          error: "初期残高は正の数値である必要があります",
+          error: `上位足には${timeframe}より長い時間足を指定してください: ${invalidTimeframes.join(
+            ", "
+          )}`,
         });
       }
+      const contextTimeframes =
+        parsedAdvancedOptions && parsedAdvancedOptions.useMultiTimeframe
+          ? [...requiredTimeframes, ...parsedAdvancedOptions.timeframes]
+          : requiredTimeframes;
+
+      // ジョブとして登録し、IDをすぐに返す（進捗はSocket.IOのjob_update、結果は/api/jobs/:idで取得）
+      const job = jobQueue.enqueue(
+        "backtest",
+        { symbol, timeframe, strategyName, startDate, endDate, mode },
+        (job) =>
+          runBacktestJob(job, {
+            symbol,
+            timeframe,
+            strategyName,
+            strategyParams: {
+              ...strategyRegistry.getDefaultParams(strategyName),
+              ...strategyParams,
+            },
+            startDate,
+            endDate,
+            startTime,
+            endTime,
+            mode,
+            contextTimeframes,
+            engineOptions: {
+              initialBalance: initialBalance || 10000,
+              positionSizePercent:
+                positionSizePercent ||
+                config.riskManagement.positionSizePercent,
+              ...parsedSettings.options.exitRules,
+              ...parsedSettings.options.fillModel,
+              ...parsedSettings.options.account,
+            },
+            exitRules: parsedSettings.options.exitRules,
+            fillModel: parsedSettings.options.fillModel,
+            account: parsedSettings.options.account,
+            benchmarkSymbol: parsedSettings.options.benchmarkSymbol,
+            advancedOptions: parsedAdvancedOptions,
+          })
+      );
+
+      res.status(202).json({ success: true, jobId: job.id, job });
+    } catch (error) {
+      logger.error(`バックテストエラー: ${error.message}`);
+      res.status(500).json({ success: false, error: "内部サーバーエラー" });
+    }
+  }
+);
+
+/**
+ * バックテストジョブを実行
+ * @param {Object} job - ジョブのコンテキスト（reportProgress, signal）
+ * @param {Object} options - 検証済みのバックテスト設定
+ * @returns {Promise<Object>} - バックテスト結果（ローソク足データを含む）
+ */
+async function runBacktestJob(job, options) {
+  const {
+    symbol,
+    timeframe,
+    strategyName,
+    strategyParams,
+    startDate,
+    endDate,
+    startTime,
+    endTime,
+    mode,
+    contextTimeframes,
+    engineOptions,
+    exitRules,
+    fillModel,
+    account,
+    benchmarkSymbol,
+    advancedOptions,
+  } = options;
+
+  // 進捗メッセージ
+  logger.info(
+    `バックテスト開始: ${startDate} から ${endDate} まで (${timeframe}足, ${mode})`
+  );
+
+  // ローソク足データを取得
+  const candles = await binanceClient.getCandles({
+    symbol,
+    interval: timeframe,
+    startTime,
+    endTime,
+    signal: job.signal,
+    onProgress: (ratio) =>
+      job.reportProgress({ phase: "download", percent: ratio * 100 }),
+  });
+
+  logger.info(`データ取得完了: ${candles.length} 件のローソク足データ`);
+
+  // 上位足を読み込み、確定済みの足だけを参照できるように揃える
+  if (contextTimeframes.length > 0) {
+    job.reportProgress({ phase: "timeframes", percent: 100 });
+  }
+  const context = await multiTimeframe.loadTimeframeContext({
+    symbol,
+    interval: timeframe,
+    candles,
+    timeframes: contextTimeframes,
+    signal: job.signal,
+  });
+
+  // 約定モデルが足の中の値動きを下位足で判定する場合は下位足を読み込む（戦略には渡さない）
+  if (fillModel.intrabarFill === "lowerTimeframe") {
+    context.lowerTimeframe = await multiTimeframe.loadLowerTimeframe({
+      symbol,
+      interval: timeframe,
+      candles,
+      lowerInterval: fillModel.intrabarTimeframe,
+      signal: job.signal,
+      onProgress: (ratio) =>
+        job.reportProgress({ phase: "intrabar", percent: ratio * 100 }),
+    });
+  }
+
+  // 別の銘柄と比較する場合はベンチマークのローソク足を読み込む（省略時はバックテストする銘柄）
+  if (benchmarkSymbol && benchmarkSymbol !== symbol) {
+    context.benchmark = await loadBenchmark(job, {
+      benchmarkSymbol,
+      timeframe,
+      startTime,
+      endTime,
+    });
+  }
+
+  // バックテストエンジンをワーカースレッドで実行（詳細モードでは拡張エンジンを使用）
+  // 大きな期間でもイベントループを止めないように、負けトレードの分析までワーカーで行う
+  job.reportProgress({ phase: "backtest", percent: 100 });
+  const pool = new BacktestWorkerPool({
+    size: 1,
+    strategyName,
+    engineOptions:
+      mode === "advanced"
+        ? { ...engineOptions, ...advancedOptions }
+        : engineOptions,
+    candles,
+    context,
+    mode,
+  });
+  const cancel = () => pool.terminate("バックテストはキャンセルされました");
+  job.signal.addEventListener("abort", cancel);
+
+  let result;
+  try {
+    const workerResult = await pool.run(strategyParams, 0, candles.length);
+    result = workerResult.success ? workerResult.result : workerResult;
+  } finally {
+    job.signal.removeEventListener("abort", cancel);
+    await pool.terminate();
+  }
+
+  // 実際に処理された期間情報を追加
+  if (candles.length > 0) {
+    const actualStartDate = new Date(candles[0].time);
+    const actualEndDate = new Date(candles[candles.length - 1].time);
+    logger.info(
+      `実際の処理期間: ${actualStartDate.toISOString()} から ${actualEndDate.toISOString()}`
+    );
+  }
+
+  // 結果を履歴に保存（保存に失敗してもバックテスト結果は返す）
+  let historyId = null;
+  if (result.success) {
+    try {
+      historyId = backtestHistory.save({
+        settings: {
+          symbol,
+          timeframe,
+          strategyName,
+          params: strategyParams,
+          startDate,
+          endDate,
+          mode,
+          initialBalance: engineOptions.initialBalance,
+          positionSizePercent: engineOptions.positionSizePercent,
+          exitRules,
+          fillModel,
+          account,
+          benchmarkSymbol,
+        },
+        summary: result.result,
+        trades: result.trades,
+        equity: result.equity,
+      }).id;
+    } catch (error) {
+      logger.error(`バックテスト結果の保存エラー: ${error.message}`);
+    }
+  }
+
+  // インテリジェントなサンプリングを実行
+  const maxCandles = 1000; // レスポンスに含めるローソク足の最大数
+  let includedCandles = candles;
 
+  if (candles.length > maxCandles) {
+    includedCandles = intelligentSampling(candles, result.signals, maxCandles);
+    logger.info(
+      `大量データのため ${candles.length} 件から ${includedCandles.length} 件にサンプリング`
+    );
+  }
+
+  // 結果オブジェクトにローソク足データを追加
+  return {
+    ...result,
+    mode,
+    historyId,
+    timeframes: Object.keys(context.higherTimeframes),
+    candles: includedCandles,
+    totalCandleCount: candles.length,
+  };
+}
+
+// ポートフォリオバックテストで同時に扱える銘柄数
+const MAX_PORTFOLIO_SYMBOLS = 10;
+
+// APIエンドポイント - ポートフォリオバックテスト実行（バックテスト権限必須）
+app.post(
+  "/api/backtest/portfolio",
+  auth.apiKeyAuth,
+  auth.requirePermission("backtest"),
+  async (req, res) => {
+    try {
+      const {
+        symbols,
+        timeframe,
+        strategyName,
+        strategyParams,
+        symbolStrategies = {},
+        startDate,
+        endDate,
+        initialBalance,
+        positionSizePercent,
+        maxConcurrentPositions = 3,
+        maxExposurePercent = 100,
+      } = req.body;
+
+      // 入力バリデーション
       if (
-        positionSizePercent !== undefined &&
-        (isNaN(positionSizePercent) ||
-          positionSizePercent <= 0 ||
-          positionSizePercent > 100)
+        !Array.isArray(symbols) ||
+        symbols.length < 1 ||
+        symbols.length > MAX_PORTFOLIO_SYMBOLS ||
+        symbols.some((symbol) => !symbol || typeof symbol !== "string") ||
+        new Set(symbols).size !== symbols.length
       ) {
         return res.status(400).json({
           success: false,
-          error: "ポジションサイズは0より大きく100以下である必要があります",
+          error: `取引ペアは重複のない1から${MAX_PORTFOLIO_SYMBOLS}件の配列で指定してください`,
         });
       }
 
-      // 進捗メッセージ
-      logger.info(
-        `バックテスト開始: ${startDate} から ${endDate} まで (${timeframe}足)`
-      );
-
-      // ローソク足データを取得
-      const candles = await binanceClient.getCandles({
-        symbol: symbol || config.trading.defaultSymbol,
-        interval: timeframe || config.trading.defaultTimeframe,
-        startTime,
-        endTime,
-      });
+      if (!timeframe || typeof timeframe !== "string") {
+        return res
+          .status(400)
+          .json({ success: false, error: "有効な時間枠が必要です" });
+      }
 
-      logger.info(`データ取得完了: ${candles.length} 件のローソク足データ`);
+      if (
+        symbolStrategies === null ||
+        typeof symbolStrategies !== "object" ||
+        Array.isArray(symbolStrategies)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "銘柄ごとの戦略はオブジェクトである必要があります",
+        });
+      }
 
-      // 戦略を初期化
-      let strategy;
-      try {
-        if (strategyName === "MovingAverageCrossover") {
-          strategy = new MovingAverageCrossover(strategyParams || {});
-        } else {
-          return res
-            .status(400)
-            .json({ success: false, error: "サポートされていない戦略です" });
-        }
-      } catch (strategyError) {
+      if (
+        !Number.isInteger(maxConcurrentPositions) ||
+        maxConcurrentPositions < 1 ||
+        maxConcurrentPositions > MAX_PORTFOLIO_SYMBOLS
+      ) {
         return res.status(400).json({
           success: false,
-          error: `戦略初期化エラー: ${strategyError.message}`,
+          error: `同時保有数の上限は1から${MAX_PORTFOLIO_SYMBOLS}の整数で指定してください`,
         });
       }
 
-      // バックテストエンジンを初期化して実行
-      const backtestEngine = new BacktestEngine({
-        initialBalance: initialBalance || 10000,
-        positionSizePercent:
-          positionSizePercent || config.riskManagement.positionSizePercent,
-      });
-      const result = backtestEngine.run(candles, strategy);
+      if (
+        typeof maxExposurePercent !== "number" ||
+        maxExposurePercent < 1 ||
+        maxExposurePercent > 1000
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "1銘柄の想定元本の上限は1から1000(%)の間で指定してください",
+        });
+      }
 
-      // 実際に処理された期間情報を追加
-      if (candles.length > 0) {
-        const actualStartDate = new Date(candles[0].time);
-        const actualEndDate = new Date(candles[candles.length - 1].time);
-        logger.info(
-          `実際の処理期間: ${actualStartDate.toISOString()} から ${actualEndDate.toISOString()}`
-        );
+      const parsedSettings = parseBacktestSettings(req.body, timeframe);
+      if (parsedSettings.error) {
+        return res
+          .status(400)
+          .json({ success: false, error: parsedSettings.error });
       }
+      const { startTime, endTime } = parsedSettings.options;
+
+      // 銘柄ごとの戦略を初期化（symbolStrategiesで指定がない銘柄は共通の戦略を使用）
+      const markets = [];
+      for (const symbol of symbols) {
+        const override = symbolStrategies[symbol] || {};
+        const name = override.strategyName || strategyName;
+        const params = override.strategyName
+          ? override.strategyParams || {}
+          : strategyParams || {};
+
+        if (!name || !strategyRegistry.has(name)) {
+          return res.status(400).json({
+            success: false,
+            error: `サポートされていない戦略です: ${symbol} ${name || ""}`,
+          });
+        }
 
-      // インテリジェントなサンプリングを実行
-      const maxCandles = 1000; // レスポンスに含めるローソク足の最大数
-      let includedCandles = candles;
+        let strategy;
+        try {
+          strategy = strategyRegistry.create(name, params);
+        } catch (strategyError) {
+          return res.status(400).json({
+            success: false,
+            error: `戦略初期化エラー (${symbol}): ${strategyError.message}`,
+          });
+        }
 
-      if (candles.length > maxCandles) {
-        includedCandles = intelligentSampling(
-          candles,
-          result.signals,
-          maxCandles
-        );
-        logger.info(
-          `大量データのため ${candles.length} 件から ${includedCandles.length} 件にサンプリング`
+        const requiredTimeframes =
+          multiTimeframe.getRequiredTimeframes(strategy);
+        const invalidTimeframes = requiredTimeframes.filter(
+          (tf) =>
+            multiTimeframe.getHigherTimeframes(timeframe, [tf]).length === 0
         );
+        if (invalidTimeframes.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `上位足には${timeframe}より長い時間足を指定してください: ${invalidTimeframes.join(
+              ", "
+            )}`,
+          });
+        }
+
+        markets.push({
+          symbol,
+          strategyName: name,
+          strategyParams: {
+            ...strategyRegistry.getDefaultParams(name),
+            ...params,
+          },
+          strategy,
+          requiredTimeframes,
+        });
       }
 
-      // 結果オブジェクトにローソク足データを追加
-      const responseResult = {
-        ...result,
-        candles: includedCandles,
-        totalCandleCount: candles.length,
-      };
+      // 履歴・ジョブ一覧に表示する戦略名（銘柄ごとに異なる場合はカンマ区切り）
+      const strategyNames = [
+        ...new Set(markets.map((market) => market.strategyName)),
+      ].join(",");
+
+      const job = jobQueue.enqueue(
+        "portfolio",
+        {
+          symbols,
+          timeframe,
+          strategyName: strategyNames,
+          startDate,
+          endDate,
+          mode: "portfolio",
+        },
+        (job) =>
+          runPortfolioBacktestJob(job, {
+            markets,
+            timeframe,
+            strategyName: strategyNames,
+            startDate,
+            endDate,
+            startTime,
+            endTime,
+            engineOptions: {
+              initialBalance: initialBalance || 10000,
+              positionSizePercent:
+                positionSizePercent ||
+                config.riskManagement.positionSizePercent,
+              maxConcurrentPositions,
+              maxExposurePercent,
+              ...parsedSettings.options.exitRules,
+              ...parsedSettings.options.fillModel,
+              ...parsedSettings.options.account,
+            },
+            exitRules: parsedSettings.options.exitRules,
+            fillModel: parsedSettings.options.fillModel,
+            account: parsedSettings.options.account,
+            benchmarkSymbol: parsedSettings.options.benchmarkSymbol,
+          })
+      );
 
-      res.json(responseResult);
+      res.status(202).json({ success: true, jobId: job.id, job });
     } catch (error) {
-      logger.error(`バックテストエラー: ${error.message}`);
+      logger.error(`ポートフォリオバックテストエラー: ${error.message}`);
       res.status(500).json({ success: false, error: "内部サーバーエラー" });
     }
   }
 );
 
+/**
+ * ポートフォリオバックテストジョブを実行
+ * @param {Object} job - ジョブのコンテキスト（reportProgress, signal）
+ * @param {Object} options - 検証済みのバックテスト設定（marketsは銘柄ごとの戦略）
+ * @returns {Promise<Object>} - バックテスト結果（銘柄ごとの集計と相関を含む）
+ */
+async function runPortfolioBacktestJob(job, options) {
+  const {
+    markets,
+    timeframe,
+    strategyName,
+    startDate,
+    endDate,
+    startTime,
+    endTime,
+    engineOptions,
+    exitRules,
+    fillModel,
+    account,
+    benchmarkSymbol,
+  } = options;
+  const symbols = markets.map((market) => market.symbol);
+
+  logger.info(
+    `ポートフォリオバックテスト開始: ${symbols.join(
+      ","
+    )} ${startDate} から ${endDate} まで (${timeframe}足)`
+  );
+
+  // 銘柄ごとにローソク足・上位足・下位足を読み込む
+  const loaded = [];
+  for (const [index, market] of markets.entries()) {
+    const reportDownload = (ratio) =>
+      job.reportProgress({
+        phase: "download",
+        percent: ((index + ratio) / markets.length) * 100,
+        completed: index,
+        total: markets.length,
+      });
+
+    const candles = await binanceClient.getCandles({
+      symbol: market.symbol,
+      interval: timeframe,
+      startTime,
+      endTime,
+      signal: job.signal,
+      onProgress: reportDownload,
+    });
+    logger.info(
+      `データ取得完了: ${market.symbol} ${candles.length} 件のローソク足データ`
+    );
+
+    const context = await multiTimeframe.loadTimeframeContext({
+      symbol: market.symbol,
+      interval: timeframe,
+      candles,
+      timeframes: market.requiredTimeframes,
+      signal: job.signal,
+    });
+    if (fillModel.intrabarFill === "lowerTimeframe") {
+      context.lowerTimeframe = await multiTimeframe.loadLowerTimeframe({
+        symbol: market.symbol,
+        interval: timeframe,
+        candles,
+        lowerInterval: fillModel.intrabarTimeframe,
+        signal: job.signal,
+      });
+    }
+
+    // 戦略インスタンスはワーカーに渡せないため、戦略名とパラメータで渡す
+    loaded.push({
+      symbol: market.symbol,
+      strategyName: market.strategyName,
+      strategyParams: market.strategyParams,
+      candles,
+      context,
+    });
+  }
+
+  // 別の銘柄と比較する場合はベンチマークのローソク足を読み込む（省略時は全銘柄の均等保有）
+  const portfolioContext = {};
+  if (benchmarkSymbol) {
+    portfolioContext.benchmark = await loadBenchmark(job, {
+      benchmarkSymbol,
+      timeframe,
+      startTime,
+      endTime,
+    });
+  }
+
+  // ポートフォリオバックテストをワーカースレッドで実行（イベントループを止めず、キャンセルで中断できるように）
+  job.reportProgress({ phase: "backtest", percent: 100 });
+  const pool = new BacktestWorkerPool({
+    size: 1,
+    engineOptions,
+    markets: loaded,
+    context: portfolioContext,
+    mode: "portfolio",
+  });
+  const cancel = () => pool.terminate("バックテストはキャンセルされました");
+  job.signal.addEventListener("abort", cancel);
+
+  let result;
+  try {
+    const workerResult = await pool.run(null, 0, 0);
+    result = workerResult.success ? workerResult.result : workerResult;
+  } finally {
+    job.signal.removeEventListener("abort", cancel);
+    await pool.terminate();
+  }
+  if (!result.success) {
+    return result;
+  }
+
+  // 結果を履歴に保存（保存に失敗してもバックテスト結果は返す）
+  let historyId = null;
+  try {
+    historyId = backtestHistory.save({
+      settings: {
+        symbol: symbols.join(","),
+        symbols,
+        timeframe,
+        strategyName,
+        params: null,
+        symbolStrategies: markets.map((market) => ({
+          symbol: market.symbol,
+          strategyName: market.strategyName,
+          params: market.strategyParams,
+        })),
+        startDate,
+        endDate,
+        mode: "portfolio",
+        initialBalance: engineOptions.initialBalance,
+        positionSizePercent: engineOptions.positionSizePercent,
+        maxConcurrentPositions: engineOptions.maxConcurrentPositions,
+        maxExposurePercent: engineOptions.maxExposurePercent,
+        exitRules,
+        fillModel,
+        account,
+        benchmarkSymbol,
+      },
+      summary: result.result,
+      trades: result.trades,
+      equity: result.equity,
+    }).id;
+  } catch (error) {
+    logger.error(`バックテスト結果の保存エラー: ${error.message}`);
+  }
+
+  return { ...result, mode: "portfolio", historyId };
+}
+
+/**
+ * バイ・アンド・ホールドで比較するベンチマークのローソク足を読み込む
+ * @param {Object} job - ジョブのコンテキスト（reportProgress, signal）
+ * @param {Object} options - { benchmarkSymbol, timeframe, startTime, endTime }
+ * @returns {Promise<Object>} - { symbol, candles }
+ */
+async function loadBenchmark(
+  job,
+  { benchmarkSymbol, timeframe, startTime, endTime }
+) {
+  const candles = await binanceClient.getCandles({
+    symbol: benchmarkSymbol,
+    interval: timeframe,
+    startTime,
+    endTime,
+    signal: job.signal,
+    onProgress: (ratio) =>
+      job.reportProgress({ phase: "benchmark", percent: ratio * 100 }),
+  });
+  logger.info(
+    `ベンチマークのデータ取得完了: ${benchmarkSymbol} ${candles.length} 件のローソク足データ`
+  );
+
+  return { symbol: benchmarkSymbol, candles };
+}
+
+// マルチタイムフレーム分析で読み込める上位足
+const MULTI_TIMEFRAME_INTERVALS = ["1h", "2h", "4h", "6h", "12h", "1d", "1w"];
+
+/**
+ * 詳細バックテストのオプションを検証して拡張エンジンの設定に変換
+ * @param {Object} options - リクエストのadvancedOptions
+ * @returns {Object} - { options } または { error }
+ */
+function parseAdvancedBacktestOptions(options = {}) {
+  if (
+    options === null ||
+    typeof options !== "object" ||
+    Array.isArray(options)
+  ) {
+    return { error: "詳細オプションはオブジェクトである必要があります" };
+  }
+
+  const {
+    runMonteCarloSimulation = true,
+    monteCarloSimulations = 1000,
+    confidenceInterval = 0.95,
+    marketRegimeDetection = true,
+    useDynamicParameters = false,
+    volatilityLookback = 20,
+    useMultiTimeframe = false,
+    timeframes = ["4h", "1d"],
+  } = options;
+
+  for (const [name, value] of Object.entries({
+    runMonteCarloSimulation,
+    marketRegimeDetection,
+    useDynamicParameters,
+    useMultiTimeframe,
+  })) {
+    if (typeof value !== "boolean") {
+      return { error: `${name}はboolean型である必要があります` };
+    }
+  }
+
+  if (
+    !Number.isInteger(monteCarloSimulations) ||
+    monteCarloSimulations < 100 ||
+    monteCarloSimulations > 10000
+  ) {
+    return {
+      error:
+        "モンテカルロシミュレーション回数は100から10000の整数で指定してください",
+    };
+  }
+
+  if (
+    typeof confidenceInterval !== "number" ||
+    confidenceInterval < 0.5 ||
+    confidenceInterval > 0.99
+  ) {
+    return { error: "信頼区間は0.5から0.99の間で指定してください" };
+  }
+
+  if (
+    !Number.isInteger(volatilityLookback) ||
+    volatilityLookback < 5 ||
+    volatilityLookback > 500
+  ) {
+    return {
+      error: "ボラティリティの計測期間は5から500の整数で指定してください",
+    };
+  }
+
+  if (
+    !Array.isArray(timeframes) ||
+    timeframes.some((tf) => !MULTI_TIMEFRAME_INTERVALS.includes(tf))
+  ) {
+    return {
+      error: `上位足は${MULTI_TIMEFRAME_INTERVALS.join(
+        ", "
+      )}から指定してください`,
+    };
+  }
+
+  return {
+    options: {
+      runMonteCarloSimulation,
+      monteCarloSimulations,
+      confidenceInterval,
+      marketRegimeDetection,
+      useDynamicParameters,
+      volatilityLookback,
+      useMultiTimeframe,
+      timeframes,
+    },
+  };
+}
+
+/**
+ * バックテストの期間・資金・決済ルール・約定モデル・口座・ベンチマークを検証
+ * @param {Object} body - リクエストボディ（startDate, endDate, initialBalance, positionSizePercent, exitRules, fillModel, account, benchmarkSymbol）
+ * @param {string} timeframe - 基準の時間足（約定モデルの下位足の検証に使用）
+ * @returns {Object} - { options: { startTime, endTime, exitRules, fillModel, account, benchmarkSymbol } } または { error }
+ */
+function parseBacktestSettings(body, timeframe) {
+  const {
+    startDate,
+    endDate,
+    initialBalance,
+    positionSizePercent,
+    exitRules,
+    fillModel,
+    account,
+    benchmarkSymbol,
+  } = body;
+
+  if (!startDate || !endDate) {
+    return { error: "有効な開始日と終了日が必要です" };
+  }
+
+  // 日付の妥当性チェック
+  const startTime = new Date(startDate).getTime();
+  const endTime = new Date(endDate).getTime();
+
+  if (isNaN(startTime) || isNaN(endTime)) {
+    return { error: "無効な日付形式です" };
+  }
+
+  if (startTime >= endTime) {
+    return { error: "開始日は終了日より前である必要があります" };
+  }
+
+  // 数値パラメータのバリデーション
+  if (
+    initialBalance !== undefined &&
+    (isNaN(initialBalance) || initialBalance <= 0)
+  ) {
+    return { error: "初期残高は正の数値である必要があります" };
+  }
+
+  if (
+    positionSizePercent !== undefined &&
+    (isNaN(positionSizePercent) ||
+      positionSizePercent <= 0 ||
+      positionSizePercent > 100)
+  ) {
+    return {
+      error: "ポジションサイズは0より大きく100以下である必要があります",
+    };
+  }
+
+  const parsedExitRules = parseExitRules(exitRules);
+  if (parsedExitRules.error) {
+    return parsedExitRules;
+  }
+
+  const parsedFillModel = parseFillModel(fillModel);
+  if (parsedFillModel.error) {
+    return parsedFillModel;
+  }
+  const { intrabarFill, intrabarTimeframe } = parsedFillModel.options;
+  if (
+    intrabarFill === "lowerTimeframe" &&
+    (!config.trading.supportedTimeframes.includes(intrabarTimeframe) ||
+      !multiTimeframe.isLowerTimeframe(timeframe, intrabarTimeframe))
+  ) {
+    return {
+      error: `下位足には${timeframe}より短く、${timeframe}を割り切れる時間足を指定してください（${config.trading.supportedTimeframes.join(
+        ", "
+      )}）`,
+    };
+  }
+
+  const parsedAccount = parseAccountOptions(account);
+  if (parsedAccount.error) {
+    return parsedAccount;
+  }
+
+  if (
+    benchmarkSymbol !== undefined &&
+    benchmarkSymbol !== null &&
+    benchmarkSymbol !== "" &&
+    (typeof benchmarkSymbol !== "string" ||
+      !/^[A-Z0-9]{5,20}$/.test(benchmarkSymbol))
+  ) {
+    return { error: "ベンチマークには有効な取引ペアを指定してください" };
+  }
+
+  return {
+    options: {
+      startTime,
+      endTime,
+      exitRules: parsedExitRules.options,
+      fillModel: parsedFillModel.options,
+      account: parsedAccount.options,
+      benchmarkSymbol: benchmarkSymbol || null,
+    },
+  };
+}
+
+// 決済ルールのトレーリングストップの種類
+const TRAILING_STOP_TYPES = ["none", "percent", "atr"];
+
+/**
+ * 決済ルール（トレーリングストップ・建値への移動・分割利確）を検証してエンジンの設定に変換
+ * @param {Object} rules - リクエストのexitRules（省略時は固定のストップとテイクプロフィットのみ）
+ * @returns {Object} - { options } または { error }
+ */
+function parseExitRules(rules = {}) {
+  if (rules === null || typeof rules !== "object" || Array.isArray(rules)) {
+    return { error: "決済ルールはオブジェクトである必要があります" };
+  }
+
+  const {
+    useTakeProfit = true,
+    trailingStopType = "none",
+    trailingStopPercent = 2,
+    trailingStopAtrMultiplier = 3,
+    trailingActivationR = 0,
+    breakEvenTriggerR = 0,
+    partialTakeProfits = [],
+  } = rules;
+
+  if (typeof useTakeProfit !== "boolean") {
+    return { error: "useTakeProfitはboolean型である必要があります" };
+  }
+
+  if (!TRAILING_STOP_TYPES.includes(trailingStopType)) {
+    return {
+      error: `トレーリングストップの種類は${TRAILING_STOP_TYPES.join(
+        ", "
+      )}から指定してください`,
+    };
+  }
+
+  if (
+    typeof trailingStopPercent !== "number" ||
+    trailingStopPercent < 0.1 ||
+    trailingStopPercent > 50
+  ) {
+    return {
+      error: "トレーリングストップの幅は0.1から50(%)の間で指定してください",
+    };
+  }
+
+  if (
+    typeof trailingStopAtrMultiplier !== "number" ||
+    trailingStopAtrMultiplier < 0.5 ||
+    trailingStopAtrMultiplier > 20
+  ) {
+    return {
+      error: "トレーリングストップのATR倍率は0.5から20の間で指定してください",
+    };
+  }
+
+  for (const [name, value] of Object.entries({
+    trailingActivationR,
+    breakEvenTriggerR,
+  })) {
+    if (typeof value !== "number" || value < 0 || value > 20) {
+      return { error: `${name}は0から20(R)の間で指定してください` };
+    }
+  }
+
+  if (
+    !Array.isArray(partialTakeProfits) ||
+    partialTakeProfits.length > 5 ||
+    partialTakeProfits.some(
+      (level) =>
+        !level ||
+        typeof level.r !== "number" ||
+        level.r <= 0 ||
+        level.r > 20 ||
+        typeof level.percent !== "number" ||
+        level.percent <= 0 ||
+        level.percent > 100
+    )
+  ) {
+    return {
+      error:
+        "分割利確は{ r: 0より大きく20以下, percent: 0より大きく100以下 }の配列（最大5件）で指定してください",
+    };
+  }
+
+  if (partialTakeProfits.reduce((sum, level) => sum + level.percent, 0) > 100) {
+    return { error: "分割利確の割合の合計は100%以下である必要があります" };
+  }
+
+  return {
+    options: {
+      useTakeProfit,
+      trailingStopType,
+      trailingStopPercent,
+      trailingStopAtrMultiplier,
+      trailingActivationR,
+      breakEvenTriggerR,
+      partialTakeProfits: partialTakeProfits.map(({ r, percent }) => ({
+        r,
+        percent,
+      })),
+    },
+  };
+}
+
+// 約定モデルの足の中の値動きの判定方法とエントリー注文の種類
+const INTRABAR_FILL_MODES = ["stopFirst", "ohlc", "lowerTimeframe"];
+const ENTRY_ORDER_TYPES = ["market", "limit", "stop"];
+
+/**
+ * 約定モデル（足の中の値動き・窓開け・エントリー注文・出来高による部分約定）を検証してエンジンの設定に変換
+ * 下位足の時間足が基準の時間足に対して使えるかはルートで検証する
+ * @param {Object} model - リクエストのfillModel（省略時はストップを先に判定し、シグナルの終値で成行約定）
+ * @returns {Object} - { options } または { error }
+ */
+function parseFillModel(model = {}) {
+  if (model === null || typeof model !== "object" || Array.isArray(model)) {
+    return { error: "約定モデルはオブジェクトである必要があります" };
+  }
+
+  const {
+    intrabarFill = "stopFirst",
+    intrabarTimeframe = "5m",
+    gapFill = false,
+    entryOrderType = "market",
+    entryOrderOffsetPercent = 0.5,
+    entryOrderExpiryBars = 5,
+    maxVolumePercent = 0,
+  } = model;
+
+  if (!INTRABAR_FILL_MODES.includes(intrabarFill)) {
+    return {
+      error: `足の中の値動きの判定方法は${INTRABAR_FILL_MODES.join(
+        ", "
+      )}から指定してください`,
+    };
+  }
+
+  if (typeof intrabarTimeframe !== "string") {
+    return { error: "下位足の時間足は文字列で指定してください" };
+  }
+
+  if (typeof gapFill !== "boolean") {
+    return { error: "gapFillはboolean型である必要があります" };
+  }
+
+  if (!ENTRY_ORDER_TYPES.includes(entryOrderType)) {
+    return {
+      error: `エントリー注文の種類は${ENTRY_ORDER_TYPES.join(
+        ", "
+      )}から指定してください`,
+    };
+  }
+
+  if (
+    typeof entryOrderOffsetPercent !== "number" ||
+    entryOrderOffsetPercent < 0.01 ||
+    entryOrderOffsetPercent > 20
+  ) {
+    return {
+      error: "指値・逆指値の幅は0.01から20(%)の間で指定してください",
+    };
+  }
+
+  if (
+    !Number.isInteger(entryOrderExpiryBars) ||
+    entryOrderExpiryBars < 1 ||
+    entryOrderExpiryBars > 500
+  ) {
+    return {
+      error: "指値・逆指値の有効期間は1から500(本)の整数で指定してください",
+    };
+  }
+
+  if (
+    typeof maxVolumePercent !== "number" ||
+    maxVolumePercent < 0 ||
+    maxVolumePercent > 100
+  ) {
+    return {
+      error: "出来高に対する約定の上限は0から100(%)の間で指定してください",
+    };
+  }
+
+  return {
+    options: {
+      intrabarFill,
+      intrabarTimeframe,
+      gapFill,
+      entryOrderType,
+      entryOrderOffsetPercent,
+      entryOrderExpiryBars,
+      maxVolumePercent,
+    },
+  };
+}
+
+/**
+ * バックテストの口座（現物・マージン・先物、レバレッジ、借入利息・資金調達料、維持証拠金）を検証してエンジンの設定に変換
+ * @param {Object} options - リクエストのaccount（省略時はレバレッジ1倍のクロスマージン）
+ * @returns {Object} - { options } または { error }
+ */
+function parseAccountOptions(options = {}) {
+  if (
+    options === null ||
+    typeof options !== "object" ||
+    Array.isArray(options)
+  ) {
+    return { error: "口座の設定はオブジェクトである必要があります" };
+  }
+
+  const {
+    marketType = "margin",
+    marginMode = "cross",
+    leverage = 1,
+    dailyInterestRate = 0.02,
+    fundingRatePercent = 0.01,
+    maintenanceMarginRate = 0.5,
+  } = options;
+
+  if (!AccountModel.MARKET_TYPES.includes(marketType)) {
+    return {
+      error: `口座の種類は${AccountModel.MARKET_TYPES.join(
+        ", "
+      )}から指定してください`,
+    };
+  }
+
+  if (!AccountModel.MARGIN_MODES.includes(marginMode)) {
+    return {
+      error: `証拠金モードは${AccountModel.MARGIN_MODES.join(
+        ", "
+      )}から指定してください`,
+    };
+  }
+
+  const maxLeverage = AccountModel.MAX_LEVERAGE[marketType];
+  if (typeof leverage !== "number" || leverage < 1 || leverage > maxLeverage) {
+    return {
+      error: `${marketType}口座のレバレッジは1から${maxLeverage}の間で指定してください`,
+    };
+  }
+
+  if (
+    typeof dailyInterestRate !== "number" ||
+    dailyInterestRate < 0 ||
+    dailyInterestRate > 1
+  ) {
+    return { error: "借入利息は0から1(%/日)の間で指定してください" };
+  }
+
+  if (
+    typeof fundingRatePercent !== "number" ||
+    fundingRatePercent < -1 ||
+    fundingRatePercent > 1
+  ) {
+    return { error: "資金調達率は-1から1(%/8時間)の間で指定してください" };
+  }
+
+  if (
+    typeof maintenanceMarginRate !== "number" ||
+    maintenanceMarginRate < 0.1 ||
+    maintenanceMarginRate > 10
+  ) {
+    return { error: "維持証拠金率は0.1から10(%)の間で指定してください" };
+  }
+
+  return {
+    options: {
+      marketType,
+      marginMode,
+      leverage,
+      dailyInterestRate,
+      fundingRatePercent,
+      maintenanceMarginRate,
+    },
+  };
+}
+
+/**
+ * ウォークフォワード最適化のオプションを検証
+ * @param {Object} options - リクエストのwalkForwardOptions
+ * @returns {Object} - { options } または { error }
+ */
+function parseWalkForwardOptions(options = {}) {
+  if (
+    options === null ||
+    typeof options !== "object" ||
+    Array.isArray(options)
+  ) {
+    return {
+      error: "ウォークフォワードのオプションはオブジェクトである必要があります",
+    };
+  }
+
+  const { windows = 4, inSampleRatio = 0.7 } = options;
+
+  if (!Number.isInteger(windows) || windows < 2 || windows > 20) {
+    return {
+      error: "ウォークフォワードの窓の数は2から20の整数で指定してください",
+    };
+  }
+
+  if (
+    typeof inSampleRatio !== "number" ||
+    inSampleRatio < 0.5 ||
+    inSampleRatio > 0.9
+  ) {
+    return { error: "インサンプルの割合は0.5から0.9の間で指定してください" };
+  }
+
+  return { options: { windows, inSampleRatio } };
+}
+
+/**
+ * 遺伝的アルゴリズムの設定を検証
+ * 評価する個体数（母集団サイズ × 世代数 × 窓の数）が際限なく増えないように上限を設ける
+ * @param {Object} options - 設定（populationSize, generations）
+ * @returns {Object} - { options } または { error }
+ */
+function parseGeneticOptions({ populationSize = 20, generations = 5 }) {
+  if (
+    !Number.isInteger(populationSize) ||
+    populationSize < 2 ||
+    populationSize > 100
+  ) {
+    return { error: "母集団サイズは2から100の整数で指定してください" };
+  }
+
+  if (!Number.isInteger(generations) || generations < 1 || generations > 20) {
+    return { error: "世代数は1から20の整数で指定してください" };
+  }
+
+  return { options: { populationSize, generations } };
+}
+
 /**
  * インテリジェントなサンプリングを実行
  * シグナルポイントを優先しつつ、均等なサンプリングも行う
@@ -316,113 +1366,432 @@ function intelligentSampling(candles, signals, maxSamples) {
   // 残りのポイントを均等に分布させる
   const sampledCandles = [];
 
-  if (remainingSamples > 0) {
-    // 均等なステップを計算
-    const step = Math.max(1, Math.floor(candles.length / remainingSamples));
+  if (remainingSamples > 0) {
+    // 均等なステップを計算
+    const step = Math.max(1, Math.floor(candles.length / remainingSamples));
+
+    // 均等サンプリング
+    for (let i = 0; i < candles.length; i += step) {
+      // シグナルポイントでなければ追加
+      if (!signalIndices.has(i)) {
+        sampledCandles.push(candles[i]);
+      }
+
+      // 最大サンプル数に達したら終了
+      if (sampledCandles.length >= remainingSamples) {
+        break;
+      }
+    }
+  }
+
+  // シグナルポイントを追加
+  signalIndices.forEach((index) => {
+    sampledCandles.push(candles[index]);
+  });
+
+  // 時間順にソート
+  sampledCandles.sort((a, b) => a.time - b.time);
+
+  // 最大サンプル数に制限
+  return sampledCandles.slice(0, maxSamples);
+}
+
+// APIエンドポイント - キャッシュ済みローソク足データの一覧（認証必須）
+app.get("/api/candles/cache", auth.apiKeyAuth, (req, res) => {
+  try {
+    res.json({ success: true, datasets: candleStore.listDatasets() });
+  } catch (error) {
+    logger.error(`ローソク足キャッシュ一覧取得エラー: ${error.message}`);
+    res.status(500).json({ success: false, error: "内部サーバーエラー" });
+  }
+});
+
+// APIエンドポイント - BinanceのCSVダンプをキャッシュに取り込む（認証と管理者権限必須）
+// - text/csv: リクエスト本文のCSVを取り込む（symbolとintervalはクエリで指定）
+// - application/json: { fileName } でインポート用ディレクトリ内のファイルを取り込む
+app.post(
+  "/api/candles/import",
+  auth.apiKeyAuth,
+  auth.requirePermission("admin"),
+  express.text({ type: "text/csv", limit: "100mb" }),
+  (req, res) => {
+    try {
+      const isCsvBody = typeof req.body === "string";
+      const symbol = isCsvBody ? req.query.symbol : req.body.symbol;
+      const interval = isCsvBody ? req.query.interval : req.body.interval;
+
+      if (symbol !== undefined && !/^[A-Z0-9]{5,20}$/.test(symbol)) {
+        return res
+          .status(400)
+          .json({ success: false, error: "有効な取引ペアが必要です" });
+      }
+
+      if (interval !== undefined && !candleStore.isCacheable(interval)) {
+        return res.status(400).json({
+          success: false,
+          error: `キャッシュできない時間足です: ${interval}`,
+        });
+      }
+
+      let result;
+      if (isCsvBody) {
+        if (!symbol || !interval) {
+          return res.status(400).json({
+            success: false,
+            error: "CSVを送信する場合はsymbolとintervalの指定が必要です",
+          });
+        }
+        result = {
+          symbol,
+          interval,
+          ...candleStore.importCsv(req.body, symbol, interval),
+        };
+      } else {
+        const { fileName } = req.body;
+        if (!fileName || typeof fileName !== "string") {
+          return res
+            .status(400)
+            .json({ success: false, error: "ファイル名が必要です" });
+        }
+        result = candleStore.importCsvFile(fileName, symbol, interval);
+      }
+
+      res.json({
+        success: true,
+        message: `${result.imported}件のローソク足を取り込みました`,
+        ...result,
+      });
+    } catch (error) {
+      logger.error(`ローソク足インポートエラー: ${error.message}`);
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// APIエンドポイント - 戦略パラメータ最適化（バックテスト権限必須）
+app.post(
+  "/api/optimize",
+  auth.apiKeyAuth,
+  auth.requirePermission("backtest"),
+  async (req, res) => {
+    try {
+      const {
+        symbol,
+        timeframe,
+        strategyName,
+        paramRanges,
+        startDate,
+        endDate,
+        initialBalance,
+        positionSizePercent,
+        optimizationMetric,
+        populationSize,
+        generations,
+        mode = "standard",
+        walkForwardOptions,
+      } = req.body;
+
+      if (mode !== "standard" && mode !== "walkForward") {
+        return res
+          .status(400)
+          .json({ success: false, error: "無効な最適化モードです" });
+      }
+
+      let walkForward = null;
+      if (mode === "walkForward") {
+        const parsed = parseWalkForwardOptions(walkForwardOptions);
+        if (parsed.error) {
+          return res.status(400).json({ success: false, error: parsed.error });
+        }
+        walkForward = parsed.options;
+      }
+
+      const genetic = parseGeneticOptions({ populationSize, generations });
+      if (genetic.error) {
+        return res.status(400).json({ success: false, error: genetic.error });
+      }
+
+      const targetStrategy = strategyName || "MovingAverageCrossover";
+      if (!strategyRegistry.has(targetStrategy)) {
+        return res
+          .status(400)
+          .json({ success: false, error: "サポートされていない戦略です" });
+      }
+
+      // パラメータ範囲の指定がなければ戦略定義の既定範囲を使用
+      const ranges =
+        paramRanges || strategyRegistry.getDefaultParamRanges(targetStrategy);
+      const rangeErrors = strategyRegistry.validateParamRanges(
+        targetStrategy,
+        ranges
+      );
+      if (rangeErrors.length > 0) {
+        return res.status(400).json({ success: false, error: rangeErrors[0] });
+      }
+
+      // 最適化に必要なデータの期間（ジョブの実行前に検証する）
+      const startTime = new Date(startDate).getTime();
+      const endTime = new Date(endDate).getTime();
+      if (isNaN(startTime) || isNaN(endTime) || startTime >= endTime) {
+        return res
+          .status(400)
+          .json({ success: false, error: "有効な開始日と終了日が必要です" });
+      }
+
+      // ジョブとして登録し、IDをすぐに返す（進捗はSocket.IOのjob_update、結果は/api/jobs/:idで取得）
+      const job = jobQueue.enqueue(
+        "optimize",
+        {
+          symbol: symbol || config.trading.defaultSymbol,
+          timeframe: timeframe || config.trading.defaultTimeframe,
+          strategyName: targetStrategy,
+          startDate,
+          endDate,
+          mode,
+        },
+        (job) =>
+          runOptimizeJob(job, {
+            symbol: symbol || config.trading.defaultSymbol,
+            timeframe: timeframe || config.trading.defaultTimeframe,
+            startTime,
+            endTime,
+            ranges,
+            mode,
+            walkForward,
+            optimizerOptions: {
+              initialBalance: initialBalance || 10000,
+              positionSizePercent:
+                positionSizePercent ||
+                config.riskManagement.positionSizePercent,
+              strategyName: targetStrategy,
+              optimizationMetric: optimizationMetric || "profit",
+              populationSize: genetic.options.populationSize,
+              generations: genetic.options.generations,
+            },
+          })
+      );
+
+      res.status(202).json({ success: true, jobId: job.id, job });
+    } catch (error) {
+      logger.error(`最適化エラー: ${error.message}`);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+/**
+ * 最適化ジョブを実行
+ * @param {Object} job - ジョブのコンテキスト（reportProgress, signal）
+ * @param {Object} options - 検証済みの最適化設定
+ * @returns {Promise<Object>} - 最適化結果
+ */
+async function runOptimizeJob(job, options) {
+  const {
+    symbol,
+    timeframe,
+    startTime,
+    endTime,
+    ranges,
+    mode,
+    walkForward,
+    optimizerOptions,
+  } = options;
+
+  // ローソク足データを取得
+  const candles = await binanceClient.getCandles({
+    symbol,
+    interval: timeframe,
+    startTime,
+    endTime,
+    signal: job.signal,
+    onProgress: (ratio) =>
+      job.reportProgress({ phase: "download", percent: ratio * 100 }),
+  });
+
+  // 戦略が参照する上位足を読み込む（既定パラメータの戦略から判定）
+  const context = await multiTimeframe.loadTimeframeContext({
+    symbol,
+    interval: timeframe,
+    candles,
+    timeframes: multiTimeframe.getRequiredTimeframes(
+      strategyRegistry.create(optimizerOptions.strategyName)
+    ),
+    signal: job.signal,
+  });
+
+  // StrategyOptimizerをインポート
+  const StrategyOptimizer = require("./backtesting/StrategyOptimizer");
+
+  // 最適化エンジンを初期化（ジョブがキャンセルされたら最適化も中止する）
+  const optimizer = new StrategyOptimizer({
+    ...optimizerOptions,
+    context,
+    onProgress: (progress) =>
+      job.reportProgress({ phase: "optimize", ...progress }),
+  });
+  job.signal.addEventListener("abort", () => optimizer.cancel());
+
+  // 最適化を実行
+  if (walkForward) {
+    const result = await optimizer.walkForward(candles, ranges, walkForward);
+    if (!result.success) {
+      return result;
+    }
+
+    // 直近の窓で選ばれたパラメータを最適パラメータとして返す
+    return {
+      ...result,
+      mode,
+      bestParams: result.windows[result.windows.length - 1].bestParams,
+    };
+  }
+
+  const result = await optimizer.optimize(candles, ranges);
+
+  return { ...result, mode };
+}
+
+// APIエンドポイント - ジョブの一覧（結果を除く）
+app.get(
+  "/api/jobs",
+  auth.apiKeyAuth,
+  auth.requirePermission("read"),
+  (req, res) => {
+    res.json({ success: true, jobs: jobQueue.list({ type: req.query.type }) });
+  }
+);
+
+// APIエンドポイント - ジョブの状態と結果を取得
+app.get(
+  "/api/jobs/:id",
+  auth.apiKeyAuth,
+  auth.requirePermission("read"),
+  (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+      return res
+        .status(404)
+        .json({ success: false, error: "ジョブが見つかりません" });
+    }
+
+    res.json({ success: true, job });
+  }
+);
+
+// APIエンドポイント - ジョブをキャンセル（バックテスト権限必須）
+app.post(
+  "/api/jobs/:id/cancel",
+  auth.apiKeyAuth,
+  auth.requirePermission("backtest"),
+  (req, res) => {
+    const job = jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res
+        .status(404)
+        .json({ success: false, error: "ジョブが見つかりません" });
+    }
+
+    res.json({ success: true, job });
+  }
+);
+
+// APIエンドポイント - 保存済みのバックテスト結果の一覧（取引と資産推移を除く）
+app.get(
+  "/api/backtests",
+  auth.apiKeyAuth,
+  auth.requirePermission("read"),
+  (req, res) => {
+    try {
+      res.json({ success: true, runs: backtestHistory.list() });
+    } catch (error) {
+      logger.error(`バックテスト履歴取得エラー: ${error.message}`);
+      res.status(500).json({ success: false, error: "内部サーバーエラー" });
+    }
+  }
+);
+
+// APIエンドポイント - バックテスト結果の比較（ids=ID1,ID2,...）
+app.get(
+  "/api/backtests/compare",
+  auth.apiKeyAuth,
+  auth.requirePermission("read"),
+  (req, res) => {
+    try {
+      const ids = String(req.query.ids || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean);
 
-    // 均等サンプリング
-    for (let i = 0; i < candles.length; i += step) {
-      // シグナルポイントでなければ追加
-      if (!signalIndices.has(i)) {
-        sampledCandles.push(candles[i]);
+      if (ids.length < 2) {
+        return res.status(400).json({
+          success: false,
+          error: "比較するバックテスト結果を2件以上指定してください",
+        });
       }
 
-      // 最大サンプル数に達したら終了
-      if (sampledCandles.length >= remainingSamples) {
-        break;
+      const comparison = backtestHistory.compare([...new Set(ids)]);
+      if (comparison.error) {
+        return res
+          .status(404)
+          .json({ success: false, error: comparison.error });
       }
+
+      res.json({ success: true, runs: comparison.runs });
+    } catch (error) {
+      logger.error(`バックテスト比較エラー: ${error.message}`);
+      res.status(500).json({ success: false, error: "内部サーバーエラー" });
     }
   }
+);
 
-  // シグナルポイントを追加
-  signalIndices.forEach((index) => {
-    sampledCandles.push(candles[index]);
-  });
-
-  // 時間順にソート
-  sampledCandles.sort((a, b) => a.time - b.time);
-
-  // 最大サンプル数に制限
-  return sampledCandles.slice(0, maxSamples);
-}
-
-// APIエンドポイント - 戦略パラメータ最適化
-app.post("/api/optimize", async (req, res) => {
-  try {
-    const {
-      symbol,
-      timeframe,
-      strategyName,
-      paramRanges,
-      startDate,
-      endDate,
-      initialBalance,
-      positionSizePercent,
-      optimizationMetric,
-      populationSize,
-      generations,
-    } = req.body;
-
-    // 最適化に必要なデータを取得
-    const startTime = new Date(startDate).getTime();
-    const endTime = new Date(endDate).getTime();
-
-    // ローソク足データを取得
-    const candles = await binanceClient.getCandles({
-      symbol: symbol || config.trading.defaultSymbol,
-      interval: timeframe || config.trading.defaultTimeframe,
-      startTime,
-      endTime,
-    });
+// APIエンドポイント - 保存済みのバックテスト結果を取得
+app.get(
+  "/api/backtests/:id",
+  auth.apiKeyAuth,
+  auth.requirePermission("read"),
+  (req, res) => {
+    try {
+      const run = backtestHistory.get(req.params.id);
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: "バックテスト結果が見つかりません",
+        });
+      }
 
-    // StrategyOptimizerをインポート
-    const StrategyOptimizer = require("./backtesting/StrategyOptimizer");
-
-    // 最適化エンジンを初期化
-    const optimizer = new StrategyOptimizer({
-      initialBalance: initialBalance || 10000,
-      positionSizePercent:
-        positionSizePercent || config.riskManagement.positionSizePercent,
-      strategyName: strategyName || "MovingAverageCrossover",
-      optimizationMetric: optimizationMetric || "profit",
-      populationSize: populationSize || 20,
-      generations: generations || 5,
-    });
+      res.json({ success: true, run });
+    } catch (error) {
+      logger.error(`バックテスト履歴取得エラー: ${error.message}`);
+      res.status(500).json({ success: false, error: "内部サーバーエラー" });
+    }
+  }
+);
 
-    // 最適化を実行
-    const result = await optimizer.optimize(candles, paramRanges);
+// APIエンドポイント - 保存済みのバックテスト結果を削除（バックテスト権限必須）
+app.delete(
+  "/api/backtests/:id",
+  auth.apiKeyAuth,
+  auth.requirePermission("backtest"),
+  (req, res) => {
+    try {
+      if (!backtestHistory.remove(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: "バックテスト結果が見つかりません",
+        });
+      }
 
-    res.json(result);
-  } catch (error) {
-    logger.error(`最適化エラー: ${error.message}`);
-    res.status(500).json({ success: false, error: error.message });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error(`バックテスト履歴削除エラー: ${error.message}`);
+      res.status(500).json({ success: false, error: "内部サーバーエラー" });
+    }
   }
-});
+);
 
 // APIエンドポイント - 利用可能な戦略を取得
 app.get("/api/strategies", (req, res) => {
-  const strategies = [
-    {
-      name: "MovingAverageCrossover",
-      description: "移動平均線クロスオーバー戦略",
-      params: {
-        shortPeriod: {
-          type: "number",
-          default: 9,
-          min: 2,
-          max: 50,
-          description: "短期移動平均線の期間",
-        },
-        longPeriod: {
-          type: "number",
-          default: 21,
-          min: 5,
-          max: 200,
-          description: "長期移動平均線の期間",
-        },
-      },
-    },
-  ];
+  const strategies = strategyRegistry.list();
 
   res.json({ success: true, strategies });
 });
@@ -434,7 +1803,7 @@ app.post(
   auth.requirePermission("admin"),
   async (req, res) => {
     try {
-      const { BINANCE_API_KEY, BINANCE_API_SECRET, useTestnet } = req.body;
+      const { BINANCE_API_KEY, BINANCE_API_SECRET } = req.body;
 
       // 入力バリデーション
       if (
@@ -480,7 +1849,6 @@ app.post(
           ...config.binance,
           apiKey: BINANCE_API_KEY,
           apiSecret: BINANCE_API_SECRET,
-          testnet: Boolean(useTestnet),
         },
       };
 
@@ -511,6 +1879,7 @@ io.use(socketAuth.socketAuthMiddleware);
 
 // auth.jsとsocketAuth.jsのセッション連携を設定
 socketAuth.setSessions(auth.getSessions());
+socketAuth.setApiKeyResolver(auth.getApiKeyPermissions);
 
 // ソケット認証設定更新イベントリスナーを追加
 auth.on("sessionUpdate", () => {
@@ -534,33 +1903,21 @@ app.post(
         });
       }
 
-      // パラメータのバリデーション
-      if (params && typeof params === "object") {
-        // 戦略に応じたバリデーションルール
-        if (strategyName === "MovingAverageCrossover") {
-          if (
-            params.shortPeriod !== undefined &&
-            (typeof params.shortPeriod !== "number" ||
-              params.shortPeriod < 2 ||
-              params.shortPeriod > 50)
-          ) {
-            return res.status(400).json({
-              success: false,
-              error: "短期移動平均線の期間は2から50の間で指定してください",
-            });
-          }
-          if (
-            params.longPeriod !== undefined &&
-            (typeof params.longPeriod !== "number" ||
-              params.longPeriod < 5 ||
-              params.longPeriod > 200)
-          ) {
-            return res.status(400).json({
-              success: false,
-              error: "長期移動平均線の期間は5から200の間で指定してください",
-            });
-          }
-        }
+      if (!strategyRegistry.has(strategyName)) {
+        return res.status(400).json({
+          success: false,
+          error: "サポートされていない戦略です",
+        });
+      }
+
+      // パラメータのバリデーション（戦略定義のスキーマと戦略自身の組み合わせ検証）
+      try {
+        strategyRegistry.create(strategyName, params || {});
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message,
+        });
       }
 
       // 設定を保存（実際の実装ではDBなどに保存）
@@ -700,17 +2057,82 @@ app.post(
   "/api/trading/start",
   auth.apiKeyAuth,
   auth.requirePermission("trading"),
-  (req, res) => {
+  async (req, res) => {
     try {
-      // 実際の実装では取引エンジンを起動
+      const { symbol, timeframe, strategyName, strategyParams } = req.body;
+
+      if (tradingEngine.isRunning) {
+        return res.status(409).json({
+          success: false,
+          error: "取引は既に開始されています",
+        });
+      }
+
+      // 緊急停止ラッチが解除されるまで取引を再開させない
+      if (tradingEngine.halt) {
+        return res.status(423).json({
+          success: false,
+          error:
+            "緊急停止中のため取引を開始できません。管理者による解除が必要です",
+          status: tradingEngine.getStatus(),
+        });
+      }
+
+      // 入力バリデーション
+      if (symbol !== undefined && typeof symbol !== "string") {
+        return res
+          .status(400)
+          .json({ success: false, error: "有効な取引ペアが必要です" });
+      }
+
+      if (
+        timeframe !== undefined &&
+        !config.trading.supportedTimeframes.includes(timeframe)
+      ) {
+        return res
+          .status(400)
+          .json({ success: false, error: "有効な時間枠が必要です" });
+      }
+
+      if (
+        strategyParams !== undefined &&
+        (typeof strategyParams !== "object" || strategyParams === null)
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "戦略パラメータはオブジェクトである必要があります",
+        });
+      }
+
+      // 戦略を事前に検証
+      try {
+        tradingEngine.createStrategy(
+          strategyName || tradingEngine.strategyName,
+          strategyParams || {}
+        );
+      } catch (strategyError) {
+        return res.status(400).json({
+          success: false,
+          error: `戦略初期化エラー: ${strategyError.message}`,
+        });
+      }
+
       logger.info(
         `取引を開始します: ユーザー ${req.auth.username || "APIキー認証"}`
       );
 
+      const status = await tradingEngine.start({
+        symbol,
+        interval: timeframe,
+        strategyName,
+        strategyParams,
+      });
+
       res.json({
         success: true,
         message: "取引を開始しました",
-        strategy: "MovingAverageCrossover",
+        strategy: status.currentStrategy,
+        status,
       });
     } catch (error) {
       logger.error(`取引開始エラー: ${error.message}`);
@@ -726,14 +2148,16 @@ app.post(
   auth.requirePermission("trading"),
   (req, res) => {
     try {
-      // 実際の実装では取引エンジンを停止
       logger.info(
         `取引を停止します: ユーザー ${req.auth.username || "APIキー認証"}`
       );
 
+      const status = tradingEngine.stop();
+
       res.json({
         success: true,
         message: "取引を停止しました",
+        status,
       });
     } catch (error) {
       logger.error(`取引停止エラー: ${error.message}`);
@@ -742,21 +2166,55 @@ app.post(
   }
 );
 
+// APIエンドポイント - 取引状態を取得（認証必須）
+app.get("/api/trading/status", auth.apiKeyAuth, (req, res) => {
+  try {
+    res.json({ success: true, status: tradingEngine.getStatus() });
+  } catch (error) {
+    logger.error(`取引状態取得エラー: ${error.message}`);
+    res.status(500).json({ success: false, error: "内部サーバーエラー" });
+  }
+});
+
+// APIエンドポイント - 市場データストリームの状態を取得（認証必須）
+app.get("/api/market/streams", auth.apiKeyAuth, (req, res) => {
+  try {
+    res.json({ success: true, streams: marketStream.getStatus() });
+  } catch (error) {
+    logger.error(`ストリーム状態取得エラー: ${error.message}`);
+    res.status(500).json({ success: false, error: "内部サーバーエラー" });
+  }
+});
+
 // APIエンドポイント - 緊急停止（認証と取引権限必須）
 app.post(
   "/api/trading/emergency-stop",
   auth.apiKeyAuth,
   auth.requirePermission("trading"),
-  (req, res) => {
+  async (req, res) => {
     try {
-      // 実際の実装では全ポジションをクローズして取引エンジンを停止
-      logger.warning(
-        `緊急停止を実行します: ユーザー ${req.auth.username || "APIキー認証"}`
-      );
+      const requestedBy = req.auth.username || "APIキー認証";
+      logger.warning(`緊急停止を実行します: ユーザー ${requestedBy}`);
+
+      // 全ポジションを決済して取引エンジンを停止
+      const report = await tradingEngine.emergencyStop(requestedBy);
+
+      // 取引所側の処理に失敗があった場合は手動での確認が必要
+      if (report.errors.length > 0) {
+        return res.status(502).json({
+          success: false,
+          error:
+            "取引は停止しましたが、一部の注文キャンセルまたは決済に失敗しました",
+          report,
+          status: tradingEngine.getStatus(),
+        });
+      }
 
       res.json({
         success: true,
         message: "緊急停止を実行しました",
+        report,
+        status: tradingEngine.getStatus(),
       });
     } catch (error) {
       logger.error(`緊急停止エラー: ${error.message}`);
@@ -765,12 +2223,43 @@ app.post(
   }
 );
 
+// APIエンドポイント - 緊急停止の解除（認証と管理者権限必須）
+app.post(
+  "/api/trading/clear-halt",
+  auth.apiKeyAuth,
+  auth.requirePermission("admin"),
+  (req, res) => {
+    try {
+      if (!tradingEngine.halt) {
+        return res.status(409).json({
+          success: false,
+          error: "緊急停止状態ではありません",
+        });
+      }
+
+      const status = tradingEngine.clearHalt(
+        req.auth.username || "APIキー認証"
+      );
+
+      res.json({
+        success: true,
+        message: "緊急停止を解除しました",
+        status,
+      });
+    } catch (error) {
+      logger.error(`緊急停止解除エラー: ${error.message}`);
+      res.status(500).json({ success: false, error: "内部サーバーエラー" });
+    }
+  }
+);
+
 // APIエンドポイント - テストモード切り替え（認証と管理者権限必須）
+// テストモードではBinanceの代わりにシミュレーション取引所（ペーパートレード）で取引する
 app.post(
   "/api/trading/test-mode",
   auth.apiKeyAuth,
   auth.requirePermission("admin"),
-  (req, res) => {
+  async (req, res) => {
     try {
       // リクエストからテストモード設定を取得
       const { testMode } = req.body;
@@ -784,19 +2273,40 @@ app.post(
       }
 
       // 現在の設定を取得
-      const currentTestMode = config.binance.testnet || false;
+      const currentTestMode = tradingEngine.isTestMode();
 
       // 新しい設定値（指定がなければ現在の設定を反転）
       const newTestMode = testMode !== undefined ? testMode : !currentTestMode;
 
-      // 設定を安全に更新（オブジェクトの複製を使用）
-      const updatedConfig = {
-        ...config,
-        binance: {
-          ...config.binance,
-          testnet: newTestMode,
-        },
-      };
+      if (tradingEngine.isRunning) {
+        return res.status(409).json({
+          success: false,
+          error: "取引の稼働中はテストモードを切り替えられません",
+        });
+      }
+
+      if (Object.keys(tradingEngine.positions).length > 0) {
+        return res.status(409).json({
+          success: false,
+          error:
+            "保有ポジションがあるためテストモードを切り替えられません。先に決済してください",
+        });
+      }
+
+      // 本番モードに切り替える場合は実際のAPIキーで接続できることを確認
+      if (!newTestMode) {
+        try {
+          await binanceClient.reinitialize(config.binance);
+        } catch (error) {
+          logger.error(`テストモード切り替えエラー: ${error.message}`);
+          return res.status(500).json({
+            success: false,
+            error: "設定の適用に失敗しました",
+          });
+        }
+      }
+
+      tradingEngine.setExchange(newTestMode ? paperExchange : binanceClient);
 
       // 設定変更のログ
       logger.info(
@@ -805,23 +2315,11 @@ app.post(
         }, ユーザー: ${req.auth.username || "APIキー認証"}`
       );
 
-      // Binanceクライアントを新しい設定で再初期化
-      binanceClient
-        .reinitialize(updatedConfig.binance)
-        .then(() => {
-          res.json({
-            success: true,
-            testMode: newTestMode,
-            message: `テストモードを${newTestMode ? "有効" : "無効"}にしました`,
-          });
-        })
-        .catch((error) => {
-          logger.error(`テストモード切り替えエラー: ${error.message}`);
-          res.status(500).json({
-            success: false,
-            error: "設定の適用に失敗しました",
-          });
-        });
+      res.json({
+        success: true,
+        testMode: newTestMode,
+        message: `テストモードを${newTestMode ? "有効" : "無効"}にしました`,
+      });
     } catch (error) {
       logger.error(`テストモード切り替えエラー: ${error.message}`);
       res.status(500).json({ success: false, error: "内部サーバーエラー" });
@@ -829,25 +2327,119 @@ app.post(
   }
 );
 
+// APIエンドポイント - ペーパートレード口座の取得（認証必須）
+app.get("/api/paper/account", auth.apiKeyAuth, (req, res) => {
+  try {
+    res.json({ success: true, account: paperExchange.getAccountSummary() });
+  } catch (error) {
+    logger.error(`ペーパートレード口座取得エラー: ${error.message}`);
+    res.status(500).json({ success: false, error: "内部サーバーエラー" });
+  }
+});
+
+// APIエンドポイント - ペーパートレード口座のリセット（認証と管理者権限必須）
+app.post(
+  "/api/paper/reset",
+  auth.apiKeyAuth,
+  auth.requirePermission("admin"),
+  (req, res) => {
+    try {
+      if (
+        tradingEngine.isTestMode() &&
+        (tradingEngine.isRunning ||
+          Object.keys(tradingEngine.positions).length > 0)
+      ) {
+        return res.status(409).json({
+          success: false,
+          error:
+            "ペーパートレードの稼働中またはポジション保有中は口座をリセットできません",
+        });
+      }
+
+      const account = paperExchange.reset();
+
+      logger.info(
+        `ペーパートレード口座をリセット: ユーザー ${
+          req.auth.username || "APIキー認証"
+        }`
+      );
+
+      res.json({
+        success: true,
+        message: "ペーパートレード口座をリセットしました",
+        account,
+      });
+    } catch (error) {
+      logger.error(`ペーパートレード口座リセットエラー: ${error.message}`);
+      res.status(500).json({ success: false, error: "内部サーバーエラー" });
+    }
+  }
+);
+
+// 取引エンジンの状態変化と取引結果をクライアントに配信
+tradingEngine.on("status", (status) => {
+  io.emit("system_status", status);
+});
+
+tradingEngine.on("trade", (trade) => {
+  io.emit("trade_update", trade);
+});
+
+// ジョブの状態と進捗をクライアントに配信（結果は/api/jobs/:idで取得）
+jobQueue.on("update", (job) => {
+  io.emit("job_update", job);
+});
+
+// 価格配信（同じシンボルの購読は全クライアントで上流の1本を共有）
+const priceBroadcaster = new PriceBroadcaster(io, marketStream);
+
 // Socket.IOイベント
 io.on("connection", (socket) => {
   const username = socket.user?.username || "認証なし";
   logger.info(`新しいクライアント接続: ${socket.id}, ユーザー: ${username}`);
 
+  // 接続時に現在の稼働状態を送信
+  socket.emit("system_status", tradingEngine.getStatus());
+
   // 価格更新イベント（読み取り権限必須）
   socketAuth.protectedEvent(
     "subscribe:price",
     (socket, args, callback) => {
-      const symbol = args[0] || config.trading.defaultSymbol;
-      logger.info(`価格購読開始: ${symbol}, ユーザー: ${socket.user.username}`);
-      // 実際の購読ロジックをここに実装
-      callback({ success: true, message: `${symbol}の価格購読を開始しました` });
+      const symbol = String(
+        args[0] || config.trading.defaultSymbol
+      ).toUpperCase();
+      const result = priceBroadcaster.subscribe(socket, symbol);
+      if (result.success) {
+        logger.info(
+          `価格購読開始: ${symbol}, ユーザー: ${socket.user.username}`
+        );
+      }
+      callback(result);
+    },
+    "read"
+  )(socket);
+
+  // 価格購読解除イベント（読み取り権限必須）
+  socketAuth.protectedEvent(
+    "unsubscribe:price",
+    (socket, args, callback) => {
+      const symbol = String(
+        args[0] || config.trading.defaultSymbol
+      ).toUpperCase();
+      const result = priceBroadcaster.unsubscribe(socket, symbol);
+      if (result.success) {
+        logger.info(
+          `価格購読解除: ${symbol}, ユーザー: ${socket.user.username}`
+        );
+      }
+      callback(result);
     },
     "read"
   )(socket);
 
   // 切断イベント
   socket.on("disconnect", () => {
+    priceBroadcaster.unsubscribeAll(socket);
     logger.info(`クライアント切断: ${socket.id}, ユーザー: ${username}`);
   });
 });
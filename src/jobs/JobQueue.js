@@ -0,0 +1,237 @@
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+// 終了したジョブの状態
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+/**
+ * 非同期ジョブキュー
+ * バックテストや最適化などの時間のかかる処理をジョブとして登録し、同時実行数を制限して順番に実行する
+ * ジョブはメモリ上に保持し、終了したジョブは新しいものから一定件数まで残す
+ * イベント:
+ * - update: ジョブの状態や進捗が変化したとき（結果を除いた概要）
+ *
+ * ジョブの状態: queued → running → completed | failed | cancelled
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * コンストラクタ
+   * @param {Object} options - 設定
+   */
+  constructor(options = {}) {
+    super();
+
+    this.concurrency = options.concurrency || config.jobs.concurrency; // 同時に実行するジョブ数
+    this.maxFinishedJobs =
+      options.maxFinishedJobs || config.jobs.maxFinishedJobs; // 保持する終了済みジョブ数
+
+    this.jobs = new Map(); // ID => ジョブ（登録順）
+    this.pending = []; // 実行待ちのジョブ
+    this.runningCount = 0;
+  }
+
+  /**
+   * ジョブを登録
+   * handlerは(job)を受け取り、結果を返す（またはPromiseで返す）
+   * - job.reportProgress(progress): 進捗を通知
+   * - job.signal: キャンセル時にabortされるAbortSignal
+   * 結果のsuccessがfalseの場合はジョブを失敗として扱う
+   * @param {string} type - ジョブの種類（backtest, optimizeなど）
+   * @param {Object} params - 表示用のジョブのパラメータ
+   * @param {Function} handler - 処理本体
+   * @returns {Object} - ジョブの概要
+   */
+  enqueue(type, params, handler) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: "queued",
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      handler,
+      controller: new AbortController(),
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    logger.info(`ジョブを登録しました: ${job.id} (${type})`);
+
+    this.emitUpdate(job);
+    this.runNext();
+
+    return this.toSummary(job);
+  }
+
+  /**
+   * ジョブを取得（結果を含む）
+   * @param {string} id - ジョブID
+   * @returns {Object|null} - ジョブ（存在しない場合はnull）
+   */
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...this.toSummary(job), result: job.result } : null;
+  }
+
+  /**
+   * ジョブの一覧（新しい順、結果を除く）
+   * @param {Object} filter - 絞り込み条件（type）
+   * @returns {Array} - ジョブの概要の配列
+   */
+  list(filter = {}) {
+    return Array.from(this.jobs.values())
+      .filter((job) => !filter.type || job.type === filter.type)
+      .reverse()
+      .map((job) => this.toSummary(job));
+  }
+
+  /**
+   * ジョブをキャンセル
+   * 実行待ちのジョブはすぐにキャンセルし、実行中のジョブにはsignalで中止を通知する
+   * @param {string} id - ジョブID
+   * @returns {Object|null} - ジョブの概要（存在しない場合はnull）
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === "queued") {
+      this.pending = this.pending.filter((pendingJob) => pendingJob !== job);
+      this.finish(job, "cancelled", { error: "ジョブはキャンセルされました" });
+    } else if (job.status === "running" && !job.controller.signal.aborted) {
+      logger.info(`ジョブをキャンセルします: ${job.id}`);
+      job.controller.abort();
+    }
+
+    return this.toSummary(job);
+  }
+
+  /**
+   * 空きがあれば次のジョブを実行
+   */
+  runNext() {
+    while (this.runningCount < this.concurrency && this.pending.length > 0) {
+      this.run(this.pending.shift());
+    }
+  }
+
+  /**
+   * ジョブを実行
+   * @param {Object} job - ジョブ
+   */
+  async run(job) {
+    this.runningCount++;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    this.emitUpdate(job);
+
+    const context = {
+      id: job.id,
+      signal: job.controller.signal,
+      reportProgress: (progress) => {
+        if (job.status !== "running") return;
+        job.progress = progress;
+        this.emitUpdate(job);
+      },
+    };
+
+    try {
+      const result = await job.handler(context);
+
+      if (job.controller.signal.aborted) {
+        this.finish(job, "cancelled", {
+          error: "ジョブはキャンセルされました",
+        });
+      } else if (result && result.success === false) {
+        this.finish(job, "failed", { result, error: result.error });
+      } else {
+        this.finish(job, "completed", { result });
+      }
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.finish(job, "cancelled", {
+          error: "ジョブはキャンセルされました",
+        });
+      } else {
+        logger.error(`ジョブエラー: ${job.id} (${job.type}): ${error.message}`);
+        this.finish(job, "failed", { error: error.message });
+      }
+    } finally {
+      this.runningCount--;
+      this.runNext();
+    }
+  }
+
+  /**
+   * ジョブを終了状態にする
+   * @param {Object} job - ジョブ
+   * @param {string} status - 終了状態
+   * @param {Object} changes - 結果やエラー
+   */
+  finish(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.finishedAt = new Date().toISOString();
+    job.handler = null;
+
+    logger.info(`ジョブ終了: ${job.id} (${job.type}), 状態=${status}`);
+    this.emitUpdate(job);
+    this.prune();
+  }
+
+  /**
+   * 古い終了済みジョブを削除
+   */
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter((job) =>
+      FINISHED_STATUSES.includes(job.status)
+    );
+    for (const job of finished.slice(
+      0,
+      Math.max(0, finished.length - this.maxFinishedJobs)
+    )) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * ジョブの更新を通知
+   * @param {Object} job - ジョブ
+   */
+  emitUpdate(job) {
+    this.emit("update", this.toSummary(job));
+  }
+
+  /**
+   * 結果を除いたジョブの概要
+   * @param {Object} job - ジョブ
+   * @returns {Object} - 概要
+   */
+  toSummary(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      params: job.params,
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+}
+
+// 設定済みのJobQueueインスタンスをエクスポート
+const jobQueue = new JobQueue();
+
+// インスタンスとクラスの両方をエクスポート
+module.exports = jobQueue;
+module.exports.JobQueue = JobQueue;
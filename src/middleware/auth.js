@@ -67,6 +67,18 @@ function getSessions() {
   return sessions;
 }
 
+/**
+ * APIキーの権限を取得（外部モジュールとの連携用）
+ * @param {string} apiKey - APIキー
+ * @returns {Array|null} - 権限の配列（無効なキーの場合はnull）
+ */
+function getApiKeyPermissions(apiKey) {
+  if (!apiKey || !apiKeys[apiKey]) {
+    return null;
+  }
+  return apiKeys[apiKey].permissions || [];
+}
+
 /**
  * APIキー認証ミドルウェア
  * APIキーによる認証を実行
@@ -244,5 +256,6 @@ module.exports = {
   logout,
   setApiKeys,
   getSessions,
+  getApiKeyPermissions,
   on,
 };
@@ -8,6 +8,9 @@ const logger = require("../utils/logger");
 // セッション検証（auth.jsのsessionsと連携する必要がある）
 const sessions = {};
 
+// APIキーから権限を解決する関数（auth.jsと連携する必要がある）
+let apiKeyResolver = () => null;
+
 /**
  * Socket.IO認証ミドルウェア
  * @param {Object} socket - Socket.IOソケットオブジェクト
@@ -45,7 +48,20 @@ function socketAuthMiddleware(socket, next) {
       return next();
     }
 
-    // APIキーによる認証はここで実装（上記のセッション認証と同様）
+    // APIキーによる認証
+    if (apiKey) {
+      const permissions = apiKeyResolver(apiKey);
+
+      if (permissions) {
+        socket.user = {
+          username: "APIキー認証",
+          permissions,
+        };
+
+        logger.info(`APIキー認証でSocket接続: ${socket.id}`);
+        return next();
+      }
+    }
 
     // どの認証方法も成功しなかった場合
     logger.warning(
@@ -69,6 +85,17 @@ function setSessions(authSessions) {
   }
 }
 
+/**
+ * APIキーの権限解決関数を設定
+ * auth.jsのAPIキー設定と同期するために使用
+ * @param {Function} resolver - APIキーを受け取り権限の配列（無効ならnull）を返す関数
+ */
+function setApiKeyResolver(resolver) {
+  if (typeof resolver === "function") {
+    apiKeyResolver = resolver;
+  }
+}
+
 /**
  * Socket認可ミドルウェア
  * 特定の操作に対する権限チェック
@@ -130,6 +157,7 @@ function protectedEvent(eventName, handler, requiredPermission) {
 module.exports = {
   socketAuthMiddleware,
   setSessions,
+  setApiKeyResolver,
   requireSocketPermission,
   protectedEvent,
 };
@@ -4,9 +4,19 @@ let priceChart;
 let equityChart;
 let backtestPriceChart;
 let backtestEquityChart;
+let backtestMonteCarloChart;
+let walkForwardEquityChart;
+let backtestComparisonChart;
+let portfolioEquityChart;
 let currentPrice = 0;
 let isConnected = false;
 let isTrading = false;
+let pricePollingTimer = null;
+let strategyDefinitions = []; // /api/strategies から取得した戦略定義
+let lastOptimization = null; // 直近の最適化結果（最適パラメータの適用に使用）
+
+// ダッシュボードに表示するシンボル
+const PRICE_SYMBOL = "BTCUSDT";
 
 // ページ読み込み時の初期化
 document.addEventListener("DOMContentLoaded", () => {
@@ -19,19 +29,38 @@ document.addEventListener("DOMContentLoaded", () => {
   // イベントリスナー設定
   setupEventListeners();
 
-  // 現在の価格を定期的に取得
-  fetchPriceRegularly();
+  // 戦略一覧を取得してフォームを生成し、実行中だったジョブの表示を再開
+  loadStrategies().then(() => {
+    loadBacktestHistory();
+    return resumeActiveJobs();
+  });
+
+  // ソケットで価格を購読できるまではポーリングで取得
+  startPricePolling();
 });
 
 // Socket.IO接続の初期化
 function initializeSocket() {
-  socket = io();
+  socket = io({
+    auth: {
+      apiKey: "test-api-key",
+    },
+  });
 
   // 接続イベント
   socket.on("connect", () => {
     isConnected = true;
     updateConnectionStatus(true);
     console.log("サーバーに接続しました");
+
+    // 価格の配信を購読（購読できればポーリングを停止）
+    socket.emit("subscribe:price", PRICE_SYMBOL, (result) => {
+      if (result && result.success) {
+        stopPricePolling();
+      } else {
+        console.error("価格購読エラー:", result && result.error);
+      }
+    });
   });
 
   // 切断イベント
@@ -39,11 +68,16 @@ function initializeSocket() {
     isConnected = false;
     updateConnectionStatus(false);
     console.log("サーバーから切断されました");
+
+    // 再接続するまではポーリングで価格を取得
+    startPricePolling();
   });
 
   // 価格更新イベント
   socket.on("price_update", (data) => {
-    updatePrice(data.price);
+    if (data.symbol === PRICE_SYMBOL) {
+      updatePrice(data.price);
+    }
   });
 
   // 取引更新イベント
@@ -72,7 +106,7 @@ function updateConnectionStatus(connected) {
 function updatePrice(price) {
   currentPrice = price;
   const priceElement = document.getElementById("current-price");
-  priceElement.innerHTML = `<span class="badge bg-primary">BTCUSDT: ${price.toFixed(
+  priceElement.innerHTML = `<span class="badge bg-primary">${PRICE_SYMBOL}: ${price.toFixed(
     2
   )} USD</span>`;
 
@@ -186,6 +220,14 @@ function setupEventListeners() {
     backtestForm.addEventListener("submit", handleBacktestSubmit);
   }
 
+  // ポートフォリオバックテストボタン
+  const portfolioBacktestBtn = document.getElementById(
+    "run-portfolio-backtest"
+  );
+  if (portfolioBacktestBtn) {
+    portfolioBacktestBtn.addEventListener("click", handlePortfolioBacktest);
+  }
+
   // 最適化フォーム
   const optimizeForm = document.getElementById("optimize-form");
   if (optimizeForm) {
@@ -198,6 +240,17 @@ function setupEventListeners() {
     applyBestParamsBtn.addEventListener("click", applyBestParams);
   }
 
+  // バックテスト履歴の更新・比較ボタン
+  const refreshHistoryBtn = document.getElementById("refresh-backtest-history");
+  if (refreshHistoryBtn) {
+    refreshHistoryBtn.addEventListener("click", loadBacktestHistory);
+  }
+
+  const compareBacktestsBtn = document.getElementById("compare-backtests");
+  if (compareBacktestsBtn) {
+    compareBacktestsBtn.addEventListener("click", compareBacktests);
+  }
+
   // 戦略設定フォーム
   const strategyForm = document.getElementById("strategy-form");
   if (strategyForm) {
@@ -234,6 +287,12 @@ function setupEventListeners() {
     emergencyStopBtn.addEventListener("click", emergencyStop);
   }
 
+  // 緊急停止解除ボタン
+  const clearHaltBtn = document.getElementById("clear-halt");
+  if (clearHaltBtn) {
+    clearHaltBtn.addEventListener("click", clearHalt);
+  }
+
   // テストモードボタン
   const testModeBtn = document.getElementById("test-mode");
   if (testModeBtn) {
@@ -241,16 +300,25 @@ function setupEventListeners() {
   }
 }
 
-// 定期的に価格を取得
-function fetchPriceRegularly() {
+// 定期的に価格を取得（ソケット配信が使えない間のフォールバック）
+function startPricePolling() {
+  if (pricePollingTimer) return;
   fetchCurrentPrice();
-  setInterval(fetchCurrentPrice, 5000); // 5秒ごとに更新
+  pricePollingTimer = setInterval(fetchCurrentPrice, 5000); // 5秒ごとに更新
+}
+
+// 価格のポーリングを停止
+function stopPricePolling() {
+  if (pricePollingTimer) {
+    clearInterval(pricePollingTimer);
+    pricePollingTimer = null;
+  }
 }
 
 // 現在の価格を取得
 async function fetchCurrentPrice() {
   try {
-    const response = await fetch("/api/price?symbol=BTCUSDT", {
+    const response = await fetch(`/api/price?symbol=${PRICE_SYMBOL}`, {
       headers: {
         "x-api-key": "test-api-key",
       },
@@ -265,6 +333,267 @@ async function fetchCurrentPrice() {
   }
 }
 
+// 戦略一覧を取得してセレクトボックスとパラメータ入力欄を生成
+async function loadStrategies() {
+  try {
+    const response = await fetch("/api/strategies");
+    const result = await response.json();
+
+    if (!result.success) {
+      console.error("戦略一覧取得エラー:", result.error);
+      return;
+    }
+
+    strategyDefinitions = result.strategies;
+
+    for (const selectId of ["backtest-strategy", "optimize-strategy"]) {
+      const select = document.getElementById(selectId);
+      if (!select) continue;
+
+      const selected = select.value;
+      select.innerHTML = strategyDefinitions
+        .map(
+          (definition) =>
+            `<option value="${definition.name}">${definition.displayName}</option>`
+        )
+        .join("");
+      if (getStrategyDefinition(selected)) {
+        select.value = selected;
+      }
+    }
+
+    // 戦略の切り替えに合わせて入力欄を生成し直す
+    const backtestSelect = document.getElementById("backtest-strategy");
+    backtestSelect.addEventListener("change", () =>
+      renderStrategyParams("strategy-params-fields", backtestSelect.value)
+    );
+    renderStrategyParams("strategy-params-fields", backtestSelect.value);
+
+    const optimizeSelect = document.getElementById("optimize-strategy");
+    optimizeSelect.addEventListener("change", () =>
+      renderParamRanges("optimization-params-fields", optimizeSelect.value)
+    );
+    renderParamRanges("optimization-params-fields", optimizeSelect.value);
+
+    renderStrategyList();
+  } catch (error) {
+    console.error("戦略一覧取得エラー:", error);
+  }
+}
+
+// 戦略定義を取得
+function getStrategyDefinition(strategyName) {
+  return strategyDefinitions.find(
+    (definition) => definition.name === strategyName
+  );
+}
+
+// パラメータの表示名を取得
+function getParamLabel(strategyName, paramName) {
+  const definition = getStrategyDefinition(strategyName);
+  const schema = definition && definition.params[paramName];
+  return schema && schema.description ? schema.description : paramName;
+}
+
+// パラメータ値を表示用に整形
+function formatParamValue(value) {
+  if (typeof value === "number" && !Number.isInteger(value)) {
+    return value.toFixed(2);
+  }
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// 戦略定義のスキーマからパラメータ入力欄を生成
+function renderStrategyParams(containerId, strategyName, values = {}) {
+  const container = document.getElementById(containerId);
+  const definition = getStrategyDefinition(strategyName);
+  if (!container || !definition) return;
+
+  container.innerHTML = "";
+
+  for (const [paramName, schema] of Object.entries(definition.params)) {
+    // オブジェクト型のパラメータはAPIからのみ指定する
+    if (schema.type === "object") continue;
+
+    const value =
+      values[paramName] !== undefined ? values[paramName] : schema.default;
+    const inputId = `${containerId}-${paramName}`;
+    const col = document.createElement("div");
+    col.className = "col-md-4 mb-2";
+
+    if (schema.type === "boolean") {
+      col.innerHTML = `
+        <div class="form-check mt-4">
+          <input class="form-check-input" type="checkbox" id="${inputId}"
+            data-param="${paramName}" data-type="boolean" ${
+        value ? "checked" : ""
+      } />
+          <label class="form-check-label" for="${inputId}">${
+        schema.description
+      }</label>
+        </div>
+      `;
+    } else if (schema.type === "select") {
+      col.innerHTML = `
+        <label for="${inputId}" class="form-label">${schema.description}</label>
+        <select id="${inputId}" class="form-select" data-param="${paramName}" data-type="select">
+          ${schema.options
+            .map(
+              (option) =>
+                `<option value="${option}" ${
+                  option === value ? "selected" : ""
+                }>${option}</option>`
+            )
+            .join("")}
+        </select>
+      `;
+    } else if (schema.type === "multiselect") {
+      col.innerHTML = `
+        <label for="${inputId}" class="form-label">${schema.description}</label>
+        <select id="${inputId}" class="form-select" multiple data-param="${paramName}" data-type="multiselect">
+          ${schema.options
+            .map(
+              (option) =>
+                `<option value="${option}" ${
+                  value.includes(option) ? "selected" : ""
+                }>${option}</option>`
+            )
+            .join("")}
+        </select>
+      `;
+    } else {
+      col.innerHTML = `
+        <label for="${inputId}" class="form-label">${schema.description}</label>
+        <input type="number" id="${inputId}" class="form-control"
+          data-param="${paramName}" data-type="number"
+          value="${value}" min="${schema.min}" max="${schema.max}"
+          step="${schema.integer ? 1 : "any"}" />
+      `;
+    }
+
+    container.appendChild(col);
+  }
+}
+
+// パラメータ入力欄から値を収集
+function collectStrategyParams(containerId) {
+  const params = {};
+  const container = document.getElementById(containerId);
+  if (!container) return params;
+
+  for (const input of container.querySelectorAll("[data-param]")) {
+    const paramName = input.dataset.param;
+    if (input.dataset.type === "boolean") {
+      params[paramName] = input.checked;
+    } else if (input.dataset.type === "select") {
+      params[paramName] = input.value;
+    } else if (input.dataset.type === "multiselect") {
+      params[paramName] = Array.from(input.selectedOptions).map(
+        (option) => option.value
+      );
+    } else {
+      params[paramName] = parseFloat(input.value);
+    }
+  }
+
+  return params;
+}
+
+// 最適化対象パラメータの範囲入力欄を生成
+function renderParamRanges(containerId, strategyName) {
+  const container = document.getElementById(containerId);
+  const definition = getStrategyDefinition(strategyName);
+  if (!container || !definition) return;
+
+  container.innerHTML = "";
+
+  for (const [paramName, schema] of Object.entries(definition.params)) {
+    if (!schema.optimize) continue;
+
+    const step = schema.integer ? 1 : "any";
+    const row = document.createElement("div");
+    row.className = "row mb-2";
+    row.innerHTML = `
+      <div class="col-md-6">
+        <label for="${containerId}-${paramName}-min" class="form-label">${schema.description} 最小値</label>
+        <input type="number" id="${containerId}-${paramName}-min" class="form-control"
+          data-range-param="${paramName}" data-bound="min"
+          value="${schema.optimize.min}" min="${schema.min}" max="${schema.max}" step="${step}" />
+      </div>
+      <div class="col-md-6">
+        <label for="${containerId}-${paramName}-max" class="form-label">${schema.description} 最大値</label>
+        <input type="number" id="${containerId}-${paramName}-max" class="form-control"
+          data-range-param="${paramName}" data-bound="max"
+          value="${schema.optimize.max}" min="${schema.min}" max="${schema.max}" step="${step}" />
+      </div>
+    `;
+    container.appendChild(row);
+  }
+}
+
+// 範囲入力欄から最適化範囲を収集
+function collectParamRanges(containerId) {
+  const ranges = {};
+  const container = document.getElementById(containerId);
+  if (!container) return ranges;
+
+  for (const input of container.querySelectorAll("[data-range-param]")) {
+    const paramName = input.dataset.rangeParam;
+    ranges[paramName] = ranges[paramName] || {};
+    ranges[paramName][input.dataset.bound] = parseFloat(input.value);
+  }
+
+  return ranges;
+}
+
+// 戦略設定タブの戦略一覧を生成
+function renderStrategyList() {
+  const list = document.getElementById("strategy-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  strategyDefinitions.forEach((definition, index) => {
+    const item = document.createElement("a");
+    item.href = "#";
+    item.className = `list-group-item list-group-item-action${
+      index === 0 ? " active" : ""
+    }`;
+    item.dataset.strategy = definition.name;
+    item.innerHTML = `
+      <div class="d-flex w-100 justify-content-between">
+        <h5 class="mb-1">${definition.displayName}</h5>
+      </div>
+      <p class="mb-1">${definition.description}</p>
+    `;
+    item.addEventListener("click", (event) => {
+      event.preventDefault();
+      list
+        .querySelectorAll(".list-group-item")
+        .forEach((element) => element.classList.remove("active"));
+      item.classList.add("active");
+      selectSettingsStrategy(definition.name);
+    });
+    list.appendChild(item);
+  });
+
+  if (strategyDefinitions.length > 0) {
+    selectSettingsStrategy(strategyDefinitions[0].name);
+  }
+}
+
+// 戦略設定フォームの対象戦略を切り替え
+function selectSettingsStrategy(strategyName) {
+  const strategyForm = document.getElementById("strategy-form");
+  if (!strategyForm) return;
+
+  strategyForm.dataset.strategy = strategyName;
+  renderStrategyParams("strategy-form-fields", strategyName);
+}
+
 // バックテスト実行
 async function handleBacktestSubmit(event) {
   event.preventDefault();
@@ -283,15 +612,18 @@ async function handleBacktestSubmit(event) {
   const positionSizePercent = parseFloat(
     document.getElementById("backtest-position-size").value
   );
-  const shortPeriod = parseInt(
-    document.getElementById("param-short-period").value
-  );
-  const longPeriod = parseInt(
-    document.getElementById("param-long-period").value
-  );
-  const trendPeriod = parseInt(
-    document.getElementById("param-trend-period").value
+  const strategyParams = collectStrategyParams("strategy-params-fields");
+  const advancedMode = document.getElementById(
+    "backtest-advanced-mode"
+  ).checked;
+  const monteCarloSimulations = parseInt(
+    document.getElementById("backtest-monte-carlo-runs").value,
+    10
   );
+  const exitRules = collectExitRules();
+  const fillModel = collectFillModel();
+  const account = collectAccountOptions();
+  const benchmarkSymbol = collectBenchmarkSymbol();
 
   // バリデーション
   if (!startDate || !endDate) {
@@ -299,6 +631,16 @@ async function handleBacktestSubmit(event) {
     return;
   }
 
+  if (
+    advancedMode &&
+    (isNaN(monteCarloSimulations) ||
+      monteCarloSimulations < 100 ||
+      monteCarloSimulations > 10000)
+  ) {
+    alert("モンテカルロ試行回数は100から10000の値を入力してください");
+    return;
+  }
+
   if (isNaN(initialBalance) || initialBalance <= 0) {
     alert("初期資金は正の数値を入力してください");
     return;
@@ -313,59 +655,166 @@ async function handleBacktestSubmit(event) {
     return;
   }
 
-  // 移動平均線パラメータのバリデーション
-  if (shortPeriod >= longPeriod) {
-    alert("短期MA期間は長期MA期間より小さくする必要があります");
+  // 戦略パラメータの組み合わせ（短期 < 長期など）はサーバー側で検証される
+  // バックテストはジョブとして実行され、完了後に結果を取得する
+  await runJob("backtest", "/api/backtest", {
+    symbol,
+    timeframe,
+    strategyName: strategy,
+    strategyParams,
+    startDate,
+    endDate,
+    initialBalance,
+    positionSizePercent,
+    mode: advancedMode ? "advanced" : "standard",
+    advancedOptions: advancedMode ? { monteCarloSimulations } : undefined,
+    exitRules,
+    fillModel,
+    account,
+    benchmarkSymbol,
+  });
+}
+
+// ポートフォリオバックテスト（フォームの戦略と設定を複数の取引ペアで実行）
+async function handlePortfolioBacktest() {
+  const symbols = document
+    .getElementById("portfolio-symbols")
+    .value.split(",")
+    .map((symbol) => symbol.trim().toUpperCase())
+    .filter((symbol) => symbol);
+  const startDate = document.getElementById("backtest-start-date").value;
+  const endDate = document.getElementById("backtest-end-date").value;
+  const initialBalance = parseFloat(
+    document.getElementById("backtest-initial-balance").value
+  );
+  const positionSizePercent = parseFloat(
+    document.getElementById("backtest-position-size").value
+  );
+  const maxConcurrentPositions = parseInt(
+    document.getElementById("portfolio-max-positions").value,
+    10
+  );
+  const maxExposurePercent = parseFloat(
+    document.getElementById("portfolio-max-exposure").value
+  );
+
+  // バリデーション
+  if (symbols.length === 0) {
+    alert("取引ペアを入力してください");
     return;
   }
 
-  if (longPeriod >= trendPeriod) {
-    alert("長期MA期間はトレンドMA期間より小さくする必要があります");
+  if (!startDate || !endDate) {
+    alert("開始日と終了日を入力してください");
     return;
   }
 
-  try {
-    // ローディング表示
-    showLoading("バックテスト実行中...");
+  if (isNaN(initialBalance) || initialBalance <= 0) {
+    alert("初期資金は正の数値を入力してください");
+    return;
+  }
 
-    // バックテストAPIを呼び出し
-    const response = await fetch("/api/backtest", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": "test-api-key",
-      },
-      body: JSON.stringify({
-        symbol,
-        timeframe,
-        strategyName: strategy,
-        strategyParams: {
-          shortPeriod,
-          longPeriod,
-          trendMaPeriod: trendPeriod,
-        },
-        startDate,
-        endDate,
-        initialBalance,
-        positionSizePercent,
-      }),
-    });
+  if (
+    isNaN(positionSizePercent) ||
+    positionSizePercent <= 0 ||
+    positionSizePercent > 100
+  ) {
+    alert("ポジションサイズは0より大きく100以下の値を入力してください");
+    return;
+  }
 
-    const result = await response.json();
+  // 同時保有数・銘柄ごとの上限の範囲はサーバー側で検証される
+  await runJob("portfolio", "/api/backtest/portfolio", {
+    symbols,
+    timeframe: document.getElementById("backtest-timeframe").value,
+    strategyName: document.getElementById("backtest-strategy").value,
+    strategyParams: collectStrategyParams("strategy-params-fields"),
+    startDate,
+    endDate,
+    initialBalance,
+    positionSizePercent,
+    maxConcurrentPositions,
+    maxExposurePercent,
+    exitRules: collectExitRules(),
+    fillModel: collectFillModel(),
+    account: collectAccountOptions(),
+    benchmarkSymbol: collectBenchmarkSymbol(),
+  });
+}
 
-    // ローディング非表示
-    hideLoading();
+// 口座の入力を取得（レバレッジの上限はサーバー側で検証される）
+function collectAccountOptions() {
+  return {
+    marketType: document.getElementById("backtest-market-type").value,
+    marginMode: document.getElementById("backtest-margin-mode").value,
+    leverage:
+      parseFloat(document.getElementById("backtest-leverage").value) || 1,
+  };
+}
 
-    if (result.success) {
-      displayBacktestResults(result);
-    } else {
-      alert(`バックテストエラー: ${result.error}`);
-    }
-  } catch (error) {
-    hideLoading();
-    console.error("バックテストエラー:", error);
-    alert("バックテスト実行中にエラーが発生しました");
-  }
+// ベンチマークの取引ペアを取得（空欄の場合はサーバー側でバックテストする取引ペアと比較する）
+function collectBenchmarkSymbol() {
+  const symbol = document
+    .getElementById("backtest-benchmark-symbol")
+    .value.trim()
+    .toUpperCase();
+  return symbol || undefined;
+}
+
+// 決済ルールの入力を取得（範囲はサーバー側で検証される）
+function collectExitRules() {
+  const trailingStopType = document.getElementById(
+    "backtest-trailing-type"
+  ).value;
+  const trailingValue = parseFloat(
+    document.getElementById("backtest-trailing-value").value
+  );
+  const partialR = parseFloat(
+    document.getElementById("backtest-partial-r").value
+  );
+  const partialPercent = parseFloat(
+    document.getElementById("backtest-partial-percent").value
+  );
+
+  return {
+    useTakeProfit: document.getElementById("backtest-use-take-profit").checked,
+    trailingStopType,
+    ...(trailingStopType === "atr"
+      ? { trailingStopAtrMultiplier: trailingValue }
+      : trailingStopType === "percent"
+      ? { trailingStopPercent: trailingValue }
+      : {}),
+    trailingActivationR:
+      parseFloat(
+        document.getElementById("backtest-trailing-activation").value
+      ) || 0,
+    breakEvenTriggerR:
+      parseFloat(document.getElementById("backtest-break-even-r").value) || 0,
+    partialTakeProfits:
+      partialR > 0 ? [{ r: partialR, percent: partialPercent }] : [],
+  };
+}
+
+// 約定モデルの入力を取得（範囲と下位足の時間足はサーバー側で検証される）
+function collectFillModel() {
+  return {
+    intrabarFill: document.getElementById("backtest-intrabar-fill").value,
+    intrabarTimeframe: document.getElementById("backtest-intrabar-timeframe")
+      .value,
+    gapFill: document.getElementById("backtest-gap-fill").checked,
+    entryOrderType: document.getElementById("backtest-entry-order-type").value,
+    entryOrderOffsetPercent: parseFloat(
+      document.getElementById("backtest-entry-order-offset").value
+    ),
+    entryOrderExpiryBars: parseInt(
+      document.getElementById("backtest-entry-order-expiry").value,
+      10
+    ),
+    maxVolumePercent:
+      parseFloat(
+        document.getElementById("backtest-max-volume-percent").value
+      ) || 0,
+  };
 }
 
 // バックテスト結果をクリアする関数
@@ -392,6 +841,21 @@ function clearBacktestResults() {
     backtestPriceChart.destroy();
     backtestPriceChart = null;
   }
+
+  if (backtestMonteCarloChart) {
+    backtestMonteCarloChart.destroy();
+    backtestMonteCarloChart = null;
+  }
+
+  const advancedResults = document.getElementById("backtest-advanced-results");
+  if (advancedResults) {
+    advancedResults.classList.add("d-none");
+  }
+
+  const lossAnalysis = document.getElementById("backtest-loss-analysis");
+  if (lossAnalysis) {
+    lossAnalysis.classList.add("d-none");
+  }
 }
 
 // API設定フォームの送信処理
@@ -400,7 +864,6 @@ async function handleApiSubmit(event) {
 
   const apiKey = document.getElementById("api-key").value;
   const apiSecret = document.getElementById("api-secret").value;
-  const useTestnet = document.getElementById("use-testnet").checked;
 
   if (!apiKey || !apiSecret) {
     alert("APIキーとシークレットを入力してください");
@@ -417,7 +880,6 @@ async function handleApiSubmit(event) {
       body: JSON.stringify({
         BINANCE_API_KEY: apiKey,
         BINANCE_API_SECRET: apiSecret,
-        useTestnet,
       }),
     });
 
@@ -438,26 +900,11 @@ async function handleApiSubmit(event) {
 async function handleStrategySubmit(event) {
   event.preventDefault();
 
-  const shortPeriod = parseInt(
-    document.getElementById("strategy-short-period").value
-  );
-  const longPeriod = parseInt(
-    document.getElementById("strategy-long-period").value
-  );
-  const trendPeriod = parseInt(
-    document.getElementById("strategy-trend-period").value
-  );
-
-  // パラメータのバリデーション
-  if (shortPeriod >= longPeriod) {
-    alert("短期MA期間は長期MA期間より小さくする必要があります");
-    return;
-  }
+  const strategyForm = document.getElementById("strategy-form");
+  const strategyName = strategyForm.dataset.strategy;
+  if (!strategyName) return;
 
-  if (longPeriod >= trendPeriod) {
-    alert("長期MA期間はトレンドMA期間より小さくする必要があります");
-    return;
-  }
+  const params = collectStrategyParams("strategy-form-fields");
 
   try {
     const response = await fetch("/api/settings/strategy", {
@@ -467,12 +914,8 @@ async function handleStrategySubmit(event) {
         "x-api-key": "test-api-key",
       },
       body: JSON.stringify({
-        strategyName: "MovingAverageCrossover",
-        params: {
-          shortPeriod,
-          longPeriod,
-          trendMaPeriod: trendPeriod,
-        },
+        strategyName,
+        params,
       }),
     });
 
@@ -534,6 +977,108 @@ async function handleRiskSubmit(event) {
   }
 }
 
+// 約定モデルの集計をサマリーの行に整形（注文・部分約定・窓開けがなければ表示しない）
+function formatOrderStats(orderStats) {
+  if (!orderStats) return "";
+
+  const parts = [];
+  const orders =
+    orderStats.filledOrders +
+    orderStats.expiredOrders +
+    orderStats.cancelledOrders;
+  if (orders > 0) {
+    parts.push(
+      `約定 ${orderStats.filledOrders} / 期限切れ ${orderStats.expiredOrders} / 取消 ${orderStats.cancelledOrders}`
+    );
+  }
+  if (orderStats.partialFills > 0) {
+    parts.push(`部分約定 ${orderStats.partialFills}回`);
+  }
+  if (orderStats.gapFills > 0) {
+    parts.push(`窓開けで約定 ${orderStats.gapFills}回`);
+  }
+
+  return parts.length > 0
+    ? `\n    <tr><td>注文:</td><td>${parts.join("、")}</td></tr>`
+    : "";
+}
+
+// 口座の設定と清算・借入利息・資金調達料をサマリーの行に整形
+function formatAccountStats(account) {
+  if (!account) return "";
+
+  const labels = { spot: "現物", margin: "マージン", futures: "USDT-M先物" };
+  const parts = [
+    `${labels[account.marketType] || account.marketType}${
+      account.marginMode
+        ? `（${account.marginMode === "isolated" ? "分離" : "クロス"}、${
+            account.leverage
+          }倍）`
+        : ""
+    }`,
+  ];
+  if (account.liquidations > 0) {
+    parts.push(`清算 ${account.liquidations}回`);
+  }
+  if (account.interestPaid !== 0) {
+    parts.push(`借入利息 ${account.interestPaid.toFixed(2)} USD`);
+  }
+  if (account.fundingPaid !== 0) {
+    parts.push(`資金調達料 ${account.fundingPaid.toFixed(2)} USD`);
+  }
+  if (account.rejectedShorts > 0) {
+    parts.push(`見送ったショート ${account.rejectedShorts}回`);
+  }
+
+  return `\n    <tr><td>口座:</td><td>${parts.join("、")}</td></tr>`;
+}
+
+// リスク調整後の指標・期待値・保有時間などをサマリーの行に整形
+function formatPerformanceMetrics(result) {
+  if (result.sortinoRatio === undefined) return "";
+
+  const format = (value) => (value === null ? "-" : value.toFixed(2));
+  return `
+    <tr><td>年率リターン / ボラティリティ:</td><td>${format(
+      result.annualizedReturnPercent
+    )}% / ${format(result.annualizedVolatility)}%</td></tr>
+    <tr><td>シャープ / ソルティノ / カルマー:</td><td>${format(
+      result.sharpRatio
+    )} / ${format(result.sortinoRatio)} / ${format(
+    result.calmarRatio
+  )}</td></tr>
+    <tr><td>アルサー指数:</td><td>${format(result.ulcerIndex)}</td></tr>
+    <tr><td>期待値 / SQN:</td><td>${format(result.expectancy)} USD / ${format(
+    result.sqn
+  )}</td></tr>
+    <tr><td>保有時間の割合:</td><td>${format(result.exposurePercent)}%</td></tr>
+    <tr><td>最長連敗:</td><td>${result.longestLosingStreak}回</td></tr>
+    <tr><td>平均MAE / MFE:</td><td>${format(result.avgMae)}% / ${format(
+    result.avgMfe
+  )}%</td></tr>`;
+}
+
+// バイ・アンド・ホールドとの比較をサマリーの行に整形
+function formatBenchmarkStats(benchmark) {
+  if (!benchmark) return "";
+
+  return `
+    <tr><td>ベンチマーク (${
+      benchmark.symbol
+    }):</td><td>${benchmark.returnPercent.toFixed(
+    2
+  )}%（最大ドローダウン ${benchmark.maxDrawdownPercent.toFixed(2)}%）</td></tr>
+    <tr><td>超過リターン:</td><td class="${
+      benchmark.excessReturn > 0 ? "text-success" : "text-danger"
+    }">${benchmark.excessReturn.toFixed(2)}%</td></tr>
+    <tr><td>アルファ / ベータ:</td><td>${benchmark.alpha.toFixed(
+      2
+    )}%（年率） / ${benchmark.beta.toFixed(2)}</td></tr>
+    <tr><td>インフォメーションレシオ:</td><td>${benchmark.informationRatio.toFixed(
+      2
+    )}（トラッキングエラー ${benchmark.trackingError.toFixed(2)}%）</td></tr>`;
+}
+
 // バックテスト結果の表示
 function displayBacktestResults(data) {
   // 結果カードを表示
@@ -579,79 +1124,390 @@ function displayBacktestResults(data) {
     }">${data.result.profit.toFixed(
     2
   )} USD (${data.result.profitPercent.toFixed(2)}%)</td></tr>
-    <tr><td>取引回数:</td><td>${data.result.totalTrades}</td></tr>
+    <tr><td>取引回数:</td><td>${data.result.totalTrades}${
+    data.result.partialExits > 0
+      ? ` (${data.result.totalPositions}ポジション、分割利確 ${data.result.partialExits}回)`
+      : ""
+  }</td></tr>${formatOrderStats(data.result.orderStats)}${formatAccountStats(
+    data.result.account
+  )}
     <tr><td>勝率:</td><td>${data.result.winRate.toFixed(2)}%</td></tr>
     <tr><td>最大ドローダウン:</td><td>${data.result.maxDrawdownPercent.toFixed(
       2
     )}%</td></tr>
-    <tr><td>プロフィットファクター:</td><td>${data.result.profitFactor.toFixed(
-      2
-    )}</td></tr>
+    <tr><td>プロフィットファクター:</td><td>${formatProfitFactor(
+      data.result.profitFactor
+    )}</td></tr>${formatPerformanceMetrics(data.result)}${formatBenchmarkStats(
+    data.result.benchmark
+  )}
   `;
 
+  // アンサンブル戦略の場合はサブ戦略ごとの取引内訳を表示
+  const strategyBreakdown = summarizeTradesByStrategy(data.trades || []);
+  if (strategyBreakdown.length > 0) {
+    summaryTable.innerHTML += `
+      <tr><td>戦略別取引:</td><td>${strategyBreakdown
+        .map(
+          (item) =>
+            `${item.strategy}: ${item.trades}回 (${item.profit.toFixed(2)} USD)`
+        )
+        .join("<br>")}</td></tr>
+    `;
+  }
+
   // バックテスト資産チャートを更新
-  updateBacktestEquityChart(data.equity);
+  updateBacktestEquityChart(data.equity, data.result.benchmark);
 
   // バックテスト価格・シグナルチャートを更新
   updateBacktestPriceChart(data.signals, data.trades, data.candles);
 
+  // 負けトレードの分析結果と改善提案を表示
+  displayLossAnalysis(data.lossAnalysis);
+
+  // 詳細モードの分析結果を表示
+  const advancedResults = document.getElementById("backtest-advanced-results");
+  if (data.mode === "advanced") {
+    advancedResults.classList.remove("d-none");
+    displayAdvancedBacktestResults(data);
+  } else {
+    advancedResults.classList.add("d-none");
+  }
+
   // 結果までスクロール
   resultsCard.scrollIntoView({ behavior: "smooth" });
 }
 
-// バックテスト資産チャートの更新
-function updateBacktestEquityChart(equityData) {
-  const ctx = document.getElementById("backtest-equity-chart").getContext("2d");
-
-  if (backtestEquityChart) {
-    backtestEquityChart.destroy();
+// 負けトレード分析の分類名
+const LOSS_FACTOR_LABELS = {
+  regime: "市場レジーム",
+  timeOfDay: "時間帯 (UTC)",
+  volatility: "ボラティリティ",
+  source: "シグナル",
+  exitReason: "決済理由",
+};
+
+// 負けトレードの分析結果と改善提案を表示
+function displayLossAnalysis(analysis) {
+  const lossAnalysis = document.getElementById("backtest-loss-analysis");
+  if (!analysis || analysis.losingTrades === 0) {
+    lossAnalysis.classList.add("d-none");
+    return;
   }
+  lossAnalysis.classList.remove("d-none");
+
+  const suggestionList = document.getElementById("backtest-loss-suggestions");
+  suggestionList.innerHTML =
+    analysis.suggestions.length > 0
+      ? analysis.suggestions
+          .map((suggestion) => `<li>${suggestion.message}</li>`)
+          .join("")
+      : `<li class="text-muted">負けトレードに目立った偏りはありません（負け ${analysis.losingTrades}/${analysis.totalTrades} 件）</li>`;
+
+  const factorTable = document.getElementById("backtest-loss-factors");
+  factorTable.innerHTML = Object.entries(analysis.factors)
+    .flatMap(([factor, groups]) =>
+      groups.map(
+        (group, index) => `
+      <tr>
+        <td>${index === 0 ? LOSS_FACTOR_LABELS[factor] || factor : ""}</td>
+        <td>${group.key}</td>
+        <td>${group.trades}</td>
+        <td>${group.losingTrades}</td>
+        <td>${group.lossRate.toFixed(1)}%</td>
+        <td class="text-danger">${group.loss.toFixed(2)} USD</td>
+      </tr>`
+      )
+    )
+    .join("");
+}
 
-  const labels = equityData.map((data) => {
-    const date = new Date(data.time);
-    return date.toLocaleDateString();
-  });
-
-  const values = equityData.map((data) => data.equity);
+// 詳細バックテストの分析結果を表示
+function displayAdvancedBacktestResults(data) {
+  const metrics = data.detailedMetrics || {};
+
+  renderMonthlyHeatmap(metrics.monthlyPerformance || {});
+  renderDrawdownPeriods(metrics.drawdownPeriods || []);
+
+  // リスク調整後リターンと市場レジームの割合
+  const riskMetrics = document.getElementById("backtest-risk-metrics");
+  const returns = metrics.volatilityAdjustedReturns || {};
+  const rows = [];
+  if (returns.sharpeRatio !== undefined) {
+    rows.push(
+      `<tr><td>シャープレシオ:</td><td>${returns.sharpeRatio.toFixed(
+        3
+      )}</td></tr>`,
+      `<tr><td>ソルティノレシオ:</td><td>${returns.sortinoRatio.toFixed(
+        3
+      )}</td></tr>`,
+      `<tr><td>年率ボラティリティ:</td><td>${(
+        returns.annualizedVolatility * 100
+      ).toFixed(2)}%</td></tr>`
+    );
+  }
+  if (
+    metrics.tradeStatistics &&
+    metrics.tradeStatistics.maxWinStreak !== undefined
+  ) {
+    rows.push(
+      `<tr><td>最大連勝 / 連敗:</td><td>${metrics.tradeStatistics.maxWinStreak} / ${metrics.tradeStatistics.maxLossStreak}</td></tr>`
+    );
+  }
+  for (const [regime, percent] of Object.entries(
+    data.marketRegimeSummary || {}
+  )) {
+    rows.push(
+      `<tr><td>市場レジーム ${regime}:</td><td>${percent.toFixed(1)}%</td></tr>`
+    );
+  }
+  riskMetrics.innerHTML =
+    rows.join("") || '<tr><td colspan="2">データがありません</td></tr>';
 
-  backtestEquityChart = new Chart(ctx, {
-    type: "line",
-    data: {
-      labels,
-      datasets: [
-        {
-          label: "資産推移",
-          data: values,
-          borderColor: "rgb(75, 192, 192)",
-          backgroundColor: "rgba(75, 192, 192, 0.2)",
-          borderWidth: 2,
-          tension: 0.1,
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      plugins: {
-        title: {
-          display: true,
-          text: "資産推移",
-        },
-      },
-      scales: {
-        y: {
-          beginAtZero: false,
-        },
-      },
-    },
-  });
+  renderMonteCarloResults(data.monteCarloResults);
 }
 
-// バックテスト価格チャートの更新
-function updateBacktestPriceChart(signals, trades, candles) {
-  const ctx = document.getElementById("backtest-price-chart").getContext("2d");
+// 月次リターンを年×月のヒートマップとして表示
+function renderMonthlyHeatmap(monthlyPerformance) {
+  const container = document.getElementById("backtest-monthly-heatmap");
+  const months = Object.keys(monthlyPerformance).sort();
 
-  if (backtestPriceChart) {
-    backtestPriceChart.destroy();
+  if (months.length === 0) {
+    container.innerHTML = "<p>データがありません</p>";
+    return;
+  }
+
+  const years = [...new Set(months.map((month) => month.slice(0, 4)))];
+  const maxAbsReturn = Math.max(
+    ...months.map((month) => Math.abs(monthlyPerformance[month].return)),
+    0.01
+  );
+
+  let html =
+    '<table class="table table-sm table-bordered"><thead><tr><th>年</th>';
+  for (let m = 1; m <= 12; m++) {
+    html += `<th>${m}月</th>`;
+  }
+  html += "</tr></thead><tbody>";
+
+  for (const year of years) {
+    html += `<tr><th>${year}</th>`;
+    for (let m = 1; m <= 12; m++) {
+      const data = monthlyPerformance[`${year}-${String(m).padStart(2, "0")}`];
+      if (!data) {
+        html += "<td></td>";
+        continue;
+      }
+      // リターンの大きさに応じて緑（利益）/赤（損失）の濃さを変える
+      const alpha = Math.min(Math.abs(data.return) / maxAbsReturn, 1) * 0.7;
+      const color =
+        data.return >= 0
+          ? `rgba(40, 167, 69, ${alpha})`
+          : `rgba(220, 53, 69, ${alpha})`;
+      html += `<td style="background-color: ${color}">${data.return.toFixed(
+        2
+      )}</td>`;
+    }
+    html += "</tr>";
+  }
+  html += "</tbody></table>";
+
+  container.innerHTML = html;
+}
+
+// ドローダウン期間の一覧を表示（下落幅の大きい順に上位10件）
+function renderDrawdownPeriods(drawdownPeriods) {
+  const tbody = document.getElementById("backtest-drawdown-periods");
+  const periods = [...drawdownPeriods]
+    .sort((a, b) => b.maxDrawdown - a.maxDrawdown)
+    .slice(0, 10);
+
+  if (periods.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5">ドローダウンはありません</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = periods
+    .map(
+      (period) => `
+        <tr>
+          <td>${new Date(period.start).toLocaleDateString()}</td>
+          <td>${new Date(period.end).toLocaleDateString()}</td>
+          <td class="text-danger">${period.maxDrawdown.toFixed(2)}%</td>
+          <td>${period.duration.toFixed(1)}</td>
+          <td>${period.recovery ? "済" : "未回復"}</td>
+        </tr>
+      `
+    )
+    .join("");
+}
+
+// モンテカルロシミュレーションの最終資産分布を表示
+function renderMonteCarloResults(monteCarloResults) {
+  const summary = document.getElementById("backtest-montecarlo-summary");
+
+  if (backtestMonteCarloChart) {
+    backtestMonteCarloChart.destroy();
+    backtestMonteCarloChart = null;
+  }
+
+  if (!monteCarloResults || !monteCarloResults.success) {
+    summary.innerHTML = `<tr><td>${
+      (monteCarloResults && monteCarloResults.error) ||
+      "シミュレーションは実行されていません"
+    }</td></tr>`;
+    return;
+  }
+
+  const { confidenceInterval } = monteCarloResults;
+  summary.innerHTML = `
+    <tr><td>中央値:</td><td>${monteCarloResults.medianCase.toFixed(
+      2
+    )} USD</td></tr>
+    <tr><td>${
+      confidenceInterval.percentage
+    }%信頼区間:</td><td>${confidenceInterval.lower.toFixed(
+    2
+  )} 〜 ${confidenceInterval.upper.toFixed(2)} USD</td></tr>
+    <tr><td>最悪ケース:</td><td>${monteCarloResults.worstCase.toFixed(
+      2
+    )} USD</td></tr>
+    <tr><td>最良ケース:</td><td>${monteCarloResults.bestCase.toFixed(
+      2
+    )} USD</td></tr>
+    <tr><td>損失で終わる確率:</td><td>${monteCarloResults.probabilityOfLoss.toFixed(
+      1
+    )}%</td></tr>
+  `;
+
+  const ctx = document
+    .getElementById("backtest-montecarlo-chart")
+    .getContext("2d");
+  backtestMonteCarloChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: monteCarloResults.distribution.map(
+        (bin) => `${bin.from.toFixed(0)}〜${bin.to.toFixed(0)}`
+      ),
+      datasets: [
+        {
+          label: "試行回数",
+          data: monteCarloResults.distribution.map((bin) => bin.count),
+          backgroundColor: "rgba(54, 162, 235, 0.5)",
+          borderColor: "rgb(54, 162, 235)",
+          borderWidth: 1,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        title: {
+          display: true,
+          text: "最終資産の分布",
+        },
+      },
+      scales: {
+        y: {
+          beginAtZero: true,
+        },
+      },
+    },
+  });
+}
+
+// 取引をエントリーを決めたサブ戦略ごとに集計
+function summarizeTradesByStrategy(trades) {
+  const summary = {};
+  for (const trade of trades) {
+    if (!trade.strategy) continue;
+    const item = summary[trade.strategy] || {
+      strategy: trade.strategy,
+      trades: 0,
+      profit: 0,
+    };
+    item.trades++;
+    item.profit += trade.profit;
+    summary[trade.strategy] = item;
+  }
+  return Object.values(summary);
+}
+
+// バイ・アンド・ホールドの資産推移（資産チャートに重ねる）
+function benchmarkDatasets(equityData, benchmark, toPoint = (value) => value) {
+  if (
+    !benchmark ||
+    !equityData.some((point) => point.benchmark !== undefined)
+  ) {
+    return [];
+  }
+
+  return [
+    {
+      label: `バイ・アンド・ホールド (${benchmark.symbol})`,
+      data: equityData.map((point) => toPoint(point.benchmark, point)),
+      borderColor: "rgb(201, 203, 207)",
+      borderWidth: 1,
+      borderDash: [5, 5],
+      pointRadius: 0,
+      tension: 0.1,
+    },
+  ];
+}
+
+// バックテスト資産チャートの更新
+function updateBacktestEquityChart(equityData, benchmark) {
+  const ctx = document.getElementById("backtest-equity-chart").getContext("2d");
+
+  if (backtestEquityChart) {
+    backtestEquityChart.destroy();
+  }
+
+  const labels = equityData.map((data) => {
+    const date = new Date(data.time);
+    return date.toLocaleDateString();
+  });
+
+  const values = equityData.map((data) => data.equity);
+
+  backtestEquityChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels,
+      datasets: [
+        {
+          label: "資産推移",
+          data: values,
+          borderColor: "rgb(75, 192, 192)",
+          backgroundColor: "rgba(75, 192, 192, 0.2)",
+          borderWidth: 2,
+          tension: 0.1,
+        },
+        ...benchmarkDatasets(equityData, benchmark),
+      ],
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        title: {
+          display: true,
+          text: "資産推移",
+        },
+      },
+      scales: {
+        y: {
+          beginAtZero: false,
+        },
+      },
+    },
+  });
+}
+
+// バックテスト価格チャートの更新
+function updateBacktestPriceChart(signals, trades, candles) {
+  const ctx = document.getElementById("backtest-price-chart").getContext("2d");
+
+  if (backtestPriceChart) {
+    backtestPriceChart.destroy();
   }
 
   // データポイントの準備
@@ -838,13 +1694,375 @@ function findClosestCandleIndex(targetTime, candles) {
   return closestIndex;
 }
 
+// 比較チャートの線の色
+const COMPARISON_COLORS = [
+  "rgb(75, 192, 192)",
+  "rgb(255, 99, 132)",
+  "rgb(54, 162, 235)",
+  "rgb(255, 159, 64)",
+  "rgb(153, 102, 255)",
+  "rgb(201, 203, 207)",
+];
+
+// 戦略の表示名を取得
+function getStrategyLabel(strategyName) {
+  const definition = getStrategyDefinition(strategyName);
+  return definition ? definition.displayName : strategyName;
+}
+
+// プロフィットファクターを表示用に整形（負けトレードがない場合は∞、以前の履歴では最大の整数）
+function formatProfitFactor(profitFactor) {
+  return profitFactor === null || profitFactor >= Number.MAX_SAFE_INTEGER
+    ? "∞"
+    : profitFactor.toFixed(2);
+}
+
+// 保存済みのバックテスト結果の一覧を表示
+async function loadBacktestHistory() {
+  const historyTable = document.getElementById("backtest-history-table");
+  if (!historyTable) return;
+
+  try {
+    const response = await fetch("/api/backtests", {
+      headers: { "x-api-key": "test-api-key" },
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      console.error("バックテスト履歴取得エラー:", result.error);
+      return;
+    }
+
+    if (result.runs.length === 0) {
+      historyTable.innerHTML = `<tr><td colspan="11" class="text-muted">保存されたバックテスト結果はありません</td></tr>`;
+      return;
+    }
+
+    historyTable.innerHTML = result.runs
+      .map(
+        (run) => `
+      <tr>
+        <td><input type="checkbox" class="form-check-input backtest-history-select" value="${
+          run.id
+        }" /></td>
+        <td>${new Date(run.createdAt).toLocaleString()}</td>
+        <td title="${Object.entries(run.params || {})
+          .map(
+            ([paramName, value]) => `${paramName}=${formatParamValue(value)}`
+          )
+          .join(", ")}">${getStrategyLabel(run.strategyName)}</td>
+        <td>${run.symbol} ${run.timeframe}</td>
+        <td>${run.startDate} - ${run.endDate}</td>
+        <td class="${
+          run.summary.profitPercent > 0 ? "text-success" : "text-danger"
+        }">${run.summary.profitPercent.toFixed(2)}%</td>
+        <td>${run.summary.winRate.toFixed(2)}%</td>
+        <td>${formatProfitFactor(run.summary.profitFactor)}</td>
+        <td>${run.summary.maxDrawdownPercent.toFixed(2)}%</td>
+        <td>${run.summary.sharpRatio.toFixed(2)}</td>
+        <td><button class="btn btn-sm btn-outline-danger" data-delete-backtest="${
+          run.id
+        }">削除</button></td>
+      </tr>`
+      )
+      .join("");
+
+    historyTable
+      .querySelectorAll("[data-delete-backtest]")
+      .forEach((button) =>
+        button.addEventListener("click", () =>
+          deleteBacktest(button.dataset.deleteBacktest)
+        )
+      );
+  } catch (error) {
+    console.error("バックテスト履歴取得エラー:", error);
+  }
+}
+
+// 保存済みのバックテスト結果を削除
+async function deleteBacktest(id) {
+  if (!confirm("このバックテスト結果を削除しますか？")) return;
+
+  try {
+    const response = await fetch(`/api/backtests/${id}`, {
+      method: "DELETE",
+      headers: { "x-api-key": "test-api-key" },
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      alert(`削除エラー: ${result.error}`);
+      return;
+    }
+
+    loadBacktestHistory();
+  } catch (error) {
+    console.error("バックテスト履歴削除エラー:", error);
+    alert("バックテスト結果の削除中にエラーが発生しました");
+  }
+}
+
+// 選択したバックテスト結果を比較
+async function compareBacktests() {
+  const ids = Array.from(
+    document.querySelectorAll(".backtest-history-select:checked")
+  ).map((checkbox) => checkbox.value);
+
+  if (ids.length < 2) {
+    alert("比較する結果を2件以上選択してください");
+    return;
+  }
+
+  try {
+    const response = await fetch(
+      `/api/backtests/compare?ids=${encodeURIComponent(ids.join(","))}`,
+      { headers: { "x-api-key": "test-api-key" } }
+    );
+    const result = await response.json();
+
+    if (!result.success) {
+      alert(`比較エラー: ${result.error}`);
+      return;
+    }
+
+    displayBacktestComparison(result.runs);
+  } catch (error) {
+    console.error("バックテスト比較エラー:", error);
+    alert("バックテスト結果の比較中にエラーが発生しました");
+  }
+}
+
+// バックテスト結果の比較を表示（損益率の推移を重ねて表示し、指標を表にする）
+function displayBacktestComparison(runs) {
+  const comparison = document.getElementById("backtest-comparison");
+  comparison.classList.remove("d-none");
+
+  const labels = runs.map(
+    (run, index) =>
+      `#${index + 1} ${getStrategyLabel(run.strategyName)} (${run.symbol} ${
+        run.timeframe
+      })`
+  );
+
+  const comparisonTable = document.getElementById("backtest-comparison-table");
+  comparisonTable.innerHTML = runs
+    .map(
+      (run, index) => `
+      <tr>
+        <td style="color: ${
+          COMPARISON_COLORS[index % COMPARISON_COLORS.length]
+        }">${labels[index]}</td>
+        <td class="${
+          run.metrics.profitPercent > 0 ? "text-success" : "text-danger"
+        }">${run.metrics.profitPercent.toFixed(2)}%</td>
+        <td>${run.metrics.totalTrades}</td>
+        <td>${run.metrics.winRate.toFixed(2)}%</td>
+        <td>${formatProfitFactor(run.metrics.profitFactor)}</td>
+        <td>${run.metrics.maxDrawdownPercent.toFixed(2)}%</td>
+        <td>${run.metrics.sharpRatio.toFixed(2)}</td>
+      </tr>`
+    )
+    .join("");
+
+  if (backtestComparisonChart) {
+    backtestComparisonChart.destroy();
+  }
+
+  // 期間が異なる結果も重ねられるように時刻を横軸にする
+  const ctx = document
+    .getElementById("backtest-comparison-chart")
+    .getContext("2d");
+  backtestComparisonChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      datasets: runs.map((run, index) => ({
+        label: labels[index],
+        data: run.equity.map((point) => ({
+          x: point.time,
+          y: point.returnPercent,
+        })),
+        borderColor: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.1,
+      })),
+    },
+    options: {
+      responsive: true,
+      scales: {
+        x: {
+          type: "linear",
+          ticks: {
+            callback: (value) => new Date(value).toLocaleDateString(),
+          },
+        },
+        y: {
+          beginAtZero: false,
+        },
+      },
+    },
+  });
+
+  comparison.scrollIntoView({ behavior: "smooth" });
+}
+
+// ポートフォリオバックテスト結果の表示
+function displayPortfolioResults(data) {
+  const resultsCard = document.getElementById("portfolio-results-card");
+  resultsCard.classList.remove("d-none");
+
+  const result = data.result;
+  const portfolio = result.portfolio;
+  document.getElementById("portfolio-summary").innerHTML = `
+    <tr><td>取引ペア:</td><td>${portfolio.symbols.join(", ")}</td></tr>
+    <tr><td>初期資金:</td><td>${result.initialBalance.toFixed(2)} USD</td></tr>
+    <tr><td>最終資金:</td><td>${result.finalBalance.toFixed(2)} USD</td></tr>
+    <tr><td>利益:</td><td class="${
+      result.profit > 0 ? "text-success" : "text-danger"
+    }">${result.profit.toFixed(2)} USD (${result.profitPercent.toFixed(
+    2
+  )}%)</td></tr>
+    <tr><td>取引回数:</td><td>${result.totalTrades}</td></tr>
+    <tr><td>同時保有数:</td><td>最大 ${portfolio.maxOpenPositions} / 上限 ${
+    portfolio.maxConcurrentPositions
+  }${
+    portfolio.skippedEntries > 0
+      ? `（見送ったエントリー ${portfolio.skippedEntries}回）`
+      : ""
+  }</td></tr>
+    <tr><td>1銘柄の上限:</td><td>純資産の${
+      portfolio.maxExposurePercent
+    }%</td></tr>${formatOrderStats(result.orderStats)}${formatAccountStats(
+    result.account
+  )}
+    <tr><td>勝率:</td><td>${result.winRate.toFixed(2)}%</td></tr>
+    <tr><td>最大ドローダウン:</td><td>${result.maxDrawdownPercent.toFixed(
+      2
+    )}%</td></tr>
+    <tr><td>プロフィットファクター:</td><td>${formatProfitFactor(
+      result.profitFactor
+    )}</td></tr>${formatPerformanceMetrics(result)}${formatBenchmarkStats(
+    result.benchmark
+  )}
+  `;
+
+  document.getElementById("portfolio-symbols-table").innerHTML = data.perSymbol
+    .map(
+      (item) => `
+      <tr>
+        <td>${item.symbol}</td>
+        <td>${getStrategyLabel(item.strategyName)}</td>
+        <td>${item.totalTrades}</td>
+        <td>${item.winRate.toFixed(2)}%</td>
+        <td class="${
+          item.profit > 0 ? "text-success" : "text-danger"
+        }">${item.profit.toFixed(2)}</td>
+        <td>${item.contributionPercent.toFixed(2)}%</td>
+        <td>${item.shareOfProfit.toFixed(2)}%</td>
+        <td>${item.priceChangePercent.toFixed(2)}%</td>
+      </tr>`
+    )
+    .join("");
+
+  // 上三角に価格の変化率、下三角に戦略の損益の相関を表示
+  const { symbols, returns, pnl } = data.correlation;
+  const formatCorrelation = (value) =>
+    value === null || value === undefined ? "-" : value.toFixed(2);
+  document.getElementById("portfolio-correlation-table").innerHTML = `
+    <tr><th></th>${symbols.map((symbol) => `<th>${symbol}</th>`).join("")}</tr>
+    ${symbols
+      .map(
+        (symbol, i) => `
+      <tr><th>${symbol}</th>${symbols
+          .map(
+            (_, j) =>
+              `<td>${
+                i === j
+                  ? "-"
+                  : formatCorrelation(i < j ? returns[i][j] : pnl[i][j])
+              }</td>`
+          )
+          .join("")}</tr>`
+      )
+      .join("")}
+  `;
+
+  if (portfolioEquityChart) {
+    portfolioEquityChart.destroy();
+  }
+
+  const ctx = document
+    .getElementById("portfolio-equity-chart")
+    .getContext("2d");
+  portfolioEquityChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      datasets: [
+        {
+          label: "純資産",
+          data: data.equity.map((point) => ({
+            x: point.time,
+            y: point.equity,
+          })),
+          borderColor: "rgb(75, 192, 192)",
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.1,
+        },
+        ...benchmarkDatasets(data.equity, result.benchmark, (value, point) => ({
+          x: point.time,
+          y: value,
+        })),
+        {
+          label: "保有ポジション数",
+          data: data.equity.map((point) => ({
+            x: point.time,
+            y: point.openPositions,
+          })),
+          borderColor: "rgb(255, 159, 64)",
+          borderWidth: 1,
+          pointRadius: 0,
+          stepped: true,
+          yAxisID: "positions",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      scales: {
+        x: {
+          type: "linear",
+          ticks: {
+            callback: (value) => new Date(value).toLocaleDateString(),
+          },
+        },
+        y: {
+          beginAtZero: false,
+        },
+        positions: {
+          position: "right",
+          beginAtZero: true,
+          ticks: { stepSize: 1 },
+          grid: { drawOnChartArea: false },
+        },
+      },
+    },
+  });
+
+  resultsCard.scrollIntoView({ behavior: "smooth" });
+}
+
 // システム状態の更新
 function updateSystemStatus(status) {
   const statusElement = document.getElementById("system-status");
   const strategyElement = document.getElementById("current-strategy");
 
   // システム状態を更新
-  if (status.isRunning) {
+  if (status.isHalted) {
+    statusElement.className = "badge bg-danger";
+    statusElement.textContent = "緊急停止中";
+    isTrading = false;
+  } else if (status.isRunning) {
     statusElement.className = "badge bg-success";
     statusElement.textContent = "稼働中";
     isTrading = true;
@@ -930,8 +2148,7 @@ async function startTrading() {
     const result = await response.json();
 
     if (result.success) {
-      isTrading = true;
-      updateSystemStatus({ trading: true, strategy: result.strategy });
+      updateSystemStatus(result.status);
       alert("取引を開始しました");
     } else {
       alert(`取引開始エラー: ${result.error}`);
@@ -956,8 +2173,7 @@ async function stopTrading() {
     const result = await response.json();
 
     if (result.success) {
-      isTrading = false;
-      updateSystemStatus({ trading: false });
+      updateSystemStatus(result.status);
       alert("取引を停止しました");
     } else {
       alert(`取引停止エラー: ${result.error}`);
@@ -970,6 +2186,14 @@ async function stopTrading() {
 
 // 緊急停止
 async function emergencyStop() {
+  if (
+    !confirm(
+      "全ての未約定注文をキャンセルし、保有ポジションを成行で決済します。よろしいですか？"
+    )
+  ) {
+    return;
+  }
+
   try {
     const response = await fetch("/api/trading/emergency-stop", {
       method: "POST",
@@ -981,9 +2205,11 @@ async function emergencyStop() {
 
     const result = await response.json();
 
+    if (result.status) {
+      updateSystemStatus(result.status);
+    }
+
     if (result.success) {
-      isTrading = false;
-      updateSystemStatus({ trading: false, emergencyStopped: true });
       alert("緊急停止を実行しました");
     } else {
       alert(`緊急停止エラー: ${result.error}`);
@@ -994,6 +2220,35 @@ async function emergencyStop() {
   }
 }
 
+// 緊急停止の解除
+async function clearHalt() {
+  if (!confirm("緊急停止を解除して取引を再開できる状態に戻しますか？")) {
+    return;
+  }
+
+  try {
+    const response = await fetch("/api/trading/clear-halt", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": "test-api-key",
+      },
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      updateSystemStatus(result.status);
+      alert("緊急停止を解除しました");
+    } else {
+      alert(`緊急停止解除エラー: ${result.error}`);
+    }
+  } catch (error) {
+    console.error("緊急停止解除エラー:", error);
+    alert("緊急停止の解除中にエラーが発生しました");
+  }
+}
+
 // テストモード切り替え
 async function toggleTestMode() {
   try {
@@ -1025,8 +2280,8 @@ async function toggleTestMode() {
   }
 }
 
-// ローディング表示
-function showLoading(message) {
+// ローディング表示（onCancelを指定するとキャンセルボタンを表示）
+function showLoading(message, onCancel) {
   const loadingDiv = document.createElement("div");
   loadingDiv.id = "loading-overlay";
   loadingDiv.innerHTML = `
@@ -1034,8 +2289,20 @@ function showLoading(message) {
       <span class="visually-hidden">Loading...</span>
     </div>
     <p>${message || "Loading..."}</p>
+    <p id="loading-progress"></p>
   `;
 
+  if (onCancel) {
+    const cancelButton = document.createElement("button");
+    cancelButton.className = "btn btn-outline-light btn-sm";
+    cancelButton.textContent = "キャンセル";
+    cancelButton.addEventListener("click", () => {
+      cancelButton.disabled = true;
+      onCancel();
+    });
+    loadingDiv.appendChild(cancelButton);
+  }
+
   loadingDiv.style.cssText = `
     position: fixed;
     top: 0;
@@ -1087,27 +2354,17 @@ async function handleOptimizeSubmit(event) {
     document.getElementById("population-size").value
   );
   const generations = parseInt(document.getElementById("generations").value);
-
-  // パラメータ範囲を取得
-  const shortPeriodMin = parseInt(
-    document.getElementById("param-short-period-min").value
-  );
-  const shortPeriodMax = parseInt(
-    document.getElementById("param-short-period-max").value
-  );
-  const longPeriodMin = parseInt(
-    document.getElementById("param-long-period-min").value
-  );
-  const longPeriodMax = parseInt(
-    document.getElementById("param-long-period-max").value
-  );
-  const trendPeriodMin = parseInt(
-    document.getElementById("param-trend-period-min").value
+  const walkForward = document.getElementById("optimize-walk-forward").checked;
+  const walkForwardWindows = parseInt(
+    document.getElementById("walk-forward-windows").value
   );
-  const trendPeriodMax = parseInt(
-    document.getElementById("param-trend-period-max").value
+  const inSampleRatio = parseFloat(
+    document.getElementById("walk-forward-in-sample-ratio").value
   );
 
+  // パラメータ範囲を取得
+  const paramRanges = collectParamRanges("optimization-params-fields");
+
   // バリデーション
   if (!startDate || !endDate) {
     alert("開始日と終了日を入力してください");
@@ -1128,77 +2385,285 @@ async function handleOptimizeSubmit(event) {
     return;
   }
 
-  if (shortPeriodMax <= shortPeriodMin) {
-    alert("短期MA最大値は最小値より大きくする必要があります");
+  if (Object.keys(paramRanges).length === 0) {
+    alert("最適化するパラメータがありません");
     return;
   }
 
-  if (longPeriodMax <= longPeriodMin) {
-    alert("長期MA最大値は最小値より大きくする必要があります");
-    return;
+  if (walkForward) {
+    if (
+      isNaN(walkForwardWindows) ||
+      walkForwardWindows < 2 ||
+      walkForwardWindows > 20
+    ) {
+      alert("窓の数は2から20の整数を入力してください");
+      return;
+    }
+
+    if (isNaN(inSampleRatio) || inSampleRatio < 0.5 || inSampleRatio > 0.9) {
+      alert("インサンプルの割合は0.5から0.9の値を入力してください");
+      return;
+    }
   }
 
-  if (trendPeriodMax <= trendPeriodMin) {
-    alert("トレンドMA最大値は最小値より大きくする必要があります");
-    return;
+  for (const [paramName, range] of Object.entries(paramRanges)) {
+    if (isNaN(range.min) || isNaN(range.max) || range.max <= range.min) {
+      alert(
+        `${getParamLabel(
+          strategy,
+          paramName
+        )}の最大値は最小値より大きくする必要があります`
+      );
+      return;
+    }
   }
 
-  if (shortPeriodMax >= longPeriodMin) {
-    alert("短期MA最大値は長期MA最小値より小さくする必要があります");
-    return;
+  // 最適化はジョブとして実行され、完了後に結果を取得する
+  await runJob("optimize", "/api/optimize", {
+    symbol,
+    timeframe,
+    strategyName: strategy,
+    paramRanges,
+    startDate,
+    endDate,
+    initialBalance,
+    positionSizePercent,
+    optimizationMetric,
+    populationSize,
+    generations,
+    mode: walkForward ? "walkForward" : "standard",
+    ...(walkForward
+      ? {
+          walkForwardOptions: {
+            windows: walkForwardWindows,
+            inSampleRatio,
+          },
+        }
+      : {}),
+  });
+}
+
+// ジョブの設定（種類 => ローディング表示と結果の表示方法）
+const JOB_TYPES = {
+  backtest: {
+    label: "バックテスト",
+    loadingMessage: "バックテスト実行中...",
+    onComplete: (job) => {
+      displayBacktestResults(job.result);
+      loadBacktestHistory();
+    },
+  },
+  portfolio: {
+    label: "ポートフォリオバックテスト",
+    loadingMessage: "ポートフォリオバックテスト実行中...",
+    onComplete: (job) => {
+      displayPortfolioResults(job.result);
+      loadBacktestHistory();
+    },
+  },
+  optimize: {
+    label: "パラメータ最適化",
+    loadingMessage: "パラメータ最適化中...<br>時間がかかる場合があります",
+    onComplete: (job) => {
+      lastOptimization = {
+        strategyName: job.params.strategyName,
+        ...job.result,
+      };
+      displayOptimizationResults(job.result);
+    },
+  },
+};
+
+// 実行中のジョブID（ページを再読み込みしても結果を受け取れるように保存する）
+const ACTIVE_JOBS_STORAGE_KEY = "activeJobs";
+let activeJobId = null; // ローディング表示中のジョブ
+
+function getActiveJobs() {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_JOBS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
   }
+}
 
-  if (longPeriodMax >= trendPeriodMin) {
-    alert("長期MA最大値はトレンドMA最小値より小さくする必要があります");
-    return;
+function setActiveJob(type, jobId) {
+  const activeJobs = getActiveJobs();
+  if (jobId) {
+    activeJobs[type] = jobId;
+  } else {
+    delete activeJobs[type];
   }
+  localStorage.setItem(ACTIVE_JOBS_STORAGE_KEY, JSON.stringify(activeJobs));
+}
 
+// ジョブを登録して完了まで待ち、結果を表示
+async function runJob(type, url, body) {
   try {
-    // ローディング表示
-    showLoading("パラメータ最適化中...<br>時間がかかる場合があります");
-
-    // 最適化APIを呼び出し
-    const response = await fetch("/api/optimize", {
+    const response = await fetch(url, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        "x-api-key": "test-api-key",
       },
-      body: JSON.stringify({
-        symbol,
-        timeframe,
-        strategyName: strategy,
-        paramRanges: {
-          shortPeriod: { min: shortPeriodMin, max: shortPeriodMax },
-          longPeriod: { min: longPeriodMin, max: longPeriodMax },
-          trendMaPeriod: { min: trendPeriodMin, max: trendPeriodMax },
-        },
-        startDate,
-        endDate,
-        initialBalance,
-        positionSizePercent,
-        optimizationMetric,
-        populationSize,
-        generations,
-      }),
+      body: JSON.stringify(body),
     });
-
     const result = await response.json();
 
-    // ローディング非表示
+    if (!result.success) {
+      alert(`${JOB_TYPES[type].label}エラー: ${result.error}`);
+      return;
+    }
+
+    setActiveJob(type, result.jobId);
+    await followJob(type, result.jobId);
+  } catch (error) {
+    console.error(`${JOB_TYPES[type].label}エラー:`, error);
+    alert(`${JOB_TYPES[type].label}の開始中にエラーが発生しました`);
+  }
+}
+
+// ページ読み込み時に実行中だったジョブの表示を再開
+async function resumeActiveJobs() {
+  for (const [type, jobId] of Object.entries(getActiveJobs())) {
+    if (JOB_TYPES[type]) {
+      await followJob(type, jobId);
+    } else {
+      setActiveJob(type, null);
+    }
+  }
+}
+
+// ジョブの完了を待って結果を表示（ローディング中はキャンセル可能）
+async function followJob(type, jobId) {
+  const jobType = JOB_TYPES[type];
+
+  activeJobId = jobId;
+  showLoading(jobType.loadingMessage, () => cancelJob(jobId));
+
+  try {
+    const job = await waitForJob(jobId);
+    setActiveJob(type, null);
     hideLoading();
 
-    if (result.success) {
-      displayOptimizationResults(result);
+    if (job.status === "completed") {
+      jobType.onComplete(job);
+    } else if (job.status === "cancelled") {
+      alert(`${jobType.label}をキャンセルしました`);
     } else {
-      alert(`最適化エラー: ${result.error}`);
+      alert(`${jobType.label}エラー: ${job.error}`);
     }
   } catch (error) {
+    setActiveJob(type, null);
     hideLoading();
-    console.error("最適化エラー:", error);
-    alert("パラメータ最適化中にエラーが発生しました");
+    console.error(`${jobType.label}エラー:`, error);
+    alert(`${jobType.label}の結果を取得できませんでした: ${error.message}`);
+  } finally {
+    activeJobId = null;
+  }
+}
+
+// ジョブの状態を取得
+async function fetchJob(jobId) {
+  const response = await fetch(`/api/jobs/${jobId}`, {
+    headers: { "x-api-key": "test-api-key" },
+  });
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.job;
+}
+
+// ジョブの終了を待つ（進捗はjob_updateイベントで受け取り、切断時に備えて定期的に状態も確認する）
+function waitForJob(jobId) {
+  const finishedStatuses = ["completed", "failed", "cancelled"];
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+
+    const cleanup = () => {
+      socket.off("job_update", onUpdate);
+      clearInterval(timer);
+    };
+
+    const check = async () => {
+      try {
+        const job = await fetchJob(jobId);
+        updateJobProgress(job);
+        if (finishedStatuses.includes(job.status)) {
+          cleanup();
+          resolve(job);
+        }
+      } catch (error) {
+        cleanup();
+        reject(error);
+      }
+    };
+
+    const onUpdate = (job) => {
+      if (job.id !== jobId) return;
+      updateJobProgress(job);
+      if (finishedStatuses.includes(job.status)) {
+        check();
+      }
+    };
+
+    socket.on("job_update", onUpdate);
+    timer = setInterval(check, 5000);
+    check();
+  });
+}
+
+// ジョブをキャンセル
+async function cancelJob(jobId) {
+  try {
+    await fetch(`/api/jobs/${jobId}/cancel`, {
+      method: "POST",
+      headers: { "x-api-key": "test-api-key" },
+    });
+  } catch (error) {
+    console.error("ジョブキャンセルエラー:", error);
   }
 }
 
+// ジョブの進捗をローディング表示に反映
+function updateJobProgress(job) {
+  const progressElement = document.getElementById("loading-progress");
+  if (job.id !== activeJobId || !progressElement) return;
+
+  if (job.status === "queued") {
+    progressElement.textContent = "実行待ち";
+    return;
+  }
+
+  const progress = job.progress;
+  if (!progress) return;
+
+  const parts = [];
+  if (progress.phase === "download") {
+    parts.push("データ取得中");
+  } else if (progress.phase === "timeframes") {
+    parts.push("上位足を取得中");
+  } else if (progress.phase === "intrabar") {
+    parts.push("下位足を取得中");
+  } else if (progress.phase === "benchmark") {
+    parts.push("ベンチマークを取得中");
+  } else if (progress.phase === "backtest") {
+    parts.push("バックテスト中");
+  }
+  if (progress.windows) {
+    parts.push(`窓 ${progress.window}/${progress.windows}`);
+  }
+  if (progress.generation) {
+    parts.push(`世代 ${progress.generation}/${progress.generations}`);
+  }
+  if (progress.total) {
+    parts.push(`${progress.completed}/${progress.total}`);
+  }
+  parts.push(`${progress.percent.toFixed(0)}%`);
+  progressElement.textContent = parts.join(" ・ ");
+}
+
 // 最適化結果をクリアする関数
 function clearOptimizationResults() {
   // 結果カードを非表示
@@ -1224,6 +2689,26 @@ function clearOptimizationResults() {
   if (resultsTable) {
     resultsTable.innerHTML = "";
   }
+
+  // ウォークフォワードの資産推移をクリア
+  const walkForwardResults = document.getElementById("walk-forward-results");
+  if (walkForwardResults) {
+    walkForwardResults.classList.add("d-none");
+  }
+  if (walkForwardEquityChart) {
+    walkForwardEquityChart.destroy();
+    walkForwardEquityChart = null;
+  }
+}
+
+// 最適化結果テーブルの見出しを設定
+function setOptimizationResultsHead(title, columns) {
+  document.getElementById("optimization-results-title").textContent = title;
+  document.getElementById(
+    "optimization-results-head"
+  ).innerHTML = `<tr>${columns
+    .map((column) => `<th>${column}</th>`)
+    .join("")}</tr>`;
 }
 
 // 最適化結果の表示
@@ -1233,12 +2718,23 @@ function displayOptimizationResults(data) {
   resultsCard.classList.remove("d-none");
 
   // 最適パラメータを表示
+  const strategyName = lastOptimization && lastOptimization.strategyName;
   const bestParamsTable = document.getElementById("optimization-best-params");
-  bestParamsTable.innerHTML = `
-    <tr><td>短期移動平均線期間:</td><td>${data.bestParams.shortPeriod}</td></tr>
-    <tr><td>長期移動平均線期間:</td><td>${data.bestParams.longPeriod}</td></tr>
-    <tr><td>トレンドMA期間:</td><td>${data.bestParams.trendMaPeriod}</td></tr>
-  `;
+  bestParamsTable.innerHTML = Object.entries(data.bestParams)
+    .map(
+      ([paramName, value]) =>
+        `<tr><td>${getParamLabel(
+          strategyName,
+          paramName
+        )}:</td><td>${formatParamValue(value)}</td></tr>`
+    )
+    .join("");
+
+  if (data.mode === "walkForward") {
+    displayWalkForwardResults(data);
+    resultsCard.scrollIntoView({ behavior: "smooth" });
+    return;
+  }
 
   // パフォーマンスを表示
   const performanceTable = document.getElementById("optimization-performance");
@@ -1252,12 +2748,20 @@ function displayOptimizationResults(data) {
     <tr><td>最大ドローダウン:</td><td>${data.bestResult.maxDrawdownPercent.toFixed(
       2
     )}%</td></tr>
-    <tr><td>プロフィットファクター:</td><td>${data.bestResult.profitFactor.toFixed(
-      2
+    <tr><td>プロフィットファクター:</td><td>${formatProfitFactor(
+      data.bestResult.profitFactor
     )}</td></tr>
   `;
 
   // 結果テーブルを更新
+  setOptimizationResultsHead("上位結果", [
+    "パラメータ",
+    "利益率",
+    "勝率",
+    "取引回数",
+    "プロフィットファクター",
+    "適合度",
+  ]);
   const resultsTable = document.getElementById("optimization-results-table");
   resultsTable.innerHTML = "";
 
@@ -1266,14 +2770,15 @@ function displayOptimizationResults(data) {
   for (const result of topResults) {
     const row = document.createElement("tr");
     row.innerHTML = `
-      <td>${result.params.shortPeriod}</td>
-      <td>${result.params.longPeriod}</td>
+      <td>${Object.entries(result.params)
+        .map(([paramName, value]) => `${paramName}=${formatParamValue(value)}`)
+        .join(", ")}</td>
       <td class="${
         result.profitPercent > 0 ? "text-success" : "text-danger"
       }">${result.profitPercent.toFixed(2)}%</td>
       <td>${result.winRate.toFixed(2)}%</td>
       <td>${result.trades}</td>
-      <td>${result.profitFactor.toFixed(2)}</td>
+      <td>${formatProfitFactor(result.profitFactor)}</td>
       <td>${result.fitness.toFixed(2)}</td>
     `;
     resultsTable.appendChild(row);
@@ -1283,23 +2788,109 @@ function displayOptimizationResults(data) {
   resultsCard.scrollIntoView({ behavior: "smooth" });
 }
 
-// 最適パラメータを適用
-function applyBestParams() {
-  const bestParamsTable = document.getElementById("optimization-best-params");
-  if (!bestParamsTable) return;
+// ウォークフォワード最適化結果の表示
+// 最適パラメータには直近の窓で選ばれたパラメータを表示する
+function displayWalkForwardResults(data) {
+  const summary = data.summary;
+  const efficiency = summary.walkForwardEfficiency;
 
-  // テーブルから最適パラメータを取得
-  const rows = bestParamsTable.getElementsByTagName("tr");
-  if (rows.length < 3) return;
+  const performanceTable = document.getElementById("optimization-performance");
+  performanceTable.innerHTML = `
+    <tr><td>アウトオブサンプル利益率:</td><td class="${
+      summary.profitPercent > 0 ? "text-success" : "text-danger"
+    }">${summary.profitPercent.toFixed(2)}%</td></tr>
+    <tr><td>利益額:</td><td>${summary.profit.toFixed(2)} USD</td></tr>
+    <tr><td>取引回数:</td><td>${summary.totalTrades}</td></tr>
+    <tr><td>勝率:</td><td>${summary.winRate.toFixed(2)}%</td></tr>
+    <tr><td>ウォークフォワード効率:</td><td>${
+      efficiency === null ? "-" : efficiency.toFixed(2)
+    }</td></tr>
+  `;
 
-  const shortPeriod = rows[0].cells[1].textContent;
-  const longPeriod = rows[1].cells[1].textContent;
-  const trendPeriod = rows[2].cells[1].textContent;
+  // 窓ごとの結果
+  setOptimizationResultsHead("窓ごとの結果", [
+    "窓",
+    "アウトオブサンプル期間",
+    "パラメータ",
+    "インサンプル利益率",
+    "アウトオブサンプル利益率",
+    "効率",
+  ]);
+  const resultsTable = document.getElementById("optimization-results-table");
+  resultsTable.innerHTML = data.windows
+    .map(
+      (window) => `
+      <tr>
+        <td>${window.window}</td>
+        <td>${new Date(
+          window.outOfSample.startTime
+        ).toLocaleDateString()} - ${new Date(
+        window.outOfSample.endTime
+      ).toLocaleDateString()}</td>
+        <td>${Object.entries(window.bestParams)
+          .map(
+            ([paramName, value]) => `${paramName}=${formatParamValue(value)}`
+          )
+          .join(", ")}</td>
+        <td>${window.inSampleResult.profitPercent.toFixed(2)}%</td>
+        <td class="${
+          window.outOfSampleResult.profitPercent > 0
+            ? "text-success"
+            : "text-danger"
+        }">${window.outOfSampleResult.profitPercent.toFixed(2)}%</td>
+        <td>${
+          window.efficiency === null ? "-" : window.efficiency.toFixed(2)
+        }</td>
+      </tr>`
+    )
+    .join("");
+
+  // つなげたアウトオブサンプルの資産推移
+  document.getElementById("walk-forward-results").classList.remove("d-none");
+  const ctx = document
+    .getElementById("walk-forward-equity-chart")
+    .getContext("2d");
+  walkForwardEquityChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: data.equity.map((point) =>
+        new Date(point.time).toLocaleDateString()
+      ),
+      datasets: [
+        {
+          label: "アウトオブサンプル資産推移",
+          data: data.equity.map((point) => point.equity),
+          borderColor: "rgb(54, 162, 235)",
+          backgroundColor: "rgba(54, 162, 235, 0.2)",
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.1,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      scales: {
+        y: {
+          beginAtZero: false,
+        },
+      },
+    },
+  });
+}
 
-  // バックテストタブに値を設定
-  document.getElementById("param-short-period").value = shortPeriod;
-  document.getElementById("param-long-period").value = longPeriod;
-  document.getElementById("param-trend-period").value = trendPeriod;
+// 最適パラメータを適用
+function applyBestParams() {
+  if (!lastOptimization || !lastOptimization.bestParams) return;
+
+  // バックテストタブの戦略を最適化した戦略に合わせてパラメータを設定
+  const strategySelect = document.getElementById("backtest-strategy");
+  strategySelect.value = lastOptimization.strategyName;
+  renderStrategyParams(
+    "strategy-params-fields",
+    lastOptimization.strategyName,
+    lastOptimization.bestParams
+  );
 
   // バックテストタブに切り替え
   const backtestTab = document.getElementById("backtest-tab");
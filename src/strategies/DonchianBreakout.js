@@ -0,0 +1,308 @@
+const logger = require("../utils/logger");
+const technicalIndicators = require("../utils/technicalIndicators");
+const { StreamingAtr } = require("../utils/streamingIndicators");
+
+/**
+ * ドンチャンチャネル・ブレイクアウト戦略
+ * 直近N本の高値/安値を終値で抜けたらトレンド方向にエントリーし、
+ * ATRに基づくストップロス・テイクプロフィット価格をシグナルごとに指定する
+ * 保有中は短い期間の逆側チャネルを抜けたら決済する（タートル方式）
+ */
+class DonchianBreakout {
+  /**
+   * コンストラクタ
+   * @param {Object} params - 戦略パラメータ
+   */
+  constructor(params = {}) {
+    // チャネルパラメータ
+    this.entryPeriod = params.entryPeriod || 20; // エントリー判定に使う高値/安値の期間
+    this.exitPeriod = params.exitPeriod || 10; // 決済判定に使う高値/安値の期間
+
+    // ATRパラメータ
+    this.atrPeriod = params.atrPeriod || 14;
+    this.stopAtrMultiplier = params.stopAtrMultiplier || 2; // ストップロスまでのATR倍数
+    this.takeProfitAtrMultiplier = params.takeProfitAtrMultiplier || 4; // テイクプロフィットまでのATR倍数
+
+    // 安値ブレイクでの売りエントリー（現物取引では決済シグナルとしてのみ使われる）
+    this.allowShort =
+      params.allowShort !== undefined ? params.allowShort : false;
+
+    this.validateParams();
+  }
+
+  /**
+   * パラメータのバリデーション
+   */
+  validateParams() {
+    if (this.entryPeriod <= 0 || this.exitPeriod <= 0 || this.atrPeriod <= 0) {
+      throw new Error("チャネルとATRの期間は正の数である必要があります");
+    }
+
+    if (this.exitPeriod > this.entryPeriod) {
+      throw new Error(
+        "決済チャネルの期間はエントリーチャネルの期間以下である必要があります"
+      );
+    }
+
+    if (this.stopAtrMultiplier <= 0 || this.takeProfitAtrMultiplier <= 0) {
+      throw new Error("ATR倍数は正の数である必要があります");
+    }
+  }
+
+  /**
+   * バックテスト用のシグナルを生成
+   * エントリーシグナルにはstopLossPriceとtakeProfitPriceを付ける
+   * エンジンと同じ順序（決済価格の判定 → シグナル）で仮想ポジションを追跡し、
+   * 決済シグナルにはexitOnlyを付ける
+   * @param {Array} candles - ローソク足データ
+   * @returns {Array} - シグナルの配列
+   */
+  generateBacktestSignals(candles) {
+    if (!candles || candles.length === 0) {
+      return [];
+    }
+
+    try {
+      const highs = candles.map((candle) => candle.high);
+      const lows = candles.map((candle) => candle.low);
+      const closes = candles.map((candle) => candle.close);
+
+      const atrValues = technicalIndicators.atr(
+        highs,
+        lows,
+        closes,
+        this.atrPeriod
+      );
+
+      const signals = [];
+      const state = { position: null };
+
+      for (let i = this.getWarmupPeriod(); i < candles.length; i++) {
+        const signal = this.evaluateCandle(
+          state,
+          candles[i],
+          highs,
+          lows,
+          i,
+          atrValues[i]
+        );
+        if (signal) {
+          signals.push({ ...signal, time: candles[i].time, candleIndex: i });
+        }
+      }
+
+      return signals;
+    } catch (error) {
+      logger.error(`ドンチャンブレイクアウト戦略エラー: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * シグナルの判定を始める足のインデックス（チャネルとATRが揃う足）
+   * @returns {number} - インデックス
+   */
+  getWarmupPeriod() {
+    return Math.max(this.entryPeriod, this.atrPeriod);
+  }
+
+  /**
+   * 1本のローソク足でシグナルを判定し、仮想ポジションを更新
+   * generateBacktestSignalsとnextの両方から呼ばれる（highs, lowsは直前のentryPeriod本を含んでいればよい）
+   * @param {Object} state - 仮想ポジション（{ position: { type, stopLossPrice, takeProfitPrice } | null }）
+   * @param {Object} candle - 判定するローソク足
+   * @param {Array} highs - 高値配列
+   * @param {Array} lows - 安値配列
+   * @param {number} index - 判定するローソク足のhighs, lows内のインデックス
+   * @param {number} atr - ATR
+   * @returns {Object|null} - シグナル（type, price, source, exitOnly, stopLossPrice, takeProfitPrice）
+   */
+  evaluateCandle(state, candle, highs, lows, index, atr) {
+    const close = candle.close;
+    const createSignal = (type, extra) => ({
+      type,
+      price: close,
+      source: "DONCHIAN_BREAKOUT",
+      ...extra,
+    });
+
+    const { position } = state;
+    if (position) {
+      // エンジン側でストップロス/テイクプロフィットにより決済された場合
+      const isLong = position.type === "BUY";
+      const hitStop = isLong
+        ? candle.low <= position.stopLossPrice
+        : candle.high >= position.stopLossPrice;
+      const hitTarget = isLong
+        ? candle.high >= position.takeProfitPrice
+        : candle.low <= position.takeProfitPrice;
+      if (hitStop || hitTarget) {
+        state.position = null;
+        return null;
+      }
+
+      // 逆側の決済チャネルを抜けたら決済
+      const exitChannel = channel(highs, lows, index, this.exitPeriod);
+      if (isLong ? close < exitChannel.low : close > exitChannel.high) {
+        state.position = null;
+        return createSignal(isLong ? "SELL" : "BUY", { exitOnly: true });
+      }
+      return null;
+    }
+
+    if (atr === undefined) return null;
+
+    const entryChannel = channel(highs, lows, index, this.entryPeriod);
+    let type = null;
+    if (close > entryChannel.high) {
+      type = "BUY";
+    } else if (this.allowShort && close < entryChannel.low) {
+      type = "SELL";
+    }
+    if (!type) return null;
+
+    const direction = type === "BUY" ? 1 : -1;
+    const stopLossPrice = close - direction * atr * this.stopAtrMultiplier;
+    const takeProfitPrice =
+      close + direction * atr * this.takeProfitAtrMultiplier;
+
+    // ATRが大きく決済価格が0以下になる場合はエントリーしない
+    if (stopLossPrice <= 0 || takeProfitPrice <= 0) {
+      return null;
+    }
+
+    state.position = { type, stopLossPrice, takeProfitPrice };
+    return createSignal(type, { stopLossPrice, takeProfitPrice });
+  }
+
+  /**
+   * 逐次計算の状態を初期化
+   * next()で最初の足を渡す前、または別の銘柄・期間をやり直す前に呼ぶ
+   */
+  resetStream() {
+    this.stream = {
+      index: -1, // 受け取った最新の足のインデックス
+      atr: new StreamingAtr(this.atrPeriod),
+      highs: [], // 直近entryPeriod + 1本の高値
+      lows: [], // 直近entryPeriod + 1本の安値
+      state: { position: null },
+    };
+  }
+
+  /**
+   * 確定したローソク足を1本追加してシグナルを判定（ライブ取引用）
+   * 同じ足を順に渡した場合、generateBacktestSignalsがその足で出すシグナルと一致する
+   * @param {Object} candle - 確定したローソク足
+   * @returns {Array} - この足のシグナルの配列
+   */
+  next(candle) {
+    if (!this.stream) {
+      this.resetStream();
+    }
+    const stream = this.stream;
+    stream.index++;
+
+    const atr = stream.atr.next(candle);
+    stream.highs.push(candle.high);
+    stream.lows.push(candle.low);
+    if (stream.highs.length > this.entryPeriod + 1) {
+      stream.highs.shift();
+      stream.lows.shift();
+    }
+
+    if (stream.index < this.getWarmupPeriod()) {
+      return [];
+    }
+
+    const signal = this.evaluateCandle(
+      stream.state,
+      candle,
+      stream.highs,
+      stream.lows,
+      stream.highs.length - 1,
+      atr
+    );
+    return signal
+      ? [{ ...signal, time: candle.time, candleIndex: stream.index }]
+      : [];
+  }
+}
+
+/**
+ * 指定したローソク足より前のN本の最高値と最安値（現在の足は含めない）
+ * @param {Array} highs - 高値配列
+ * @param {Array} lows - 安値配列
+ * @param {number} index - 現在のインデックス
+ * @param {number} period - 期間
+ * @returns {Object} - { high, low }
+ */
+function channel(highs, lows, index, period) {
+  const start = Math.max(0, index - period);
+  return {
+    high: Math.max(...highs.slice(start, index)),
+    low: Math.min(...lows.slice(start, index)),
+  };
+}
+
+/**
+ * 戦略レジストリ用の定義
+ */
+DonchianBreakout.definition = {
+  name: "DonchianBreakout",
+  displayName: "ドンチャンブレイクアウト",
+  description:
+    "直近N本の高値・安値のブレイクでトレンド方向にエントリーし、ATRに基づくストップで管理する戦略",
+  params: {
+    entryPeriod: {
+      type: "number",
+      integer: true,
+      default: 20,
+      min: 5,
+      max: 100,
+      description: "エントリーチャネルの期間",
+      optimize: { min: 10, max: 55 },
+    },
+    exitPeriod: {
+      type: "number",
+      integer: true,
+      default: 10,
+      min: 2,
+      max: 100,
+      description: "決済チャネルの期間",
+      optimize: { min: 5, max: 10 },
+    },
+    atrPeriod: {
+      type: "number",
+      integer: true,
+      default: 14,
+      min: 2,
+      max: 100,
+      description: "ATR期間",
+    },
+    stopAtrMultiplier: {
+      type: "number",
+      default: 2,
+      min: 0.5,
+      max: 10,
+      description: "ストップロスのATR倍数",
+      optimize: { min: 1, max: 4 },
+    },
+    takeProfitAtrMultiplier: {
+      type: "number",
+      default: 4,
+      min: 0.5,
+      max: 20,
+      description: "テイクプロフィットのATR倍数",
+      optimize: { min: 2, max: 8 },
+    },
+    allowShort: {
+      type: "boolean",
+      default: false,
+      description: "安値ブレイクで売りエントリー",
+    },
+  },
+  preferredRegimes: ["STRONG_TREND"],
+  create: (params) => new DonchianBreakout(params),
+};
+
+module.exports = DonchianBreakout;
@@ -1,5 +1,15 @@
 const logger = require("../utils/logger");
 const technicalIndicators = require("../utils/technicalIndicators");
+const multiTimeframe = require("../backtesting/multiTimeframe");
+const {
+  StreamingSma,
+  StreamingRsi,
+  StreamingMacd,
+  StreamingBollingerBands,
+} = require("../utils/streamingIndicators");
+
+// next()で保持する直近の値の本数（クロスの判定に前の足を使う）
+const RECENT_LENGTH = 3;
 
 /**
  * 拡張版移動平均線クロスオーバー戦略
@@ -30,6 +40,7 @@ class MovingAverageCrossover {
     // トレンドパラメータ
     this.useTrend = params.useTrend !== undefined ? params.useTrend : true;
     this.trendMaPeriod = params.trendMaPeriod || 50;
+    this.trendTimeframe = params.trendTimeframe || "base"; // トレンド判定に使う時間足（base: 基準の時間足）
 
     // MACDパラメータ
     this.useMacd = params.useMacd !== undefined ? params.useMacd : false;
@@ -137,12 +148,23 @@ class MovingAverageCrossover {
     }
   }
 
+  /**
+   * 戦略が必要とする上位足
+   * @returns {Array<string>} - 時間足の配列
+   */
+  getRequiredTimeframes() {
+    return this.useTrend && this.trendTimeframe !== "base"
+      ? [this.trendTimeframe]
+      : [];
+  }
+
   /**
    * バックテスト用のシグナルを生成
    * @param {Array} candles - ローソク足データ
+   * @param {Object} context - 上位足などのコンテキスト（multiTimeframe.jsを参照）
    * @returns {Array} - シグナルの配列
    */
-  generateBacktestSignals(candles) {
+  generateBacktestSignals(candles, context = {}) {
     if (!candles || candles.length === 0) {
       return [];
     }
@@ -170,7 +192,12 @@ class MovingAverageCrossover {
       }
 
       let trendMa = [];
-      if (this.useTrend) {
+      const higherTrendMa = this.useTrend
+        ? this.calculateHigherTimeframeTrend(context)
+        : null;
+      if (higherTrendMa) {
+        trendMa = higherTrendMa;
+      } else if (this.useTrend) {
         trendMa = technicalIndicators.sma(closes, this.trendMaPeriod);
       }
 
@@ -195,82 +222,28 @@ class MovingAverageCrossover {
         );
       }
 
-      // シグナル生成
+      const series = {
+        candles,
+        closes,
+        volumes,
+        shortMa,
+        longMa,
+        rsiValues,
+        volumeAvg,
+        trendMa,
+        macdData,
+        bbands,
+      };
+
+      // シグナル生成（最も長い期間の指標が揃った足から）
       const signals = [];
-
-      // 最も長い期間を特定
-      const maxPeriod = Math.max(
-        this.longPeriod,
-        this.useRsi ? this.rsiPeriod : 0,
-        this.useVolume ? this.volumeAvgPeriod : 0,
-        this.useTrend ? this.trendMaPeriod : 0,
-        this.useMacd ? Math.max(this.macdSlowPeriod, this.macdSignalPeriod) : 0,
-        this.useBollingerBands ? this.bollingerPeriod : 0
-      );
-
-      // 各ローソク足をチェック
-      for (let i = maxPeriod; i < candles.length; i++) {
-        // 基本シグナル: 移動平均クロスの確認
-        const shortPrev = shortMa[i - 1];
-        const longPrev = longMa[i - 1];
-        const shortCurrent = shortMa[i];
-        const longCurrent = longMa[i];
-
-        // クロスの検出
-        const isBullishCross =
-          shortPrev <= longPrev && shortCurrent > longCurrent;
-        const isBearishCross =
-          shortPrev >= longPrev && shortCurrent < longCurrent;
-
-        // 追加フィルターの適用
-        if (isBullishCross || isBearishCross) {
-          const signalType = isBullishCross ? "BUY" : "SELL";
-
-          // フィルター結果
-          const passedFilter = this.applyFilters(
-            signalType,
-            i,
-            closes,
-            rsiValues,
-            volumes,
-            volumeAvg,
-            trendMa,
-            macdData,
-            bbands,
-            candles
-          );
-
-          if (passedFilter) {
-            signals.push({
-              type: signalType,
-              price: candles[i].close,
-              time: candles[i].time,
-              candleIndex: i,
-              source: "MA_CROSS",
-            });
-          }
-        }
-
-        // 追加シグナル生成（オプション）
-        if (this.generateAdditionalSignals) {
-          const additionalSignals = this.generateAlternativeSignals(
-            i,
-            closes,
-            rsiValues,
-            macdData,
-            bbands,
-            candles
-          );
-
-          if (additionalSignals.length > 0) {
-            additionalSignals.forEach((signal) => {
-              signals.push({
-                ...signal,
-                time: candles[i].time,
-                candleIndex: i,
-              });
-            });
-          }
+      for (
+        let i = this.getWarmupPeriod(Boolean(higherTrendMa));
+        i < candles.length;
+        i++
+      ) {
+        for (const signal of this.evaluateCandle(i, series)) {
+          signals.push({ ...signal, time: candles[i].time, candleIndex: i });
         }
       }
 
@@ -281,6 +254,249 @@ class MovingAverageCrossover {
     }
   }
 
+  /**
+   * シグナルの判定を始める足のインデックス（使用する指標のうち最も長い期間）
+   * @param {boolean} useHigherTrend - トレンド判定に上位足を使うかどうか
+   * @returns {number} - インデックス
+   */
+  getWarmupPeriod(useHigherTrend) {
+    return Math.max(
+      this.longPeriod,
+      this.useRsi ? this.rsiPeriod : 0,
+      this.useVolume ? this.volumeAvgPeriod : 0,
+      this.useTrend && !useHigherTrend ? this.trendMaPeriod : 0,
+      this.useMacd ? Math.max(this.macdSlowPeriod, this.macdSignalPeriod) : 0,
+      this.useBollingerBands ? this.bollingerPeriod : 0
+    );
+  }
+
+  /**
+   * 1本のローソク足でシグナルを判定
+   * generateBacktestSignalsとnextの両方から呼ばれる（seriesは直前の足の値を含んでいればよい）
+   * @param {number} index - 判定するローソク足のseries内のインデックス
+   * @param {Object} series - ローソク足と指標の配列（candles, closes, volumes, shortMa, longMa, rsiValues, volumeAvg, trendMa, macdData, bbands）
+   * @returns {Array} - シグナル（type, price, source）の配列
+   */
+  evaluateCandle(index, series) {
+    const signals = [];
+    const { candles, closes, shortMa, longMa, rsiValues, macdData, bbands } =
+      series;
+
+    // 基本シグナル: 移動平均クロスの確認
+    const shortPrev = shortMa[index - 1];
+    const longPrev = longMa[index - 1];
+    const shortCurrent = shortMa[index];
+    const longCurrent = longMa[index];
+
+    // クロスの検出
+    const isBullishCross = shortPrev <= longPrev && shortCurrent > longCurrent;
+    const isBearishCross = shortPrev >= longPrev && shortCurrent < longCurrent;
+
+    // 追加フィルターの適用
+    if (isBullishCross || isBearishCross) {
+      const signalType = isBullishCross ? "BUY" : "SELL";
+
+      // フィルター結果
+      const passedFilter = this.applyFilters(
+        signalType,
+        index,
+        closes,
+        rsiValues,
+        series.volumes,
+        series.volumeAvg,
+        series.trendMa,
+        macdData,
+        bbands,
+        candles
+      );
+
+      if (passedFilter) {
+        signals.push({
+          type: signalType,
+          price: candles[index].close,
+          source: "MA_CROSS",
+        });
+      }
+    }
+
+    // 追加シグナル生成（オプション）
+    if (this.generateAdditionalSignals) {
+      signals.push(
+        ...this.generateAlternativeSignals(
+          index,
+          closes,
+          rsiValues,
+          macdData,
+          bbands,
+          candles
+        )
+      );
+    }
+
+    return signals;
+  }
+
+  /**
+   * 逐次計算の状態を初期化
+   * next()で最初の足を渡す前、または別の銘柄・期間をやり直す前に呼ぶ
+   */
+  resetStream() {
+    this.stream = {
+      index: -1, // 受け取った最新の足のインデックス
+      shortMa: new StreamingSma(this.shortPeriod),
+      longMa: new StreamingSma(this.longPeriod),
+      rsi: this.useRsi ? new StreamingRsi(this.rsiPeriod) : null,
+      volumeAvg: this.useVolume ? new StreamingSma(this.volumeAvgPeriod) : null,
+      trendMa: this.useTrend ? new StreamingSma(this.trendMaPeriod) : null,
+      higherTrendMa:
+        this.useTrend && this.trendTimeframe !== "base"
+          ? new StreamingSma(this.trendMaPeriod)
+          : null,
+      lastHigherTime: null, // 上位足のトレンドMAに渡した最新の上位足の開始時刻
+      missingHigherWarned: false,
+      macd: this.useMacd
+        ? new StreamingMacd(
+            this.macdFastPeriod,
+            this.macdSlowPeriod,
+            this.macdSignalPeriod
+          )
+        : null,
+      bbands: this.useBollingerBands
+        ? new StreamingBollingerBands(
+            this.bollingerPeriod,
+            this.bollingerStdDev
+          )
+        : null,
+      // evaluateCandleに渡す直近の値（クロスの判定に前の足を使うため数本だけ保持）
+      series: {
+        candles: [],
+        closes: [],
+        volumes: [],
+        shortMa: [],
+        longMa: [],
+        rsiValues: [],
+        volumeAvg: [],
+        trendMa: [],
+        macdData: { macd: [], signal: [], histogram: [] },
+        bbands: { upper: [], middle: [], lower: [] },
+      },
+    };
+  }
+
+  /**
+   * 確定したローソク足を1本追加してシグナルを判定（ライブ取引用）
+   * 同じ足を順に渡した場合、generateBacktestSignalsがその足で出すシグナルと一致する
+   * @param {Object} candle - 確定したローソク足
+   * @param {Object} context - 上位足などのコンテキスト（上位足はinterval, candlesがあればよい）
+   * @returns {Array} - この足のシグナルの配列
+   */
+  next(candle, context = {}) {
+    if (!this.stream) {
+      this.resetStream();
+    }
+    const stream = this.stream;
+    stream.index++;
+
+    const baseTrend = stream.trendMa ? stream.trendMa.next(candle) : undefined;
+    const higherTrend = this.nextHigherTimeframeTrend(candle, context);
+    const macd = stream.macd ? stream.macd.next(candle) : {};
+    const bbands = stream.bbands ? stream.bbands.next(candle) : {};
+
+    const { series } = stream;
+    pushRecent(series.candles, candle);
+    pushRecent(series.closes, candle.close);
+    pushRecent(series.volumes, candle.volume);
+    pushRecent(series.shortMa, stream.shortMa.next(candle));
+    pushRecent(series.longMa, stream.longMa.next(candle));
+    pushRecent(
+      series.rsiValues,
+      stream.rsi ? stream.rsi.next(candle) : undefined
+    );
+    pushRecent(
+      series.volumeAvg,
+      stream.volumeAvg ? stream.volumeAvg.next(candle.volume) : undefined
+    );
+    pushRecent(series.trendMa, higherTrend !== null ? higherTrend : baseTrend);
+    for (const key of Object.keys(series.macdData)) {
+      pushRecent(series.macdData[key], macd[key]);
+    }
+    for (const key of Object.keys(series.bbands)) {
+      pushRecent(series.bbands[key], bbands[key]);
+    }
+
+    if (stream.index < this.getWarmupPeriod(higherTrend !== null)) {
+      return [];
+    }
+
+    return this.evaluateCandle(series.closes.length - 1, series).map(
+      (signal) => ({ ...signal, time: candle.time, candleIndex: stream.index })
+    );
+  }
+
+  /**
+   * 上位足のトレンド移動平均線を1本分更新（nextから呼ばれる）
+   * 基準足の確定時点で確定している上位足だけを渡すため、先読みは起きない
+   * @param {Object} candle - 基準足
+   * @param {Object} context - コンテキスト
+   * @returns {number|undefined|null} - トレンドMAの値（上位足を使わない場合はnull）
+   */
+  nextHigherTimeframeTrend(candle, context) {
+    const stream = this.stream;
+    if (!stream.higherTrendMa) {
+      return null;
+    }
+
+    const higher =
+      context.higherTimeframes && context.higherTimeframes[this.trendTimeframe];
+    if (!higher) {
+      if (!stream.missingHigherWarned) {
+        logger.warning(
+          `${this.trendTimeframe}足のデータがないため、トレンド判定に基準の時間足を使用します`
+        );
+        stream.missingHigherWarned = true;
+      }
+      return null;
+    }
+
+    for (const higherCandle of multiTimeframe.takeClosedCandles(
+      higher,
+      candle,
+      context.interval,
+      stream.lastHigherTime
+    )) {
+      stream.higherTrendMa.next(higherCandle);
+      stream.lastHigherTime = higherCandle.time;
+    }
+    return stream.higherTrendMa.value;
+  }
+
+  /**
+   * 上位足のトレンド移動平均線を基準足のインデックスで計算
+   * 上位足は確定したものだけを参照するため、先読みは起きない
+   * @param {Object} context - コンテキスト
+   * @returns {Array|null} - 基準足と同じ長さの配列（上位足を使わない場合はnull）
+   */
+  calculateHigherTimeframeTrend(context) {
+    if (this.trendTimeframe === "base") {
+      return null;
+    }
+
+    const higher =
+      context.higherTimeframes && context.higherTimeframes[this.trendTimeframe];
+    if (!higher) {
+      logger.warning(
+        `${this.trendTimeframe}足のデータがないため、トレンド判定に基準の時間足を使用します`
+      );
+      return null;
+    }
+
+    const trendMa = technicalIndicators.sma(
+      higher.candles.map((candle) => candle.close),
+      this.trendMaPeriod
+    );
+    return multiTimeframe.mapToBaseCandles(higher, trendMa);
+  }
+
   /**
    * 代替シグナルを生成（移動平均クロスオーバー以外のシグナル）
    * @param {number} index - 現在のインデックス
@@ -573,4 +789,186 @@ class MovingAverageCrossover {
   }
 }
 
+/**
+ * 配列の末尾に値を追加し、直近RECENT_LENGTH本だけを残す
+ * @param {Array} values - 値の配列
+ * @param {*} value - 追加する値
+ */
+function pushRecent(values, value) {
+  values.push(value);
+  if (values.length > RECENT_LENGTH) {
+    values.shift();
+  }
+}
+
+/**
+ * 戦略レジストリ用の定義
+ */
+MovingAverageCrossover.definition = {
+  name: "MovingAverageCrossover",
+  displayName: "移動平均線クロスオーバー",
+  description: "短期移動平均線と長期移動平均線のクロスポイントで売買を行う戦略",
+  params: {
+    shortPeriod: {
+      type: "number",
+      integer: true,
+      default: 9,
+      min: 2,
+      max: 50,
+      description: "短期移動平均線の期間",
+      optimize: { min: 5, max: 20 },
+    },
+    longPeriod: {
+      type: "number",
+      integer: true,
+      default: 21,
+      min: 5,
+      max: 200,
+      description: "長期移動平均線の期間",
+      optimize: { min: 20, max: 50 },
+    },
+    useTrend: {
+      type: "boolean",
+      default: true,
+      description: "トレンドフィルターを使用",
+    },
+    trendMaPeriod: {
+      type: "number",
+      integer: true,
+      default: 50,
+      min: 10,
+      max: 400,
+      description: "トレンドMA期間",
+      optimize: { min: 50, max: 100 },
+    },
+    trendTimeframe: {
+      type: "select",
+      options: ["base", "1h", "2h", "4h", "6h", "12h", "1d", "1w"],
+      default: "base",
+      description: "トレンド判定の時間足（base: バックテストと同じ時間足）",
+    },
+    useRsi: {
+      type: "boolean",
+      default: true,
+      description: "RSIフィルターを使用",
+    },
+    rsiPeriod: {
+      type: "number",
+      integer: true,
+      default: 14,
+      min: 2,
+      max: 100,
+      description: "RSI期間",
+    },
+    rsiOverbought: {
+      type: "number",
+      default: 70,
+      min: 50,
+      max: 100,
+      description: "RSI買われすぎレベル",
+    },
+    rsiOversold: {
+      type: "number",
+      default: 30,
+      min: 0,
+      max: 50,
+      description: "RSI売られすぎレベル",
+    },
+    useVolume: {
+      type: "boolean",
+      default: true,
+      description: "出来高フィルターを使用",
+    },
+    volumeThreshold: {
+      type: "number",
+      default: 1.5,
+      min: 0.1,
+      max: 10,
+      description: "出来高閾値（平均の倍率）",
+    },
+    volumeAvgPeriod: {
+      type: "number",
+      integer: true,
+      default: 20,
+      min: 2,
+      max: 200,
+      description: "出来高平均期間",
+    },
+    useMacd: {
+      type: "boolean",
+      default: false,
+      description: "MACDフィルターを使用",
+    },
+    macdFastPeriod: {
+      type: "number",
+      integer: true,
+      default: 12,
+      min: 2,
+      max: 100,
+      description: "MACD短期期間",
+    },
+    macdSlowPeriod: {
+      type: "number",
+      integer: true,
+      default: 26,
+      min: 2,
+      max: 200,
+      description: "MACD長期期間",
+    },
+    macdSignalPeriod: {
+      type: "number",
+      integer: true,
+      default: 9,
+      min: 2,
+      max: 100,
+      description: "MACDシグナル期間",
+    },
+    useBollingerBands: {
+      type: "boolean",
+      default: false,
+      description: "ボリンジャーバンドフィルターを使用",
+    },
+    bollingerPeriod: {
+      type: "number",
+      integer: true,
+      default: 20,
+      min: 2,
+      max: 200,
+      description: "ボリンジャーバンド期間",
+    },
+    bollingerStdDev: {
+      type: "number",
+      default: 2,
+      min: 0.5,
+      max: 5,
+      description: "ボリンジャーバンド標準偏差",
+    },
+    usePriceAction: {
+      type: "boolean",
+      default: false,
+      description: "プライスアクションフィルターを使用",
+    },
+    candlePatternStrength: {
+      type: "number",
+      default: 1.5,
+      min: 0.5,
+      max: 5,
+      description: "ローソク足パターンの強度係数",
+    },
+    generateAdditionalSignals: {
+      type: "boolean",
+      default: false,
+      description: "移動平均クロス以外の代替シグナルを生成",
+    },
+    filterStrength: {
+      type: "select",
+      options: ["weak", "medium", "strong"],
+      default: "medium",
+      description: "フィルター強度",
+    },
+  },
+  preferredRegimes: ["STRONG_TREND", "WEAK_TREND"],
+  create: (params) => new MovingAverageCrossover(params),
+};
+
 module.exports = MovingAverageCrossover;
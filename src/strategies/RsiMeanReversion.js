@@ -0,0 +1,350 @@
+const logger = require("../utils/logger");
+const technicalIndicators = require("../utils/technicalIndicators");
+const {
+  StreamingSma,
+  StreamingRsi,
+  StreamingBollingerBands,
+} = require("../utils/streamingIndicators");
+
+/**
+ * RSI・ボリンジャーバンド平均回帰戦略
+ * RSIの売られすぎ/買われすぎとバンド外へのはみ出しで逆張りエントリーし、
+ * RSIの中立水準またはミドルバンドへの回帰で決済する（レンジ相場向け）
+ */
+class RsiMeanReversion {
+  /**
+   * コンストラクタ
+   * @param {Object} params - 戦略パラメータ
+   */
+  constructor(params = {}) {
+    // RSIパラメータ
+    this.rsiPeriod = params.rsiPeriod || 14;
+    this.rsiOversold = params.rsiOversold || 30;
+    this.rsiOverbought = params.rsiOverbought || 70;
+    this.rsiExit = params.rsiExit || 50; // 決済するRSI水準
+
+    // ボリンジャーバンドパラメータ
+    this.bollingerPeriod = params.bollingerPeriod || 20;
+    this.bollingerStdDev = params.bollingerStdDev || 2;
+    this.requireBandTouch =
+      params.requireBandTouch !== undefined ? params.requireBandTouch : true;
+    this.exitAtMiddleBand =
+      params.exitAtMiddleBand !== undefined ? params.exitAtMiddleBand : true;
+
+    // 空売りエントリー（現物取引では決済シグナルとしてのみ使われる）
+    this.allowShort =
+      params.allowShort !== undefined ? params.allowShort : false;
+
+    // トレンドフィルター（長期移動平均線の方向にのみエントリー）
+    this.useTrendFilter =
+      params.useTrendFilter !== undefined ? params.useTrendFilter : false;
+    this.trendMaPeriod = params.trendMaPeriod || 200;
+
+    this.validateParams();
+  }
+
+  /**
+   * パラメータのバリデーション
+   */
+  validateParams() {
+    if (this.rsiPeriod <= 0 || this.bollingerPeriod <= 0) {
+      throw new Error(
+        "RSIとボリンジャーバンドの期間は正の数である必要があります"
+      );
+    }
+
+    if (this.rsiOversold >= this.rsiOverbought) {
+      throw new Error(
+        "RSIの売られすぎ水準は買われすぎ水準よりも低い必要があります"
+      );
+    }
+
+    if (
+      this.rsiExit <= this.rsiOversold ||
+      this.rsiExit >= this.rsiOverbought
+    ) {
+      throw new Error(
+        "RSIの決済水準は売られすぎ水準と買われすぎ水準の間である必要があります"
+      );
+    }
+
+    if (this.useTrendFilter && this.trendMaPeriod <= 0) {
+      throw new Error("トレンド移動平均線の期間は正の数である必要があります");
+    }
+  }
+
+  /**
+   * バックテスト用のシグナルを生成
+   * エントリーと決済を交互に出すため、内部で仮想ポジションを追跡する
+   * 決済シグナルにはexitOnlyを付け、エンジンが新規ポジションを開かないようにする
+   * @param {Array} candles - ローソク足データ
+   * @returns {Array} - シグナルの配列
+   */
+  generateBacktestSignals(candles) {
+    if (!candles || candles.length === 0) {
+      return [];
+    }
+
+    try {
+      const closes = candles.map((candle) => candle.close);
+
+      const rsiValues = technicalIndicators.rsi(closes, this.rsiPeriod);
+      const bbands = technicalIndicators.bollingerBands(
+        closes,
+        this.bollingerPeriod,
+        this.bollingerStdDev
+      );
+      const trendMa = this.useTrendFilter
+        ? technicalIndicators.sma(closes, this.trendMaPeriod)
+        : [];
+
+      const signals = [];
+      const state = { position: null };
+
+      for (let i = this.getWarmupPeriod(); i < candles.length; i++) {
+        const signal = this.evaluateCandle(
+          state,
+          closes[i],
+          rsiValues[i],
+          {
+            upper: bbands.upper[i],
+            middle: bbands.middle[i],
+            lower: bbands.lower[i],
+          },
+          trendMa[i]
+        );
+        if (signal) {
+          signals.push({ ...signal, time: candles[i].time, candleIndex: i });
+        }
+      }
+
+      return signals;
+    } catch (error) {
+      logger.error(`RSI平均回帰戦略エラー: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * シグナルの判定を始める足のインデックス（使用する指標のうち最も長い期間）
+   * @returns {number} - インデックス
+   */
+  getWarmupPeriod() {
+    return Math.max(
+      this.rsiPeriod,
+      this.bollingerPeriod - 1,
+      this.useTrendFilter ? this.trendMaPeriod - 1 : 0
+    );
+  }
+
+  /**
+   * 1本のローソク足でシグナルを判定し、仮想ポジションを更新
+   * generateBacktestSignalsとnextの両方から呼ばれる
+   * @param {Object} state - 仮想ポジション（{ position: "LONG" | "SHORT" | null }）
+   * @param {number} close - 終値
+   * @param {number} rsi - RSI
+   * @param {Object} band - ボリンジャーバンド（upper, middle, lower）
+   * @param {number} trend - トレンド移動平均線（トレンドフィルターを使わない場合はundefined）
+   * @returns {Object|null} - シグナル（type, price, source, exitOnly）
+   */
+  evaluateCandle(state, close, rsi, band, trend) {
+    if (rsi === undefined || band.middle === undefined) return null;
+
+    const createSignal = (type, exitOnly) => ({
+      type,
+      price: close,
+      source: "RSI_MEAN_REVERSION",
+      ...(exitOnly ? { exitOnly: true } : {}),
+    });
+
+    if (state.position === "LONG") {
+      if (
+        rsi >= this.rsiExit ||
+        (this.exitAtMiddleBand && close >= band.middle)
+      ) {
+        state.position = null;
+        return createSignal("SELL", true);
+      }
+      return null;
+    }
+
+    if (state.position === "SHORT") {
+      if (
+        rsi <= this.rsiExit ||
+        (this.exitAtMiddleBand && close <= band.middle)
+      ) {
+        state.position = null;
+        return createSignal("BUY", true);
+      }
+      return null;
+    }
+
+    if (this.useTrendFilter && trend === undefined) return null;
+
+    const isOversold =
+      rsi < this.rsiOversold && (!this.requireBandTouch || close <= band.lower);
+    const isOverbought =
+      rsi > this.rsiOverbought &&
+      (!this.requireBandTouch || close >= band.upper);
+
+    if (isOversold && (!this.useTrendFilter || close > trend)) {
+      state.position = "LONG";
+      return createSignal("BUY", false);
+    }
+    if (
+      this.allowShort &&
+      isOverbought &&
+      (!this.useTrendFilter || close < trend)
+    ) {
+      state.position = "SHORT";
+      return createSignal("SELL", false);
+    }
+    return null;
+  }
+
+  /**
+   * 逐次計算の状態を初期化
+   * next()で最初の足を渡す前、または別の銘柄・期間をやり直す前に呼ぶ
+   */
+  resetStream() {
+    this.stream = {
+      index: -1, // 受け取った最新の足のインデックス
+      rsi: new StreamingRsi(this.rsiPeriod),
+      bbands: new StreamingBollingerBands(
+        this.bollingerPeriod,
+        this.bollingerStdDev
+      ),
+      trendMa: this.useTrendFilter
+        ? new StreamingSma(this.trendMaPeriod)
+        : null,
+      state: { position: null },
+    };
+  }
+
+  /**
+   * 確定したローソク足を1本追加してシグナルを判定（ライブ取引用）
+   * 同じ足を順に渡した場合、generateBacktestSignalsがその足で出すシグナルと一致する
+   * @param {Object} candle - 確定したローソク足
+   * @returns {Array} - この足のシグナルの配列
+   */
+  next(candle) {
+    if (!this.stream) {
+      this.resetStream();
+    }
+    const stream = this.stream;
+    stream.index++;
+
+    const rsi = stream.rsi.next(candle);
+    const band = stream.bbands.next(candle);
+    const trend = stream.trendMa ? stream.trendMa.next(candle) : undefined;
+
+    if (stream.index < this.getWarmupPeriod()) {
+      return [];
+    }
+
+    const signal = this.evaluateCandle(
+      stream.state,
+      candle.close,
+      rsi,
+      band,
+      trend
+    );
+    return signal
+      ? [{ ...signal, time: candle.time, candleIndex: stream.index }]
+      : [];
+  }
+}
+
+/**
+ * 戦略レジストリ用の定義
+ */
+RsiMeanReversion.definition = {
+  name: "RsiMeanReversion",
+  displayName: "RSI平均回帰",
+  description:
+    "RSIの売られすぎ・買われすぎとボリンジャーバンドのはみ出しで逆張りし、平均への回帰で決済する戦略",
+  params: {
+    rsiPeriod: {
+      type: "number",
+      integer: true,
+      default: 14,
+      min: 2,
+      max: 100,
+      description: "RSI期間",
+      optimize: { min: 7, max: 21 },
+    },
+    rsiOversold: {
+      type: "number",
+      default: 30,
+      min: 5,
+      max: 50,
+      description: "RSI売られすぎ水準（買いエントリー）",
+      optimize: { min: 20, max: 35 },
+    },
+    rsiOverbought: {
+      type: "number",
+      default: 70,
+      min: 50,
+      max: 95,
+      description: "RSI買われすぎ水準（売りエントリー）",
+      optimize: { min: 65, max: 80 },
+    },
+    rsiExit: {
+      type: "number",
+      default: 50,
+      min: 30,
+      max: 70,
+      description: "RSI決済水準",
+      optimize: { min: 45, max: 60 },
+    },
+    bollingerPeriod: {
+      type: "number",
+      integer: true,
+      default: 20,
+      min: 5,
+      max: 100,
+      description: "ボリンジャーバンド期間",
+      optimize: { min: 15, max: 30 },
+    },
+    bollingerStdDev: {
+      type: "number",
+      default: 2,
+      min: 1,
+      max: 4,
+      description: "ボリンジャーバンド標準偏差",
+      optimize: { min: 1.5, max: 3 },
+    },
+    requireBandTouch: {
+      type: "boolean",
+      default: true,
+      description: "エントリーにバンド外へのはみ出しを必要とする",
+    },
+    exitAtMiddleBand: {
+      type: "boolean",
+      default: true,
+      description: "ミドルバンドへの回帰で決済",
+    },
+    allowShort: {
+      type: "boolean",
+      default: false,
+      description: "買われすぎで売りエントリー",
+    },
+    useTrendFilter: {
+      type: "boolean",
+      default: false,
+      description: "トレンドフィルターを使用",
+    },
+    trendMaPeriod: {
+      type: "number",
+      integer: true,
+      default: 200,
+      min: 20,
+      max: 400,
+      description: "トレンド移動平均線の期間",
+    },
+  },
+  preferredRegimes: ["RANGE"],
+  create: (params) => new RsiMeanReversion(params),
+};
+
+module.exports = RsiMeanReversion;
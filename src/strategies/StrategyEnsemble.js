@@ -0,0 +1,285 @@
+const logger = require("../utils/logger");
+const multiTimeframe = require("../backtesting/multiTimeframe");
+
+/**
+ * 戦略アンサンブル（自動選択）
+ * 登録済みの複数の戦略のシグナルを、直近の成績または現在の市場レジームで重み付けし、
+ * 最も重みの大きい戦略のシグナルでエントリーする
+ * 各シグナルにはエントリーを決めたサブ戦略名（strategy）を付け、取引記録に残す
+ * サブ戦略の成績と市場レジームは、コンテキストの関数（BacktestEngine.createStrategyContextを参照）で
+ * 呼び出し側のバックテストと同じ設定で評価する
+ */
+class StrategyEnsemble {
+  /**
+   * コンストラクタ
+   * @param {Object} params - 戦略パラメータ
+   * @param {Object} registry - サブ戦略の取得元（StrategyRegistry）
+   */
+  constructor(params = {}, registry) {
+    this.registry = registry;
+    this.strategies = params.strategies || [];
+    this.weighting = params.weighting || "performance"; // 'performance', 'regime'
+    this.performanceLookback = params.performanceLookback || 300; // 成績を評価するローソク足の本数
+    this.memberParams = params.memberParams || {}; // サブ戦略名 => パラメータ（省略した戦略は既定のパラメータ）
+
+    this.validateParams();
+
+    this.members = this.strategies.map((name) => ({
+      name,
+      definition: registry.get(name),
+      strategy: registry.create(name, this.memberParams[name] || {}),
+    }));
+  }
+
+  /**
+   * パラメータのバリデーション
+   */
+  validateParams() {
+    if (!Array.isArray(this.strategies) || this.strategies.length === 0) {
+      throw new Error("アンサンブルには1つ以上の戦略が必要です");
+    }
+
+    if (!["performance", "regime"].includes(this.weighting)) {
+      throw new Error(`サポートされていない重み付け方式: ${this.weighting}`);
+    }
+
+    if (this.performanceLookback <= 0) {
+      throw new Error("成績の評価期間は正の数である必要があります");
+    }
+
+    const unknown = Object.keys(this.memberParams).find(
+      (name) => !this.strategies.includes(name)
+    );
+    if (unknown !== undefined) {
+      throw new Error(`構成していない戦略のパラメータです: ${unknown}`);
+    }
+  }
+
+  /**
+   * サブ戦略が必要とする上位足
+   * @returns {Array<string>} - 時間足の配列
+   */
+  getRequiredTimeframes() {
+    return [
+      ...new Set(
+        this.members.flatMap((member) =>
+          multiTimeframe.getRequiredTimeframes(member.strategy)
+        )
+      ),
+    ];
+  }
+
+  /**
+   * バックテスト用のシグナルを生成
+   * ポジションがない間は重み付けした投票でエントリーを決め、
+   * 保有中はエントリーを決めたサブ戦略の反対シグナルで決済する
+   * @param {Array} candles - ローソク足データ
+   * @param {Object} context - 上位足などのコンテキスト（サブ戦略にそのまま渡す。scoreStrategy, detectMarketRegimesを含む）
+   * @returns {Array} - シグナルの配列
+   */
+  generateBacktestSignals(candles, context = {}) {
+    if (!candles || candles.length === 0) {
+      return [];
+    }
+
+    try {
+      const memberSignals = this.members.map((member) =>
+        groupByCandle(member.strategy.generateBacktestSignals(candles, context))
+      );
+      const weights =
+        this.weighting === "regime"
+          ? this.calculateRegimeWeights(candles, context)
+          : this.calculatePerformanceWeights(candles, context);
+
+      const signals = [];
+      let position = null; // { type, memberIndex }
+
+      for (let i = 0; i < candles.length; i++) {
+        if (position) {
+          const member = this.members[position.memberIndex];
+          for (const signal of memberSignals[position.memberIndex].get(i) ||
+            []) {
+            if (signal.type !== position.type) {
+              signals.push({
+                ...signal,
+                exitOnly: true,
+                strategy: member.name,
+              });
+              position = null;
+              break;
+            }
+            // サブ戦略がストップ等で決済済みと判断して再エントリーした場合もそのまま渡す
+            if (!signal.exitOnly) {
+              signals.push({ ...signal, strategy: member.name });
+            }
+          }
+          continue;
+        }
+
+        // 重み付き投票（方向ごとに重みを合計し、最も重い戦略のシグナルを採用）
+        const votes = {};
+        this.members.forEach((member, memberIndex) => {
+          const weight = weights[memberIndex][i];
+          if (!(weight > 0)) return;
+
+          for (const signal of memberSignals[memberIndex].get(i) || []) {
+            if (signal.exitOnly) continue;
+            const vote = votes[signal.type] || { total: 0, best: null };
+            vote.total += weight;
+            if (!vote.best || weight > vote.best.weight) {
+              vote.best = { signal, memberIndex, weight };
+            }
+            votes[signal.type] = vote;
+          }
+        });
+
+        const buy = votes.BUY ? votes.BUY.total : 0;
+        const sell = votes.SELL ? votes.SELL.total : 0;
+        if (buy === sell) continue;
+
+        const { signal, memberIndex } = (buy > sell ? votes.BUY : votes.SELL)
+          .best;
+        signals.push({ ...signal, strategy: this.members[memberIndex].name });
+        position = { type: signal.type, memberIndex };
+      }
+
+      return signals;
+    } catch (error) {
+      logger.error(`戦略アンサンブルエラー: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * 直近の成績による重みを計算
+   * 各サブ戦略をコンテキストのscoreStrategyで単独でバックテストし、評価期間内に決済された取引の損益率の合計を重みにする
+   * （決済済みの取引だけを使うため、将来のデータは参照しない）
+   * @param {Array} candles - ローソク足データ
+   * @param {Object} context - 上位足などのコンテキスト（scoreStrategy）
+   * @returns {Array<Array<number>>} - [サブ戦略][ローソク足] => 重み
+   */
+  calculatePerformanceWeights(candles, context) {
+    if (typeof context.scoreStrategy !== "function") {
+      throw new Error("成績による重み付けにはscoreStrategyが必要です");
+    }
+
+    return this.members.map((member) => {
+      const returns = new Array(candles.length).fill(0);
+      const result = context.scoreStrategy(candles, member.strategy, context);
+
+      if (result.success) {
+        for (const trade of result.trades) {
+          returns[trade.exitCandleIndex] += trade.profitPercentage;
+        }
+      }
+
+      // 評価期間の移動合計
+      const weights = [];
+      let rolling = 0;
+      for (let i = 0; i < candles.length; i++) {
+        rolling += returns[i];
+        if (i >= this.performanceLookback) {
+          rolling -= returns[i - this.performanceLookback];
+        }
+        weights.push(Math.max(0, rolling));
+      }
+      return weights;
+    });
+  }
+
+  /**
+   * 市場レジームによる重みを計算
+   * 現在のレジームがサブ戦略の得意なレジーム（preferredRegimes）に含まれれば1、それ以外は0
+   * @param {Array} candles - ローソク足データ
+   * @param {Object} context - コンテキスト（detectMarketRegimes）
+   * @returns {Array<Array<number>>} - [サブ戦略][ローソク足] => 重み
+   */
+  calculateRegimeWeights(candles, context) {
+    if (typeof context.detectMarketRegimes !== "function") {
+      throw new Error(
+        "市場レジームによる重み付けにはdetectMarketRegimesが必要です"
+      );
+    }
+
+    const regimeByTime = new Map(
+      context
+        .detectMarketRegimes(candles)
+        .map((item) => [item.time, item.regime])
+    );
+
+    return this.members.map((member) => {
+      const preferred = member.definition.preferredRegimes;
+      return candles.map((candle) => {
+        const regime = regimeByTime.get(candle.time);
+        if (!regime) return 0;
+        return !preferred || preferred.includes(regime) ? 1 : 0;
+      });
+    });
+  }
+}
+
+/**
+ * シグナルをローソク足のインデックスごとにまとめる
+ * @param {Array} signals - シグナルの配列
+ * @returns {Map<number, Array>} - インデックス => シグナルの配列
+ */
+function groupByCandle(signals) {
+  const grouped = new Map();
+  for (const signal of signals) {
+    const list = grouped.get(signal.candleIndex) || [];
+    list.push(signal);
+    grouped.set(signal.candleIndex, list);
+  }
+  return grouped;
+}
+
+/**
+ * 戦略レジストリ用の定義を作成
+ * 構成要素の候補はこの時点で登録済みの戦略
+ * @param {Object} registry - StrategyRegistry
+ * @returns {Object} - 戦略定義
+ */
+function createDefinition(registry) {
+  const memberNames = registry.list().map((definition) => definition.name);
+
+  return {
+    name: "StrategyEnsemble",
+    displayName: "戦略アンサンブル（自動選択）",
+    description:
+      "複数の戦略のシグナルを直近の成績または市場レジームで重み付けし、最適な戦略を自動で選んで売買する戦略",
+    params: {
+      strategies: {
+        type: "multiselect",
+        options: memberNames,
+        default: memberNames,
+        description: "構成する戦略",
+      },
+      weighting: {
+        type: "select",
+        options: ["performance", "regime"],
+        default: "performance",
+        description:
+          "重み付け方式（performance: 直近の成績, regime: 市場レジーム）",
+      },
+      performanceLookback: {
+        type: "number",
+        integer: true,
+        default: 300,
+        min: 20,
+        max: 5000,
+        description: "成績の評価期間（ローソク足の本数）",
+        optimize: { min: 100, max: 500 },
+      },
+      memberParams: {
+        type: "object",
+        default: {},
+        description: "サブ戦略ごとのパラメータ（戦略名 => パラメータ）",
+      },
+    },
+    create: (params) =>
+      new StrategyEnsemble({ strategies: memberNames, ...params }, registry),
+  };
+}
+
+module.exports = StrategyEnsemble;
+module.exports.createDefinition = createDefinition;
@@ -0,0 +1,276 @@
+const logger = require("../utils/logger");
+
+/**
+ * 戦略レジストリ
+ * 各戦略モジュールが宣言した定義（名前・説明・パラメータスキーマ・ファクトリ）を管理し、
+ * APIルート・バリデーション・最適化・取引エンジンから戦略名で利用できるようにする
+ *
+ * 定義の形式:
+ * {
+ *   name: "MovingAverageCrossover",
+ *   displayName: "移動平均線クロスオーバー",
+ *   description: "...",
+ *   params: {
+ *     shortPeriod: { type: "number", integer: true, default: 9, min: 2, max: 50,
+ *                    description: "...", optimize: { min: 5, max: 20 } },
+ *     useRsi: { type: "boolean", default: true, description: "..." },
+ *     filterStrength: { type: "select", options: ["weak", "medium"], default: "medium", description: "..." },
+ *     strategies: { type: "multiselect", options: ["A", "B"], default: ["A", "B"], description: "..." },
+ *     memberParams: { type: "object", default: {}, description: "..." }, // APIからのみ指定できる（画面には表示しない）
+ *   },
+ *   preferredRegimes: ["STRONG_TREND", "WEAK_TREND"], // 得意な市場レジーム（省略時は全レジーム）
+ *   create: (params) => new MovingAverageCrossover(params),
+ * }
+ */
+class StrategyRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+
+  /**
+   * 戦略を登録
+   * @param {Object} definition - 戦略定義
+   */
+  register(definition) {
+    if (!definition || typeof definition.name !== "string") {
+      throw new Error("戦略定義には名前が必要です");
+    }
+    if (typeof definition.create !== "function") {
+      throw new Error(`戦略定義にファクトリがありません: ${definition.name}`);
+    }
+    if (this.definitions.has(definition.name)) {
+      throw new Error(`戦略は既に登録されています: ${definition.name}`);
+    }
+
+    this.definitions.set(definition.name, {
+      ...definition,
+      params: definition.params || {},
+    });
+    logger.debug(`戦略を登録しました: ${definition.name}`);
+  }
+
+  /**
+   * 登録済みの戦略かどうか
+   * @param {string} name - 戦略名
+   * @returns {boolean} - 登録済みならtrue
+   */
+  has(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * 戦略定義を取得
+   * @param {string} name - 戦略名
+   * @returns {Object} - 戦略定義
+   */
+  get(name) {
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw new Error(`サポートされていない戦略: ${name}`);
+    }
+    return definition;
+  }
+
+  /**
+   * 登録済み戦略の一覧（ファクトリを除いた公開情報）
+   * @returns {Array} - 戦略情報の配列
+   */
+  list() {
+    return Array.from(this.definitions.values()).map((definition) => ({
+      name: definition.name,
+      displayName: definition.displayName || definition.name,
+      description: definition.description || "",
+      params: definition.params,
+    }));
+  }
+
+  /**
+   * パラメータを検証して戦略インスタンスを作成
+   * @param {string} name - 戦略名
+   * @param {Object} params - 戦略パラメータ
+   * @returns {Object} - 戦略インスタンス
+   */
+  create(name, params = {}) {
+    const definition = this.get(name);
+
+    const errors = this.validateParams(name, params);
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+
+    return definition.create({ ...params });
+  }
+
+  /**
+   * パラメータをスキーマに従って検証
+   * 戦略固有の組み合わせ条件（短期 < 長期など）は戦略のコンストラクタで検証される
+   * @param {string} name - 戦略名
+   * @param {Object} params - 戦略パラメータ
+   * @returns {Array<string>} - エラーメッセージの配列（問題がなければ空配列）
+   */
+  validateParams(name, params) {
+    const definition = this.get(name);
+    const errors = [];
+
+    if (params === undefined || params === null) {
+      return errors;
+    }
+    if (typeof params !== "object" || Array.isArray(params)) {
+      return ["戦略パラメータはオブジェクトである必要があります"];
+    }
+
+    for (const [paramName, value] of Object.entries(params)) {
+      const schema = definition.params[paramName];
+      if (!schema) {
+        errors.push(`不明なパラメータです: ${paramName}`);
+        continue;
+      }
+
+      const label = schema.description || paramName;
+      const error = validateValue(label, value, schema);
+      if (error) {
+        errors.push(error);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * パラメータ範囲（最適化用）を検証
+   * @param {string} name - 戦略名
+   * @param {Object} paramRanges - {paramName: {min, max}}
+   * @returns {Array<string>} - エラーメッセージの配列
+   */
+  validateParamRanges(name, paramRanges) {
+    const definition = this.get(name);
+    const errors = [];
+
+    if (!paramRanges || typeof paramRanges !== "object") {
+      return ["パラメータ範囲はオブジェクトである必要があります"];
+    }
+
+    for (const [paramName, range] of Object.entries(paramRanges)) {
+      const schema = definition.params[paramName];
+      if (!schema || schema.type !== "number") {
+        errors.push(`最適化できないパラメータです: ${paramName}`);
+        continue;
+      }
+
+      const label = schema.description || paramName;
+      if (
+        !range ||
+        validateValue(label, range.min, schema) ||
+        validateValue(label, range.max, schema)
+      ) {
+        errors.push(
+          `${label}の範囲は${schema.min}から${schema.max}の間で指定してください`
+        );
+      } else if (range.min > range.max) {
+        errors.push(`${label}の最小値は最大値以下である必要があります`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * 既定のパラメータを取得
+   * @param {string} name - 戦略名
+   * @returns {Object} - パラメータ名 => 既定値
+   */
+  getDefaultParams(name) {
+    const defaults = {};
+    for (const [paramName, schema] of Object.entries(this.get(name).params)) {
+      defaults[paramName] = schema.default;
+    }
+    return defaults;
+  }
+
+  /**
+   * 既定の最適化範囲を取得（スキーマでoptimizeが指定されたパラメータのみ）
+   * @param {string} name - 戦略名
+   * @returns {Object} - {paramName: {min, max}}
+   */
+  getDefaultParamRanges(name) {
+    const ranges = {};
+    for (const [paramName, schema] of Object.entries(this.get(name).params)) {
+      if (schema.optimize) {
+        ranges[paramName] = { ...schema.optimize };
+      }
+    }
+    return ranges;
+  }
+}
+
+/**
+ * 値をパラメータスキーマで検証
+ * @param {string} label - エラーメッセージ用の名前
+ * @param {*} value - 値
+ * @param {Object} schema - パラメータスキーマ
+ * @returns {string|null} - エラーメッセージ（問題がなければnull）
+ */
+function validateValue(label, value, schema) {
+  switch (schema.type) {
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return `${label}は数値である必要があります`;
+      }
+      if (schema.integer && !Number.isInteger(value)) {
+        return `${label}は整数である必要があります`;
+      }
+      if (
+        (schema.min !== undefined && value < schema.min) ||
+        (schema.max !== undefined && value > schema.max)
+      ) {
+        return `${label}は${schema.min}から${schema.max}の間で指定してください`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean"
+        ? null
+        : `${label}はboolean型である必要があります`;
+    case "select":
+      return schema.options.includes(value)
+        ? null
+        : `${label}は${schema.options.join(", ")}のいずれかを指定してください`;
+    case "multiselect": {
+      if (!Array.isArray(value) || value.length === 0) {
+        return `${label}は1つ以上指定してください`;
+      }
+      const unknown = value.find((item) => !schema.options.includes(item));
+      if (unknown !== undefined) {
+        return `${label}に不明な値が含まれています: ${unknown}`;
+      }
+      if (new Set(value).size !== value.length) {
+        return `${label}に重複した値が含まれています`;
+      }
+      return null;
+    }
+    case "object":
+      return value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value)
+        ? null
+        : `${label}はオブジェクトである必要があります`;
+    default:
+      return null;
+  }
+}
+
+// 設定済みのStrategyRegistryインスタンスをエクスポート
+const strategyRegistry = new StrategyRegistry();
+
+// 組み込み戦略を登録
+strategyRegistry.register(require("./MovingAverageCrossover").definition);
+strategyRegistry.register(require("./RsiMeanReversion").definition);
+strategyRegistry.register(require("./DonchianBreakout").definition);
+
+// アンサンブルは登録済みの戦略を構成要素にするため最後に登録する
+strategyRegistry.register(
+  require("./StrategyEnsemble").createDefinition(strategyRegistry)
+);
+
+// インスタンスとクラスの両方をエクスポート
+module.exports = strategyRegistry;
+module.exports.StrategyRegistry = StrategyRegistry;
@@ -0,0 +1,816 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const riskManager = require("../utils/riskManager");
+const binanceClient = require("../api/binanceClient");
+const paperExchange = require("../api/paperExchange");
+const marketStream = require("../api/marketStream");
+const strategyRegistry = require("../strategies");
+const multiTimeframe = require("../backtesting/multiTimeframe");
+const BacktestEngine = require("../backtesting/BacktestEngine");
+
+/**
+ * ライブ取引エンジン
+ * 確定したローソク足をMarketStreamから購読して戦略に渡し、生成されたシグナルを注文に変換する
+ * イベント:
+ * - status: 稼働状態が変化したとき
+ * - trade: ポジションを決済したとき
+ */
+class TradingEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    // 注文・データ取得に使用する取引所クライアント（テストモードではシミュレーション取引所）
+    this.exchange =
+      options.exchange ||
+      (config.paperTrading.enabled ? paperExchange : binanceClient);
+
+    // 取引設定
+    this.symbol = options.symbol || config.trading.defaultSymbol;
+    this.interval = options.interval || config.trading.defaultTimeframe;
+    this.strategyName = options.strategyName || "MovingAverageCrossover";
+    this.strategyParams = options.strategyParams || {};
+
+    // ローソク足の購読元（WebSocket、切断時はRESTポーリング）
+    this.marketStream = options.marketStream || marketStream;
+    this.historyLimit = options.historyLimit || 500; // 戦略に渡すローソク足の最大数
+
+    // ストップロスとテイクプロフィットの設定
+    this.stopLossPercent = options.stopLossPercent || 2.0;
+    this.takeProfitPercent = options.takeProfitPercent || 4.0;
+
+    // 注文数量の小数点以下桁数
+    this.quantityPrecision = options.quantityPrecision || 5;
+
+    // 稼働状態
+    this.isRunning = false;
+    this.strategy = null;
+    this.candles = [];
+    this.contextTimeframes = []; // 戦略が参照する上位足
+    this.positions = {}; // シンボル => ポジション
+    this.listeners = null;
+    this.processing = Promise.resolve();
+    this.startedAt = null;
+    this.lastCandleTime = null;
+    this.lastError = null;
+
+    // 取引したことのあるシンボル（緊急停止時の注文キャンセル対象）
+    this.tradedSymbols = [];
+
+    // 緊急停止ラッチ（管理者が解除するまで取引を再開できない）
+    this.halt = null;
+
+    // 別の取引所モードで保存されたポジション（{ exchangeMode, positions }）
+    // 現在の取引所では決済・緊急停止の対象にせず、同じモードに戻したときに復元する
+    this.suspendedPositions = null;
+
+    // ストレージパス
+    this.storagePath =
+      options.storagePath ||
+      path.join(__dirname, "../../data/trading_state.json");
+
+    // 保存データがあれば読み込み（再起動後も緊急停止状態とポジションを維持）
+    this.loadState();
+  }
+
+  /**
+   * 取引状態をロード
+   */
+  loadState() {
+    try {
+      if (fs.existsSync(this.storagePath)) {
+        const data = fs.readFileSync(this.storagePath, "utf8");
+        const savedState = JSON.parse(data);
+
+        // 基本的な検証
+        if (savedState && typeof savedState === "object") {
+          this.tradedSymbols = savedState.tradedSymbols || [];
+          this.halt = savedState.halt || null;
+          this.restorePositions([
+            {
+              exchangeMode: savedState.exchangeMode || null,
+              positions: savedState.positions || {},
+            },
+            savedState.suspendedPositions,
+          ]);
+          logger.info("取引状態を読み込みました");
+
+          if (this.halt) {
+            logger.warning(
+              `緊急停止状態が継続しています: ${this.halt.haltedAt} (${this.halt.haltedBy})`
+            );
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`取引状態読み込みエラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * 取引状態を保存
+   * 緊急停止ラッチを確実に残すため同期的に書き込む
+   */
+  saveState() {
+    try {
+      const dataDir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+      }
+
+      const data = JSON.stringify(
+        {
+          exchangeMode: this.getExchangeMode(),
+          positions: this.positions,
+          suspendedPositions: this.suspendedPositions,
+          tradedSymbols: this.tradedSymbols,
+          halt: this.halt,
+        },
+        null,
+        2
+      );
+      fs.writeFileSync(this.storagePath, data, "utf8");
+    } catch (error) {
+      logger.error(`取引状態保存エラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * 保存されたポジションを現在の取引所モードで復元
+   * 別のモード（またはモードの記録がない状態）で保存されたポジションは、
+   * 異なる取引所に決済注文を出さないよう保留にする
+   * @param {Array} savedSets - 保存されたポジション（{ exchangeMode, positions }）の配列
+   */
+  restorePositions(savedSets) {
+    const currentMode = this.getExchangeMode();
+    this.positions = {};
+    this.suspendedPositions = null;
+
+    for (const saved of savedSets) {
+      if (!saved || Object.keys(saved.positions || {}).length === 0) {
+        continue;
+      }
+
+      if (saved.exchangeMode === currentMode) {
+        this.positions = saved.positions;
+        continue;
+      }
+
+      this.suspendedPositions = saved;
+      const symbols = Object.keys(saved.positions).join(", ");
+      logger.warning(
+        `${
+          saved.exchangeMode || "不明な"
+        }モードのポジションは現在の取引所(${currentMode})では扱わず保留にします: ${symbols}`
+      );
+    }
+  }
+
+  /**
+   * 取引を開始
+   * @param {Object} settings - 取引設定（symbol, interval, strategyName, strategyParams）
+   * @returns {Promise<Object>} - 稼働状態
+   */
+  async start(settings = {}) {
+    if (this.isRunning) {
+      throw new Error("取引エンジンは既に稼働中です");
+    }
+
+    if (this.halt) {
+      throw new Error(
+        "緊急停止中のため取引を開始できません。管理者による解除が必要です"
+      );
+    }
+
+    const symbol = settings.symbol || this.symbol;
+    const interval = settings.interval || this.interval;
+    const strategyName = settings.strategyName || this.strategyName;
+    const strategyParams = settings.strategyParams || this.strategyParams;
+
+    // 戦略を初期化（パラメータエラーはここで例外になる）
+    const strategy = this.createStrategy(strategyName, strategyParams);
+
+    const contextTimeframes = multiTimeframe.getRequiredTimeframes(strategy);
+    const higherTimeframes = multiTimeframe.getHigherTimeframes(
+      interval,
+      contextTimeframes
+    );
+    if (higherTimeframes.length !== contextTimeframes.length) {
+      throw new Error(
+        `上位足には${interval}より長い時間足を指定してください: ${contextTimeframes.join(
+          ", "
+        )}`
+      );
+    }
+
+    // ローソク足を購読し、戦略の計算に必要な過去データを読み込む
+    const history = await this.marketStream.subscribeCandles(symbol, interval);
+
+    // 戦略が参照する上位足も購読する
+    const subscribed = [];
+    try {
+      for (const timeframe of contextTimeframes) {
+        await this.marketStream.subscribeCandles(symbol, timeframe);
+        subscribed.push(timeframe);
+      }
+    } catch (error) {
+      for (const timeframe of subscribed) {
+        this.marketStream.unsubscribeCandles(symbol, timeframe);
+      }
+      this.marketStream.unsubscribeCandles(symbol, interval);
+      throw error;
+    }
+
+    this.symbol = symbol;
+    this.interval = interval;
+    this.strategyName = strategyName;
+    this.strategyParams = strategyParams;
+    this.strategy = strategy;
+    this.contextTimeframes = contextTimeframes;
+    this.candles = history.slice(-this.historyLimit);
+
+    // 逐次計算に対応した戦略は過去データで指標を温めておく（過去の足のシグナルは使わない）
+    if (this.isStreamingStrategy()) {
+      strategy.resetStream();
+      const context = this.buildStreamContext();
+      for (const candle of history) {
+        strategy.next(candle, context);
+      }
+    }
+    this.lastCandleTime =
+      this.candles.length > 0
+        ? this.candles[this.candles.length - 1].time
+        : null;
+    this.lastError = null;
+    this.startedAt = new Date().toISOString();
+    this.isRunning = true;
+
+    if (!this.tradedSymbols.includes(symbol)) {
+      this.tradedSymbols.push(symbol);
+      this.saveState();
+    }
+
+    this.listeners = {
+      candleClosed: (event) => {
+        if (event.symbol !== this.symbol || event.interval !== this.interval) {
+          return;
+        }
+        // 注文の二重発行を防ぐため、確定足は1本ずつ順番に処理する
+        this.processing = this.processing.then(() =>
+          this.handleClosedCandle(event.candle)
+        );
+      },
+      mode: (event) => {
+        if (event.symbol === this.symbol && event.interval === this.interval) {
+          this.emitStatus();
+        }
+      },
+    };
+    this.marketStream.on("candleClosed", this.listeners.candleClosed);
+    this.marketStream.on("mode", this.listeners.mode);
+
+    logger.info(
+      `取引エンジン開始: ${symbol} (${interval}足), 戦略=${strategyName}, 過去データ=${this.candles.length}件`
+    );
+    this.emitStatus();
+
+    return this.getStatus();
+  }
+
+  /**
+   * 取引を停止（保有ポジションはそのまま維持）
+   * @returns {Object} - 稼働状態
+   */
+  stop() {
+    if (this.listeners) {
+      this.marketStream.off("candleClosed", this.listeners.candleClosed);
+      this.marketStream.off("mode", this.listeners.mode);
+      this.marketStream.unsubscribeCandles(this.symbol, this.interval);
+      for (const timeframe of this.contextTimeframes) {
+        this.marketStream.unsubscribeCandles(this.symbol, timeframe);
+      }
+      this.contextTimeframes = [];
+      this.listeners = null;
+    }
+
+    if (this.isRunning) {
+      this.isRunning = false;
+      logger.info(`取引エンジン停止: ${this.symbol}`);
+      this.emitStatus();
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * 緊急停止
+   * 取引ループを停止し、全シンボルの未約定注文をキャンセルして保有ポジションを成行で決済する
+   * 停止状態は永続化され、clearHaltで解除されるまで取引を開始できない
+   * @param {string} haltedBy - 実行者
+   * @returns {Promise<Object>} - 実行結果
+   */
+  async emergencyStop(haltedBy) {
+    // 最初にループを止めてラッチを保存（取引所への操作が失敗しても停止状態を残す）
+    this.stop();
+    this.halt = {
+      haltedAt: new Date().toISOString(),
+      haltedBy: haltedBy || "不明",
+    };
+    this.saveState();
+
+    logger.warning(`緊急停止を開始します: 実行者=${this.halt.haltedBy}`);
+
+    // 処理中の確定足があれば終わるまで待つ（決済後に新規注文が出ないようにする）
+    await this.processing;
+
+    const report = {
+      cancelledOrders: [],
+      closedPositions: [],
+      errors: [],
+    };
+
+    const symbols = new Set([
+      ...this.tradedSymbols,
+      ...Object.keys(this.positions),
+    ]);
+
+    // 未約定注文をキャンセル（決済注文より先に実行して残高のロックを解除する）
+    for (const symbol of symbols) {
+      try {
+        const cancelled = await this.exchange.cancelAllOpenOrders(symbol);
+        cancelled.forEach((order) => {
+          report.cancelledOrders.push({ symbol, orderId: order.orderId });
+        });
+      } catch (error) {
+        logger.error(
+          `緊急停止: 注文キャンセル失敗 (${symbol}): ${error.message}`
+        );
+        report.errors.push({
+          symbol,
+          action: "CANCEL_ORDERS",
+          error: error.message,
+        });
+      }
+    }
+
+    // 保有ポジションを成行で決済
+    for (const symbol of Object.keys(this.positions)) {
+      try {
+        const trade = await this.closePosition(symbol, "EMERGENCY_STOP");
+        if (trade) {
+          report.closedPositions.push(trade);
+        }
+      } catch (error) {
+        logger.error(
+          `緊急停止: ポジション決済失敗 (${symbol}): ${error.message}`
+        );
+        report.errors.push({
+          symbol,
+          action: "CLOSE_POSITION",
+          error: error.message,
+        });
+      }
+    }
+
+    logger.warning(
+      `緊急停止完了: キャンセル=${report.cancelledOrders.length}件, 決済=${report.closedPositions.length}件, エラー=${report.errors.length}件`
+    );
+    this.emitStatus();
+
+    return report;
+  }
+
+  /**
+   * 緊急停止ラッチを解除
+   * @param {string} clearedBy - 解除者
+   * @returns {Object} - 稼働状態
+   */
+  clearHalt(clearedBy) {
+    if (this.halt) {
+      logger.warning(
+        `緊急停止を解除しました: 解除者=${clearedBy || "不明"}, 停止日時=${
+          this.halt.haltedAt
+        }`
+      );
+      this.halt = null;
+      this.saveState();
+      this.emitStatus();
+    }
+
+    return this.getStatus();
+  }
+
+  /**
+   * 使用する取引所を切り替え
+   * @param {Object} exchange - binanceClientと同じインターフェースを持つ取引所クライアント
+   */
+  setExchange(exchange) {
+    if (this.isRunning) {
+      throw new Error("取引エンジンの稼働中は取引所を切り替えられません");
+    }
+
+    if (Object.keys(this.positions).length > 0) {
+      throw new Error(
+        "保有ポジションがあるため取引所を切り替えられません。先に決済してください"
+      );
+    }
+
+    this.exchange = exchange;
+
+    // 切り替え先のモードで保存されていたポジションがあれば復元する
+    if (
+      this.suspendedPositions &&
+      this.suspendedPositions.exchangeMode === this.getExchangeMode()
+    ) {
+      this.positions = this.suspendedPositions.positions;
+      this.suspendedPositions = null;
+      logger.info(
+        `保留中のポジションを復元しました: ${Object.keys(this.positions).join(
+          ", "
+        )}`
+      );
+    }
+    this.saveState();
+    this.emitStatus();
+  }
+
+  /**
+   * テストモード（ペーパートレード）かどうか
+   * @returns {boolean} - シミュレーション取引所を使用中ならtrue
+   */
+  isTestMode() {
+    return this.exchange === paperExchange;
+  }
+
+  /**
+   * 取引所モード（保存したポジションがどの取引所のものかを区別する）
+   * @returns {string} - paper（シミュレーション取引所）またはlive
+   */
+  getExchangeMode() {
+    return this.isTestMode() ? "paper" : "live";
+  }
+
+  /**
+   * 稼働状態を取得
+   * @returns {Object} - 稼働状態
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      currentStrategy: this.isRunning ? this.strategyName : null,
+      strategyParams: this.strategyParams,
+      symbol: this.symbol,
+      interval: this.interval,
+      startedAt: this.startedAt,
+      lastCandleTime: this.lastCandleTime,
+      dataFeed: this.isRunning
+        ? this.marketStream.getMode(this.symbol, this.interval)
+        : null,
+      positions: Object.values(this.positions).map((position) => ({
+        ...position,
+      })),
+      testMode: this.isTestMode(),
+      suspendedPositions: this.suspendedPositions
+        ? {
+            exchangeMode: this.suspendedPositions.exchangeMode,
+            symbols: Object.keys(this.suspendedPositions.positions),
+          }
+        : null,
+      isHalted: Boolean(this.halt),
+      halt: this.halt ? { ...this.halt } : null,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * 戦略インスタンスを作成
+   * @param {string} strategyName - 戦略名
+   * @param {Object} params - 戦略パラメータ
+   * @returns {Object} - 戦略インスタンス
+   */
+  createStrategy(strategyName, params) {
+    return strategyRegistry.create(strategyName, params);
+  }
+
+  /**
+   * MarketStreamから通知された確定足を処理
+   * @param {Object} candle - 確定したローソク足
+   */
+  async handleClosedCandle(candle) {
+    if (!this.isRunning) return;
+
+    // 開始時に読み込んだ足や処理済みの足は無視
+    if (this.lastCandleTime !== null && candle.time <= this.lastCandleTime) {
+      return;
+    }
+
+    try {
+      await this.onCandleClosed(candle);
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error(`取引エンジンのローソク足処理エラー: ${error.message}`);
+      this.emitStatus();
+    }
+  }
+
+  /**
+   * 確定したローソク足を処理
+   * @param {Object} candle - 確定したローソク足
+   */
+  async onCandleClosed(candle) {
+    this.candles.push(candle);
+    if (this.candles.length > this.historyLimit) {
+      this.candles.splice(0, this.candles.length - this.historyLimit);
+    }
+    this.lastCandleTime = candle.time;
+
+    // 保有ポジションのストップロスとテイクプロフィットを確認
+    const position = this.positions[this.symbol];
+    if (position) {
+      const exitReason = this.checkExitConditions(position, candle);
+      if (exitReason) {
+        await this.closePosition(this.symbol, exitReason);
+      }
+    }
+
+    // 最新のローソク足で発生したシグナルのみを対象にする
+    // 逐次計算に対応した戦略は確定足を1本渡すだけで、それ以外は保持している足全体から再計算する
+    let signals;
+    if (this.isStreamingStrategy()) {
+      signals = this.strategy.next(candle, this.buildStreamContext());
+    } else {
+      const lastIndex = this.candles.length - 1;
+      signals = this.strategy
+        .generateBacktestSignals(this.candles, this.buildContext())
+        .filter((signal) => signal.candleIndex === lastIndex);
+    }
+
+    for (const signal of signals) {
+      await this.processSignal(signal);
+    }
+
+    this.emitStatus();
+  }
+
+  /**
+   * 戦略に渡す上位足のコンテキストを作成
+   * 上位足の確定が基準足より遅れて届いた場合は、1本前の確定済み上位足が使われる（先読みは起きない）
+   * 戦略アンサンブルのサブ戦略は、このエンジンのポジションサイズと決済ルールでバックテストして評価する
+   * @returns {Object} - コンテキスト
+   */
+  buildContext() {
+    const timeframeData = {};
+    for (const timeframe of this.contextTimeframes) {
+      timeframeData[timeframe] = this.marketStream.getCandles(
+        this.symbol,
+        timeframe
+      );
+    }
+    const evaluator = new BacktestEngine({
+      symbol: this.symbol,
+      positionSizePercent: parseFloat(riskManager.positionSizePercent),
+      stopLossPercent: this.stopLossPercent,
+      takeProfitPercent: this.takeProfitPercent,
+    });
+    return evaluator.createStrategyContext(
+      multiTimeframe.buildTimeframeContext(
+        this.candles,
+        this.interval,
+        timeframeData
+      )
+    );
+  }
+
+  /**
+   * 戦略がローソク足を1本ずつ処理するnext()に対応しているかどうか
+   * @returns {boolean} - 対応していればtrue
+   */
+  isStreamingStrategy() {
+    return (
+      typeof this.strategy.next === "function" &&
+      typeof this.strategy.resetStream === "function"
+    );
+  }
+
+  /**
+   * 戦略のnext()に渡す上位足のコンテキストを作成
+   * 戦略は確定済みの上位足だけを開始時刻で追跡して取り込むため、基準足への対応付けは不要
+   * @returns {Object} - コンテキスト
+   */
+  buildStreamContext() {
+    const higherTimeframes = {};
+    for (const timeframe of this.contextTimeframes) {
+      higherTimeframes[timeframe] = {
+        interval: timeframe,
+        candles: this.marketStream.getCandles(this.symbol, timeframe),
+      };
+    }
+    return { interval: this.interval, higherTimeframes };
+  }
+
+  /**
+   * シグナルを注文に変換
+   * @param {Object} signal - シグナル情報
+   */
+  async processSignal(signal) {
+    const position = this.positions[this.symbol];
+
+    logger.info(
+      `取引シグナル: ${signal.type} (${signal.source}), 価格=${signal.price}`
+    );
+
+    // 決済専用のシグナルでは新規ポジションを開かない
+    if (signal.type === "BUY" && !position && !signal.exitOnly) {
+      await this.openPosition(signal);
+    } else if (signal.type === "SELL" && position) {
+      await this.closePosition(this.symbol, "SIGNAL");
+    }
+    // 現物取引のため、ポジションがない状態での売りシグナルは無視する
+  }
+
+  /**
+   * 買い注文を出してポジションを開く
+   * @param {Object} signal - シグナル情報
+   */
+  async openPosition(signal) {
+    // 損失制限に達している場合は新規注文を出さない
+    if (riskManager.checkRiskViolation()) {
+      logger.warning("損失制限に達しているため新規注文を見送ります");
+      return;
+    }
+
+    const { quoteAsset } = binanceClient.splitSymbol(this.symbol);
+    const balances = await this.exchange.getAccountBalance();
+    const available = balances[quoteAsset] ? balances[quoteAsset].free : 0;
+
+    const positionSizePercent = parseFloat(riskManager.positionSizePercent);
+    const orderValue = available * (positionSizePercent / 100);
+    const quantity = this.roundQuantity(orderValue / signal.price);
+
+    if (quantity <= 0) {
+      logger.warning(
+        `注文数量が不足しています: ${quoteAsset}残高=${available}, サイズ=${positionSizePercent}%`
+      );
+      return;
+    }
+
+    // 残高の取得中に停止・緊急停止された場合は注文を出さない
+    if (!this.isRunning || this.halt) {
+      logger.warning("取引エンジンが停止されたため新規注文を見送ります");
+      return;
+    }
+
+    const order = await this.exchange.createOrder({
+      symbol: this.symbol,
+      side: "BUY",
+      type: "MARKET",
+      quantity: quantity.toString(),
+    });
+
+    const fill = this.getFillSummary(order, quantity, signal.price);
+
+    // シグナルが決済価格を指定していれば固定の割合より優先する（約定価格の正しい側にある場合のみ）
+    const stopLossPrice =
+      signal.stopLossPrice > 0 && signal.stopLossPrice < fill.price
+        ? signal.stopLossPrice
+        : fill.price * (1 - this.stopLossPercent / 100);
+    const takeProfitPrice =
+      signal.takeProfitPrice > fill.price
+        ? signal.takeProfitPrice
+        : fill.price * (1 + this.takeProfitPercent / 100);
+
+    this.positions[this.symbol] = {
+      symbol: this.symbol,
+      type: "BUY",
+      entryPrice: fill.price,
+      units: fill.quantity,
+      entryTime: Date.now(),
+      entryOrderId: order.orderId,
+      source: signal.source,
+      strategy: signal.strategy,
+      stopLossPrice,
+      takeProfitPrice,
+    };
+    this.saveState();
+
+    logger.info(
+      `ポジションオープン: ${this.symbol}, 価格=${fill.price}, 数量=${fill.quantity}, SL=${stopLossPrice}, TP=${takeProfitPrice}`
+    );
+  }
+
+  /**
+   * 売り注文を出してポジションを決済
+   * @param {string} symbol - 取引ペア
+   * @param {string} reason - 決済理由（SIGNAL, STOP_LOSS, TAKE_PROFIT, EMERGENCY_STOP）
+   * @returns {Promise<Object|null>} - 取引記録
+   */
+  async closePosition(symbol, reason) {
+    const position = this.positions[symbol];
+    if (!position) return null;
+
+    const order = await this.exchange.createOrder({
+      symbol,
+      side: "SELL",
+      type: "MARKET",
+      quantity: position.units.toString(),
+    });
+
+    const fill = this.getFillSummary(order, position.units, null);
+    if (fill.price === null) {
+      fill.price = await this.exchange.getCurrentPrice(symbol);
+    }
+    delete this.positions[symbol];
+    this.saveState();
+
+    const trade = {
+      symbol,
+      type: position.type,
+      entryPrice: position.entryPrice,
+      exitPrice: fill.price,
+      units: fill.quantity,
+      entryTime: position.entryTime,
+      exitTime: Date.now(),
+      profit: (fill.price - position.entryPrice) * fill.quantity,
+      exitReason: reason,
+      source: position.source,
+      strategy: position.strategy,
+    };
+
+    logger.info(
+      `ポジションクローズ: ${symbol}, 理由=${reason}, 利益=${trade.profit.toFixed(
+        2
+      )}`
+    );
+
+    this.emit("trade", trade);
+
+    // 損失制限を超えた場合は取引を停止
+    const isAllowed = riskManager.recordTrade(trade);
+    if (!isAllowed) {
+      logger.warning("損失制限を超過したため取引エンジンを停止します");
+      this.stop();
+    }
+
+    return trade;
+  }
+
+  /**
+   * ストップロスとテイクプロフィットの条件を確認
+   * @param {Object} position - ポジション
+   * @param {Object} candle - 確定したローソク足
+   * @returns {string|null} - 決済理由
+   */
+  checkExitConditions(position, candle) {
+    if (candle.low <= position.stopLossPrice) {
+      return "STOP_LOSS";
+    }
+    if (candle.high >= position.takeProfitPrice) {
+      return "TAKE_PROFIT";
+    }
+    return null;
+  }
+
+  /**
+   * 注文の約定結果から平均約定価格と数量を取得
+   * @param {Object} order - 注文レスポンス
+   * @param {number} fallbackQuantity - 約定情報がない場合の数量
+   * @param {number} fallbackPrice - 約定情報がない場合の価格
+   * @returns {Object} - { price, quantity }
+   */
+  getFillSummary(order, fallbackQuantity, fallbackPrice) {
+    const executedQty = parseFloat(order && order.executedQty);
+    const quoteQty = parseFloat(order && order.cummulativeQuoteQty);
+
+    if (executedQty > 0 && quoteQty > 0) {
+      return { price: quoteQty / executedQty, quantity: executedQty };
+    }
+
+    return { price: fallbackPrice, quantity: fallbackQuantity };
+  }
+
+  /**
+   * 注文数量を取引所の精度に切り捨て
+   * @param {number} quantity - 数量
+   * @returns {number} - 切り捨て後の数量
+   */
+  roundQuantity(quantity) {
+    const factor = Math.pow(10, this.quantityPrecision);
+    return Math.floor(quantity * factor) / factor;
+  }
+
+  /**
+   * 稼働状態の変化を通知
+   */
+  emitStatus() {
+    this.emit("status", this.getStatus());
+  }
+}
+
+// 設定済みのTradingEngineインスタンスをエクスポート
+const tradingEngine = new TradingEngine();
+
+// インスタンスとクラスの両方をエクスポート
+module.exports = tradingEngine;
+module.exports.TradingEngine = TradingEngine;
@@ -0,0 +1,215 @@
+/**
+ * テクニカル指標の逐次計算用ユーティリティ
+ * リアルタイム取引のように足が1本ずつ届く場合に、過去の配列全体を再計算せずに指標を更新します
+ *
+ * 各クラスのnext(candle)にローソク足（値を使う指標は数値でも可）を1本ずつ渡すと、その足の指標値を返します
+ * 同じデータを順に渡した場合の値はtechnicalIndicators.jsの同名の関数のその足の値と一致し、
+ * 計算に必要な本数に満たない間はundefined（複数の系列がある指標は各系列がundefined）を返します
+ */
+
+const technicalIndicators = require("technicalindicators");
+
+/**
+ * 逐次計算する指標の基底クラス
+ */
+class StreamingIndicator {
+  /**
+   * @param {Object} indicator - 'technicalindicators'ライブラリの指標（空の入力で作成したもの）
+   */
+  constructor(indicator) {
+    this.indicator = indicator;
+    this.value = undefined; // 直近の足の指標値
+    this.count = 0; // 受け取った足の本数
+  }
+
+  /**
+   * 次の足を追加して指標値を計算
+   * @param {Object|number} candle - ローソク足（値を使う指標は数値でも可）
+   * @returns {*} - この足の指標値
+   */
+  next(candle) {
+    this.count++;
+    this.value = this.format(this.indicator.nextValue(this.input(candle)));
+    return this.value;
+  }
+
+  /**
+   * ローソク足から指標の入力を取り出す（既定は終値）
+   * @param {Object|number} candle - ローソク足または値
+   * @returns {*} - 指標の入力
+   */
+  input(candle) {
+    return typeof candle === "number" ? candle : candle.close;
+  }
+
+  /**
+   * ライブラリの出力をtechnicalIndicators.jsと同じ形に変換
+   * @param {*} result - ライブラリの出力
+   * @returns {*} - 指標値
+   */
+  format(result) {
+    return result;
+  }
+}
+
+/**
+ * 単純移動平均(SMA)
+ */
+class StreamingSma extends StreamingIndicator {
+  /**
+   * @param {number} period - 期間
+   */
+  constructor(period) {
+    super(new technicalIndicators.SMA({ period: period, values: [] }));
+  }
+}
+
+/**
+ * 指数移動平均(EMA)
+ */
+class StreamingEma extends StreamingIndicator {
+  /**
+   * @param {number} period - 期間
+   */
+  constructor(period) {
+    super(new technicalIndicators.EMA({ period: period, values: [] }));
+  }
+}
+
+/**
+ * 相対力指数(RSI)
+ */
+class StreamingRsi extends StreamingIndicator {
+  /**
+   * @param {number} period - 期間
+   */
+  constructor(period) {
+    super(new technicalIndicators.RSI({ period: period, values: [] }));
+  }
+}
+
+/**
+ * MACD
+ * next()はmacd, signal, histogramを含むオブジェクトを返す
+ */
+class StreamingMacd extends StreamingIndicator {
+  /**
+   * @param {number} fastPeriod - 短期EMA期間
+   * @param {number} slowPeriod - 長期EMA期間
+   * @param {number} signalPeriod - シグナル期間
+   */
+  constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    super(
+      new technicalIndicators.MACD({
+        fastPeriod: fastPeriod,
+        slowPeriod: slowPeriod,
+        signalPeriod: signalPeriod,
+        values: [],
+      })
+    );
+  }
+
+  format(result) {
+    return {
+      macd: result && result.MACD,
+      signal: result && result.signal,
+      histogram: result && result.histogram,
+    };
+  }
+}
+
+/**
+ * ボリンジャーバンド
+ * next()はupper, middle, lowerを含むオブジェクトを返す
+ */
+class StreamingBollingerBands extends StreamingIndicator {
+  /**
+   * @param {number} period - 期間
+   * @param {number} stdDev - 標準偏差の倍率
+   */
+  constructor(period = 20, stdDev = 2) {
+    super(
+      new technicalIndicators.BollingerBands({
+        period: period,
+        stdDev: stdDev,
+        values: [],
+      })
+    );
+  }
+
+  format(result) {
+    return {
+      upper: result && result.upper,
+      middle: result && result.middle,
+      lower: result && result.lower,
+    };
+  }
+}
+
+/**
+ * ATR(Average True Range)
+ * 高値・安値・終値を使うため、next()にはローソク足を渡す
+ */
+class StreamingAtr extends StreamingIndicator {
+  /**
+   * @param {number} period - 期間
+   */
+  constructor(period = 14) {
+    super(
+      new technicalIndicators.ATR({
+        period: period,
+        high: [],
+        low: [],
+        close: [],
+      })
+    );
+  }
+
+  input(candle) {
+    return { high: candle.high, low: candle.low, close: candle.close };
+  }
+}
+
+/**
+ * ストキャスティクスオシレーター
+ * 高値・安値・終値を使うため、next()にはローソク足を渡す。next()はk値とd値を含むオブジェクトを返す
+ */
+class StreamingStochastic extends StreamingIndicator {
+  /**
+   * @param {number} period - 期間
+   * @param {number} signalPeriod - シグナル期間
+   */
+  constructor(period = 14, signalPeriod = 3) {
+    super(
+      new technicalIndicators.Stochastic({
+        period: period,
+        signalPeriod: signalPeriod,
+        high: [],
+        low: [],
+        close: [],
+      })
+    );
+  }
+
+  input(candle) {
+    return { high: candle.high, low: candle.low, close: candle.close };
+  }
+
+  format(result) {
+    return {
+      k: result && result.k,
+      d: result && result.d,
+    };
+  }
+}
+
+module.exports = {
+  StreamingIndicator,
+  StreamingSma,
+  StreamingEma,
+  StreamingRsi,
+  StreamingMacd,
+  StreamingBollingerBands,
+  StreamingAtr,
+  StreamingStochastic,
+};
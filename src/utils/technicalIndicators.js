@@ -1,11 +1,16 @@
 /**
  * テクニカル指標計算用ユーティリティ
  * 'technicalindicators'ライブラリのラッパーに追加機能を提供します
+ *
+ * すべての指標は入力と同じ長さの配列（複数の系列がある指標は配列を含むオブジェクト）を返し、
+ * 計算に必要な期間に満たない先頭はundefinedで埋めるため、ローソク足のインデックスでそのまま参照できます
  */
 
 const technicalIndicators = require("technicalindicators");
 const logger = require("./logger");
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * 単純移動平均(SMA)を計算
  * @param {Array} values - 価格データの配列
@@ -14,13 +19,16 @@ const logger = require("./logger");
  */
 function sma(values, period) {
   try {
-    return technicalIndicators.SMA.calculate({
-      period: period,
-      values: values,
-    });
+    return alignToCandles(
+      technicalIndicators.SMA.calculate({
+        period: period,
+        values: values,
+      }),
+      values.length
+    );
   } catch (error) {
     logger.error(`SMA計算エラー: ${error.message}`);
-    return [];
+    return emptySeries(values);
   }
 }
 
@@ -32,13 +40,16 @@ function sma(values, period) {
  */
 function ema(values, period) {
   try {
-    return technicalIndicators.EMA.calculate({
-      period: period,
-      values: values,
-    });
+    return alignToCandles(
+      technicalIndicators.EMA.calculate({
+        period: period,
+        values: values,
+      }),
+      values.length
+    );
   } catch (error) {
     logger.error(`EMA計算エラー: ${error.message}`);
-    return [];
+    return emptySeries(values);
   }
 }
 
@@ -50,13 +61,16 @@ function ema(values, period) {
  */
 function rsi(values, period) {
   try {
-    return technicalIndicators.RSI.calculate({
-      period: period,
-      values: values,
-    });
+    return alignToCandles(
+      technicalIndicators.RSI.calculate({
+        period: period,
+        values: values,
+      }),
+      values.length
+    );
   } catch (error) {
     logger.error(`RSI計算エラー: ${error.message}`);
-    return [];
+    return emptySeries(values);
   }
 }
 
@@ -66,19 +80,33 @@ function rsi(values, period) {
  * @param {number} fastPeriod - 短期EMA期間
  * @param {number} slowPeriod - 長期EMA期間
  * @param {number} signalPeriod - シグナル期間
- * @returns {Object} - MACD, Signal, Histogramの配列を含むオブジェクト
+ * @returns {Object} - macd, signal, histogramの配列を含むオブジェクト
  */
 function macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
   try {
-    return technicalIndicators.MACD.calculate({
+    const result = technicalIndicators.MACD.calculate({
       fastPeriod: fastPeriod,
       slowPeriod: slowPeriod,
       signalPeriod: signalPeriod,
       values: values,
     });
+    return {
+      macd: alignToCandles(
+        result.map((value) => value.MACD),
+        values.length
+      ),
+      signal: alignToCandles(
+        result.map((value) => value.signal),
+        values.length
+      ),
+      histogram: alignToCandles(
+        result.map((value) => value.histogram),
+        values.length
+      ),
+    };
   } catch (error) {
     logger.error(`MACD計算エラー: ${error.message}`);
-    return { macd: [], signal: [], histogram: [] };
+    return emptySeriesObject(values, ["macd", "signal", "histogram"]);
   }
 }
 
@@ -87,18 +115,22 @@ function macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
  * @param {Array} values - 価格データの配列
  * @param {number} period - 期間
  * @param {number} stdDev - 標準偏差の倍率
- * @returns {Object} - 上限/下限/中心線の配列を含むオブジェクト
+ * @returns {Object} - upper, middle, lowerの配列を含むオブジェクト
  */
 function bollingerBands(values, period = 20, stdDev = 2) {
   try {
-    return technicalIndicators.BollingerBands.calculate({
-      period: period,
-      values: values,
-      stdDev: stdDev,
-    });
+    return toSeriesObject(
+      technicalIndicators.BollingerBands.calculate({
+        period: period,
+        values: values,
+        stdDev: stdDev,
+      }),
+      ["upper", "middle", "lower"],
+      values.length
+    );
   } catch (error) {
     logger.error(`ボリンジャーバンド計算エラー: ${error.message}`);
-    return { upper: [], middle: [], lower: [] };
+    return emptySeriesObject(values, ["upper", "middle", "lower"]);
   }
 }
 
@@ -112,15 +144,44 @@ function bollingerBands(values, period = 20, stdDev = 2) {
  */
 function atr(high, low, close, period = 14) {
   try {
-    return technicalIndicators.ATR.calculate({
-      high: high,
-      low: low,
-      close: close,
-      period: period,
-    });
+    return alignToCandles(
+      technicalIndicators.ATR.calculate({
+        high: high,
+        low: low,
+        close: close,
+        period: period,
+      }),
+      close.length
+    );
   } catch (error) {
     logger.error(`ATR計算エラー: ${error.message}`);
-    return [];
+    return emptySeries(close);
+  }
+}
+
+/**
+ * ADX(Average Directional Index)を計算
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {Array} close - 終値の配列
+ * @param {number} period - 期間
+ * @returns {Object} - adx, pdi（+DI）, mdi（-DI）の配列を含むオブジェクト
+ */
+function adx(high, low, close, period = 14) {
+  try {
+    return toSeriesObject(
+      technicalIndicators.ADX.calculate({
+        high: high,
+        low: low,
+        close: close,
+        period: period,
+      }),
+      ["adx", "pdi", "mdi"],
+      close.length
+    );
+  } catch (error) {
+    logger.error(`ADX計算エラー: ${error.message}`);
+    return emptySeriesObject(close, ["adx", "pdi", "mdi"]);
   }
 }
 
@@ -135,17 +196,369 @@ function atr(high, low, close, period = 14) {
  */
 function stochastic(high, low, close, period = 14, signalPeriod = 3) {
   try {
-    return technicalIndicators.Stochastic.calculate({
-      high: high,
-      low: low,
-      close: close,
-      period: period,
-      signalPeriod: signalPeriod,
-    });
+    return toSeriesObject(
+      technicalIndicators.Stochastic.calculate({
+        high: high,
+        low: low,
+        close: close,
+        period: period,
+        signalPeriod: signalPeriod,
+      }),
+      ["k", "d"],
+      close.length
+    );
   } catch (error) {
     logger.error(`ストキャスティクス計算エラー: ${error.message}`);
-    return { k: [], d: [] };
+    return emptySeriesObject(close, ["k", "d"]);
+  }
+}
+
+/**
+ * VWAP(出来高加重平均価格)を計算
+ * 典型価格（(高値 + 安値 + 終値) / 3）を出来高で加重平均し、時刻を渡した場合はセッション（既定はUTCの1日）ごとにリセットする
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {Array} close - 終値の配列
+ * @param {Array} volume - 出来高の配列
+ * @param {Array} times - 足の開始時刻の配列（省略時は期間全体で累積）
+ * @param {number} sessionMs - セッションの長さ（ミリ秒）
+ * @returns {Array} - VWAP値の配列（出来高が0の間はundefined）
+ */
+function vwap(high, low, close, volume, times = null, sessionMs = DAY_MS) {
+  try {
+    const result = [];
+    let session = null;
+    let cumulativeValue = 0;
+    let cumulativeVolume = 0;
+
+    for (let i = 0; i < close.length; i++) {
+      const currentSession = times ? Math.floor(times[i] / sessionMs) : 0;
+      if (currentSession !== session) {
+        session = currentSession;
+        cumulativeValue = 0;
+        cumulativeVolume = 0;
+      }
+
+      const typicalPrice = (high[i] + low[i] + close[i]) / 3;
+      cumulativeValue += typicalPrice * volume[i];
+      cumulativeVolume += volume[i];
+      result.push(
+        cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : undefined
+      );
+    }
+
+    return result;
+  } catch (error) {
+    logger.error(`VWAP計算エラー: ${error.message}`);
+    return emptySeries(close);
+  }
+}
+
+/**
+ * 一目均衡表を計算
+ * 先行スパンは計算した足からdisplacement本先に表示されるため、各足で参照できる雲（displacement本前に計算した値）に揃える
+ * 遅行スパンは未来の足に依存するため含めない
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {number} conversionPeriod - 転換線の期間
+ * @param {number} basePeriod - 基準線の期間
+ * @param {number} spanPeriod - 先行スパンBの期間
+ * @param {number} displacement - 先行スパンを先に表示する本数
+ * @returns {Object} - conversion（転換線）, base（基準線）, spanA, spanB（その足の雲）の配列を含むオブジェクト
+ */
+function ichimoku(
+  high,
+  low,
+  conversionPeriod = 9,
+  basePeriod = 26,
+  spanPeriod = 52,
+  displacement = 26
+) {
+  try {
+    const conversion = donchianMidline(high, low, conversionPeriod);
+    const base = donchianMidline(high, low, basePeriod);
+    const spanB = donchianMidline(high, low, spanPeriod);
+    const spanA = conversion.map((value, i) =>
+      value !== undefined && base[i] !== undefined
+        ? (value + base[i]) / 2
+        : undefined
+    );
+    const shift = (values) =>
+      values.map((_, i) =>
+        i >= displacement ? values[i - displacement] : undefined
+      );
+
+    return {
+      conversion,
+      base,
+      spanA: shift(spanA),
+      spanB: shift(spanB),
+    };
+  } catch (error) {
+    logger.error(`一目均衡表計算エラー: ${error.message}`);
+    return emptySeriesObject(high, ["conversion", "base", "spanA", "spanB"]);
+  }
+}
+
+/**
+ * OBV(On Balance Volume)を計算
+ * @param {Array} close - 終値の配列
+ * @param {Array} volume - 出来高の配列
+ * @returns {Array} - OBV値の配列
+ */
+function obv(close, volume) {
+  try {
+    return alignToCandles(
+      technicalIndicators.OBV.calculate({
+        close: close,
+        volume: volume,
+      }),
+      close.length
+    );
+  } catch (error) {
+    logger.error(`OBV計算エラー: ${error.message}`);
+    return emptySeries(close);
+  }
+}
+
+/**
+ * CCI(Commodity Channel Index)を計算
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {Array} close - 終値の配列
+ * @param {number} period - 期間
+ * @returns {Array} - CCI値の配列
+ */
+function cci(high, low, close, period = 20) {
+  try {
+    return alignToCandles(
+      technicalIndicators.CCI.calculate({
+        high: high,
+        low: low,
+        close: close,
+        period: period,
+      }),
+      close.length
+    );
+  } catch (error) {
+    logger.error(`CCI計算エラー: ${error.message}`);
+    return emptySeries(close);
+  }
+}
+
+/**
+ * ウィリアムズ%Rを計算
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {Array} close - 終値の配列
+ * @param {number} period - 期間
+ * @returns {Array} - %R値（-100〜0）の配列
+ */
+function williamsR(high, low, close, period = 14) {
+  try {
+    return alignToCandles(
+      technicalIndicators.WilliamsR.calculate({
+        high: high,
+        low: low,
+        close: close,
+        period: period,
+      }),
+      close.length
+    );
+  } catch (error) {
+    logger.error(`ウィリアムズ%R計算エラー: ${error.message}`);
+    return emptySeries(close);
+  }
+}
+
+/**
+ * ケルトナーチャネルを計算
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {Array} close - 終値の配列
+ * @param {number} period - 中心線（EMA）の期間
+ * @param {number} atrPeriod - ATRの期間
+ * @param {number} multiplier - チャネル幅（ATRの倍数）
+ * @returns {Object} - upper, middle, lowerの配列を含むオブジェクト
+ */
+function keltnerChannels(
+  high,
+  low,
+  close,
+  period = 20,
+  atrPeriod = 10,
+  multiplier = 2
+) {
+  try {
+    return toSeriesObject(
+      technicalIndicators.KeltnerChannels.calculate({
+        high: high,
+        low: low,
+        close: close,
+        maPeriod: period,
+        atrPeriod: atrPeriod,
+        useSMA: false,
+        multiplier: multiplier,
+      }),
+      ["upper", "middle", "lower"],
+      close.length
+    );
+  } catch (error) {
+    logger.error(`ケルトナーチャネル計算エラー: ${error.message}`);
+    return emptySeriesObject(close, ["upper", "middle", "lower"]);
+  }
+}
+
+/**
+ * スーパートレンドを計算
+ * 中値（(高値 + 安値) / 2）からATRの倍数だけ離したバンドを、トレンド方向にのみ動かして終値が抜けたら転換する
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {Array} close - 終値の配列
+ * @param {number} period - ATRの期間
+ * @param {number} multiplier - バンド幅（ATRの倍数）
+ * @returns {Object} - superTrend（ライン）, direction（1: 上昇, -1: 下降）の配列を含むオブジェクト
+ */
+function superTrend(high, low, close, period = 10, multiplier = 3) {
+  try {
+    const atrValues = atr(high, low, close, period);
+    const line = [];
+    const direction = [];
+    let upperBand;
+    let lowerBand;
+    let trend;
+
+    for (let i = 0; i < close.length; i++) {
+      if (atrValues[i] === undefined) {
+        line.push(undefined);
+        direction.push(undefined);
+        continue;
+      }
+
+      const middle = (high[i] + low[i]) / 2;
+      const basicUpper = middle + multiplier * atrValues[i];
+      const basicLower = middle - multiplier * atrValues[i];
+
+      if (trend === undefined) {
+        upperBand = basicUpper;
+        lowerBand = basicLower;
+        trend = close[i] >= middle ? 1 : -1;
+      } else {
+        // 前の終値がバンドの内側にある間はバンドを広げない
+        upperBand =
+          basicUpper < upperBand || close[i - 1] > upperBand
+            ? basicUpper
+            : upperBand;
+        lowerBand =
+          basicLower > lowerBand || close[i - 1] < lowerBand
+            ? basicLower
+            : lowerBand;
+
+        if (trend === 1 && close[i] < lowerBand) {
+          trend = -1;
+        } else if (trend === -1 && close[i] > upperBand) {
+          trend = 1;
+        }
+      }
+
+      line.push(trend === 1 ? lowerBand : upperBand);
+      direction.push(trend);
+    }
+
+    return { superTrend: line, direction };
+  } catch (error) {
+    logger.error(`スーパートレンド計算エラー: ${error.message}`);
+    return emptySeriesObject(close, ["superTrend", "direction"]);
+  }
+}
+
+/**
+ * パラボリックSARを計算
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {number} step - 加速因子の増分
+ * @param {number} max - 加速因子の上限
+ * @returns {Array} - SAR値の配列
+ */
+function parabolicSar(high, low, step = 0.02, max = 0.2) {
+  try {
+    return alignToCandles(
+      technicalIndicators.PSAR.calculate({
+        high: high,
+        low: low,
+        step: step,
+        max: max,
+      }),
+      high.length
+    );
+  } catch (error) {
+    logger.error(`パラボリックSAR計算エラー: ${error.message}`);
+    return emptySeries(high);
+  }
+}
+
+/**
+ * 指標の配列を先頭をundefinedで埋めてローソク足の本数に揃える
+ * ライブラリの出力は計算に必要な期間分だけ短いため、ローソク足のインデックスで参照できるようにする
+ * @param {Array} values - 指標値の配列
+ * @param {number} length - ローソク足の本数
+ * @returns {Array} - ローソク足と同じ長さの配列
+ */
+function alignToCandles(values, length) {
+  if (!Array.isArray(values)) return new Array(length).fill(undefined);
+  const padding = Math.max(0, length - values.length);
+  return new Array(padding).fill(undefined).concat(values);
+}
+
+/**
+ * ライブラリが返すオブジェクトの配列を、系列ごとの配列を含むオブジェクトに変換してローソク足の本数に揃える
+ * @param {Array} rows - 指標値のオブジェクトの配列
+ * @param {Array<string>} keys - 系列の名前
+ * @param {number} length - ローソク足の本数
+ * @returns {Object} - 系列の名前 => ローソク足と同じ長さの配列
+ */
+function toSeriesObject(rows, keys, length) {
+  const series = {};
+  for (const key of keys) {
+    series[key] = alignToCandles(
+      rows.map((row) => row[key]),
+      length
+    );
+  }
+  return series;
+}
+
+/**
+ * 期間内の高値と安値の中値（一目均衡表の各線）
+ * @param {Array} high - 高値の配列
+ * @param {Array} low - 安値の配列
+ * @param {number} period - 期間
+ * @returns {Array} - 中値の配列
+ */
+function donchianMidline(high, low, period) {
+  return high.map((_, i) => {
+    if (i < period - 1) return undefined;
+    let highest = -Infinity;
+    let lowest = Infinity;
+    for (let j = i - period + 1; j <= i; j++) {
+      highest = Math.max(highest, high[j]);
+      lowest = Math.min(lowest, low[j]);
+    }
+    return (highest + lowest) / 2;
+  });
+}
+
+// 計算エラー時に返す、入力と同じ長さの空の系列
+function emptySeries(values) {
+  return new Array(Array.isArray(values) ? values.length : 0).fill(undefined);
+}
+
+function emptySeriesObject(values, keys) {
+  const series = {};
+  for (const key of keys) {
+    series[key] = emptySeries(values);
   }
+  return series;
 }
 
 // インジケーターをエクスポート
@@ -156,5 +569,15 @@ module.exports = {
   macd,
   bollingerBands,
   atr,
+  adx,
   stochastic,
+  vwap,
+  ichimoku,
+  obv,
+  cci,
+  williamsR,
+  keltnerChannels,
+  superTrend,
+  parabolicSar,
+  alignToCandles,
 };
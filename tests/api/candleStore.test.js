@@ -0,0 +1,179 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { CandleStore } = require("../../src/api/candleStore");
+
+const SYMBOL = "BTCUSDT";
+const HOUR_MS = 60 * 60 * 1000;
+// 月末をまたぐように1月31日20:00から始める
+const START = Date.UTC(2024, 0, 31, 20);
+
+/**
+ * 1時間足を作成
+ * @param {number} from - 最初の足の番号（STARTからの本数）
+ * @param {number} to - 最後の足の番号
+ * @returns {Array} - ローソク足の配列
+ */
+function hourlyCandles(from, to) {
+  const candles = [];
+  for (let i = from; i <= to; i++) {
+    candles.push({
+      time: START + i * HOUR_MS,
+      open: 100 + i,
+      high: 101 + i,
+      low: 99 + i,
+      close: 100 + i,
+      volume: 1,
+    });
+  }
+  return candles;
+}
+
+/**
+ * STARTからの本数を時刻に変換
+ * @param {number} index - 本数
+ * @returns {number} - 足の開始時刻
+ */
+function at(index) {
+  return START + index * HOUR_MS;
+}
+
+describe("CandleStore", () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "candle-store-"));
+    store = new CandleStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("何も保存されていなければ期間全体が不足している", () => {
+    expect(store.getMissingRanges(SYMBOL, "1h", at(0), at(9))).toEqual([
+      [at(0), at(9)],
+    ]);
+  });
+
+  test("保存済みの範囲の前後と間だけを不足として返す", () => {
+    store.saveCandles(SYMBOL, "1h", hourlyCandles(2, 3), at(2), at(3));
+    store.saveCandles(SYMBOL, "1h", hourlyCandles(6, 7), at(6), at(7));
+
+    expect(store.getMissingRanges(SYMBOL, "1h", at(0), at(9))).toEqual([
+      [at(0), at(1)],
+      [at(4), at(5)],
+      [at(8), at(9)],
+    ]);
+    expect(store.getMissingRanges(SYMBOL, "1h", at(2), at(3))).toEqual([]);
+    expect(store.getMissingRanges(SYMBOL, "1h", at(3), at(6))).toEqual([
+      [at(4), at(5)],
+    ]);
+  });
+
+  test("隣接・重複するカバー範囲を1つに結合する", () => {
+    store.saveCandles(SYMBOL, "1h", hourlyCandles(0, 2), at(0), at(2));
+    store.saveCandles(SYMBOL, "1h", hourlyCandles(6, 8), at(6), at(8));
+    // 隣接する範囲
+    store.saveCandles(SYMBOL, "1h", hourlyCandles(3, 4), at(3), at(4));
+    // 後ろの範囲と重複する範囲
+    store.saveCandles(SYMBOL, "1h", hourlyCandles(5, 7), at(5), at(7));
+
+    expect(store.readMeta(SYMBOL, "1h").ranges).toEqual([[at(0), at(8)]]);
+    expect(store.getMissingRanges(SYMBOL, "1h", at(0), at(8))).toEqual([]);
+  });
+
+  test("データのない時間帯もカバー範囲として記録し再取得しない", () => {
+    // 取引所のメンテナンスなどで2〜3本目が存在しない
+    const candles = hourlyCandles(0, 5).filter(
+      (candle) => candle.time !== at(2) && candle.time !== at(3)
+    );
+    store.saveCandles(SYMBOL, "1h", candles, at(0), at(5));
+
+    expect(store.getMissingRanges(SYMBOL, "1h", at(0), at(5))).toEqual([]);
+    expect(store.getCandles(SYMBOL, "1h", at(0), at(5))).toHaveLength(4);
+  });
+
+  test("月をまたぐ足を月ごとのファイルに分けて保存し、時系列順に読み込む", () => {
+    store.saveCandles(SYMBOL, "1h", hourlyCandles(0, 7), at(0), at(7));
+    // 既存の足を上書きして重複させない
+    store.saveCandles(SYMBOL, "1h", hourlyCandles(3, 4), at(3), at(4));
+
+    const monthDir = path.join(directory, SYMBOL, "1h");
+    expect(fs.readdirSync(monthDir).sort()).toEqual([
+      "2024-01.json",
+      "2024-02.json",
+      "meta.json",
+    ]);
+
+    const candles = store.getCandles(SYMBOL, "1h", at(1), at(6));
+    expect(candles.map((candle) => candle.time)).toEqual(
+      [1, 2, 3, 4, 5, 6].map(at)
+    );
+  });
+
+  test("BinanceのCSVをヘッダー行とマイクロ秒のタイムスタンプを含めて取り込む", () => {
+    const csv = [
+      "open_time,open,high,low,close,volume,close_time",
+      `${at(1)},2,3,1,2.5,10,${at(2) - 1}`,
+      `${at(0) * 1000},1,2,0.5,1.5,5,${at(1) * 1000 - 1}`,
+      "",
+    ].join("\n");
+
+    const result = store.importCsv(csv, SYMBOL, "1h");
+
+    expect(result).toEqual({ imported: 2, startTime: at(0), endTime: at(1) });
+    expect(store.getCandles(SYMBOL, "1h", at(0), at(1))).toEqual([
+      { time: at(0), open: 1, high: 2, low: 0.5, close: 1.5, volume: 5 },
+      { time: at(1), open: 2, high: 3, low: 1, close: 2.5, volume: 10 },
+    ]);
+    expect(store.listDatasets()).toEqual([
+      expect.objectContaining({
+        symbol: SYMBOL,
+        interval: "1h",
+        ranges: [
+          {
+            start: new Date(at(0)).toISOString(),
+            end: new Date(at(1)).toISOString(),
+          },
+        ],
+      }),
+    ]);
+  });
+
+  test("時間足と一致しないタイムスタンプのCSVは取り込まない", () => {
+    const csv = `${at(0) + 60 * 1000},1,2,0.5,1.5,5`;
+
+    expect(() => store.importCsv(csv, SYMBOL, "1h")).toThrow(
+      "時間足(1h)と一致しないタイムスタンプ"
+    );
+    expect(() => store.importCsv(csv, SYMBOL, "1w")).toThrow(
+      "キャッシュできない時間足"
+    );
+  });
+
+  test("インポート用ディレクトリ外のファイルは読み込まない", () => {
+    fs.writeFileSync(
+      path.join(directory, "BTCUSDT-1h-2024-01.csv"),
+      `${at(0)},1,2,0.5,1.5,5`
+    );
+
+    expect(() => store.importCsvFile("../BTCUSDT-1h-2024-01.csv")).toThrow(
+      "インポートファイルが見つかりません"
+    );
+
+    fs.mkdirSync(store.importDirectory, { recursive: true });
+    fs.renameSync(
+      path.join(directory, "BTCUSDT-1h-2024-01.csv"),
+      path.join(store.importDirectory, "BTCUSDT-1h-2024-01.csv")
+    );
+
+    expect(store.importCsvFile("BTCUSDT-1h-2024-01.csv")).toMatchObject({
+      symbol: SYMBOL,
+      interval: "1h",
+      imported: 1,
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const { MarketStream } = require("../../src/api/marketStream");
+
+const SYMBOL = "BTCUSDT";
+const INTERVAL = "1h";
+const HOUR_MS = 60 * 60 * 1000;
+
+// 現在時刻から10時間前に始まる1時間足（0〜9本目は確定済み）
+const START = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - 10 * HOUR_MS;
+
+/**
+ * テスト用のローソク足
+ * @param {number} index - STARTからの本数
+ * @returns {Object} - ローソク足
+ */
+function candleAt(index) {
+  const price = 100 + index;
+  return {
+    time: START + index * HOUR_MS,
+    open: price,
+    high: price + 1,
+    low: price - 1,
+    close: price,
+    volume: 1,
+  };
+}
+
+/**
+ * WebSocketのklineメッセージ
+ * @param {number} index - STARTからの本数
+ * @param {boolean} isFinal - 確定足かどうか
+ * @returns {Object} - メッセージ
+ */
+function klineAt(index, isFinal = true) {
+  const candle = candleAt(index);
+  return {
+    startTime: candle.time,
+    open: String(candle.open),
+    high: String(candle.high),
+    low: String(candle.low),
+    close: String(candle.close),
+    volume: String(candle.volume),
+    isFinal,
+  };
+}
+
+/**
+ * RESTの市場データのスタブ（0〜10本目のローソク足を返す）
+ */
+function createMarketData() {
+  const all = Array.from({ length: 11 }, (_, i) => candleAt(i));
+  return {
+    requests: [],
+    async getCandles(params) {
+      this.requests.push(params);
+      if (params.startTime !== undefined) {
+        return all.filter(
+          (candle) =>
+            candle.time >= params.startTime && candle.time <= params.endTime
+        );
+      }
+      // 過去データとして3本目まで（補完のテストのため以降は含めない）
+      return all.slice(0, 4);
+    },
+    async getCurrentPrice() {
+      return 123;
+    },
+  };
+}
+
+/**
+ * WebSocketクライアントのスタブ
+ */
+function createSocketClient() {
+  const sockets = [];
+  return {
+    sockets,
+    ws: {
+      candles(symbol, interval, handler) {
+        const socket = { symbol, interval, handler, closed: false };
+        sockets.push(socket);
+        return () => {
+          socket.closed = true;
+        };
+      },
+      miniTicker(symbol, handler) {
+        const socket = { symbol, handler, closed: false };
+        sockets.push(socket);
+        return () => {
+          socket.closed = true;
+        };
+      },
+    },
+  };
+}
+
+/**
+ * 指定したイベントを待つ
+ * @param {EventEmitter} emitter - イベントの発生元
+ * @param {string} eventName - イベント名
+ * @returns {Promise<Object>} - イベントの値
+ */
+function once(emitter, eventName) {
+  return new Promise((resolve) => emitter.once(eventName, resolve));
+}
+
+describe("MarketStream", () => {
+  let marketData;
+  let socketClient;
+  let stream;
+
+  beforeEach(() => {
+    marketData = createMarketData();
+    socketClient = createSocketClient();
+    stream = new MarketStream({
+      marketData,
+      getSocketClient: () => socketClient,
+      staleTimeout: 60 * 1000,
+      watchdogInterval: 60 * 1000,
+      pollInterval: 60 * 1000,
+    });
+  });
+
+  afterEach(() => {
+    stream.close();
+  });
+
+  test("同じシンボル・時間足の購読は過去データと接続を共有する", async () => {
+    const first = await stream.subscribeCandles(SYMBOL, INTERVAL);
+    const second = await stream.subscribeCandles(SYMBOL, INTERVAL);
+
+    expect(first.map((candle) => candle.time)).toEqual(
+      [0, 1, 2, 3].map((i) => candleAt(i).time)
+    );
+    expect(second).toEqual(first);
+    expect(marketData.requests).toHaveLength(1);
+    expect(socketClient.sockets).toHaveLength(1);
+
+    stream.unsubscribeCandles(SYMBOL, INTERVAL);
+    expect(socketClient.sockets[0].closed).toBe(false);
+    stream.unsubscribeCandles(SYMBOL, INTERVAL);
+    expect(socketClient.sockets[0].closed).toBe(true);
+    expect(stream.getStatus()).toEqual([]);
+  });
+
+  test("欠落した確定足をRESTで補完し、時系列順に通知する", async () => {
+    await stream.subscribeCandles(SYMBOL, INTERVAL);
+    const closed = [];
+    stream.on("candleClosed", (event) => closed.push(event.candle.time));
+
+    // 4〜6本目が届かないまま7本目が確定した
+    const socket = socketClient.sockets[0];
+    socket.handler(klineAt(7));
+    // 処理済みの足は重複して通知しない
+    socket.handler(klineAt(7));
+    socket.handler(klineAt(3));
+    await stream.streams.get(`kline:${SYMBOL}:${INTERVAL}`).queue;
+
+    expect(marketData.requests[1]).toMatchObject({
+      startTime: candleAt(4).time,
+      endTime: candleAt(7).time - 1,
+    });
+    expect(closed).toEqual([4, 5, 6, 7].map((i) => candleAt(i).time));
+    expect(stream.getCandles(SYMBOL, INTERVAL)).toHaveLength(8);
+  });
+
+  test("未確定の足は確定足として扱わない", async () => {
+    await stream.subscribeCandles(SYMBOL, INTERVAL);
+    const events = [];
+    stream.on("candle", (event) => events.push(event));
+    stream.on("candleClosed", () => events.push("closed"));
+
+    socketClient.sockets[0].handler(klineAt(4, false));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].isFinal).toBe(false);
+    expect(stream.getCandles(SYMBOL, INTERVAL)).toHaveLength(4);
+  });
+
+  test("受信が途絶えるとポーリングに切り替え、受信が戻るとWebSocketに戻す", async () => {
+    stream = new MarketStream({
+      marketData,
+      getSocketClient: () => socketClient,
+      staleTimeout: 20,
+      watchdogInterval: 10,
+      pollInterval: 60 * 1000,
+    });
+    await stream.subscribeCandles(SYMBOL, INTERVAL);
+
+    const polling = await once(stream, "mode");
+    expect(polling.mode).toBe("polling");
+    expect(stream.getMode(SYMBOL, INTERVAL)).toBe("polling");
+    // 接続を張り直している
+    expect(socketClient.sockets).toHaveLength(2);
+    expect(socketClient.sockets[0].closed).toBe(true);
+
+    // ポーリングで取得した確定足も通知する
+    await stream.streams.get(`kline:${SYMBOL}:${INTERVAL}`).queue;
+    expect(marketData.requests[1]).toMatchObject({ limit: 5 });
+
+    socketClient.sockets[1].handler(klineAt(4, false));
+    expect(stream.getMode(SYMBOL, INTERVAL)).toBe("websocket");
+  });
+
+  test("WebSocketに接続できなければ最初からポーリングで取得する", async () => {
+    stream = new MarketStream({
+      marketData,
+      getSocketClient: () => {
+        throw new Error("接続できません");
+      },
+      pollInterval: 60 * 1000,
+      watchdogInterval: 60 * 1000,
+    });
+
+    stream.subscribeTicker(SYMBOL);
+    await stream.streams.get(`ticker:${SYMBOL}`).queue;
+
+    expect(stream.getStatus()[0].mode).toBe("polling");
+    expect(stream.getLastPrice(SYMBOL)).toBe(123);
+  });
+});
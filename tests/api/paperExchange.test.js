@@ -0,0 +1,142 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { PaperExchange } = require("../../src/api/paperExchange");
+
+const SYMBOL = "BTCUSDT";
+
+/**
+ * 価格を指定できる市場データのスタブ
+ * @param {number} price - 現在価格
+ * @returns {Object} - 市場データ
+ */
+function createMarketData(price) {
+  return {
+    price,
+    async getCurrentPrice() {
+      return this.price;
+    },
+    async getCandles() {
+      return [];
+    },
+  };
+}
+
+describe("PaperExchange", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "paper-exchange-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * テスト用の取引所を作成
+   * @param {Object} options - PaperExchangeのオプション
+   * @returns {PaperExchange} - 取引所
+   */
+  function createExchange(options = {}) {
+    return new PaperExchange({
+      marketData: createMarketData(100),
+      initialBalances: { USDT: 1000 },
+      storagePath: path.join(dir, "paper_account.json"),
+      ...options,
+    });
+  }
+
+  test("成行注文はバックテストと同じスリッページと手数料で約定する", async () => {
+    const exchange = createExchange({ fee: 0.001, slippage: 0.01 });
+
+    const order = await exchange.createOrder({
+      symbol: SYMBOL,
+      side: "BUY",
+      quantity: 2,
+    });
+
+    expect(order.status).toBe("FILLED");
+    expect(parseFloat(order.fills[0].price)).toBeCloseTo(101, 10);
+    expect(parseFloat(order.fills[0].commission)).toBeCloseTo(0.202, 10);
+
+    const balances = await exchange.getAccountBalance();
+    expect(balances.BTC.free).toBe(2);
+    expect(balances.USDT.free).toBeCloseTo(1000 - 202 - 0.202, 10);
+  });
+
+  test("手数料とスリッページに0を指定できる", async () => {
+    const exchange = createExchange({ fee: 0, slippage: 0 });
+
+    await exchange.createOrder({ symbol: SYMBOL, side: "BUY", quantity: 1 });
+
+    const balances = await exchange.getAccountBalance();
+    expect(balances.USDT.free).toBe(900);
+  });
+
+  test("残高が不足する注文はBinanceと同じエラーコードで拒否する", async () => {
+    const exchange = createExchange();
+
+    await expect(
+      exchange.createOrder({ symbol: SYMBOL, side: "BUY", quantity: 100 })
+    ).rejects.toMatchObject({ code: -2010 });
+    await expect(
+      exchange.createOrder({ symbol: SYMBOL, side: "SELL", quantity: 1 })
+    ).rejects.toMatchObject({ code: -2010 });
+  });
+
+  test("指値注文は残高をロックし、価格が到達すると指値で約定する", async () => {
+    const exchange = createExchange({ fee: 0 });
+
+    const order = await exchange.createOrder({
+      symbol: SYMBOL,
+      side: "BUY",
+      type: "LIMIT",
+      quantity: 1,
+      price: 90,
+    });
+
+    expect(order.status).toBe("NEW");
+    expect(exchange.getAccountSummary().balances.USDT).toEqual({
+      free: 910,
+      locked: 90,
+    });
+
+    exchange.onPrice(SYMBOL, 89);
+
+    expect(await exchange.getOpenOrders(SYMBOL)).toEqual([]);
+    const balances = await exchange.getAccountBalance();
+    expect(balances.BTC.free).toBe(1);
+    expect(balances.USDT).toEqual({ free: 910, locked: 0 });
+  });
+
+  test("注文のキャンセルでロックした残高を戻す", async () => {
+    const exchange = createExchange();
+
+    await exchange.createOrder({
+      symbol: SYMBOL,
+      side: "BUY",
+      type: "LIMIT",
+      quantity: 1,
+      price: 90,
+    });
+    const cancelled = await exchange.cancelAllOpenOrders(SYMBOL);
+
+    expect(cancelled).toHaveLength(1);
+    expect(cancelled[0].status).toBe("CANCELED");
+    expect(exchange.getAccountSummary().balances.USDT).toEqual({
+      free: 1000,
+      locked: 0,
+    });
+  });
+
+  test("口座の状態を保存して次回の起動時に読み込む", async () => {
+    const exchange = createExchange({ fee: 0, slippage: 0 });
+    await exchange.createOrder({ symbol: SYMBOL, side: "BUY", quantity: 1 });
+
+    const restored = createExchange();
+
+    expect((await restored.getAccountBalance()).BTC.free).toBe(1);
+  });
+});
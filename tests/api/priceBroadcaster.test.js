@@ -0,0 +1,153 @@
+const EventEmitter = require("events");
+
+const PriceBroadcaster = require("../../src/api/priceBroadcaster");
+
+const NOW = Date.UTC(2023, 0, 1);
+
+/**
+ * 価格の購読元のスタブ（購読数を記録する）
+ */
+class FakeMarketStream extends EventEmitter {
+  constructor() {
+    super();
+    this.tickers = {};
+    this.lastPrices = {};
+  }
+
+  subscribeTicker(symbol) {
+    this.tickers[symbol] = (this.tickers[symbol] || 0) + 1;
+  }
+
+  unsubscribeTicker(symbol) {
+    this.tickers[symbol]--;
+  }
+
+  getLastPrice(symbol) {
+    return this.lastPrices[symbol] ?? null;
+  }
+}
+
+/**
+ * ルームへの送信を記録するSocket.IOサーバーのスタブ
+ */
+function createIo() {
+  const sent = [];
+  return {
+    sent,
+    to(room) {
+      return {
+        emit: (event, data) => sent.push({ room, event, data }),
+      };
+    },
+  };
+}
+
+/**
+ * Socket.IOソケットのスタブ
+ * @param {string} id - ソケットID
+ */
+function createSocket(id) {
+  return {
+    id,
+    rooms: new Set(),
+    emitted: [],
+    join(room) {
+      this.rooms.add(room);
+    },
+    leave(room) {
+      this.rooms.delete(room);
+    },
+    emit(event, data) {
+      this.emitted.push({ event, data });
+    },
+  };
+}
+
+describe("PriceBroadcaster", () => {
+  let io;
+  let marketStream;
+  let broadcaster;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    io = createIo();
+    marketStream = new FakeMarketStream();
+    broadcaster = new PriceBroadcaster(io, marketStream, {
+      throttleMs: 1000,
+      maxSymbolsPerSocket: 2,
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("同じシンボルを購読するソケットは上流の購読を共有する", () => {
+    const a = createSocket("a");
+    const b = createSocket("b");
+
+    expect(broadcaster.subscribe(a, "BTCUSDT").success).toBe(true);
+    expect(broadcaster.subscribe(b, "BTCUSDT").success).toBe(true);
+    expect(marketStream.tickers.BTCUSDT).toBe(1);
+    expect(a.rooms.has("price:BTCUSDT")).toBe(true);
+
+    broadcaster.unsubscribe(a, "BTCUSDT");
+    expect(marketStream.tickers.BTCUSDT).toBe(1);
+    broadcaster.unsubscribeAll(b);
+    expect(marketStream.tickers.BTCUSDT).toBe(0);
+  });
+
+  test("無効なシンボルと上限を超える購読は拒否する", () => {
+    const socket = createSocket("a");
+
+    expect(broadcaster.subscribe(socket, "btc").success).toBe(false);
+    broadcaster.subscribe(socket, "BTCUSDT");
+    broadcaster.subscribe(socket, "ETHUSDT");
+    expect(broadcaster.subscribe(socket, "BNBUSDT").success).toBe(false);
+    expect(marketStream.tickers.BNBUSDT).toBeUndefined();
+  });
+
+  test("受信済みの価格があれば購読時にすぐ送る", () => {
+    marketStream.lastPrices.BTCUSDT = 42000;
+    const socket = createSocket("a");
+
+    broadcaster.subscribe(socket, "BTCUSDT");
+
+    expect(socket.emitted).toEqual([
+      {
+        event: "price_update",
+        data: { symbol: "BTCUSDT", price: 42000, time: NOW },
+      },
+    ]);
+  });
+
+  test("送信間隔内の更新は間引いて最新の価格だけを後から送る", () => {
+    broadcaster.subscribe(createSocket("a"), "BTCUSDT");
+
+    marketStream.emit("price", { symbol: "BTCUSDT", price: 1, time: 0 });
+    jest.advanceTimersByTime(100);
+    marketStream.emit("price", { symbol: "BTCUSDT", price: 2, time: 100 });
+    marketStream.emit("price", { symbol: "BTCUSDT", price: 3, time: 100 });
+    // 購読されていないシンボルは送らない
+    marketStream.emit("price", { symbol: "ETHUSDT", price: 9, time: 100 });
+
+    expect(io.sent.map((message) => message.data.price)).toEqual([1]);
+
+    jest.advanceTimersByTime(900);
+
+    expect(io.sent.map((message) => message.data.price)).toEqual([1, 3]);
+    expect(io.sent[1].room).toBe("price:BTCUSDT");
+  });
+
+  test("購読がなくなったシンボルの保留中の価格は送らない", () => {
+    const socket = createSocket("a");
+    broadcaster.subscribe(socket, "BTCUSDT");
+
+    marketStream.emit("price", { symbol: "BTCUSDT", price: 1, time: 0 });
+    marketStream.emit("price", { symbol: "BTCUSDT", price: 2, time: 0 });
+    broadcaster.unsubscribe(socket, "BTCUSDT");
+    jest.advanceTimersByTime(1000);
+
+    expect(io.sent.map((message) => message.data.price)).toEqual([1]);
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  SpotAccount,
+  MarginAccount,
+  FuturesAccount,
+  createAccountModel,
+} = require("../../src/backtesting/AccountModel");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe("AccountModel", () => {
+  test("口座の種類に応じたモデルを作成し、省略時はマージン口座にする", () => {
+    expect(createAccountModel({ marketType: "spot" })).toBeInstanceOf(
+      SpotAccount
+    );
+    expect(createAccountModel({ marketType: "futures" })).toBeInstanceOf(
+      FuturesAccount
+    );
+    expect(createAccountModel()).toBeInstanceOf(MarginAccount);
+    expect(() => createAccountModel({ marketType: "options" })).toThrow(
+      "サポートされていない口座の種類です"
+    );
+  });
+
+  test("現物口座はショートを建てられず、清算されない", () => {
+    const account = new SpotAccount({ leverage: 5 });
+    const position = { type: "BUY", entryPrice: 100, units: 10, margin: 1000 };
+
+    expect(account.allowsShort()).toBe(false);
+    expect(account.getMaxNotional(1000)).toBe(1000);
+    expect(account.getLiquidationPrice(position, 1000)).toBeNull();
+  });
+
+  describe("清算価格", () => {
+    test("分離マージンのロングは証拠金維持率が清算水準になる価格で清算される", () => {
+      const account = new MarginAccount({
+        marginMode: "isolated",
+        leverage: 2,
+      });
+      const position = { type: "BUY", entryPrice: 100, units: 10, margin: 500 };
+
+      // 資産10 × 55 / 借入500 = 1.1
+      expect(account.getLiquidationPrice(position, 10000)).toBeCloseTo(55);
+    });
+
+    test("クロスマージンではポジションに拠出していない残高も担保になる", () => {
+      const account = new MarginAccount({ marginMode: "cross", leverage: 2 });
+      const position = { type: "BUY", entryPrice: 100, units: 10, margin: 500 };
+
+      expect(account.getLiquidationPrice(position, 600)).toBeCloseTo(45);
+      expect(account.getLiquidationPrice(position, 10000)).toBeNull();
+    });
+
+    test.each([
+      ["BUY", 1],
+      ["SELL", -1],
+    ])(
+      "分離の先物（%s）は証拠金と含み損益が維持証拠金と等しくなる価格で清算される",
+      (type, direction) => {
+        const account = new FuturesAccount({
+          marginMode: "isolated",
+          leverage: 10,
+          maintenanceMarginRate: 0.5,
+        });
+        const position = { type, entryPrice: 100, units: 10, margin: 100 };
+
+        const price = account.getLiquidationPrice(position, 10000);
+        const equity = 100 + direction * 10 * (price - 100);
+        expect(equity).toBeCloseTo(10 * price * 0.005);
+        expect(direction * (price - 100)).toBeLessThan(0);
+      }
+    );
+  });
+
+  describe("保有コスト", () => {
+    test("マージンのロングは借り入れたUSDTに日割りの利息を支払う", () => {
+      const account = new MarginAccount({ dailyInterestRate: 0.02 });
+      const position = { type: "BUY", entryPrice: 100, units: 10, margin: 500 };
+
+      const cost = account.getCarryingCost(
+        position,
+        { time: 0, open: 100 },
+        HOUR_MS
+      );
+      expect(cost.interest).toBeCloseTo((500 * 0.0002) / 24);
+      expect(cost.funding).toBe(0);
+    });
+
+    test("マージンのショートは借り入れた通貨の足の始値での価値に利息を支払う", () => {
+      const account = new MarginAccount({ dailyInterestRate: 0.02 });
+      const position = {
+        type: "SELL",
+        entryPrice: 100,
+        units: 10,
+        margin: 1000,
+      };
+
+      const cost = account.getCarryingCost(
+        position,
+        { time: 0, open: 120 },
+        DAY_MS
+      );
+      expect(cost.interest).toBeCloseTo(1200 * 0.0002);
+    });
+
+    test("先物は足の期間に含まれる資金調達の回数だけ資金調達料を支払う", () => {
+      const account = new FuturesAccount({ fundingRatePercent: 0.01 });
+      const long = { type: "BUY", entryPrice: 100, units: 10, margin: 100 };
+      const short = { ...long, type: "SELL" };
+      const candle = (time) => ({ time, open: 100 });
+
+      // UTC 0時を含む1時間足は1回、含まない1時間足は0回、日足は3回
+      expect(account.getCarryingCost(long, candle(0), HOUR_MS).funding).toBe(
+        0.1
+      );
+      expect(
+        account.getCarryingCost(long, candle(HOUR_MS), HOUR_MS).funding
+      ).toBe(0);
+      expect(
+        account.getCarryingCost(long, candle(0), DAY_MS).funding
+      ).toBeCloseTo(0.3);
+
+      // ショートは正のレートで受け取る
+      expect(account.getCarryingCost(short, candle(0), HOUR_MS).funding).toBe(
+        -0.1
+      );
+    });
+  });
+});
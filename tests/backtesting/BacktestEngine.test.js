@@ -0,0 +1,452 @@
+const BacktestEngine = require("../../src/backtesting/BacktestEngine");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * 指定した安値・高値を持つローソク足を作成
+ * @param {Array<Array<number>>} ranges - [安値, 高値, 終値] の配列
+ * @returns {Array} - ローソク足の配列
+ */
+function candlesFromRanges(ranges) {
+  return ranges.map(([low, high, close], i) => ({
+    time: START + i * HOUR_MS,
+    open: close,
+    high,
+    low,
+    close,
+    volume: 1,
+  }));
+}
+
+/**
+ * 価格が一定の割合で上昇するローソク足を作成
+ * @param {number} count - 本数
+ * @returns {Array} - ローソク足の配列
+ */
+function risingCandles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const open = 100 * Math.pow(1.001, i);
+    const close = open * 1.001;
+    return {
+      time: START + i * HOUR_MS,
+      open,
+      high: close * 1.002,
+      low: open * 0.998,
+      close,
+      volume: 1,
+    };
+  });
+}
+
+/**
+ * 決められたシグナルを返す戦略
+ * @param {Array} signals - シグナルの配列
+ * @returns {Object} - 戦略
+ */
+function fixedStrategy(signals) {
+  return { generateBacktestSignals: () => signals };
+}
+
+describe("BacktestEngine", () => {
+  describe("シグナルごとの決済価格", () => {
+    const candles = candlesFromRanges([
+      [99, 101, 100],
+      [99, 101, 100],
+      [97, 101, 100],
+      [94, 101, 96],
+    ]);
+
+    test("シグナルが指定したストップロス価格を固定の割合より優先する", () => {
+      const result = new BacktestEngine({ fee: 0, slippage: 0 }).run(
+        candles,
+        fixedStrategy([
+          {
+            type: "BUY",
+            price: 100,
+            candleIndex: 1,
+            stopLossPrice: 95,
+            takeProfitPrice: 120,
+          },
+        ])
+      );
+
+      // 固定の2%（98）では2本目で決済されるが、シグナルの95まで保有する
+      expect(result.trades).toHaveLength(1);
+      expect(result.trades[0]).toMatchObject({
+        exitReason: "STOP_LOSS",
+        exitPrice: 95,
+      });
+      expect(result.trades[0].exitTime).toBe(candles[3].time);
+    });
+
+    test("約定価格より不利な側にない決済価格は無視する", () => {
+      const result = new BacktestEngine({ fee: 0, slippage: 0 }).run(
+        candles,
+        fixedStrategy([
+          {
+            type: "BUY",
+            price: 100,
+            candleIndex: 1,
+            stopLossPrice: 105,
+          },
+        ])
+      );
+
+      expect(result.trades[0]).toMatchObject({
+        exitReason: "STOP_LOSS",
+        exitPrice: 98,
+      });
+      expect(result.trades[0].exitTime).toBe(candles[2].time);
+    });
+  });
+
+  describe("決済ルール", () => {
+    const entry = [{ type: "BUY", price: 100, candleIndex: 1 }];
+
+    test("パーセントのトレーリングストップは最高値から追従し、次の足から有効になる", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [100, 110, 109],
+        [107, 109, 108],
+      ]);
+      const result = new BacktestEngine({
+        fee: 0,
+        slippage: 0,
+        useTakeProfit: false,
+        trailingStopType: "percent",
+        trailingStopPercent: 2,
+      }).run(candles, fixedStrategy(entry));
+
+      // 最高値110の2%下（107.8）で決済する
+      expect(result.trades).toHaveLength(1);
+      expect(result.trades[0].exitReason).toBe("TRAILING_STOP");
+      expect(result.trades[0].exitPrice).toBeCloseTo(107.8);
+      expect(result.trades[0].exitTime).toBe(candles[3].time);
+      expect(result.result.trailingStopRate).toBe(100);
+    });
+
+    test("ATRのトレーリングストップは最高値からATRの倍数の幅で追従する", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [100, 110, 109],
+        [104, 109, 108],
+      ]);
+      const result = new BacktestEngine({
+        fee: 0,
+        slippage: 0,
+        useTakeProfit: false,
+        trailingStopType: "atr",
+        trailingStopAtrMultiplier: 0.5,
+        atrPeriod: 1,
+      }).run(candles, fixedStrategy(entry));
+
+      // 2本目のATRは10なので、最高値110から5下の105で決済する
+      expect(result.trades[0]).toMatchObject({
+        exitReason: "TRAILING_STOP",
+        exitPrice: 105,
+      });
+    });
+
+    test("含み益が指定したRに達するまでトレーリングを始めない", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [100, 110, 109],
+        [107, 109, 108],
+      ]);
+      const result = new BacktestEngine({
+        fee: 0,
+        slippage: 0,
+        useTakeProfit: false,
+        trailingStopType: "percent",
+        trailingStopPercent: 2,
+        trailingActivationR: 6, // 1Rは2なので含み益12が必要
+      }).run(candles, fixedStrategy(entry));
+
+      expect(result.trades[0]).toMatchObject({
+        exitReason: "SIGNAL",
+        exitPrice: 108,
+      });
+    });
+
+    test("含み益が指定したRに達するとストップを建値に移動する", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [99, 103, 101],
+        [99.5, 101, 100],
+      ]);
+      const result = new BacktestEngine({
+        fee: 0,
+        slippage: 0,
+        useTakeProfit: false,
+        breakEvenTriggerR: 1,
+      }).run(candles, fixedStrategy(entry));
+
+      expect(result.trades[0]).toMatchObject({
+        exitReason: "BREAK_EVEN",
+        exitPrice: 100,
+        profit: 0,
+      });
+      expect(result.result.breakEvenRate).toBe(100);
+    });
+
+    test("分割利確は当初数量の割合を決済し、残りをポジションとして保有する", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [99, 103, 101],
+        [97, 101, 97],
+      ]);
+      const result = new BacktestEngine({
+        fee: 0,
+        slippage: 0,
+        useTakeProfit: false,
+        partialTakeProfits: [{ r: 1, percent: 50 }],
+      }).run(candles, fixedStrategy(entry));
+
+      const [partial, rest] = result.trades;
+      expect(result.trades).toHaveLength(2);
+      expect(partial).toMatchObject({
+        exitReason: "PARTIAL_TAKE_PROFIT",
+        exitPrice: 102,
+        partial: true,
+        leg: 1,
+      });
+      expect(rest).toMatchObject({
+        exitReason: "STOP_LOSS",
+        exitPrice: 98,
+        partial: false,
+        leg: 2,
+        positionId: partial.positionId,
+      });
+      expect(partial.units).toBeCloseTo(rest.units);
+      expect(result.result.partialExits).toBe(1);
+    });
+  });
+
+  describe("約定モデル", () => {
+    const entry = [{ type: "BUY", price: 100, candleIndex: 1 }];
+
+    test("gapFillでは始値がストップを越えて始まった足で始値で約定する", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [94, 97, 95], // 始値95でストップ98を下回って始まる
+      ]);
+      const run = (options) =>
+        new BacktestEngine({ fee: 0, slippage: 0, ...options }).run(
+          candles,
+          fixedStrategy(entry)
+        );
+
+      expect(run({}).trades[0].exitPrice).toBe(98);
+
+      const gapped = run({ gapFill: true });
+      expect(gapped.trades[0]).toMatchObject({
+        exitReason: "STOP_LOSS",
+        exitPrice: 95,
+      });
+      expect(gapped.result.orderStats.gapFills).toBe(1);
+    });
+
+    test("下位足の値動きでストップとテイクプロフィットのどちらに先に達したかを判定する", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [97, 105, 103], // ストップ98とテイクプロフィット104の両方に達する
+      ]);
+      const lowerTimeframe = {
+        interval: "30m",
+        candles: [
+          { time: candles[2].time, open: 100, high: 105, low: 100, close: 104 },
+          {
+            time: candles[2].time + HOUR_MS / 2,
+            open: 104,
+            high: 104,
+            low: 97,
+            close: 103,
+          },
+        ],
+      };
+      let strategyContext = null;
+      const strategy = {
+        generateBacktestSignals: (_, context) => {
+          strategyContext = context;
+          return entry;
+        },
+      };
+      const run = (intrabarFill) =>
+        new BacktestEngine({ fee: 0, slippage: 0, intrabarFill }).run(
+          candles,
+          strategy,
+          { lowerTimeframe }
+        );
+
+      expect(run("stopFirst").trades[0].exitReason).toBe("STOP_LOSS");
+
+      const result = run("lowerTimeframe");
+      expect(result.trades[0]).toMatchObject({
+        exitReason: "TAKE_PROFIT",
+        exitPrice: 104,
+      });
+      // 下位足は先読みになるため戦略には渡さない
+      expect(strategyContext.lowerTimeframe).toBeUndefined();
+    });
+
+    test("指値注文は期限までに約定しなければ取り消される", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [99.6, 101, 100],
+        [99.6, 101, 100],
+        [99, 101, 100], // 期限切れ後に指値99.5に達する
+      ]);
+      const result = new BacktestEngine({
+        fee: 0,
+        slippage: 0,
+        entryOrderType: "limit",
+        entryOrderExpiryBars: 2,
+      }).run(candles, fixedStrategy(entry));
+
+      expect(result.trades).toHaveLength(0);
+      expect(result.result.orderStats).toMatchObject({
+        filledOrders: 0,
+        expiredOrders: 1,
+      });
+    });
+
+    test("逆指値注文は注文価格に達した足で約定する", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [99.6, 100.4, 100],
+        [99.6, 101, 100.8],
+      ]);
+      const result = new BacktestEngine({
+        fee: 0,
+        slippage: 0,
+        entryOrderType: "stop",
+      }).run(candles, fixedStrategy(entry));
+
+      expect(result.trades).toHaveLength(1);
+      expect(result.trades[0].entryPrice).toBeCloseTo(100.5);
+      expect(result.trades[0].entryTime).toBe(candles[3].time);
+      expect(result.result.orderStats.filledOrders).toBe(1);
+    });
+  });
+
+  describe("口座モデル", () => {
+    test("清算価格がストップより手前にある場合は清算価格で決済する", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [85, 101, 88],
+      ]);
+      const result = new BacktestEngine({
+        fee: 0,
+        slippage: 0,
+        marketType: "futures",
+        marginMode: "isolated",
+        leverage: 10,
+        stopLossPercent: 50,
+      }).run(
+        candles,
+        fixedStrategy([{ type: "BUY", price: 100, candleIndex: 1 }])
+      );
+
+      expect(result.trades[0].exitReason).toBe("LIQUIDATION");
+      expect(result.trades[0].exitPrice).toBeGreaterThan(85);
+      expect(result.trades[0].exitPrice).toBeLessThan(91);
+      expect(result.result.account.liquidations).toBe(1);
+    });
+
+    test("現物口座ではショートのシグナルでポジションを建てない", () => {
+      const candles = candlesFromRanges([
+        [99, 101, 100],
+        [99, 101, 100],
+        [99, 101, 100],
+      ]);
+      const result = new BacktestEngine({ marketType: "spot" }).run(
+        candles,
+        fixedStrategy([{ type: "SELL", price: 100, candleIndex: 1 }])
+      );
+
+      expect(result.trades).toHaveLength(0);
+      expect(result.result.account.rejectedShorts).toBe(1);
+    });
+  });
+
+  describe("ベンチマーク", () => {
+    test("シグナルがなくても全期間の資産推移とベンチマークを記録する", () => {
+      const candles = risingCandles(200);
+      const result = new BacktestEngine({ initialBalance: 10000, fee: 0 }).run(
+        candles,
+        fixedStrategy([])
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.trades).toEqual([]);
+      expect(result.equity).toHaveLength(candles.length);
+      expect(result.equity.every((point) => point.equity === 10000)).toBe(true);
+
+      const { benchmark } = result.result;
+      const expectedReturn =
+        (candles[candles.length - 1].close / candles[0].open - 1) * 100;
+      expect(benchmark).not.toBeNull();
+      expect(benchmark.returnPercent).toBeCloseTo(expectedReturn, 8);
+      expect(benchmark.excessReturn).toBeCloseTo(-expectedReturn, 8);
+      expect(result.result.annualizedReturnPercent).toBe(0);
+    });
+
+    test("コンテキストで指定した銘柄と比較し、その足は戦略に渡さない", () => {
+      const candles = risingCandles(50);
+      const benchmarkCandles = candles.map((candle) => ({
+        ...candle,
+        close: candle.open,
+      }));
+      let strategyContext = null;
+      const strategy = {
+        generateBacktestSignals: (_, context) => {
+          strategyContext = context;
+          return [];
+        },
+      };
+
+      const result = new BacktestEngine({ fee: 0 }).run(candles, strategy, {
+        benchmark: { symbol: "ETHUSDT", candles: benchmarkCandles },
+      });
+
+      expect(result.result.benchmark.symbol).toBe("ETHUSDT");
+      expect(result.result.benchmark.returnPercent).toBeCloseTo(
+        (benchmarkCandles[49].close / benchmarkCandles[0].open - 1) * 100,
+        8
+      );
+      expect(strategyContext.benchmark).toBeUndefined();
+    });
+  });
+
+  test("戦略にはこのバックテストと同じ設定でサブ戦略を評価する関数を渡す", () => {
+    const candles = risingCandles(50);
+    let context = null;
+    const strategy = {
+      generateBacktestSignals: (_, strategyContext) => {
+        context = strategyContext;
+        return [];
+      },
+    };
+
+    new BacktestEngine({ initialBalance: 5000 }).run(candles, strategy, {
+      interval: "1h",
+    });
+
+    expect(context.interval).toBe("1h");
+    expect(typeof context.detectMarketRegimes).toBe("function");
+    const scored = context.scoreStrategy(candles, fixedStrategy([]), {});
+    expect(scored.success).toBe(true);
+    expect(scored.result.initialBalance).toBe(5000);
+  });
+});
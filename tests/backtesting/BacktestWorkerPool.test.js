@@ -0,0 +1,176 @@
+const BacktestEngine = require("../../src/backtesting/BacktestEngine");
+const PortfolioBacktestEngine = require("../../src/backtesting/PortfolioBacktestEngine");
+const BacktestWorkerPool = require("../../src/backtesting/BacktestWorkerPool");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * 上昇と下落を繰り返すローソク足を作成
+ * @param {number} count - 本数
+ * @returns {Array} - ローソク足の配列
+ */
+function wavyCandles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = 100 + 10 * Math.sin(i / 15) + i * 0.01;
+    return {
+      time: START + i * HOUR_MS,
+      open: close - 0.2,
+      high: close + 0.5,
+      low: close - 0.7,
+      close,
+      volume: 1,
+    };
+  });
+}
+
+describe("BacktestWorkerPool", () => {
+  const candles = wavyCandles(400);
+  const params = { rsiPeriod: 10 };
+  let pool;
+
+  beforeEach(() => {
+    pool = new BacktestWorkerPool({
+      size: 1,
+      strategyName: "RsiMeanReversion",
+      engineOptions: { initialBalance: 10000 },
+      candles,
+      context: {},
+    });
+  });
+
+  afterEach(async () => {
+    await pool.terminate();
+  });
+
+  test("指定した期間をメインスレッドと同じ結果で評価する", async () => {
+    const strategyRegistry = require("../../src/strategies");
+    const expected = new BacktestEngine({ initialBalance: 10000 }).run(
+      candles.slice(100, 400),
+      strategyRegistry.create("RsiMeanReversion", params),
+      {}
+    );
+
+    const result = await pool.run(params, 100, 400);
+
+    expect(result.success).toBe(true);
+    expect(result.result.totalTrades).toBeGreaterThan(0);
+    expect(result.result).toEqual(expected.result);
+  });
+
+  test("無効なパラメータは失敗の結果を返す", async () => {
+    const result = await pool.run({ rsiOversold: 45, rsiExit: 40 }, 0, 400);
+
+    expect(result).toEqual({
+      success: false,
+      error:
+        "RSIの決済水準は売られすぎ水準と買われすぎ水準の間である必要があります",
+    });
+  });
+
+  test("ワーカーが終了すると実行中のタスクを失敗させ、新しいワーカーで続行する", async () => {
+    const task = pool.run(params, 0, 400);
+    const [slot] = pool.workers;
+    await slot.worker.terminate();
+
+    await expect(task).rejects.toThrow("バックテストワーカーが終了しました");
+    expect(pool.workers[0]).not.toBe(slot);
+
+    const result = await pool.run(params, 0, 400);
+    expect(result.success).toBe(true);
+  });
+
+  test("終了すると待機中のタスクを失敗させ、以降の評価を受け付けない", async () => {
+    const tasks = [pool.run(params, 0, 400), pool.run(params, 0, 400)].map(
+      (task) => expect(task).rejects.toThrow("キャンセル")
+    );
+    await pool.terminate("キャンセル");
+
+    await Promise.all(tasks);
+    await expect(pool.run(params, 0, 400)).rejects.toThrow(
+      "ワーカープールは終了しています"
+    );
+  });
+
+  test("バックテストジョブ用のモードでは負けトレードの分析を含む結果全体を返す", async () => {
+    const strategyRegistry = require("../../src/strategies");
+    const jobPool = new BacktestWorkerPool({
+      size: 1,
+      strategyName: "RsiMeanReversion",
+      engineOptions: { initialBalance: 10000 },
+      candles,
+      context: {},
+      mode: "standard",
+    });
+    const expected = new BacktestEngine({ initialBalance: 10000 }).run(
+      candles,
+      strategyRegistry.create("RsiMeanReversion", params),
+      {}
+    );
+
+    try {
+      const result = await jobPool.run(params, 0, candles.length);
+
+      expect(result.success).toBe(true);
+      expect(result.result.trades).toEqual(expected.trades);
+      expect(result.result.equity).toEqual(expected.equity);
+      expect(result.result.result).toEqual(expected.result);
+      // 負けトレードの分析もワーカーで行う
+      expect(result.result.lossAnalysis.totalTrades).toBe(
+        expected.trades.length
+      );
+    } finally {
+      await jobPool.terminate();
+    }
+  });
+
+  test("ポートフォリオモードでは銘柄ごとの戦略でポートフォリオバックテストを実行する", async () => {
+    const strategyRegistry = require("../../src/strategies");
+    const markets = [
+      {
+        symbol: "BTCUSDT",
+        strategyName: "RsiMeanReversion",
+        strategyParams: params,
+        candles,
+        context: {},
+      },
+      {
+        symbol: "ETHUSDT",
+        strategyName: "RsiMeanReversion",
+        strategyParams: { rsiPeriod: 7 },
+        candles: candles.map((candle) => ({ ...candle, close: candle.open })),
+        context: {},
+      },
+    ];
+    const portfolioPool = new BacktestWorkerPool({
+      size: 1,
+      engineOptions: { initialBalance: 10000 },
+      markets,
+      mode: "portfolio",
+    });
+    const expected = new PortfolioBacktestEngine({ initialBalance: 10000 }).run(
+      markets.map((market) => ({
+        ...market,
+        strategy: strategyRegistry.create(
+          market.strategyName,
+          market.strategyParams
+        ),
+      }))
+    );
+
+    try {
+      const result = await portfolioPool.run(null, 0, 0);
+
+      expect(result.success).toBe(true);
+      expect(expected.trades.length).toBeGreaterThan(0);
+      expect(result.result.trades).toEqual(expected.trades);
+      expect(result.result.perSymbol).toEqual(expected.perSymbol);
+      expect(result.result.result.portfolio.symbols).toEqual([
+        "BTCUSDT",
+        "ETHUSDT",
+      ]);
+    } finally {
+      await portfolioPool.terminate();
+    }
+  });
+});
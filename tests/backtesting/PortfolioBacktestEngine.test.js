@@ -0,0 +1,126 @@
+const PortfolioBacktestEngine = require("../../src/backtesting/PortfolioBacktestEngine");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * 価格が一定のローソク足を作成
+ * @param {number} count - 本数
+ * @returns {Array} - ローソク足の配列
+ */
+function flatCandles(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    time: START + i * HOUR_MS,
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100,
+    volume: 1000,
+  }));
+}
+
+/**
+ * 1本目の足で買う銘柄
+ * @param {string} symbol - 取引ペア
+ * @returns {Object} - run()に渡す銘柄のデータ
+ */
+function buyingMarket(symbol) {
+  return {
+    symbol,
+    candles: flatCandles(5),
+    strategy: {
+      generateBacktestSignals: () => [
+        { type: "BUY", price: 100, candleIndex: 1 },
+      ],
+    },
+  };
+}
+
+/**
+ * 銘柄ごとの最初の取引の想定元本
+ * @param {Object} result - バックテスト結果
+ * @returns {Object} - 取引ペア => 想定元本
+ */
+function notionalBySymbol(result) {
+  const notional = {};
+  for (const trade of result.trades) {
+    notional[trade.symbol] = trade.units * trade.entryPrice;
+  }
+  return notional;
+}
+
+describe("PortfolioBacktestEngine", () => {
+  const baseOptions = {
+    initialBalance: 10000,
+    positionSizePercent: 160, // Kelly係数（取引が少ない間は0.5）を掛けて残高の80%
+    fee: 0,
+    slippage: 0,
+  };
+
+  test("他の銘柄のポジションが使っている証拠金を差し引いた残りの資金でエントリーする", () => {
+    const result = new PortfolioBacktestEngine(baseOptions).run([
+      buyingMarket("BTCUSDT"),
+      buyingMarket("ETHUSDT"),
+    ]);
+
+    expect(result.success).toBe(true);
+    const notional = notionalBySymbol(result);
+    expect(notional.BTCUSDT).toBeCloseTo(8000);
+    expect(notional.ETHUSDT).toBeCloseTo(2000);
+    expect(result.result.portfolio.maxOpenPositions).toBe(2);
+    expect(result.perSymbol.map((symbol) => symbol.symbol)).toEqual([
+      "BTCUSDT",
+      "ETHUSDT",
+    ]);
+  });
+
+  test("同時保有数の上限に達した場合は後に指定した銘柄のエントリーを見送る", () => {
+    const result = new PortfolioBacktestEngine({
+      ...baseOptions,
+      maxConcurrentPositions: 1,
+    }).run([buyingMarket("BTCUSDT"), buyingMarket("ETHUSDT")]);
+
+    expect(result.trades.map((trade) => trade.symbol)).toEqual(["BTCUSDT"]);
+    expect(result.result.portfolio.skippedEntries).toBe(1);
+  });
+
+  test("1銘柄の想定元本を純資産に対する割合で制限する", () => {
+    const result = new PortfolioBacktestEngine({
+      ...baseOptions,
+      maxExposurePercent: 30,
+    }).run([buyingMarket("BTCUSDT"), buyingMarket("ETHUSDT")]);
+
+    const notional = notionalBySymbol(result);
+    expect(notional.BTCUSDT).toBeCloseTo(3000);
+    expect(notional.ETHUSDT).toBeCloseTo(3000);
+  });
+
+  test("戦略には銘柄ごとのコンテキストにサブ戦略を評価する関数を加えて渡す", () => {
+    const market = buyingMarket("BTCUSDT");
+    let strategyContext = null;
+    market.context = { interval: "1h", lowerTimeframe: { candles: [] } };
+    market.strategy.generateBacktestSignals = (_, context) => {
+      strategyContext = context;
+      return [];
+    };
+
+    new PortfolioBacktestEngine(baseOptions).run([market]);
+
+    expect(strategyContext.interval).toBe("1h");
+    expect(typeof strategyContext.scoreStrategy).toBe("function");
+    expect(typeof strategyContext.detectMarketRegimes).toBe("function");
+    expect(strategyContext.lowerTimeframe).toBeUndefined();
+  });
+
+  test("データのない銘柄がある場合はエラーを返す", () => {
+    const result = new PortfolioBacktestEngine(baseOptions).run([
+      buyingMarket("BTCUSDT"),
+      { ...buyingMarket("ETHUSDT"), candles: [] },
+    ]);
+
+    expect(result).toEqual({
+      success: false,
+      error: "ETHUSDTのデータがありません",
+    });
+  });
+});
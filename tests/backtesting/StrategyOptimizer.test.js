@@ -0,0 +1,243 @@
+const strategyRegistry = require("../../src/strategies");
+const StrategyOptimizer = require("../../src/backtesting/StrategyOptimizer");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+// step本ごとに買い、step-1本後に決済するテスト用の戦略
+strategyRegistry.register({
+  name: "StepTestStrategy",
+  displayName: "テスト用",
+  description: "一定間隔で売買する",
+  params: {
+    step: {
+      type: "number",
+      integer: true,
+      default: 5,
+      min: 2,
+      max: 50,
+      description: "間隔",
+    },
+  },
+  create: ({ step = 5 }) => ({
+    generateBacktestSignals: (candles) =>
+      candles.flatMap((candle, i) => {
+        if (i % step === 0) {
+          return [
+            {
+              type: "BUY",
+              price: candle.close,
+              time: candle.time,
+              candleIndex: i,
+            },
+          ];
+        }
+        if (i % step === step - 1) {
+          return [
+            {
+              type: "SELL",
+              price: candle.close,
+              time: candle.time,
+              candleIndex: i,
+              exitOnly: true,
+            },
+          ];
+        }
+        return [];
+      }),
+  }),
+});
+
+/**
+ * 価格が一定の割合で上昇するローソク足を作成
+ * @param {number} count - 本数
+ * @returns {Array} - ローソク足の配列
+ */
+function risingCandles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = 100 * Math.pow(1.001, i + 1);
+    return {
+      time: START + i * HOUR_MS,
+      open: close / 1.001,
+      high: close,
+      low: close / 1.001,
+      close,
+      volume: 1,
+    };
+  });
+}
+
+/**
+ * テスト用の最適化クラスを作成
+ * テスト用の戦略はワーカーのレジストリにないため、メインスレッドで評価する
+ * @param {Object} options - 追加の設定
+ * @returns {StrategyOptimizer} - 最適化クラス
+ */
+function createOptimizer(options = {}) {
+  return new StrategyOptimizer({
+    strategyName: "StepTestStrategy",
+    initialBalance: 10000,
+    fee: 0,
+    slippage: 0,
+    populationSize: 2,
+    generations: 1,
+    workers: 0,
+    ...options,
+  });
+}
+
+describe("StrategyOptimizer.walkForward", () => {
+  const candles = risingCandles(1000);
+  const paramRanges = { step: { min: 5, max: 5 } };
+
+  test("インサンプルとアウトオブサンプルの窓をアウトオブサンプルの長さずつずらす", async () => {
+    const result = await createOptimizer().walkForward(candles, paramRanges, {
+      windows: 4,
+      inSampleRatio: 0.6,
+    });
+
+    // 1000 = インサンプル + アウトオブサンプル × 4、インサンプル : アウトオブサンプル = 0.6 : 0.4
+    const outOfSampleSize = Math.floor(1000 / (4 + 0.6 / 0.4)); // 181
+    const inSampleSize = 1000 - outOfSampleSize * 4; // 276
+
+    expect(result.success).toBe(true);
+    expect(result.windows).toHaveLength(4);
+    result.windows.forEach((window, w) => {
+      const inSampleStart = w * outOfSampleSize;
+      const outOfSampleStart = inSampleStart + inSampleSize;
+      expect(window).toMatchObject({
+        window: w + 1,
+        bestParams: { step: 5 },
+        inSample: {
+          startTime: candles[inSampleStart].time,
+          endTime: candles[outOfSampleStart - 1].time,
+          candles: inSampleSize,
+        },
+        outOfSample: {
+          startTime: candles[outOfSampleStart].time,
+          endTime: candles[outOfSampleStart + outOfSampleSize - 1].time,
+          candles: outOfSampleSize,
+        },
+      });
+    });
+    // 最後の窓はデータの最後で終わる
+    expect(result.windows[3].outOfSample.endTime).toBe(candles[999].time);
+
+    // 取引はアウトオブサンプル期間に限られ、インデックスは全期間のもの
+    for (const trade of result.trades) {
+      const outOfSampleStart =
+        (trade.window - 1) * outOfSampleSize + inSampleSize;
+      expect(trade.entryCandleIndex).toBeGreaterThanOrEqual(outOfSampleStart);
+      expect(trade.exitCandleIndex).toBeLessThan(
+        outOfSampleStart + outOfSampleSize
+      );
+      expect(trade.entryTime).toBe(candles[trade.entryCandleIndex].time);
+    }
+  });
+
+  test("アウトオブサンプルの資産推移を前の窓の最終資産から続けてつなげる", async () => {
+    const result = await createOptimizer().walkForward(candles, paramRanges, {
+      windows: 4,
+      inSampleRatio: 0.6,
+    });
+    const inSampleSize = 1000 - 181 * 4;
+
+    // 資産推移はアウトオブサンプル期間の全ローソク足を途切れずに含む
+    expect(result.equity.map((point) => point.time)).toEqual(
+      candles.slice(inSampleSize).map((candle) => candle.time)
+    );
+    expect(result.equity[0].window).toBe(1);
+    expect(result.equity[result.equity.length - 1].window).toBe(4);
+
+    // 最終資産は各窓の収益率を複利でつなげたもの
+    const expectedBalance = result.windows.reduce(
+      (balance, window) =>
+        balance * (1 + window.outOfSampleResult.profitPercent / 100),
+      10000
+    );
+    expect(result.summary.finalBalance).toBeCloseTo(expectedBalance, 6);
+    expect(result.summary.profitPercent).toBeGreaterThan(0);
+
+    // 各窓の最初の資産は前の窓の最終資産から始まる
+    let balance = 10000;
+    result.windows.forEach((window, w) => {
+      expect(result.equity[w * 181].equity).toBeCloseTo(balance, 6);
+      balance *= 1 + window.outOfSampleResult.profitPercent / 100;
+      expect(result.equity[w * 181 + 180].equity).toBeCloseTo(balance, 6);
+    });
+  });
+
+  test("アウトオブサンプル期間が短すぎる場合はエラーを返す", async () => {
+    const result = await createOptimizer().walkForward(
+      candles.slice(0, 200),
+      paramRanges,
+      { windows: 4 }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("データが不足しています");
+  });
+});
+
+describe("StrategyOptimizer.cancel", () => {
+  const candles = risingCandles(1000);
+  const paramRanges = { step: { min: 5, max: 10 } };
+
+  test("評価済みの個体数を進捗として通知する", async () => {
+    const progress = [];
+    const result = await createOptimizer({
+      populationSize: 3,
+      generations: 2,
+      onProgress: (event) => progress.push(event),
+    }).optimize(candles, paramRanges);
+
+    expect(result.success).toBe(true);
+    expect(progress.map((event) => event.completed)).toEqual([
+      1, 2, 3, 4, 5, 6,
+    ]);
+    expect(progress[5]).toMatchObject({
+      total: 6,
+      percent: 100,
+      generation: 2,
+      generations: 2,
+    });
+  });
+
+  test("評価中にキャンセルすると最適化はキャンセルの結果を返す", async () => {
+    const optimizer = createOptimizer({
+      populationSize: 4,
+      generations: 3,
+      onProgress: (event) => {
+        if (event.completed === 2) optimizer.cancel();
+      },
+    });
+
+    const result = await optimizer.optimize(candles, paramRanges);
+
+    expect(result).toEqual({
+      success: false,
+      error: "最適化はキャンセルされました",
+      cancelled: true,
+    });
+    expect(optimizer.progress.completed).toBe(2);
+  });
+
+  test("インサンプルの最適化が終わった直後のキャンセルでアウトオブサンプルの評価を行わない", async () => {
+    // 最後の個体の評価後、インサンプルの最適化が結果を返してからキャンセルが届く
+    const optimizer = createOptimizer({
+      onProgress: (event) => {
+        if (event.completed === 2) setImmediate(() => optimizer.cancel());
+      },
+    });
+    const run = jest.spyOn(optimizer.backtestEngine, "run");
+
+    const result = await optimizer.walkForward(candles, paramRanges, {
+      windows: 4,
+      inSampleRatio: 0.6,
+    });
+
+    expect(result.cancelled).toBe(true);
+    // インサンプルの2個体だけを評価し、アウトオブサンプルのバックテストは実行しない
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+});
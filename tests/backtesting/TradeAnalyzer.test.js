@@ -0,0 +1,154 @@
+const BacktestEngine = require("../../src/backtesting/BacktestEngine");
+const TradeAnalyzer = require("../../src/backtesting/TradeAnalyzer");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * 小さく上下するローソク足を作成
+ * @param {number} count - 本数
+ * @param {number} intervalMs - 足の長さ
+ * @returns {Array} - ローソク足の配列
+ */
+function makeCandles(count, intervalMs = HOUR_MS) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = 100 + Math.sin(i);
+    return {
+      time: START + i * intervalMs,
+      open: close - 0.5,
+      high: close + 1,
+      low: close - 1,
+      close,
+      volume: 1,
+    };
+  });
+}
+
+/**
+ * 分析対象の取引を作成
+ * @param {Array} candles - ローソク足データ
+ * @param {number} entryIndex - エントリーしたローソク足のインデックス
+ * @param {number} profit - 損益
+ * @param {string} exitReason - 決済理由
+ * @param {string} source - シグナルの発生元
+ * @returns {Object} - 取引
+ */
+function trade(candles, entryIndex, profit, exitReason, source) {
+  return {
+    type: "BUY",
+    entryTime: candles[entryIndex].time,
+    exitTime: candles[entryIndex + 2].time,
+    entryCandleIndex: entryIndex,
+    exitCandleIndex: entryIndex + 2,
+    profit,
+    profitPercentage: profit,
+    exitReason,
+    source,
+  };
+}
+
+describe("TradeAnalyzer", () => {
+  const candles = makeCandles(100);
+
+  beforeEach(() => {
+    // 前半をレンジ、後半を強いトレンドとして判定させる
+    jest
+      .spyOn(BacktestEngine.prototype, "detectMarketRegimes")
+      .mockImplementation((data) =>
+        data.map((candle, i) => ({
+          time: candle.time,
+          regime: i < 50 ? "RANGE" : "STRONG_TREND",
+          adx: i < 50 ? 15 : 30,
+        }))
+      );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // レンジでは6件中5件がストップロスで負け、トレンドでは4件中1件が負け
+  const trades = [
+    ...[10, 15, 20, 25, 30].map((index) =>
+      trade(candles, index, -1, "STOP_LOSS", "BB_LOWER_BREAK")
+    ),
+    trade(candles, 35, 2, "TAKE_PROFIT", "BB_LOWER_BREAK"),
+    ...[60, 65, 70].map((index) =>
+      trade(candles, index, 1, "SIGNAL", "MA_CROSSOVER")
+    ),
+    trade(candles, 75, -1, "SIGNAL", "MA_CROSSOVER"),
+  ];
+
+  test("取引をエントリー時点の市場レジームと決済理由で分類する", () => {
+    const analysis = new TradeAnalyzer().analyze(candles, trades);
+
+    expect(analysis).toMatchObject({
+      totalTrades: 10,
+      losingTrades: 6,
+      lossRate: 60,
+      totalLoss: -6,
+    });
+    expect(analysis.factors.regime).toEqual([
+      expect.objectContaining({
+        key: "RANGE",
+        trades: 6,
+        losingTrades: 5,
+        exitReasons: { STOP_LOSS: 5 },
+        shareOfLosses: (5 / 6) * 100,
+      }),
+      expect.objectContaining({
+        key: "STRONG_TREND",
+        trades: 4,
+        losingTrades: 1,
+      }),
+    ]);
+    expect(analysis.factors.exitReason[0]).toMatchObject({
+      key: "STOP_LOSS",
+      losingTrades: 5,
+      lossRate: 100,
+    });
+    expect(analysis.losingTradeDetails[0]).toMatchObject({
+      tradeIndex: 0,
+      regime: "RANGE",
+      adx: 15,
+      session: "06-12",
+      source: "BB_LOWER_BREAK",
+    });
+  });
+
+  test("負けが偏っている条件から改善提案を作成する", () => {
+    const { suggestions } = new TradeAnalyzer().analyze(candles, trades);
+
+    expect(suggestions.map(({ factor, key }) => [factor, key])).toEqual([
+      ["exitReason", "STOP_LOSS"],
+      ["regime", "RANGE"],
+      ["source", "BB_LOWER_BREAK"],
+    ]);
+    expect(suggestions[1].message).toContain(
+      "RANGEレジームでは負けトレードの100%がストップロス"
+    );
+    expect(suggestions[2].message).toContain("generateAdditionalSignals");
+  });
+
+  test("負けトレードが少なければ提案しない", () => {
+    const { suggestions } = new TradeAnalyzer({ minTrades: 7 }).analyze(
+      candles,
+      trades
+    );
+
+    expect(suggestions).toEqual([]);
+  });
+
+  test("日足以上では時間帯の分析を行わない", () => {
+    const daily = makeCandles(100, 24 * HOUR_MS);
+    const analysis = new TradeAnalyzer().analyze(daily, [
+      trade(daily, 10, -1, "SIGNAL", "MA_CROSSOVER"),
+    ]);
+
+    expect(analysis.factors.timeOfDay).toEqual([]);
+    expect(analysis.factors.source[0]).toMatchObject({
+      key: "MA_CROSSOVER",
+      lossRate: 100,
+    });
+  });
+});
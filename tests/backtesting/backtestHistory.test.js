@@ -0,0 +1,139 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BacktestHistory } = require("../../src/backtesting/backtestHistory");
+
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * 保存するバックテスト結果を作成
+ * @param {string} strategyName - 戦略名
+ * @param {number} initialBalance - 初期資金
+ * @param {Array<number>} equityValues - 資産推移
+ * @returns {Object} - 実行内容
+ */
+function createRun(strategyName, initialBalance, equityValues) {
+  const finalBalance = equityValues[equityValues.length - 1];
+  return {
+    settings: {
+      symbol: "BTCUSDT",
+      timeframe: "1h",
+      strategyName,
+      params: { period: 14 },
+      startDate: "2023-01-01",
+      endDate: "2023-02-01",
+      mode: "standard",
+      initialBalance,
+      positionSizePercent: 10,
+    },
+    summary: {
+      initialBalance,
+      finalBalance,
+      profitPercent: (finalBalance / initialBalance - 1) * 100,
+      totalTrades: 1,
+      winRate: 100,
+      profitFactor: null,
+      maxDrawdownPercent: 0,
+      sharpRatio: 0,
+    },
+    trades: [{ entryPrice: 100, exitPrice: 110, profit: 10 }],
+    equity: equityValues.map((equity, i) => ({
+      time: START + i * 3600000,
+      balance: equity,
+      equity,
+    })),
+  };
+}
+
+describe("BacktestHistory", () => {
+  let directory;
+  let history;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "backtest-history-"));
+    history = new BacktestHistory({ directory, maxRuns: 2 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("保存した結果を一覧と取得で参照できる", () => {
+    const entry = history.save(createRun("A", 10000, [10000, 10500]));
+
+    expect(history.list()).toEqual([entry]);
+    expect(entry).not.toHaveProperty("trades");
+
+    const run = history.get(entry.id);
+    expect(run).toMatchObject({ id: entry.id, strategyName: "A" });
+    expect(run.trades).toHaveLength(1);
+    // 資産推移は時刻と資産だけを保存する
+    expect(run.equity).toEqual([
+      { time: START, equity: 10000 },
+      { time: START + 3600000, equity: 10500 },
+    ]);
+  });
+
+  test("保持件数を超えると古い結果から削除する", () => {
+    const first = history.save(createRun("A", 10000, [10000]));
+    const second = history.save(createRun("B", 10000, [10000]));
+    const third = history.save(createRun("C", 10000, [10000]));
+
+    expect(history.list().map((entry) => entry.id)).toEqual([
+      third.id,
+      second.id,
+    ]);
+    expect(history.get(first.id)).toBeNull();
+    expect(fs.existsSync(path.join(directory, `${first.id}.json`))).toBe(false);
+  });
+
+  test("削除した結果は一覧とファイルから消える", () => {
+    const entry = history.save(createRun("A", 10000, [10000]));
+
+    expect(history.remove(entry.id)).toBe(true);
+    expect(history.list()).toEqual([]);
+    expect(fs.existsSync(path.join(directory, `${entry.id}.json`))).toBe(false);
+    expect(history.remove(entry.id)).toBe(false);
+  });
+
+  test("一覧にないIDやディレクトリ外を指すIDは取得しない", () => {
+    fs.writeFileSync(path.join(directory, "orphan.json"), "{}");
+
+    expect(history.get("orphan")).toBeNull();
+    expect(history.get("../index")).toBeNull();
+  });
+
+  test("比較では資産推移を初期資金に対する損益率に揃える", () => {
+    const a = history.save(createRun("A", 10000, [10000, 11000]));
+    const b = history.save(createRun("B", 5000, [5000, 4500]));
+
+    const { runs } = history.compare([a.id, b.id]);
+
+    expect(runs.map((run) => run.strategyName)).toEqual(["A", "B"]);
+    expect(runs[0].equity.map((point) => point.returnPercent)).toEqual([0, 10]);
+    expect(runs[1].equity.map((point) => point.returnPercent)).toEqual([
+      0, -10,
+    ]);
+    expect(runs[1].metrics.profitPercent).toBeCloseTo(-10, 10);
+
+    expect(history.compare([a.id, "missing"])).toEqual({
+      error: "バックテスト結果が見つかりません: missing",
+    });
+  });
+
+  test("長い資産推移は最初と最後の点を残して間引く", () => {
+    const values = Array.from({ length: 5000 }, (_, i) => 10000 + i);
+    const entry = history.save(createRun("A", 10000, values));
+
+    const { equity } = history.get(entry.id);
+    expect(equity).toHaveLength(2000);
+    expect(equity[0].equity).toBe(10000);
+    expect(equity[equity.length - 1].equity).toBe(14999);
+  });
+
+  test("壊れた一覧ファイルは空として扱う", () => {
+    fs.writeFileSync(path.join(directory, "index.json"), "{broken");
+
+    expect(history.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+const benchmark = require("../../src/backtesting/benchmark");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * 足ごとのリターンから資産推移を作成
+ * @param {Array<number>} returns - 足ごとのリターン
+ * @param {number} initialBalance - 初期資金
+ * @returns {Array<number>} - 資産の系列（先頭は初期資金）
+ */
+function compound(returns, initialBalance) {
+  const values = [initialBalance];
+  for (const value of returns) {
+    values.push(values[values.length - 1] * (1 + value));
+  }
+  return values;
+}
+
+/**
+ * 戦略とベンチマークの資産の系列から資産推移を作成
+ * @param {Array<number>} strategy - 戦略の資産
+ * @param {Array<number>} benchmarkValues - ベンチマークの資産
+ * @returns {Array} - 資産推移（time, equity, benchmark）
+ */
+function toEquity(strategy, benchmarkValues) {
+  return strategy.map((equity, i) => ({
+    time: START + i * DAY_MS,
+    equity,
+    benchmark: benchmarkValues[i],
+  }));
+}
+
+const benchmarkReturns = [0.01, -0.02, 0.015, 0.005, -0.01, 0.02, -0.005];
+
+describe("compareToBenchmark", () => {
+  test("ベンチマークと同じ資産推移ではアルファ0・ベータ1・トラッキングエラー0", () => {
+    const values = compound(benchmarkReturns, 10000);
+    const returnPercent = (values[values.length - 1] / 10000 - 1) * 100;
+    const result = benchmark.compareToBenchmark(
+      toEquity(values, values),
+      10000,
+      returnPercent
+    );
+
+    expect(result.alpha).toBeCloseTo(0, 10);
+    expect(result.beta).toBeCloseTo(1, 10);
+    expect(result.correlation).toBeCloseTo(1, 10);
+    expect(result.trackingError).toBeCloseTo(0, 10);
+    expect(result.informationRatio).toBe(0);
+    expect(result.excessReturn).toBeCloseTo(0, 10);
+    expect(result.returnPercent).toBeCloseTo(returnPercent, 10);
+  });
+
+  test("ベンチマークの2倍のリターンではベータ2・アルファ0", () => {
+    const benchmarkValues = compound(benchmarkReturns, 10000);
+    const strategyValues = compound(
+      benchmarkReturns.map((value) => value * 2),
+      10000
+    );
+    const result = benchmark.compareToBenchmark(
+      toEquity(strategyValues, benchmarkValues),
+      10000,
+      0
+    );
+
+    expect(result.beta).toBeCloseTo(2, 10);
+    expect(result.alpha).toBeCloseTo(0, 8);
+    expect(result.correlation).toBeCloseTo(1, 10);
+    expect(result.trackingError).toBeGreaterThan(0);
+  });
+
+  test("一定のリターンが上乗せされた分を年率のアルファとして返す", () => {
+    const benchmarkValues = compound(benchmarkReturns, 10000);
+    const strategyValues = compound(
+      benchmarkReturns.map((value) => value + 0.001),
+      10000
+    );
+    const result = benchmark.compareToBenchmark(
+      toEquity(strategyValues, benchmarkValues),
+      10000,
+      0
+    );
+
+    // 日足のため1年あたり365本
+    expect(result.beta).toBeCloseTo(1, 10);
+    expect(result.alpha).toBeCloseTo(0.001 * 365 * 100, 8);
+  });
+
+  test("最大ドローダウンはベンチマークの資産推移から計算する", () => {
+    const values = [10000, 11000, 9900, 10500];
+    const result = benchmark.compareToBenchmark(
+      toEquity([10000, 10000, 10000, 10000], values),
+      10000,
+      0
+    );
+
+    expect(result.maxDrawdownPercent).toBeCloseTo(10, 10);
+    expect(result.finalBalance).toBe(10500);
+    expect(result.excessReturn).toBeCloseTo(-5, 10);
+  });
+
+  test("比較できる点が2点未満ならnull", () => {
+    expect(
+      benchmark.compareToBenchmark(toEquity([10000], [10000]), 10000, 0)
+    ).toBeNull();
+    expect(
+      benchmark.compareToBenchmark(
+        [{ time: START, equity: 10000, benchmark: undefined }],
+        10000,
+        0
+      )
+    ).toBeNull();
+  });
+});
+
+describe("buyAndHoldEquity", () => {
+  test("最初の足の始値で手数料を差し引いて買い、終値で評価する", () => {
+    const candles = [
+      { time: START, open: 100, close: 110 },
+      { time: START + DAY_MS, open: 110, close: 200 },
+    ];
+    const values = benchmark.buyAndHoldEquity(
+      [candles],
+      candles.map((candle) => candle.time),
+      10000,
+      0.001
+    );
+
+    expect(values[0]).toBeCloseTo(10000 * 0.999 * 1.1, 8);
+    expect(values[1]).toBeCloseTo(10000 * 0.999 * 2, 8);
+  });
+
+  test("まだ足がない時刻は割り当てた資金を現金のまま持つ", () => {
+    const early = [
+      { time: START, open: 100, close: 100 },
+      { time: START + DAY_MS, open: 100, close: 150 },
+    ];
+    const late = [{ time: START + DAY_MS, open: 50, close: 100 }];
+    const values = benchmark.buyAndHoldEquity(
+      [early, late],
+      [START, START + DAY_MS],
+      10000
+    );
+
+    expect(values[0]).toBeCloseTo(10000, 8);
+    expect(values[1]).toBeCloseTo(5000 * 1.5 + 5000 * 2, 8);
+  });
+});
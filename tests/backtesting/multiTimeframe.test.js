@@ -0,0 +1,127 @@
+const multiTimeframe = require("../../src/backtesting/multiTimeframe");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * 一定間隔のローソク足を作成（価格は開始時刻から決まる値）
+ * @param {number} start - 最初の足の開始時刻
+ * @param {number} intervalMs - 足の長さ
+ * @param {number} count - 本数
+ * @returns {Array} - ローソク足の配列
+ */
+function makeCandles(start, intervalMs, count) {
+  return Array.from({ length: count }, (_, i) => {
+    const price = 100 + i;
+    return {
+      time: start + i * intervalMs,
+      open: price,
+      high: price + 1,
+      low: price - 1,
+      close: price + 0.5,
+      volume: 1,
+    };
+  });
+}
+
+describe("alignHigherTimeframe", () => {
+  const baseCandles = makeCandles(START, HOUR_MS, 24);
+  // 基準足より前から始まる4時間足（インデックス2がSTARTに始まる足）
+  const higherCandles = makeCandles(START - 8 * HOUR_MS, 4 * HOUR_MS, 8);
+
+  test("確定した上位足だけを参照する", () => {
+    const indexAt = multiTimeframe.alignHigherTimeframe(
+      baseCandles,
+      "1h",
+      higherCandles,
+      "4h"
+    );
+
+    // 00:00〜03:00の足の確定時点では、STARTに始まる4時間足はまだ確定していない
+    expect(indexAt.slice(0, 3)).toEqual([1, 1, 1]);
+    // 03:00の足が確定する04:00に、STARTに始まる4時間足が確定する
+    expect(indexAt[3]).toBe(2);
+    expect(indexAt[7]).toBe(3);
+  });
+
+  test("どの基準足でも確定前の上位足を参照しない", () => {
+    const indexAt = multiTimeframe.alignHigherTimeframe(
+      baseCandles,
+      "1h",
+      higherCandles,
+      "4h"
+    );
+
+    baseCandles.forEach((candle, i) => {
+      const closeTime = candle.time + HOUR_MS;
+      const index = indexAt[i];
+      expect(higherCandles[index].time + 4 * HOUR_MS).toBeLessThanOrEqual(
+        closeTime
+      );
+      if (index + 1 < higherCandles.length) {
+        expect(higherCandles[index + 1].time + 4 * HOUR_MS).toBeGreaterThan(
+          closeTime
+        );
+      }
+    });
+  });
+
+  test("確定済みの上位足がなければ-1を返す", () => {
+    const lateCandles = makeCandles(START, 4 * HOUR_MS, 2);
+    const indexAt = multiTimeframe.alignHigherTimeframe(
+      baseCandles.slice(0, 5),
+      "1h",
+      lateCandles,
+      "4h"
+    );
+
+    expect(indexAt).toEqual([-1, -1, -1, 0, 0]);
+  });
+});
+
+describe("takeClosedCandles", () => {
+  test("1本ずつ取り込んだ上位足がalignHigherTimeframeと一致する", () => {
+    const baseCandles = makeCandles(START, HOUR_MS, 48);
+    const higherCandles = makeCandles(START - 8 * HOUR_MS, 4 * HOUR_MS, 14);
+    const indexAt = multiTimeframe.alignHigherTimeframe(
+      baseCandles,
+      "1h",
+      higherCandles,
+      "4h"
+    );
+
+    const taken = [];
+    let lastTime = null;
+    baseCandles.forEach((candle, i) => {
+      const closed = multiTimeframe.takeClosedCandles(
+        { interval: "4h", candles: higherCandles },
+        candle,
+        "1h",
+        lastTime
+      );
+      taken.push(...closed);
+      if (closed.length > 0) {
+        lastTime = closed[closed.length - 1].time;
+      }
+
+      expect(taken.length - 1).toBe(indexAt[i]);
+    });
+  });
+});
+
+describe("mapToBaseCandles", () => {
+  test("上位足の値を確定時点の基準足に割り当てる", () => {
+    const baseCandles = makeCandles(START, HOUR_MS, 8);
+    const higherCandles = makeCandles(START, 4 * HOUR_MS, 2);
+    const context = multiTimeframe.buildTimeframeContext(baseCandles, "1h", {
+      "4h": higherCandles,
+    });
+
+    expect(
+      multiTimeframe.mapToBaseCandles(context.higherTimeframes["4h"], [
+        "a",
+        "b",
+      ])
+    ).toEqual([undefined, undefined, undefined, "a", "a", "a", "a", "b"]);
+  });
+});
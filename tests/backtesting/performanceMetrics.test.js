@@ -0,0 +1,118 @@
+const performanceMetrics = require("../../src/backtesting/performanceMetrics");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * 資産の系列から日足の資産推移を作成
+ * @param {Array<number>} values - 資産の系列
+ * @returns {Array} - 資産推移（time, equity）
+ */
+function dailyEquity(values) {
+  return values.map((equity, i) => ({ time: START + i * DAY_MS, equity }));
+}
+
+describe("calculateMetrics", () => {
+  test("資産推移が変わらなければリターン・ボラティリティ・保有時間は0", () => {
+    const metrics = performanceMetrics.calculateMetrics({
+      equity: dailyEquity(new Array(366).fill(10000)),
+      trades: [],
+      initialBalance: 10000,
+      finalBalance: 10000,
+    });
+
+    expect(metrics.annualizedReturnPercent).toBe(0);
+    expect(metrics.annualizedVolatility).toBe(0);
+    expect(metrics.sharpeRatio).toBe(0);
+    expect(metrics.exposurePercent).toBe(0);
+    expect(metrics.calmarRatio).toBeNull();
+  });
+
+  test("年率リターンは資産推移の期間から複利で換算する", () => {
+    // 2年間で21%増加 => 年率10%
+    const values = Array.from(
+      { length: 731 },
+      (_, i) => 10000 * Math.pow(1.21, i / 730)
+    );
+    const metrics = performanceMetrics.calculateMetrics({
+      equity: dailyEquity(values),
+      trades: [],
+      initialBalance: 10000,
+      finalBalance: values[values.length - 1],
+    });
+
+    expect(metrics.annualizedReturnPercent).toBeCloseTo(10, 8);
+    // リターンが一定のためボラティリティはほぼ0
+    expect(metrics.annualizedVolatility).toBeCloseTo(0, 8);
+  });
+
+  test("年率ボラティリティは足ごとのリターンの標準偏差を1年あたりの本数で換算する", () => {
+    const returns = [0.01, -0.01, 0.01, -0.01, 0.01, -0.01];
+    const values = [10000];
+    for (const value of returns) {
+      values.push(values[values.length - 1] * (1 + value));
+    }
+    const metrics = performanceMetrics.calculateMetrics({
+      equity: dailyEquity(values),
+      trades: [],
+      initialBalance: 10000,
+      finalBalance: values[values.length - 1],
+    });
+
+    const mean = returns.reduce((sum, value) => sum + value, 0) / 6;
+    const deviation = Math.sqrt(
+      returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / 6
+    );
+    expect(metrics.annualizedVolatility).toBeCloseTo(
+      deviation * Math.sqrt(365) * 100,
+      8
+    );
+  });
+
+  test("保有時間の割合は重なった取引を1回だけ数える", () => {
+    const equity = dailyEquity(new Array(11).fill(10000));
+    const trades = [
+      {
+        entryTime: START,
+        exitTime: START + 4 * DAY_MS,
+        profit: 10,
+      },
+      // 分割決済など、前の取引と重なる期間
+      {
+        entryTime: START + 2 * DAY_MS,
+        exitTime: START + 5 * DAY_MS,
+        profit: -5,
+      },
+    ];
+    const metrics = performanceMetrics.calculateMetrics({
+      equity,
+      trades,
+      initialBalance: 10000,
+      finalBalance: 10005,
+    });
+
+    expect(metrics.exposurePercent).toBeCloseTo(50, 10);
+    expect(metrics.profitFactor).toBeCloseTo(2, 10);
+    expect(metrics.expectancy).toBeCloseTo(2.5, 10);
+    expect(metrics.longestLosingStreak).toBe(1);
+  });
+
+  test("最大ドローダウンを指定しなければ資産推移から計算してカルマーレシオに使う", () => {
+    const values = [10000, 12000, 9000, 11000];
+    const equity = values.map((value, i) => ({
+      time: START + (i * YEAR_MS) / 3,
+      equity: value,
+    }));
+    const metrics = performanceMetrics.calculateMetrics({
+      equity,
+      trades: [],
+      initialBalance: 10000,
+      finalBalance: 11000,
+    });
+
+    // 期間がちょうど1年のため年率リターンは10%、最大ドローダウンは25%
+    expect(metrics.annualizedReturnPercent).toBeCloseTo(10, 8);
+    expect(metrics.calmarRatio).toBeCloseTo(10 / 25, 8);
+  });
+});
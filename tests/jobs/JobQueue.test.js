@@ -0,0 +1,141 @@
+const { JobQueue } = require("../../src/jobs/JobQueue");
+
+/**
+ * 外部から完了させられるPromise
+ * @returns {Object} - { promise, resolve, reject }
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * 保留中のPromiseの処理を進める
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe("JobQueue", () => {
+  test("同時実行数を超えたジョブは登録順に待たせる", async () => {
+    const queue = new JobQueue({ concurrency: 1, maxFinishedJobs: 10 });
+    const first = deferred();
+    const second = deferred();
+
+    const a = queue.enqueue("backtest", {}, () => first.promise);
+    const b = queue.enqueue("backtest", {}, () => second.promise);
+
+    expect(queue.get(a.id).status).toBe("running");
+    expect(queue.get(b.id).status).toBe("queued");
+
+    first.resolve({ success: true, value: 1 });
+    await flush();
+
+    expect(queue.get(a.id)).toMatchObject({
+      status: "completed",
+      result: { success: true, value: 1 },
+    });
+    expect(queue.get(b.id).status).toBe("running");
+
+    second.resolve({ success: false, error: "データがありません" });
+    await flush();
+
+    expect(queue.get(b.id)).toMatchObject({
+      status: "failed",
+      error: "データがありません",
+    });
+  });
+
+  test("例外を投げたジョブは失敗にする", async () => {
+    const queue = new JobQueue({ concurrency: 1, maxFinishedJobs: 10 });
+    const job = queue.enqueue("optimize", {}, async () => {
+      throw new Error("取得エラー");
+    });
+    await flush();
+
+    expect(queue.get(job.id)).toMatchObject({
+      status: "failed",
+      error: "取得エラー",
+      result: null,
+    });
+  });
+
+  test("実行中のジョブのキャンセルはsignalで通知し、待機中のジョブはすぐにキャンセルする", async () => {
+    const queue = new JobQueue({ concurrency: 1, maxFinishedJobs: 10 });
+    let signal;
+    const running = queue.enqueue(
+      "optimize",
+      {},
+      (job) =>
+        new Promise((resolve, reject) => {
+          signal = job.signal;
+          job.signal.addEventListener("abort", () =>
+            reject(new Error("最適化はキャンセルされました"))
+          );
+        })
+    );
+    const handler = jest.fn();
+    const waiting = queue.enqueue("backtest", {}, handler);
+
+    expect(queue.cancel(waiting.id).status).toBe("cancelled");
+    queue.cancel(running.id);
+    expect(signal.aborted).toBe(true);
+    await flush();
+
+    expect(queue.get(running.id)).toMatchObject({
+      status: "cancelled",
+      error: "ジョブはキャンセルされました",
+    });
+    expect(handler).not.toHaveBeenCalled();
+    expect(queue.cancel("unknown")).toBeNull();
+  });
+
+  test("進捗と状態の変化をupdateイベントで通知する", async () => {
+    const queue = new JobQueue({ concurrency: 1, maxFinishedJobs: 10 });
+    const updates = [];
+    queue.on("update", (summary) => updates.push(summary));
+
+    const job = queue.enqueue("backtest", { symbol: "BTCUSDT" }, (context) => {
+      context.reportProgress({ phase: "download", percent: 50 });
+      return { success: true };
+    });
+    await flush();
+
+    expect(updates.map((update) => [update.status, update.progress])).toEqual([
+      ["queued", null],
+      ["running", null],
+      ["running", { phase: "download", percent: 50 }],
+      ["completed", { phase: "download", percent: 50 }],
+    ]);
+    // 通知と一覧には結果を含めない
+    expect(updates[3]).not.toHaveProperty("result");
+    expect(queue.list()[0]).toEqual(updates[3]);
+    expect(queue.list({ type: "optimize" })).toEqual([]);
+    expect(updates[0].id).toBe(job.id);
+  });
+
+  test("終了済みのジョブは新しいものから上限件数だけ残す", async () => {
+    const queue = new JobQueue({ concurrency: 2, maxFinishedJobs: 2 });
+    const blocker = deferred();
+    const running = queue.enqueue("backtest", {}, () => blocker.promise);
+    const jobs = [1, 2, 3].map((value) =>
+      queue.enqueue("backtest", {}, () => ({ success: true, value }))
+    );
+    await flush();
+
+    expect(queue.get(jobs[0].id)).toBeNull();
+    expect(queue.get(jobs[1].id).result.value).toBe(2);
+    expect(queue.get(jobs[2].id).result.value).toBe(3);
+    // 実行中のジョブは上限に含めない
+    expect(queue.get(running.id).status).toBe("running");
+
+    blocker.resolve({ success: true });
+    await flush();
+  });
+});
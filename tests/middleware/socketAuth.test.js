@@ -0,0 +1,55 @@
+// auth.jsは読み込み時に期限切れセッションの削除タイマーを開始するため、偽のタイマーで読み込む
+jest.useFakeTimers();
+
+const auth = require("../../src/middleware/auth");
+const socketAuth = require("../../src/middleware/socketAuth");
+
+/**
+ * ハンドシェイクの認証情報を持つソケットのスタブ
+ * @param {Object} credentials - 認証情報（sessionId, apiKey）
+ */
+function createSocket(credentials) {
+  return {
+    id: "socket-1",
+    handshake: { auth: credentials, address: "127.0.0.1" },
+  };
+}
+
+/**
+ * 認証ミドルウェアを実行してnextに渡された値を返す
+ * @param {Object} socket - ソケット
+ * @returns {Error|undefined} - 認証エラー
+ */
+function authenticate(socket) {
+  let result;
+  socketAuth.socketAuthMiddleware(socket, (error) => {
+    result = error;
+  });
+  return result;
+}
+
+describe("socketAuthMiddleware", () => {
+  beforeAll(() => {
+    auth.setApiKeys({
+      "socket-test-key": { name: "テスト", permissions: ["read"] },
+    });
+    socketAuth.setApiKeyResolver(auth.getApiKeyPermissions);
+  });
+
+  test("有効なAPIキーで接続するとキーの権限をソケットに設定する", () => {
+    const socket = createSocket({ apiKey: "socket-test-key" });
+
+    expect(authenticate(socket)).toBeUndefined();
+    expect(socket.user).toEqual({
+      username: "APIキー認証",
+      permissions: ["read"],
+    });
+  });
+
+  test("無効なAPIキーや認証情報のない接続は拒否する", () => {
+    expect(authenticate(createSocket({ apiKey: "unknown" })).message).toBe(
+      "認証に失敗しました"
+    );
+    expect(authenticate(createSocket({})).message).toBe("認証情報が必要です");
+  });
+});
@@ -0,0 +1,108 @@
+const DonchianBreakout = require("../../src/strategies/DonchianBreakout");
+const technicalIndicators = require("../../src/utils/technicalIndicators");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 終値と値幅からローソク足を作成
+ * @param {Array<number>} closes - 終値
+ * @param {Object} lows - インデックス => 安値（指定がなければ終値-0.5）
+ * @returns {Array} - ローソク足の配列
+ */
+function toCandles(closes, lows = {}) {
+  return closes.map((close, i) => ({
+    time: Date.UTC(2023, 0, 1) + i * HOUR_MS,
+    open: close,
+    high: close + 0.5,
+    low: lows[i] !== undefined ? lows[i] : close - 0.5,
+    close,
+    volume: 1,
+  }));
+}
+
+/**
+ * 30本のレンジ相場の後に上抜ける終値の系列
+ * @param {Array<number>} after - レンジの後に続く終値
+ * @returns {Array<number>} - 終値
+ */
+function rangeThen(after) {
+  const closes = [];
+  for (let i = 0; i < 30; i++) {
+    closes.push(i % 2 === 0 ? 99.5 : 100.5);
+  }
+  return closes.concat(after);
+}
+
+describe("DonchianBreakout", () => {
+  test("チャネルの上抜けで買い、ATRに基づく決済価格をシグナルに付ける", () => {
+    const candles = toCandles(rangeThen([105, 106, 106]));
+    const signals = new DonchianBreakout().generateBacktestSignals(candles);
+
+    const atr = technicalIndicators.alignToCandles(
+      technicalIndicators.atr(
+        candles.map((candle) => candle.high),
+        candles.map((candle) => candle.low),
+        candles.map((candle) => candle.close),
+        14
+      ),
+      candles.length
+    )[30];
+
+    expect(signals).toHaveLength(1);
+    expect(signals[0]).toMatchObject({
+      type: "BUY",
+      price: 105,
+      candleIndex: 30,
+      source: "DONCHIAN_BREAKOUT",
+    });
+    expect(signals[0].stopLossPrice).toBeCloseTo(105 - 2 * atr, 10);
+    expect(signals[0].takeProfitPrice).toBeCloseTo(105 + 4 * atr, 10);
+  });
+
+  test("保有中は決済チャネルの下抜けで決済専用の売りシグナルを出す", () => {
+    const closes = rangeThen([105].concat(new Array(12).fill(106), [105]));
+    const signals = new DonchianBreakout().generateBacktestSignals(
+      toCandles(closes)
+    );
+
+    expect(signals.map((signal) => [signal.type, signal.candleIndex])).toEqual([
+      ["BUY", 30],
+      ["SELL", 43],
+    ]);
+    expect(signals[1].exitOnly).toBe(true);
+    expect(signals[1].stopLossPrice).toBeUndefined();
+  });
+
+  test("ストップロスに達した足で仮想ポジションを閉じ、次のブレイクで再びエントリーする", () => {
+    const closes = rangeThen([105, 106, 106, 106, 106, 106, 110]);
+    // 33本目でストップロスに達する
+    const signals = new DonchianBreakout().generateBacktestSignals(
+      toCandles(closes, { 33: 100 })
+    );
+
+    expect(signals.map((signal) => [signal.type, signal.candleIndex])).toEqual([
+      ["BUY", 30],
+      ["BUY", 36],
+    ]);
+  });
+
+  test("売りエントリーは許可した場合のみ出す", () => {
+    const candles = toCandles(rangeThen([95, 94]));
+
+    expect(new DonchianBreakout().generateBacktestSignals(candles)).toEqual([]);
+
+    const signals = new DonchianBreakout({
+      allowShort: true,
+    }).generateBacktestSignals(candles);
+    expect(signals).toHaveLength(1);
+    expect(signals[0].type).toBe("SELL");
+    expect(signals[0].stopLossPrice).toBeGreaterThan(95);
+    expect(signals[0].takeProfitPrice).toBeLessThan(95);
+  });
+
+  test("決済チャネルがエントリーチャネルより長いパラメータは拒否する", () => {
+    expect(
+      () => new DonchianBreakout({ entryPeriod: 10, exitPeriod: 20 })
+    ).toThrow("決済チャネルの期間はエントリーチャネルの期間以下");
+  });
+});
@@ -0,0 +1,112 @@
+const RsiMeanReversion = require("../../src/strategies/RsiMeanReversion");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 終値の系列からローソク足を作成
+ * @param {Array<number>} closes - 終値
+ * @returns {Array} - ローソク足の配列
+ */
+function toCandles(closes) {
+  return closes.map((close, i) => ({
+    time: Date.UTC(2023, 0, 1) + i * HOUR_MS,
+    open: close,
+    high: close + 0.5,
+    low: close - 0.5,
+    close,
+    volume: 1,
+  }));
+}
+
+/**
+ * レンジ相場の途中で急落（または急騰）し、元の水準に戻る終値の系列
+ * @param {number} direction - -1で急落、1で急騰
+ * @returns {Array<number>} - 終値
+ */
+function shockAndRevert(direction) {
+  const closes = [];
+  for (let i = 0; i < 40; i++) {
+    closes.push(100 + Math.sin(i / 2));
+  }
+  for (let i = 1; i <= 6; i++) {
+    closes.push(100 + direction * i * 2);
+  }
+  for (let i = 5; i >= 0; i--) {
+    closes.push(100 + direction * i * 2);
+  }
+  for (let i = 0; i < 10; i++) {
+    closes.push(100 + Math.sin(i / 2));
+  }
+  return closes;
+}
+
+describe("RsiMeanReversion", () => {
+  test("急落で買い、平均への回帰で決済専用の売りシグナルを出す", () => {
+    const candles = toCandles(shockAndRevert(-1));
+    const signals = new RsiMeanReversion().generateBacktestSignals(candles);
+
+    expect(signals.length).toBeGreaterThanOrEqual(2);
+    const [entry, exit] = signals;
+    expect(entry).toMatchObject({ type: "BUY", source: "RSI_MEAN_REVERSION" });
+    expect(entry.exitOnly).toBeUndefined();
+    // 急落の途中でエントリーする
+    expect(entry.candleIndex).toBeGreaterThanOrEqual(40);
+    expect(entry.candleIndex).toBeLessThan(46);
+    expect(exit).toMatchObject({ type: "SELL", exitOnly: true });
+    expect(exit.candleIndex).toBeGreaterThan(entry.candleIndex);
+    expect(entry.price).toBe(candles[entry.candleIndex].close);
+    expect(entry.time).toBe(candles[entry.candleIndex].time);
+  });
+
+  test("エントリーと決済を交互に出す", () => {
+    const closes = shockAndRevert(-1).concat(
+      shockAndRevert(-1),
+      shockAndRevert(1)
+    );
+    const signals = new RsiMeanReversion({
+      allowShort: true,
+    }).generateBacktestSignals(toCandles(closes));
+
+    signals.forEach((signal, i) => {
+      expect(Boolean(signal.exitOnly)).toBe(i % 2 === 1);
+    });
+  });
+
+  test("空売りを許可しなければ急騰でエントリーしない", () => {
+    const candles = toCandles(shockAndRevert(1));
+
+    expect(new RsiMeanReversion().generateBacktestSignals(candles)).toEqual([]);
+
+    const signals = new RsiMeanReversion({
+      allowShort: true,
+    }).generateBacktestSignals(candles);
+    expect(signals[0]).toMatchObject({ type: "SELL" });
+    expect(signals[0].exitOnly).toBeUndefined();
+    expect(signals[1]).toMatchObject({ type: "BUY", exitOnly: true });
+  });
+
+  test("トレンドフィルターは長期移動平均線より下での買いを見送る", () => {
+    const signals = new RsiMeanReversion({
+      useTrendFilter: true,
+      trendMaPeriod: 20,
+    }).generateBacktestSignals(toCandles(shockAndRevert(-1)));
+
+    expect(signals).toEqual([]);
+  });
+
+  test("指標の計算に必要な本数がなければシグナルを出さない", () => {
+    const candles = toCandles(shockAndRevert(-1)).slice(0, 15);
+
+    expect(new RsiMeanReversion().generateBacktestSignals(candles)).toEqual([]);
+    expect(new RsiMeanReversion().generateBacktestSignals([])).toEqual([]);
+  });
+
+  test("水準の組み合わせが矛盾するパラメータは拒否する", () => {
+    expect(
+      () => new RsiMeanReversion({ rsiOversold: 70, rsiOverbought: 60 })
+    ).toThrow("売られすぎ水準は買われすぎ水準よりも低い");
+    expect(() => new RsiMeanReversion({ rsiExit: 25 })).toThrow(
+      "決済水準は売られすぎ水準と買われすぎ水準の間"
+    );
+  });
+});
@@ -0,0 +1,166 @@
+const StrategyEnsemble = require("../../src/strategies/StrategyEnsemble");
+const { StrategyRegistry } = require("../../src/strategies");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+const candles = Array.from({ length: 10 }, (_, i) => ({
+  time: START + i * HOUR_MS,
+  open: 100,
+  high: 101,
+  low: 99,
+  close: 100,
+  volume: 1,
+}));
+
+/**
+ * 決められたシグナルと評価用の取引を返すテスト戦略の定義を作成
+ * @param {string} name - 戦略名
+ * @param {Array<Array>} script - [ローソク足のインデックス, 売買方向] の配列
+ * @param {number} profit - 評価用バックテストの損益率（1本目で決済）
+ * @param {Array<string>} preferredRegimes - 得意な市場レジーム
+ * @returns {Object} - 戦略定義
+ */
+function scriptedDefinition(name, script, profit, preferredRegimes) {
+  return {
+    name,
+    displayName: name,
+    description: "アンサンブルのテスト用",
+    params: {
+      size: {
+        type: "number",
+        default: 1,
+        min: 1,
+        max: 10,
+        description: "数量",
+      },
+    },
+    preferredRegimes,
+    create: (params) => ({
+      params,
+      trades: [{ profitPercentage: profit, exitCandleIndex: 1 }],
+      generateBacktestSignals: (data, context) => {
+        script.context = context;
+        return script.map(([candleIndex, type]) => ({
+          type,
+          price: data[candleIndex].close,
+          time: data[candleIndex].time,
+          candleIndex,
+        }));
+      },
+    }),
+  };
+}
+
+describe("StrategyEnsemble", () => {
+  let registry;
+  const alphaScript = [
+    [2, "BUY"],
+    [6, "SELL"],
+  ];
+  const betaScript = [
+    [2, "SELL"],
+    [4, "BUY"],
+  ];
+
+  // 評価用バックテストの代わりに戦略が持つ取引を返す
+  const context = {
+    scoreStrategy: (_, strategy) => ({
+      success: true,
+      trades: strategy.trades,
+    }),
+    detectMarketRegimes: (data) =>
+      data.map((candle) => ({ time: candle.time, regime: "STRONG_TREND" })),
+  };
+
+  beforeEach(() => {
+    registry = new StrategyRegistry();
+    registry.register(scriptedDefinition("Alpha", alphaScript, 5, ["RANGE"]));
+    registry.register(
+      scriptedDefinition("Beta", betaScript, -5, ["STRONG_TREND"])
+    );
+    registry.register(StrategyEnsemble.createDefinition(registry));
+  });
+
+  test("成績による重み付けでは成績のよい戦略でエントリーし、その戦略の反対シグナルで決済する", () => {
+    const ensemble = registry.create("StrategyEnsemble", {});
+    const signals = ensemble.generateBacktestSignals(candles, context);
+
+    // Betaは成績がマイナスのため採用されず、4本目の買いシグナルも無視される
+    expect(signals).toEqual([
+      expect.objectContaining({
+        type: "BUY",
+        candleIndex: 2,
+        strategy: "Alpha",
+      }),
+      expect.objectContaining({
+        type: "SELL",
+        candleIndex: 6,
+        strategy: "Alpha",
+        exitOnly: true,
+      }),
+    ]);
+    // サブ戦略にはコンテキストをそのまま渡す
+    expect(alphaScript.context).toBe(context);
+  });
+
+  test("市場レジームによる重み付けでは得意なレジームの戦略だけを採用する", () => {
+    const ensemble = registry.create("StrategyEnsemble", {
+      weighting: "regime",
+    });
+    const signals = ensemble.generateBacktestSignals(candles, context);
+
+    expect(signals).toEqual([
+      expect.objectContaining({
+        type: "SELL",
+        candleIndex: 2,
+        strategy: "Beta",
+      }),
+      expect.objectContaining({
+        type: "BUY",
+        candleIndex: 4,
+        strategy: "Beta",
+        exitOnly: true,
+      }),
+    ]);
+  });
+
+  test("評価関数のないコンテキストではシグナルを出さない", () => {
+    const ensemble = registry.create("StrategyEnsemble", {});
+    expect(ensemble.generateBacktestSignals(candles, {})).toEqual([]);
+    expect(() => ensemble.calculatePerformanceWeights(candles, {})).toThrow(
+      "成績による重み付けにはscoreStrategyが必要です"
+    );
+    expect(() => ensemble.calculateRegimeWeights(candles, {})).toThrow(
+      "市場レジームによる重み付けにはdetectMarketRegimesが必要です"
+    );
+  });
+
+  test("memberParamsでサブ戦略ごとにパラメータを指定できる", () => {
+    const ensemble = registry.create("StrategyEnsemble", {
+      memberParams: { Beta: { size: 3 } },
+    });
+
+    expect(ensemble.members[0].strategy.params).toEqual({});
+    expect(ensemble.members[1].strategy.params).toEqual({ size: 3 });
+  });
+
+  test("memberParamsの検証", () => {
+    expect(
+      registry.validateParams("StrategyEnsemble", { memberParams: [] })
+    ).toEqual([
+      "サブ戦略ごとのパラメータ（戦略名 => パラメータ）はオブジェクトである必要があります",
+    ]);
+    expect(() =>
+      registry.create("StrategyEnsemble", {
+        strategies: ["Alpha"],
+        memberParams: { Beta: { size: 3 } },
+      })
+    ).toThrow("構成していない戦略のパラメータです: Beta");
+    expect(() =>
+      registry.create("StrategyEnsemble", {
+        memberParams: { Beta: { size: 0 } },
+      })
+    ).toThrow("数量は1から10の間で指定してください");
+  });
+});
@@ -0,0 +1,189 @@
+const strategyRegistry = require("../../src/strategies");
+const { StrategyRegistry } = require("../../src/strategies");
+
+// テスト用の戦略定義
+const testDefinition = {
+  name: "TestStrategy",
+  displayName: "テスト戦略",
+  description: "レジストリのテスト用",
+  params: {
+    period: {
+      type: "number",
+      integer: true,
+      default: 14,
+      min: 2,
+      max: 100,
+      description: "期間",
+      optimize: { min: 5, max: 30 },
+    },
+    threshold: {
+      type: "number",
+      default: 1.5,
+      min: 0,
+      max: 10,
+      description: "しきい値",
+    },
+    useFilter: { type: "boolean", default: true, description: "フィルター" },
+    mode: {
+      type: "select",
+      options: ["fast", "slow"],
+      default: "fast",
+      description: "モード",
+    },
+  },
+  create: (params) => ({ params }),
+};
+
+describe("StrategyRegistry", () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new StrategyRegistry();
+    registry.register(testDefinition);
+  });
+
+  describe("register", () => {
+    test("名前・ファクトリのない定義や重複した名前は登録できない", () => {
+      expect(() => registry.register({ create: () => ({}) })).toThrow(
+        "戦略定義には名前が必要です"
+      );
+      expect(() => registry.register({ name: "NoFactory" })).toThrow(
+        "ファクトリがありません"
+      );
+      expect(() => registry.register(testDefinition)).toThrow(
+        "既に登録されています"
+      );
+    });
+
+    test("一覧にはファクトリを含めない", () => {
+      expect(registry.list()).toEqual([
+        {
+          name: "TestStrategy",
+          displayName: "テスト戦略",
+          description: "レジストリのテスト用",
+          params: testDefinition.params,
+        },
+      ]);
+    });
+  });
+
+  describe("validateParams", () => {
+    test("スキーマに合うパラメータとパラメータの省略を受け付ける", () => {
+      expect(
+        registry.validateParams("TestStrategy", {
+          period: 20,
+          threshold: 2.5,
+          useFilter: false,
+          mode: "slow",
+        })
+      ).toEqual([]);
+      expect(registry.validateParams("TestStrategy", undefined)).toEqual([]);
+      expect(registry.validateParams("TestStrategy", {})).toEqual([]);
+    });
+
+    test.each([
+      [{ period: "20" }, "期間は数値である必要があります"],
+      [{ period: NaN }, "期間は数値である必要があります"],
+      [{ period: 2.5 }, "期間は整数である必要があります"],
+      [{ period: 1 }, "期間は2から100の間で指定してください"],
+      [{ threshold: 11 }, "しきい値は0から10の間で指定してください"],
+      [{ useFilter: "true" }, "フィルターはboolean型である必要があります"],
+      [{ mode: "medium" }, "モードはfast, slowのいずれかを指定してください"],
+      [{ unknown: 1 }, "不明なパラメータです: unknown"],
+    ])("%pを拒否する", (params, message) => {
+      expect(registry.validateParams("TestStrategy", params)).toEqual([
+        message,
+      ]);
+    });
+
+    test("オブジェクト以外のパラメータを拒否する", () => {
+      expect(registry.validateParams("TestStrategy", [1, 2])).toEqual([
+        "戦略パラメータはオブジェクトである必要があります",
+      ]);
+    });
+
+    test("未登録の戦略はエラーになる", () => {
+      expect(() => registry.validateParams("Unknown", {})).toThrow(
+        "サポートされていない戦略: Unknown"
+      );
+    });
+  });
+
+  describe("validateParamRanges", () => {
+    test("数値パラメータの範囲を受け付ける", () => {
+      expect(
+        registry.validateParamRanges("TestStrategy", {
+          period: { min: 5, max: 30 },
+          threshold: { min: 0.5, max: 3 },
+        })
+      ).toEqual([]);
+    });
+
+    test("数値以外のパラメータや不正な範囲を拒否する", () => {
+      expect(
+        registry.validateParamRanges("TestStrategy", {
+          useFilter: { min: 0, max: 1 },
+          period: { min: 1, max: 30 },
+          threshold: { min: 3, max: 1 },
+          mode: undefined,
+        })
+      ).toEqual([
+        "最適化できないパラメータです: useFilter",
+        "期間の範囲は2から100の間で指定してください",
+        "しきい値の最小値は最大値以下である必要があります",
+        "最適化できないパラメータです: mode",
+      ]);
+      expect(registry.validateParamRanges("TestStrategy", null)).toEqual([
+        "パラメータ範囲はオブジェクトである必要があります",
+      ]);
+    });
+  });
+
+  describe("create", () => {
+    test("検証したパラメータのコピーでファクトリを呼び出す", () => {
+      const params = { period: 20 };
+      const strategy = registry.create("TestStrategy", params);
+
+      expect(strategy.params).toEqual({ period: 20 });
+      expect(strategy.params).not.toBe(params);
+    });
+
+    test("不正なパラメータでは最初のエラーで例外を投げる", () => {
+      expect(() =>
+        registry.create("TestStrategy", { period: 1, mode: "medium" })
+      ).toThrow("期間は2から100の間で指定してください");
+    });
+  });
+
+  test("既定のパラメータと最適化範囲をスキーマから取得する", () => {
+    expect(registry.getDefaultParams("TestStrategy")).toEqual({
+      period: 14,
+      threshold: 1.5,
+      useFilter: true,
+      mode: "fast",
+    });
+    expect(registry.getDefaultParamRanges("TestStrategy")).toEqual({
+      period: { min: 5, max: 30 },
+    });
+  });
+});
+
+describe("組み込み戦略", () => {
+  test.each(strategyRegistry.list().map((strategy) => strategy.name))(
+    "%sは既定のパラメータで作成でき、既定値がスキーマを満たす",
+    (name) => {
+      const defaults = strategyRegistry.getDefaultParams(name);
+
+      expect(strategyRegistry.validateParams(name, defaults)).toEqual([]);
+      expect(
+        strategyRegistry.validateParamRanges(
+          name,
+          strategyRegistry.getDefaultParamRanges(name)
+        )
+      ).toEqual([]);
+      expect(
+        typeof strategyRegistry.create(name, defaults).generateBacktestSignals
+      ).toBe("function");
+    }
+  );
+});
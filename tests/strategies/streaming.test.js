@@ -0,0 +1,116 @@
+const strategyRegistry = require("../../src/strategies");
+const multiTimeframe = require("../../src/backtesting/multiTimeframe");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2023, 0, 1);
+
+/**
+ * トレンドと周期的な値動きを持つローソク足を作成（乱数を使わず毎回同じ値）
+ * @param {number} count - 本数
+ * @param {number} intervalMs - 足の長さ（ミリ秒）
+ * @returns {Array} - ローソク足の配列
+ */
+function makeCandles(count, intervalMs = HOUR_MS) {
+  return Array.from({ length: count }, (_, i) => {
+    const close =
+      100 + i * 0.02 + 8 * Math.sin(i / 9) + 3 * Math.cos(i / 4) + Math.sin(i);
+    const open = close - Math.sin(i / 2);
+    return {
+      time: START + i * intervalMs,
+      open,
+      high: Math.max(open, close) + 0.5 + Math.abs(Math.sin(i)),
+      low: Math.min(open, close) - 0.5 - Math.abs(Math.cos(i)),
+      close,
+      volume: 10 + 8 * Math.abs(Math.sin(i / 3)),
+    };
+  });
+}
+
+/**
+ * 足を1本ずつnext()に渡して出たシグナルを集める
+ * @param {Object} strategy - 戦略インスタンス
+ * @param {Array} candles - ローソク足
+ * @param {Object} context - コンテキスト
+ * @returns {Array} - シグナルの配列
+ */
+function streamSignals(strategy, candles, context = {}) {
+  strategy.resetStream();
+  return candles.flatMap((candle) => strategy.next(candle, context));
+}
+
+describe("戦略のnext()", () => {
+  const candles = makeCandles(600);
+
+  test.each([
+    ["MovingAverageCrossover", { filterStrength: "weak", useVolume: false }],
+    [
+      "MovingAverageCrossover",
+      {
+        filterStrength: "weak",
+        useVolume: false,
+        useMacd: true,
+        useBollingerBands: true,
+        generateAdditionalSignals: true,
+      },
+    ],
+    ["RsiMeanReversion", {}],
+    ["RsiMeanReversion", { requireBandTouch: false, allowShort: true }],
+    ["DonchianBreakout", {}],
+    ["DonchianBreakout", { allowShort: true, entryPeriod: 10 }],
+  ])(
+    "%s %jは足を1本ずつ渡してもgenerateBacktestSignalsと同じシグナルを出す",
+    (name, params) => {
+      const expected = strategyRegistry
+        .create(name, params)
+        .generateBacktestSignals(candles, { interval: "1h" });
+
+      const signals = streamSignals(
+        strategyRegistry.create(name, params),
+        candles,
+        { interval: "1h" }
+      );
+
+      expect(expected.length).toBeGreaterThan(0);
+      expect(signals).toEqual(expected);
+    }
+  );
+
+  test("上位足のトレンドを使う場合も確定した上位足だけでgenerateBacktestSignalsと一致する", () => {
+    const params = {
+      filterStrength: "weak",
+      useVolume: false,
+      trendTimeframe: "4h",
+      trendMaPeriod: 30,
+    };
+    const higherCandles = makeCandles(150, 4 * HOUR_MS);
+    const context = multiTimeframe.buildTimeframeContext(candles, "1h", {
+      "4h": higherCandles,
+    });
+    const expected = strategyRegistry
+      .create("MovingAverageCrossover", params)
+      .generateBacktestSignals(candles, context);
+
+    const signals = streamSignals(
+      strategyRegistry.create("MovingAverageCrossover", params),
+      candles,
+      {
+        interval: "1h",
+        higherTimeframes: {
+          "4h": { interval: "4h", candles: higherCandles },
+        },
+      }
+    );
+
+    expect(expected.length).toBeGreaterThan(0);
+    expect(signals).toEqual(expected);
+  });
+
+  test("resetStream()で状態を初期化し、同じ足から同じシグナルを出す", () => {
+    const strategy = strategyRegistry.create("RsiMeanReversion", {});
+
+    const first = streamSignals(strategy, candles);
+    const second = streamSignals(strategy, candles);
+
+    expect(second).toEqual(first);
+  });
+});
@@ -0,0 +1,200 @@
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../src/utils/riskManager", () => ({
+  positionSizePercent: 10,
+  checkRiskViolation: () => false,
+  recordTrade: () => true,
+}));
+
+const strategyRegistry = require("../../src/strategies");
+const { TradingEngine } = require("../../src/trading/TradingEngine");
+
+const SYMBOL = "BTCUSDT";
+const INTERVAL = "1h";
+const HOUR_MS = 60 * 60 * 1000;
+
+// 確定足ごとに買いシグナルを出すテスト用の戦略
+strategyRegistry.register({
+  name: "AlwaysBuyTestStrategy",
+  displayName: "テスト用",
+  description: "確定足ごとに買いシグナルを出す",
+  params: {},
+  create: () => ({
+    generateBacktestSignals: (candles) => [
+      {
+        type: "BUY",
+        price: candles[candles.length - 1].close,
+        candleIndex: candles.length - 1,
+        source: "TEST",
+      },
+    ],
+  }),
+});
+
+/**
+ * テスト用のローソク足
+ * @param {number} index - 足の番号
+ * @returns {Object} - ローソク足
+ */
+function candleAt(index) {
+  return {
+    time: Date.UTC(2023, 0, 1) + index * HOUR_MS,
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100,
+    volume: 1,
+  };
+}
+
+/**
+ * ローソク足の購読元のスタブ
+ */
+class FakeMarketStream extends EventEmitter {
+  async subscribeCandles() {
+    return [candleAt(0)];
+  }
+
+  unsubscribeCandles() {}
+
+  getCandles() {
+    return [];
+  }
+
+  getMode() {
+    return "websocket";
+  }
+
+  closeCandle(index) {
+    this.emit("candleClosed", {
+      symbol: SYMBOL,
+      interval: INTERVAL,
+      candle: candleAt(index),
+    });
+  }
+}
+
+/**
+ * 呼び出し順を記録する取引所のスタブ
+ * 残高の取得はreleaseBalanceを呼ぶまで完了しない
+ */
+function createExchange() {
+  const calls = [];
+  const waiting = [];
+
+  return {
+    calls,
+    releaseBalance() {
+      waiting.splice(0).forEach((resolve) => resolve());
+    },
+    async getAccountBalance() {
+      calls.push("getAccountBalance");
+      await new Promise((resolve) => waiting.push(resolve));
+      return { USDT: { free: 10000 } };
+    },
+    async createOrder(order) {
+      calls.push(`createOrder:${order.side}`);
+      return {
+        orderId: calls.length,
+        executedQty: order.quantity,
+        cummulativeQuoteQty: String(parseFloat(order.quantity) * 100),
+      };
+    },
+    async cancelAllOpenOrders() {
+      calls.push("cancelAllOpenOrders");
+      return [];
+    },
+    async getCurrentPrice() {
+      return 100;
+    },
+  };
+}
+
+/**
+ * 次のイベントループまで待つ（非同期の処理を進める）
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe("TradingEngine.emergencyStop", () => {
+  let storagePath;
+  let exchange;
+  let marketStream;
+  let engine;
+
+  beforeEach(async () => {
+    storagePath = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "trading-engine-")),
+      "trading_state.json"
+    );
+    exchange = createExchange();
+    marketStream = new FakeMarketStream();
+    engine = new TradingEngine({
+      exchange,
+      marketStream,
+      storagePath,
+      symbol: SYMBOL,
+      interval: INTERVAL,
+    });
+    await engine.start({ strategyName: "AlwaysBuyTestStrategy" });
+  });
+
+  afterEach(() => {
+    engine.stop();
+    fs.rmSync(path.dirname(storagePath), { recursive: true, force: true });
+  });
+
+  test("処理中の確定足を待ってから注文をキャンセルし、停止後は新規注文を出さない", async () => {
+    // 残高の取得中（注文を出す直前）に緊急停止する
+    marketStream.closeCandle(1);
+    await flush();
+    expect(exchange.calls).toEqual(["getAccountBalance"]);
+
+    const stopping = engine.emergencyStop("test");
+    await flush();
+    expect(exchange.calls).toEqual(["getAccountBalance"]);
+
+    exchange.releaseBalance();
+    const report = await stopping;
+
+    expect(exchange.calls).toEqual([
+      "getAccountBalance",
+      "cancelAllOpenOrders",
+    ]);
+    expect(engine.positions).toEqual({});
+    expect(report.closedPositions).toEqual([]);
+    expect(engine.getStatus().halt).not.toBeNull();
+  });
+
+  test("注文をキャンセルしてから保有ポジションを決済する", async () => {
+    marketStream.closeCandle(1);
+    await flush();
+    exchange.releaseBalance();
+    await engine.processing;
+    expect(engine.positions[SYMBOL]).toBeDefined();
+
+    const report = await engine.emergencyStop("test");
+
+    expect(exchange.calls).toEqual([
+      "getAccountBalance",
+      "createOrder:BUY",
+      "cancelAllOpenOrders",
+      "createOrder:SELL",
+    ]);
+    expect(report.closedPositions).toHaveLength(1);
+    expect(report.closedPositions[0].exitReason).toBe("EMERGENCY_STOP");
+    expect(engine.positions).toEqual({});
+  });
+
+  test("緊急停止後は解除されるまで取引を開始できない", async () => {
+    await engine.emergencyStop("test");
+
+    await expect(
+      engine.start({ strategyName: "AlwaysBuyTestStrategy" })
+    ).rejects.toThrow("緊急停止中");
+  });
+});
@@ -0,0 +1,133 @@
+const technicalIndicators = require("../../src/utils/technicalIndicators");
+const streamingIndicators = require("../../src/utils/streamingIndicators");
+
+/**
+ * トレンドと周期的な値動きを持つローソク足を作成（乱数を使わず毎回同じ値）
+ * @param {number} count - 本数
+ * @returns {Array} - ローソク足の配列
+ */
+function makeCandles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = 100 + i * 0.05 + 5 * Math.sin(i / 7) + 2 * Math.cos(i / 3);
+    const open = close - Math.sin(i / 2);
+    return {
+      time: i * 60 * 60 * 1000,
+      open,
+      high: Math.max(open, close) + 1 + Math.abs(Math.sin(i)),
+      low: Math.min(open, close) - 1 - Math.abs(Math.cos(i)),
+      close,
+      volume: 10 + (i % 5),
+    };
+  });
+}
+
+/**
+ * 逐次計算の結果を配列として集める
+ * @param {Object} indicator - 逐次計算する指標
+ * @param {Array} candles - ローソク足
+ * @returns {Array} - 足ごとの指標値
+ */
+function stream(indicator, candles) {
+  return candles.map((candle) => indicator.next(candle));
+}
+
+/**
+ * 2つの系列が同じ位置でundefinedになり、値が一致することを確認
+ * @param {Array} actual - 逐次計算の系列
+ * @param {Array} expected - 一括計算の系列
+ */
+function expectSameSeries(actual, expected) {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => {
+    if (expected[i] === undefined) {
+      expect(value).toBeUndefined();
+    } else {
+      expect(value).toBeCloseTo(expected[i], 8);
+    }
+  });
+}
+
+describe("streamingIndicators", () => {
+  const candles = makeCandles(300);
+  const closes = candles.map((candle) => candle.close);
+  const highs = candles.map((candle) => candle.high);
+  const lows = candles.map((candle) => candle.low);
+
+  test.each([
+    ["StreamingSma", "sma", 20],
+    ["StreamingEma", "ema", 20],
+    ["StreamingRsi", "rsi", 14],
+  ])("%sは%sと同じ値を返す", (className, functionName, period) => {
+    expectSameSeries(
+      stream(new streamingIndicators[className](period), candles),
+      technicalIndicators[functionName](closes, period)
+    );
+  });
+
+  test("数値を渡しても終値と同じ値を返す", () => {
+    expectSameSeries(
+      stream(new streamingIndicators.StreamingSma(10), closes),
+      technicalIndicators.sma(closes, 10)
+    );
+  });
+
+  test("StreamingMacdはmacdと同じ値を返す", () => {
+    const values = stream(new streamingIndicators.StreamingMacd(), candles);
+    const expected = technicalIndicators.macd(closes);
+
+    for (const key of ["macd", "signal", "histogram"]) {
+      expectSameSeries(
+        values.map((value) => value[key]),
+        expected[key]
+      );
+    }
+  });
+
+  test("StreamingBollingerBandsはbollingerBandsと同じ値を返す", () => {
+    const values = stream(
+      new streamingIndicators.StreamingBollingerBands(20, 2),
+      candles
+    );
+    const expected = technicalIndicators.bollingerBands(closes, 20, 2);
+
+    for (const key of ["upper", "middle", "lower"]) {
+      expectSameSeries(
+        values.map((value) => value[key]),
+        expected[key]
+      );
+    }
+  });
+
+  test("StreamingAtrはatrと同じ値を返す", () => {
+    expectSameSeries(
+      stream(new streamingIndicators.StreamingAtr(14), candles),
+      technicalIndicators.atr(highs, lows, closes, 14)
+    );
+  });
+
+  test("StreamingStochasticはstochasticと同じ値を返す", () => {
+    const values = stream(
+      new streamingIndicators.StreamingStochastic(14, 3),
+      candles
+    );
+    const expected = technicalIndicators.stochastic(highs, lows, closes, 14, 3);
+
+    for (const key of ["k", "d"]) {
+      expectSameSeries(
+        values.map((value) => value[key]),
+        expected[key]
+      );
+    }
+  });
+
+  test("受け取った足の本数と直近の値を保持する", () => {
+    const indicator = new streamingIndicators.StreamingSma(3);
+    stream(indicator, candles.slice(0, 5));
+
+    expect(indicator.count).toBe(5);
+    expect(indicator.value).toBeCloseTo(
+      (closes[2] + closes[3] + closes[4]) / 3,
+      10
+    );
+  });
+});
@@ -0,0 +1,140 @@
+const technicalIndicators = require("../../src/utils/technicalIndicators");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * トレンドと周期的な値動きを持つローソク足を作成（乱数を使わず毎回同じ値）
+ * @param {number} count - 本数
+ * @returns {Object} - high, low, close, volume, timesの配列
+ */
+function makeSeries(count) {
+  const close = Array.from(
+    { length: count },
+    (_, i) => 100 + i * 0.05 + 5 * Math.sin(i / 7)
+  );
+  return {
+    high: close.map((value, i) => value + 1 + Math.abs(Math.sin(i))),
+    low: close.map((value, i) => value - 1 - Math.abs(Math.cos(i))),
+    close,
+    volume: close.map((_, i) => 10 + (i % 5)),
+    times: close.map((_, i) => i * HOUR_MS),
+  };
+}
+
+describe("technicalIndicators", () => {
+  const { high, low, close, volume, times } = makeSeries(120);
+
+  test("すべての指標はローソク足と同じ長さの系列を返す", () => {
+    const series = [
+      technicalIndicators.sma(close, 20),
+      technicalIndicators.ema(close, 20),
+      technicalIndicators.rsi(close, 14),
+      technicalIndicators.atr(high, low, close, 14),
+      technicalIndicators.vwap(high, low, close, volume, times),
+      technicalIndicators.obv(close, volume),
+      technicalIndicators.cci(high, low, close, 20),
+      technicalIndicators.williamsR(high, low, close, 14),
+      technicalIndicators.parabolicSar(high, low),
+      ...Object.values(technicalIndicators.macd(close)),
+      ...Object.values(technicalIndicators.bollingerBands(close)),
+      ...Object.values(technicalIndicators.adx(high, low, close)),
+      ...Object.values(technicalIndicators.stochastic(high, low, close)),
+      ...Object.values(technicalIndicators.ichimoku(high, low)),
+      ...Object.values(technicalIndicators.keltnerChannels(high, low, close)),
+      ...Object.values(technicalIndicators.superTrend(high, low, close)),
+    ];
+
+    for (const values of series) {
+      expect(values).toHaveLength(close.length);
+    }
+  });
+
+  test("期間に満たない先頭はundefinedで埋め、値はその足までのデータで計算する", () => {
+    const values = [1, 2, 3, 4, 5, 6];
+    const sma = technicalIndicators.sma(values, 3);
+
+    expect(sma).toEqual([undefined, undefined, 2, 3, 4, 5]);
+  });
+
+  test("計算できない入力では同じ長さの空の系列を返す", () => {
+    expect(technicalIndicators.alignToCandles(null, 3)).toEqual([
+      undefined,
+      undefined,
+      undefined,
+    ]);
+    expect(technicalIndicators.sma(close, 0)).toHaveLength(close.length);
+  });
+
+  test("VWAPはセッションごとに出来高の累積をリセットする", () => {
+    const values = technicalIndicators.vwap(
+      [11, 13, 21],
+      [9, 11, 19],
+      [10, 12, 20],
+      [1, 3, 2],
+      [0, HOUR_MS, 24 * HOUR_MS]
+    );
+
+    expect(values[0]).toBeCloseTo(10);
+    expect(values[1]).toBeCloseTo((10 * 1 + 12 * 3) / 4);
+    // 日付が変わった足から新しいセッション
+    expect(values[2]).toBeCloseTo(20);
+  });
+
+  test("一目均衡表の先行スパンはdisplacement本前に計算した雲に揃える", () => {
+    const result = technicalIndicators.ichimoku(high, low, 9, 26, 52, 26);
+    const unshifted = technicalIndicators.ichimoku(high, low, 9, 26, 52, 0);
+
+    expect(result.spanB.slice(0, 77).every((v) => v === undefined)).toBe(true);
+    expect(result.spanB[77]).toBeCloseTo(unshifted.spanB[51]);
+    expect(result.spanA[60]).toBeCloseTo(unshifted.spanA[34]);
+    expect(result.conversion[8]).toBeCloseTo(
+      (Math.max(...high.slice(0, 9)) + Math.min(...low.slice(0, 9))) / 2
+    );
+  });
+
+  test("OBVは終値の上昇・下落に応じて出来高を加減する", () => {
+    const values = technicalIndicators.obv([10, 11, 10, 10], [5, 3, 2, 4]);
+    const defined = values.filter((value) => value !== undefined);
+
+    expect(defined.slice(-3)).toEqual([3, 1, 1]);
+  });
+
+  test("ウィリアムズ%Rは-100から0の範囲に収まる", () => {
+    const values = technicalIndicators
+      .williamsR(high, low, close, 14)
+      .filter((value) => value !== undefined);
+
+    expect(values.length).toBeGreaterThan(0);
+    expect(values.every((value) => value >= -100 && value <= 0)).toBe(true);
+  });
+
+  test("スーパートレンドは上昇中は終値の下、下降に転じると終値の上に表示する", () => {
+    const up = Array.from({ length: 40 }, (_, i) => 100 + i);
+    const down = Array.from({ length: 40 }, (_, i) => 139 - i * 2);
+    const prices = [...up, ...down];
+    const result = technicalIndicators.superTrend(
+      prices.map((p) => p + 1),
+      prices.map((p) => p - 1),
+      prices,
+      10,
+      3
+    );
+
+    expect(result.direction[39]).toBe(1);
+    expect(result.superTrend[39]).toBeLessThan(prices[39]);
+    expect(result.direction[79]).toBe(-1);
+    expect(result.superTrend[79]).toBeGreaterThan(prices[79]);
+  });
+
+  test("パラボリックSARは上昇トレンドでは安値の下にある", () => {
+    const prices = Array.from({ length: 40 }, (_, i) => 100 + i);
+    const values = technicalIndicators.parabolicSar(
+      prices.map((p) => p + 1),
+      prices.map((p) => p - 1)
+    );
+
+    for (let i = 5; i < prices.length; i++) {
+      expect(values[i]).toBeLessThan(prices[i] - 1);
+    }
+  });
+});